@@ -0,0 +1,15 @@
+/**
+ * Jest configuration
+ * Sources are native ES modules, so nothing is transformed and tests run with
+ * --experimental-vm-modules (see the test script). Tests sit next to the code
+ * they cover as *.test.js; shared helpers and fixtures live in test/.
+ */
+export default {
+    testEnvironment: 'node',
+    transform: {},
+    roots: ['<rootDir>/src'],
+    testMatch: ['**/*.test.js'],
+    setupFiles: ['<rootDir>/test/setupEnv.js'],
+    // Each test file starts its own PGlite database
+    testTimeout: 30000
+};
@@ -0,0 +1,24 @@
+-- Refresh-token rotation
+-- Each login starts a token family; every /api/auth/refresh consumes the
+-- presented token and adds its replacement to the same family. Presenting a
+-- consumed token again revokes the whole family.
+
+CREATE TABLE IF NOT EXISTS refresh_token_families (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_user_id ON refresh_token_families (user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_expires_at ON refresh_token_families (expires_at);
+
+ALTER TABLE refresh_tokens
+    ADD COLUMN IF NOT EXISTS jti UUID UNIQUE,
+    ADD COLUMN IF NOT EXISTS family_id UUID REFERENCES refresh_token_families(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS replaced_by UUID;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
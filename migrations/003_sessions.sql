@@ -0,0 +1,7 @@
+-- Session metadata
+-- A session is a refresh token family (see 002_refresh_token_families.sql).
+
+ALTER TABLE refresh_token_families
+    ADD COLUMN IF NOT EXISTS user_agent TEXT,
+    ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
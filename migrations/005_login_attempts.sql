@@ -0,0 +1,13 @@
+-- Per-account failed login tracking
+-- Used by services/loginThrottleService.js when Redis is disabled or unavailable.
+-- Keyed by normalized email so unknown accounts are throttled the same way.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    email VARCHAR(255) PRIMARY KEY,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_last_failed_at ON login_attempts (last_failed_at);
@@ -0,0 +1,18 @@
+-- Asymmetric JWT signing keys
+-- Used by services/signingKeyService.js. Keys sign between activates_at and
+-- deactivates_at and are published in the JWKS until expires_at, when every
+-- token they signed has expired.
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    algorithm VARCHAR(10) NOT NULL,
+    public_jwk JSONB NOT NULL,
+    -- PKCS#8 PEM, encrypted with SIGNING_KEY_ENCRYPTION_KEY
+    private_key TEXT NOT NULL,
+    activates_at TIMESTAMPTZ NOT NULL,
+    deactivates_at TIMESTAMPTZ NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_expires_at ON signing_keys (expires_at);
@@ -0,0 +1,17 @@
+-- Permissions for the employee routes (routes/employee.js)
+
+INSERT INTO permissions (name, description) VALUES
+    ('employees:read', 'List, search and view employees'),
+    ('employees:write', 'Create, update and bulk update employees'),
+    ('employees:delete', 'Delete and restore employees')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'employees:read'
+WHERE r.name = 'moderator'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name LIKE 'employees:%'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+-- Background table exports
+-- Used by services/exportService.js. Files are kept in EXPORT_DIR until expires_at.
+
+CREATE TABLE IF NOT EXISTS export_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Resource name of the router that started the export, e.g. 'employees'
+    resource VARCHAR(100) NOT NULL,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ndjson', 'xlsx')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    file_name VARCHAR(255),
+    row_count INTEGER,
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_export_jobs_expires_at ON export_jobs (expires_at);
+
+INSERT INTO permissions (name, description) VALUES
+    ('employees:export', 'Export employees as CSV, NDJSON or XLSX')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'employees:export'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
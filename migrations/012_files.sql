@@ -0,0 +1,29 @@
+-- Uploaded files
+-- Used by services/fileService.js. Contents are stored once per SHA-256 hash by the
+-- storage driver (UPLOAD_STORAGE_DRIVER); rows with the same hash share them.
+
+CREATE TABLE IF NOT EXISTS files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Sanitized client file name, sent back on download
+    name VARCHAR(255) NOT NULL,
+    -- Type verified against the file content on upload
+    mime_type VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    hash CHAR(64) NOT NULL,
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_files_hash ON files (hash);
+CREATE INDEX IF NOT EXISTS idx_files_owner_id ON files (owner_id);
+
+INSERT INTO permissions (name, description) VALUES
+    ('files:manage', 'View, download and delete files of any user')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'files:manage'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
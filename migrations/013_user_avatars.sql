@@ -0,0 +1,5 @@
+-- Profile pictures
+-- Used by services/avatarService.js. Images are kept by the storage driver under
+-- avatar_key; NULL when the user has no avatar.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key VARCHAR(255);
@@ -0,0 +1,32 @@
+-- Audit trail of data changes
+-- Written by services/auditService.js for the tables listed in AUDIT_TABLES, in the
+-- transaction of each change. Entries are never updated or deleted by the app.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(100) NOT NULL,
+    -- Primary key of the changed row, comma separated when composite
+    record_id TEXT,
+    operation VARCHAR(20) NOT NULL CHECK (operation IN ('insert', 'update', 'delete', 'soft_delete')),
+    -- Changed columns before and after; the whole row for inserts (new) and deletes (old)
+    old_values JSONB,
+    new_values JSONB,
+    -- No foreign key: entries outlive the users who made them
+    user_id UUID,
+    request_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log (user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_request_id ON audit_log (request_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+
+INSERT INTO permissions (name, description) VALUES
+    ('audit:read', 'Read the audit trail')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'audit:read'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,23 @@
+-- Previous versions of rows
+-- Written by services/historyService.js for the tracked tables, in the transaction of
+-- each update or delete. Backs the history and revert endpoints of resource routers.
+
+CREATE TABLE IF NOT EXISTS record_history (
+    id BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(100) NOT NULL,
+    -- Primary key of the row, comma separated when composite
+    record_id TEXT NOT NULL,
+    -- 1 for the oldest kept version of the row, then counting up
+    version INTEGER NOT NULL,
+    -- The change that replaced this version
+    operation VARCHAR(20) NOT NULL CHECK (operation IN ('update', 'delete', 'soft_delete')),
+    -- The whole row as it was before the change
+    data JSONB NOT NULL,
+    -- No foreign key: versions outlive the users who made them
+    user_id UUID,
+    request_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (table_name, record_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_record_history_created_at ON record_history (created_at);
@@ -0,0 +1,16 @@
+-- Idempotency keys and their stored responses
+-- Used by services/idempotencyService.js when Redis is disabled or unavailable.
+-- key_hash covers the Idempotency-Key header and the caller; fingerprint covers the request.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    key_hash CHAR(64) PRIMARY KEY,
+    fingerprint CHAR(64) NOT NULL,
+    -- processing while the first request runs, completed once its response is stored
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
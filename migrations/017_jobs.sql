@@ -0,0 +1,51 @@
+-- Background job queue
+-- Used by services/jobBackends.js (postgres backend). Workers claim due jobs with
+-- FOR UPDATE SKIP LOCKED; jobs that fail their last attempt move to dead_jobs.
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Handler name, e.g. 'email.send'
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    -- Not run before this; set forward for delayed jobs and retries
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- A running job still running after this is taken to be lost and run again
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs (name, run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_locked ON jobs (name, locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_completed_at ON jobs (completed_at) WHERE status = 'completed';
+
+-- Dead letters: jobs out of attempts, kept until retried or purged
+CREATE TABLE IF NOT EXISTS dead_jobs (
+    id UUID PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL,
+    max_attempts INTEGER NOT NULL,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL,
+    failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_jobs_name ON dead_jobs (name);
+CREATE INDEX IF NOT EXISTS idx_dead_jobs_failed_at ON dead_jobs (failed_at);
+
+INSERT INTO permissions (name, description) VALUES
+    ('jobs:read', 'Inspect background jobs and dead letters'),
+    ('jobs:manage', 'Retry and purge background jobs')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name LIKE 'jobs:%'
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+-- Background exports and imports run as job queue jobs (export.run, import.run)
+-- A job's payload is only the export or import ID; what to run is kept here.
+
+-- Validated list query of the export, rebuilt into SQL when the job runs
+ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS list_query JSONB NOT NULL DEFAULT '{}';
+
+-- Background imports
+-- Used by services/importService.js. Reports are kept until expires_at.
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Resource name of the router that started the import, e.g. 'employees'
+    resource VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    -- Parsed rows, cleared once the import finished
+    rows JSONB,
+    -- { dryRun, atomic, conflictColumns }
+    options JSONB NOT NULL DEFAULT '{}',
+    summary JSONB,
+    errors JSONB,
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_expires_at ON import_jobs (expires_at);
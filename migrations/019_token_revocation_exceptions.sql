@@ -0,0 +1,4 @@
+-- A user-wide revocation can spare the token or session that made it,
+-- e.g. the session a password was changed from
+ALTER TABLE user_token_revocations ADD COLUMN IF NOT EXISTS except_jti UUID;
+ALTER TABLE user_token_revocations ADD COLUMN IF NOT EXISTS except_session_id UUID;
@@ -25,8 +25,12 @@ import { validationErrorHandler } from './middleware/validation.js';
 
 // Routes
 import routes from './routes/index.js';
+import wellKnownRoutes from './routes/wellKnown.js';
 
 // Services
+import { signingKeyService } from './services/signingKeyService.js';
+import { jobQueue } from './services/jobQueue.js';
+import './services/emailService.js'; // Register email.send job handler
 import './services/cronService.js'; // Initialize cron jobs
 
 const app = express();
@@ -40,14 +44,14 @@ const __dirname = path.dirname(__filename);
 app.set('trust proxy', 1);
 
 // View engine setup for EJS templates
-app.set('views', path.join(process.cwd(), 'views'));
+app.set('views', config.views.directory);
 app.set('view engine', 'ejs');
 
 // Create necessary directories
 const ensureDirectories = async () => {
     try {
         await fs.ensureDir('logs');
-        await fs.ensureDir('uploads');
+        await fs.ensureDir(config.upload.destination);
         await fs.ensureDir('public');
         await fs.ensureDir('views');
         debugApp('Directories ensured');
@@ -159,6 +163,9 @@ const setupRoutes = () => {
         });
     });
 
+    // Public discovery documents (JWKS)
+    app.use('/.well-known', wellKnownRoutes);
+
     // API routes
     app.use('/api', routes);
 
@@ -193,6 +200,12 @@ const connectServices = async () => {
         await connectDatabase();
         logger.info('Database connected successfully');
 
+        // Signing keys must be loaded before any token is issued or verified
+        await signingKeyService.refresh();
+        if (signingKeyService.enabled) {
+            logger.info('JWT signing keys loaded', { algorithm: config.jwt.algorithm });
+        }
+
         // Then connect to Redis (optional - app should work without Redis)
         try {
             const redisResult = await connectRedis();
@@ -205,6 +218,11 @@ const connectServices = async () => {
             logger.warn('Redis connection failed, continuing without Redis:', redisError.message);
         }
 
+        // Work queued jobs once the backends they use are connected
+        if (config.jobs.worker && config.env !== 'test') {
+            jobQueue.start();
+        }
+
         logger.info('Services connection completed');
     } catch (error) {
         logger.error('Failed to connect to required services:', error);
@@ -212,16 +230,8 @@ const connectServices = async () => {
     }
 };
 
-// Graceful shutdown handler
+// Process-level error handlers; SIGTERM and SIGINT are handled by the server (see server.js)
 const setupGracefulShutdown = () => {
-    const gracefulShutdown = (signal) => {
-        logger.info(`${signal} received, shutting down gracefully`);
-        process.exit(0);
-    };
-
-    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
     process.on('uncaughtException', (error) => {
         logger.error('Uncaught Exception:', error);
         process.exit(1);
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import debug from 'debug';
@@ -19,21 +20,93 @@ const validateEnvVars = () => {
         'DB_PASSWORD'
     ];
 
+    // Signing keys are encrypted at rest with their own secret, never JWT_SECRET
+    if ((process.env.JWT_ALGORITHM || 'HS256') !== 'HS256') {
+        required.push('SIGNING_KEY_ENCRYPTION_KEY');
+    }
+
+    // TOTP secrets and recovery codes are protected with their own secret, never JWT_SECRET
+    if (process.env.NODE_ENV !== 'test') {
+        required.push('TWO_FACTOR_ENCRYPTION_KEY');
+    }
+
+    // Production mail goes out over SMTP; refuse to start against the localhost default
+    if (process.env.NODE_ENV === 'production' && (process.env.EMAIL_TRANSPORT || 'smtp') === 'smtp') {
+        required.push('SMTP_HOST');
+    }
+
     const missing = required.filter(key => !process.env[key]);
 
     if (missing.length > 0) {
         throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
+
+    if (process.env.SIGNING_KEY_ENCRYPTION_KEY && process.env.SIGNING_KEY_ENCRYPTION_KEY === process.env.JWT_SECRET) {
+        throw new Error('SIGNING_KEY_ENCRYPTION_KEY must differ from JWT_SECRET');
+    }
+
+    if (process.env.TWO_FACTOR_ENCRYPTION_KEY && process.env.TWO_FACTOR_ENCRYPTION_KEY === process.env.JWT_SECRET) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY must differ from JWT_SECRET');
+    }
+
+    if (process.env.CURSOR_SECRET && process.env.CURSOR_SECRET === process.env.JWT_SECRET) {
+        throw new Error('CURSOR_SECRET must differ from JWT_SECRET');
+    }
+
+    if (process.env.IDEMPOTENCY_SECRET && process.env.IDEMPOTENCY_SECRET === process.env.JWT_SECRET) {
+        throw new Error('IDEMPOTENCY_SECRET must differ from JWT_SECRET');
+    }
 };
 
 // Validate on startup
 validateEnvVars();
 
+/**
+ * Derive a secret for one purpose from JWT_SECRET
+ * Used when no dedicated secret is set, so an HMAC made for one purpose (e.g. a
+ * cursor signature) is never valid for another or for a token.
+ * @param {string} purpose - Purpose label
+ */
+const deriveSecret = (purpose) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(purpose).digest('hex');
+
+/**
+ * Read OIDC providers from the environment
+ * OIDC_PROVIDERS lists provider names; each is configured with OIDC_<NAME>_* variables.
+ * Endpoints are discovered from the issuer unless set explicitly (e.g. for a local mock IdP).
+ */
+const parseOidcProviders = () => {
+    const names = (process.env.OIDC_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+    return Object.fromEntries(names.map(name => {
+        const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+        const issuer = env('ISSUER');
+
+        return [name, {
+            name,
+            displayName: env('DISPLAY_NAME') || name,
+            issuer,
+            clientId: env('CLIENT_ID'),
+            clientSecret: env('CLIENT_SECRET'),
+            discoveryUrl: env('DISCOVERY_URL') || (issuer && `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`),
+            authorizationUrl: env('AUTHORIZATION_URL'),
+            tokenUrl: env('TOKEN_URL'),
+            jwksUrl: env('JWKS_URL'),
+            scopes: env('SCOPES') || 'openid email profile'
+        }];
+    }));
+};
+
 const config = {
     // Application
     app: {
         name: process.env.APP_NAME || 'Production Backend API',
-        version: process.env.APP_VERSION || '1.0.0'
+        version: process.env.APP_VERSION || '1.0.0',
+        url: process.env.APP_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 3000}`
+    },
+
+    // EJS views (pages and email templates)
+    views: {
+        directory: process.env.VIEWS_DIR || path.join(process.cwd(), 'views')
     },
 
     // Environment
@@ -83,8 +156,52 @@ const config = {
         refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
         expiresIn: process.env.JWT_EXPIRE_TIME || '1h',
         refreshExpiresIn: process.env.JWT_REFRESH_EXPIRE_TIME || '7d',
+        // A consumed refresh token presented again within this window gets its replacement
+        refreshReuseWindow: process.env.JWT_REFRESH_REUSE_WINDOW || '10s',
         issuer: process.env.JWT_ISSUER || 'production-backend-api',
-        audience: process.env.JWT_AUDIENCE || 'production-backend-users'
+        audience: process.env.JWT_AUDIENCE || 'production-backend-users',
+        // HS256 signs with JWT_SECRET / JWT_REFRESH_SECRET; RS256 or ES256 opt in to
+        // rotating keys published at /.well-known/jwks.json
+        algorithm: process.env.JWT_ALGORITHM || 'HS256',
+        keyRotationInterval: process.env.JWT_KEY_ROTATION_INTERVAL || '30d',
+        keyEncryptionKey: process.env.SIGNING_KEY_ENCRYPTION_KEY,
+        // Keep accepting HS256 tokens (no kid) issued before switching to signing keys
+        acceptLegacyHmac: process.env.JWT_ACCEPT_LEGACY_HS256 !== 'false'
+    },
+
+    // Authentication policy
+    auth: {
+        // block: unverified users cannot login
+        // restrict: unverified users can login but are denied routes using requireVerified
+        // (resource writes, API keys, two-factor setup)
+        unverifiedLogin: process.env.UNVERIFIED_LOGIN_POLICY || 'restrict',
+
+        // Per-account failed login throttling
+        lockout: {
+            maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5,
+            lockDurationMs: parseInt(process.env.LOCKOUT_DURATION_MS, 10) || 15 * 60 * 1000, // 15 minutes
+            // Failures older than this no longer count
+            attemptWindowMs: parseInt(process.env.LOCKOUT_ATTEMPT_WINDOW_MS, 10) || 60 * 60 * 1000, // 1 hour
+            backoffBaseMs: parseInt(process.env.LOCKOUT_BACKOFF_BASE_MS, 10) || 1000,
+            backoffMaxMs: parseInt(process.env.LOCKOUT_BACKOFF_MAX_MS, 10) || 60 * 1000
+        }
+    },
+
+    // OpenID Connect social login
+    oidc: {
+        providers: parseOidcProviders(),
+        // Lifetime of a pending authorization request (state, nonce, PKCE verifier)
+        stateTTL: parseInt(process.env.OIDC_STATE_TTL, 10) || 600 // 10 minutes
+    },
+
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'Production Backend API',
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+        challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE_TIME || '5m',
+        recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10,
+        // Accepted clock drift in 30 second steps
+        window: parseInt(process.env.TWO_FACTOR_WINDOW, 10) || 1
     },
 
     // Logging
@@ -100,6 +217,8 @@ const config = {
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
         maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+        // Requests per IP with an X-API-Key that does not resolve to an active key
+        maxApiKeyFailures: parseInt(process.env.RATE_LIMIT_MAX_API_KEY_FAILURES, 10) || 20,
         message: 'Too many requests from this IP, please try again later',
         standardHeaders: true,
         legacyHeaders: false
@@ -115,14 +234,124 @@ const config = {
     security: {
         bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 12,
         cookieSecret: process.env.CSRF_SECRET || 'your-cookie-secret',
-        sessionSecret: process.env.SESSION_SECRET || 'your-session-secret'
+        sessionSecret: process.env.SESSION_SECRET || 'your-session-secret',
+        // Signs pagination cursors so clients cannot forge positions
+        cursorSecret: process.env.CURSOR_SECRET || deriveSecret('cursor')
+    },
+
+    // Email
+    email: {
+        // smtp | file | memory; smtp in production, the file outbox in development
+        transport: process.env.EMAIL_TRANSPORT || ({ production: 'smtp', test: 'memory' }[process.env.NODE_ENV] ?? 'file'),
+        from: process.env.EMAIL_FROM || 'no-reply@localhost',
+        outboxDir: process.env.EMAIL_OUTBOX_DIR || './outbox',
+        retryAttempts: parseInt(process.env.EMAIL_RETRY_ATTEMPTS, 10) || 3,
+        retryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 1000,
+        // Hand emails to the job queue instead of sending them during the request
+        queue: process.env.EMAIL_QUEUE ? process.env.EMAIL_QUEUE === 'true' : process.env.NODE_ENV !== 'test',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || undefined,
+            password: process.env.SMTP_PASSWORD || undefined
+        }
+    },
+
+    // Background job queue (services/jobQueue.js)
+    jobs: {
+        // postgres | redis | memory
+        backend: process.env.JOB_QUEUE_BACKEND || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres'),
+        // Run job handlers in this process; set to false on instances that only enqueue
+        worker: process.env.JOB_WORKER !== 'false',
+        concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 5,
+        pollInterval: process.env.JOB_POLL_INTERVAL || '1s',
+        maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+        // Retry n waits backoffBase * 2^(n-1), up to backoffMax
+        backoffBase: process.env.JOB_BACKOFF_BASE || '10s',
+        backoffMax: process.env.JOB_BACKOFF_MAX || '1h',
+        // A running job not finished by then is taken to be lost and run again
+        lockTimeout: process.env.JOB_LOCK_TIMEOUT || '5m',
+        // How long shutdown waits for running jobs
+        drainTimeout: process.env.JOB_DRAIN_TIMEOUT || '25s',
+        // Completed jobs are purged after this
+        retention: process.env.JOB_RETENTION || '7d'
+    },
+
+    // Caches reloaded by the cache.warm job (services/cacheWarmService.js)
+    cacheWarm: {
+        // Tables whose schemas are loaded ahead of requests
+        tables: process.env.CACHE_WARM_TABLES ? process.env.CACHE_WARM_TABLES.split(',') : ['employee']
+    },
+
+    // Table exports
+    export: {
+        dir: process.env.EXPORT_DIR || './exports',
+        // Exports with more rows run as background jobs with a download link
+        maxSyncRows: parseInt(process.env.EXPORT_MAX_SYNC_ROWS, 10) || 50000,
+        // Rows fetched per round trip from the database cursor
+        batchSize: parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 1000,
+        // How long background export files stay downloadable
+        fileTTL: process.env.EXPORT_FILE_TTL || '24h'
+    },
+
+    // Stored responses replayed for repeated Idempotency-Key requests (middleware/idempotency.js)
+    idempotency: {
+        ttl: process.env.IDEMPOTENCY_TTL || '24h',
+        // Longest a request holds its key; afterwards a retry may run it again
+        lockTimeout: process.env.IDEMPOTENCY_LOCK_TIMEOUT || '1m',
+        // Keys the request fingerprints, which cover bodies holding passwords
+        secret: process.env.IDEMPOTENCY_SECRET || deriveSecret('idempotency')
+    },
+
+    // Audit trail of writes made through utils/database.js, per table (opt-in)
+    audit: {
+        tables: process.env.AUDIT_TABLES ? process.env.AUDIT_TABLES.split(',') : [],
+        // Recorded as [REDACTED] instead of their values
+        redactColumns: process.env.AUDIT_REDACT_COLUMNS
+            ? process.env.AUDIT_REDACT_COLUMNS.split(',')
+            : ['password', 'password_hash', 'secret', 'secret_encrypted', 'token', 'token_hash', 'key_hash']
+    },
+
+    // Previous versions of rows changed through utils/database.js, per table (opt-in,
+    // also enabled by the `history` resource option)
+    history: {
+        tables: process.env.HISTORY_TABLES ? process.env.HISTORY_TABLES.split(',') : []
+    },
+
+    // Bulk imports (multipart CSV or JSON files, see config.upload for size limits)
+    import: {
+        allowedTypes: process.env.IMPORT_FILE_TYPES
+            ? process.env.IMPORT_FILE_TYPES.split(',')
+            : ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json'],
+        maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000,
+        // Imports with more rows run as background jobs with a report to poll
+        maxSyncRows: parseInt(process.env.IMPORT_MAX_SYNC_ROWS, 10) || 1000,
+        // How long background import reports are kept
+        reportTTL: process.env.IMPORT_REPORT_TTL || '24h'
+    },
+
+    // Profile pictures, re-encoded as WebP without metadata; sizes are the longest side in pixels
+    avatar: {
+        allowedTypes: process.env.AVATAR_FILE_TYPES
+            ? process.env.AVATAR_FILE_TYPES.split(',')
+            : ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+        maxFileSize: parseInt(process.env.AVATAR_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024, // 5MB
+        sizes: {
+            thumb: 64,
+            medium: 256,
+            original: parseInt(process.env.AVATAR_MAX_DIMENSION, 10) || 2048
+        },
+        quality: parseInt(process.env.AVATAR_QUALITY, 10) || 82
     },
 
     // File Upload
     upload: {
         maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB
         allowedTypes: process.env.ALLOWED_FILE_TYPES ? process.env.ALLOWED_FILE_TYPES.split(',') : ['image/jpeg', 'image/png', 'image/gif'],
-        destination: process.env.UPLOAD_DESTINATION || './uploads'
+        destination: process.env.UPLOAD_DESTINATION || './uploads',
+        // Where uploaded file contents are kept, see services/storageDrivers.js
+        driver: process.env.UPLOAD_STORAGE_DRIVER || 'local'
     }
 };
 
@@ -131,7 +360,8 @@ debugConfig('Configuration loaded:', {
     port: config.port,
     useHttps: config.useHttps,
     database: { ...config.database, password: '[HIDDEN]' },
-    redis: { ...config.redis, password: '[HIDDEN]' }
+    redis: { ...config.redis, password: '[HIDDEN]' },
+    email: { transport: config.email.transport, from: config.email.from }
 });
 
 export default config;
@@ -0,0 +1,96 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+
+const original = { ...process.env };
+
+/**
+ * Import a fresh copy of the config with extra environment variables
+ */
+const loadConfig = async (env) => {
+    Object.assign(process.env, env);
+    let config;
+    await jest.isolateModulesAsync(async () => {
+        config = (await import('./index.js')).default;
+    });
+    return config;
+};
+
+describe('config', () => {
+    afterEach(() => {
+        process.env = { ...original };
+    });
+
+    describe('email', () => {
+        test('sends over SMTP in production', async () => {
+            const config = await loadConfig({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' });
+
+            expect(config.email.transport).toBe('smtp');
+            expect(config.email.smtp.host).toBe('smtp.example.com');
+        });
+
+        test('refuses to start in production without an SMTP host', async () => {
+            await expect(loadConfig({ NODE_ENV: 'production' })).rejects.toThrow('SMTP_HOST');
+        });
+
+        test('starts in production without an SMTP host when another transport is chosen', async () => {
+            const config = await loadConfig({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'file' });
+
+            expect(config.email.transport).toBe('file');
+        });
+
+        test('writes to the file outbox in development', async () => {
+            const config = await loadConfig({ NODE_ENV: 'development' });
+
+            expect(config.email.transport).toBe('file');
+        });
+    });
+
+    describe('jwt', () => {
+        test('signs with the HMAC secret by default', async () => {
+            const config = await loadConfig({ JWT_ALGORITHM: '' });
+
+            expect(config.jwt.algorithm).toBe('HS256');
+        });
+
+        test('requires its own encryption key for signing keys', async () => {
+            await expect(loadConfig({ JWT_ALGORITHM: 'RS256' })).rejects.toThrow('SIGNING_KEY_ENCRYPTION_KEY');
+            await expect(loadConfig({ JWT_ALGORITHM: 'RS256', SIGNING_KEY_ENCRYPTION_KEY: process.env.JWT_SECRET }))
+                .rejects.toThrow('must differ from JWT_SECRET');
+
+            const config = await loadConfig({ JWT_ALGORITHM: 'RS256', SIGNING_KEY_ENCRYPTION_KEY: 'signing-key-secret' });
+            expect(config.jwt.keyEncryptionKey).toBe('signing-key-secret');
+        });
+    });
+
+    describe('security', () => {
+        test('signs cursors with a key of their own', async () => {
+            const config = await loadConfig({ CURSOR_SECRET: '' });
+
+            expect(config.security.cursorSecret).toEqual(expect.any(String));
+            expect(config.security.cursorSecret).not.toBe(process.env.JWT_SECRET);
+
+            await expect(loadConfig({ CURSOR_SECRET: process.env.JWT_SECRET })).rejects.toThrow('must differ from JWT_SECRET');
+        });
+    });
+
+    describe('idempotency', () => {
+        test('keys fingerprints with a key of its own', async () => {
+            const config = await loadConfig({ IDEMPOTENCY_SECRET: '', CURSOR_SECRET: '' });
+
+            expect(config.idempotency.secret).not.toBe(process.env.JWT_SECRET);
+            expect(config.idempotency.secret).not.toBe(config.security.cursorSecret);
+
+            await expect(loadConfig({ IDEMPOTENCY_SECRET: process.env.JWT_SECRET })).rejects.toThrow('must differ from JWT_SECRET');
+        });
+    });
+
+    describe('twoFactor', () => {
+        test('requires its own encryption key outside tests', async () => {
+            await expect(loadConfig({ NODE_ENV: 'development', TWO_FACTOR_ENCRYPTION_KEY: '' })).rejects.toThrow('TWO_FACTOR_ENCRYPTION_KEY');
+            await expect(loadConfig({ NODE_ENV: 'development', TWO_FACTOR_ENCRYPTION_KEY: process.env.JWT_SECRET }))
+                .rejects.toThrow('must differ from JWT_SECRET');
+
+            const config = await loadConfig({ NODE_ENV: 'development', TWO_FACTOR_ENCRYPTION_KEY: 'two-factor-secret' });
+            expect(config.twoFactor.encryptionKey).toBe('two-factor-secret');
+        });
+    });
+});
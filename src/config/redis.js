@@ -113,6 +113,14 @@ export const getRedisClient = () => {
     return redisClient;
 };
 
+/**
+ * Check whether Redis is enabled and currently connected
+ * @returns {boolean} True if Redis commands can be issued
+ */
+export const isRedisReady = () => {
+    return redisEnabled && !!redisClient && redisClient.isOpen;
+};
+
 /**
  * Set value in Redis with TTL
  * @param {string} key - Redis key
@@ -2,9 +2,13 @@ export const ERROR_MESSAGES = {
     // Authentication
     INVALID_CREDENTIALS: 'Invalid email or password',
     ACCOUNT_NOT_VERIFIED: 'Please verify your email address before logging in',
+    EMAIL_NOT_VERIFIED: 'Please verify your email address to access this resource',
     ACCOUNT_SUSPENDED: 'Your account has been suspended',
+    ACCOUNT_LOCKED: 'Too many failed login attempts. Your account is temporarily locked',
+    LOGIN_THROTTLED: 'Too many failed login attempts. Please wait before trying again',
     TOKEN_EXPIRED: 'Your session has expired. Please login again',
     INVALID_TOKEN: 'Invalid authentication token',
+    TOKEN_REVOKED: 'This session has been signed out. Please login again',
 
     // Authorization
     INSUFFICIENT_PERMISSIONS: 'You do not have permission to perform this action',
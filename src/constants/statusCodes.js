@@ -4,6 +4,7 @@ export const STATUS_CODES = {
     CREATED: 201,
     ACCEPTED: 202,
     NO_CONTENT: 204,
+    NOT_MODIFIED: 304,
 
     // Client Errors
     BAD_REQUEST: 400,
@@ -12,6 +13,7 @@ export const STATUS_CODES = {
     NOT_FOUND: 404,
     METHOD_NOT_ALLOWED: 405,
     CONFLICT: 409,
+    PRECONDITION_FAILED: 412,
     UNPROCESSABLE_ENTITY: 422,
     TOO_MANY_REQUESTS: 429,
 
@@ -27,12 +29,14 @@ export const STATUS_MESSAGES = {
     [STATUS_CODES.CREATED]: 'Created',
     [STATUS_CODES.ACCEPTED]: 'Accepted',
     [STATUS_CODES.NO_CONTENT]: 'No Content',
+    [STATUS_CODES.NOT_MODIFIED]: 'Not Modified',
     [STATUS_CODES.BAD_REQUEST]: 'Bad Request',
     [STATUS_CODES.UNAUTHORIZED]: 'Unauthorized',
     [STATUS_CODES.FORBIDDEN]: 'Forbidden',
     [STATUS_CODES.NOT_FOUND]: 'Not Found',
     [STATUS_CODES.METHOD_NOT_ALLOWED]: 'Method Not Allowed',
     [STATUS_CODES.CONFLICT]: 'Conflict',
+    [STATUS_CODES.PRECONDITION_FAILED]: 'Precondition Failed',
     [STATUS_CODES.UNPROCESSABLE_ENTITY]: 'Unprocessable Entity',
     [STATUS_CODES.TOO_MANY_REQUESTS]: 'Too Many Requests',
     [STATUS_CODES.INTERNAL_SERVER_ERROR]: 'Internal Server Error',
@@ -0,0 +1,178 @@
+import { apiKeyService } from '../services/apiKeyService.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugApiKeyController = debug('app:apiKeyController');
+
+debugApiKeyController('Loading apiKeyController');
+
+/**
+ * List API keys
+ */
+export const getApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await apiKeyService.list(req.query);
+
+        res.json({
+            success: true,
+            apiKeys
+        });
+    } catch (error) {
+        logger.error('Get API keys failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Get API key by ID
+ */
+export const getApiKeyById = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const apiKey = await apiKeyService.get(id);
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            apiKey
+        });
+    } catch (error) {
+        logger.error('Get API key failed:', {
+            error: error.message,
+            apiKeyId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Create API key
+ * The plaintext key is only returned here.
+ */
+export const createApiKey = async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    try {
+        const { apiKey, key } = await apiKeyService.create({
+            name,
+            scopes,
+            expiresAt,
+            // Keys created through another key belong to that key's owner
+            ownerId: req.user.ownerId || req.user.id,
+            createdBy: req.user.type === 'user' ? req.user.id : null
+        }, req.user.permissions);
+
+        logger.info('API key created by admin', {
+            apiKeyId: key.id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Store it now, it cannot be shown again',
+            apiKey,
+            key
+        });
+    } catch (error) {
+        logger.error('Create API key failed:', {
+            error: error.message,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Update API key
+ */
+export const updateApiKey = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const apiKey = await apiKeyService.update(id, req.body, req.user.permissions);
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        logger.info('API key updated by admin', {
+            apiKeyId: id,
+            adminUserId: req.user.id,
+            updatedFields: Object.keys(req.body),
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'API key updated successfully',
+            apiKey
+        });
+    } catch (error) {
+        logger.error('Update API key failed:', {
+            error: error.message,
+            apiKeyId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Revoke API key
+ */
+export const revokeApiKey = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const revoked = await apiKeyService.revoke(id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        logger.info('API key revoked by admin', {
+            apiKeyId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Revoke API key failed:', {
+            error: error.message,
+            apiKeyId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('apiKeyController', () => {
+    let db;
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    const asAdmin = {
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${admin.accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${admin.accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${admin.accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${admin.accessToken}`)
+    };
+
+    const withKey = (apiKey) => ({
+        get: (url) => request(app).get(url).set('X-API-Key', apiKey),
+        post: (url, body) => request(app).post(url).set('X-API-Key', apiKey).send(body),
+        put: (url, body) => request(app).put(url).set('X-API-Key', apiKey).send(body)
+    });
+
+    const createKey = async (scopes) => {
+        const response = await asAdmin.post('/api/api-keys', { name: 'Reporting', scopes });
+
+        expect(response.status).toBe(201);
+        return response.body;
+    };
+
+    test('shows the key once and stores only its hash', async () => {
+        const { apiKey, key } = await createKey(['users:read']);
+
+        expect(apiKey).toMatch(/^pk_/);
+
+        const { rows: [row] } = await db.query('SELECT * FROM api_keys WHERE id = $1', [key.id]);
+        expect(JSON.stringify(row)).not.toContain(apiKey);
+
+        const listed = await asAdmin.get(`/api/api-keys/${key.id}`);
+        expect(JSON.stringify(listed.body)).not.toContain(apiKey);
+    });
+
+    test('authenticates as a service principal limited to its scopes', async () => {
+        const { apiKey } = await createKey(['users:read']);
+
+        expect((await withKey(apiKey).get('/api/users')).status).toBe(200);
+
+        const denied = await withKey(apiKey).get('/api/roles');
+        expect(denied.status).toBe(403);
+        expect(denied.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('rejects unknown and revoked keys', async () => {
+        const { apiKey, key } = await createKey(['users:read']);
+
+        const unknown = await withKey(`pk_${'0'.repeat(43)}`).get('/api/users');
+        expect(unknown.status).toBe(401);
+        expect(unknown.body.code).toBe('INVALID_API_KEY');
+
+        expect((await asAdmin.delete(`/api/api-keys/${key.id}`)).status).toBe(200);
+        expect((await withKey(apiKey).get('/api/users')).status).toBe(401);
+    });
+
+    test('rejects scopes that are not permissions', async () => {
+        const response = await asAdmin.post('/api/api-keys', { name: 'Reporting', scopes: ['reports:read'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('UNKNOWN_SCOPE');
+    });
+
+    test('only grants scopes the caller holds', async () => {
+        const { apiKey } = await createKey(['api_keys:manage', 'users:read']);
+
+        const escalated = await withKey(apiKey).post('/api/api-keys', { name: 'Escalated', scopes: ['roles:manage'] });
+        expect(escalated.status).toBe(403);
+        expect(escalated.body.code).toBe('SCOPE_NOT_GRANTED');
+
+        const created = await withKey(apiKey).post('/api/api-keys', { name: 'Narrower', scopes: ['users:read'] });
+        expect(created.status).toBe(201);
+
+        const updated = await withKey(apiKey).put(`/api/api-keys/${created.body.key.id}`, { scopes: ['users:delete'] });
+        expect(updated.status).toBe(403);
+        expect(updated.body.code).toBe('SCOPE_NOT_GRANTED');
+    });
+
+    test('limits a key to the permissions its owner still holds', async () => {
+        const owner = await createUser();
+        const { rows: [adminRole] } = await db.query('SELECT id FROM roles WHERE name = $1', ['admin']);
+        expect((await asAdmin.post(`/api/users/${owner.id}/roles`, { roleId: adminRole.id })).status).toBe(200);
+
+        const session = await login(app, owner);
+        const created = await request(app).post('/api/api-keys')
+            .set('Authorization', `Bearer ${session.accessToken}`)
+            .send({ name: 'Delegated', scopes: ['users:read'] });
+        expect((await withKey(created.body.apiKey).get('/api/users')).status).toBe(200);
+
+        expect((await asAdmin.delete(`/api/users/${owner.id}/roles/${adminRole.id}`)).status).toBe(200);
+
+        const denied = await withKey(created.body.apiKey).get('/api/users');
+        expect(denied.status).toBe(403);
+        expect(denied.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('owns new keys by the caller, ignoring an ownerId in the body', async () => {
+        const other = await createUser();
+
+        const { key } = await createKey(['users:read']);
+        const response = await asAdmin.post('/api/api-keys', { name: 'Attributed', scopes: ['users:read'], ownerId: other.id });
+
+        expect(response.status).toBe(201);
+        expect(response.body.key.ownerId).toBe(key.ownerId);
+        expect(response.body.key.ownerId).not.toBe(other.id);
+    });
+});
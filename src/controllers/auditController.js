@@ -0,0 +1,68 @@
+import { paginatedQuery } from '../utils/database.js';
+import { auditService } from '../services/auditService.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugAuditController = debug('app:auditController');
+
+debugAuditController('Loading auditController');
+
+// Query parameter -> condition on audit_log
+const AUDIT_FILTERS = {
+    table: placeholder => `table_name = ${placeholder}`,
+    recordId: placeholder => `record_id = ${placeholder}`,
+    operation: placeholder => `operation = ${placeholder}`,
+    column: placeholder => `(old_values ? ${placeholder} OR new_values ? ${placeholder})`,
+    userId: placeholder => `user_id = ${placeholder}`,
+    requestId: placeholder => `request_id = ${placeholder}`,
+    from: placeholder => `created_at >= ${placeholder}`,
+    to: placeholder => `created_at <= ${placeholder}`
+};
+
+/**
+ * List audit log entries, newest first
+ */
+export const getAuditLog = async (req, res) => {
+    const { page, limit, cursor, includeCount } = req.query;
+
+    try {
+        const params = [];
+        const whereClauses = [];
+
+        for (const [name, condition] of Object.entries(AUDIT_FILTERS)) {
+            if (req.query[name] !== undefined) {
+                params.push(req.query[name]);
+                whereClauses.push(condition(`$${params.length}`));
+            }
+        }
+
+        let baseQuery = 'SELECT * FROM audit_log';
+        if (whereClauses.length > 0) {
+            baseQuery += ` WHERE ${whereClauses.join(' AND ')}`;
+        }
+
+        const result = await paginatedQuery(baseQuery, params, {
+            page,
+            limit,
+            cursor,
+            includeCount,
+            orderBy: 'id',
+            orderDirection: 'DESC',
+            tableName: 'audit_log'
+        });
+
+        res.json({
+            success: true,
+            entries: result.data.map(row => auditService.formatEntry(row)),
+            pagination: result.pagination
+        });
+    } catch (error) {
+        logger.error('Get audit log failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
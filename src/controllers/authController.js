@@ -1,7 +1,11 @@
 import { AuthService } from '../services/authService.js';
-import { generateRandomToken } from '../utils/crypto.js';
-import { updateRecord, insertRecord } from '../utils/database.js';
-import { cacheService } from '../services/cacheService.js';
+import { hashPassword, comparePassword } from '../utils/crypto.js';
+import { updateRecord } from '../utils/database.js';
+import { tokenRevocationService } from '../services/tokenRevocationService.js';
+import { refreshTokenService } from '../services/refreshTokenService.js';
+import { sessionService } from '../services/sessionService.js';
+import { emailService } from '../services/emailService.js';
+import { oidcService } from '../services/oidcService.js';
 import logger from '../config/logger.js';
 import { getRequestId } from '../middleware/requestTracker.js';
 import { query } from '../config/database.js';
@@ -15,6 +19,40 @@ const authService = new AuthService();
 
 const debugAuth = debug('app:auth');
 
+/**
+ * Set refresh token as HTTP-only cookie
+ */
+const setRefreshTokenCookie = (res, refreshToken, rememberMe = false) => {
+    res.cookie('refreshToken', refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000
+    });
+};
+
+/**
+ * Tell the user their password changed; delivery failures are logged, not thrown
+ */
+const notifyPasswordChanged = async (userId, user = null) => {
+    try {
+        if (!user) {
+            const result = await query('SELECT email, first_name FROM users WHERE id = $1', [userId]);
+            user = result.rows[0];
+        }
+
+        if (user) {
+            await emailService.sendPasswordChangedEmail({ email: user.email, firstName: user.first_name });
+        }
+    } catch (error) {
+        logger.warn('Password changed email not sent', {
+            userId,
+            error: error.message,
+            requestId: getRequestId()
+        });
+    }
+};
+
 /**
  * Register a new user
  */
@@ -67,16 +105,23 @@ export const login = async (req, res) => {
     const { email, password, rememberMe } = req.body;
     debugAuth('Logging in user:', { email, password, rememberMe });
     try {
-        const result = await authService.login(email, password, rememberMe);
-
-        // Set refresh token as HTTP-only cookie
-        res.cookie('refreshToken', result.tokens.refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000
+        const result = await authService.login(email, password, rememberMe, {
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
         });
 
+        // Tokens are only issued once the second factor is verified
+        if (result.twoFactorRequired) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken
+            });
+        }
+
+        setRefreshTokenCookie(res, result.tokens.refreshToken, rememberMe);
+
         logger.info('User login successful', {
             userId: result.user.id,
             email,
@@ -96,13 +141,144 @@ export const login = async (req, res) => {
             requestId: getRequestId()
         });
 
-        res.status(401).json({
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(error.statusCode || 401).json({
             success: false,
+            ...(error.code && { code: error.code }),
             message: error.message
         });
     }
 };
 
+/**
+ * Complete login with a two-factor code
+ */
+export const verifyTwoFactor = async (req, res) => {
+    const { challengeToken, code } = req.body;
+    try {
+        const result = await authService.verifyTwoFactorLogin(challengeToken, code, {
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
+        });
+
+        setRefreshTokenCookie(res, result.tokens.refreshToken, result.rememberMe);
+
+        logger.info('User login successful', {
+            userId: result.user.id,
+            twoFactorMethod: result.twoFactorMethod,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: result.user,
+            accessToken: result.tokens.accessToken
+        });
+    } catch (error) {
+        logger.warn('Two-factor login failed:', {
+            error: error.message,
+            code: error.code,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * List configured OIDC login providers
+ */
+export const getOidcProviders = async (req, res) => {
+    res.json({
+        success: true,
+        providers: oidcService.listProviders()
+    });
+};
+
+/**
+ * Redirect to an OIDC provider to start login
+ */
+export const startOidcLogin = async (req, res) => {
+    const { provider } = req.params;
+    const rememberMe = req.query.rememberMe === 'true';
+    debugAuth('Starting OIDC login:', { provider, rememberMe });
+    try {
+        const authorizationUrl = await oidcService.createAuthorizationUrl(provider, { rememberMe });
+
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        logger.error('OIDC login start failed:', {
+            error: error.message,
+            provider,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Complete OIDC login when the provider redirects back
+ */
+export const oidcCallback = async (req, res) => {
+    const { provider } = req.params;
+    debugAuth('OIDC callback:', { provider });
+    try {
+        const { claims, rememberMe } = await oidcService.handleCallback(provider, req.query);
+        const user = await oidcService.findOrCreateUser(provider, claims);
+
+        if (user.status !== 'active') {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is not active'
+            });
+        }
+
+        const result = await authService.startLogin(user, rememberMe, {
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
+        });
+
+        // Tokens are only issued once the second factor is verified
+        if (result.twoFactorRequired) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken
+            });
+        }
+
+        setRefreshTokenCookie(res, result.tokens.refreshToken, rememberMe);
+
+        logger.info('User login successful', {
+            userId: result.user.id,
+            provider,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: result.user,
+            accessToken: result.tokens.accessToken
+        });
+    } catch (error) {
+        logger.warn('OIDC login failed:', {
+            error: error.message,
+            code: error.code,
+            provider,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
 /**
  * Logout user
  */
@@ -111,7 +287,7 @@ export const logout = async (req, res) => {
     const userId = req.user.id;
     debugAuth('Logging out user:', { userId, refreshToken });
     try {
-        await authService.logout(userId, refreshToken);
+        await authService.logout(userId, refreshToken, req.token);
 
         // Clear refresh token cookie
         res.clearCookie('refreshToken');
@@ -137,59 +313,44 @@ export const logout = async (req, res) => {
 };
 
 /**
- * Refresh access token
+ * Refresh access token (rotates the refresh token)
  */
 export const refreshToken = async (req, res) => {
     const { refreshToken } = req.body;
     debugAuth('Refreshing token:', { refreshToken });
     try {
-        // Verify refresh token
-        const tokenResult = await query(
-            'SELECT user_id FROM refresh_tokens WHERE token = $1 AND expires_at > NOW()',
-            [refreshToken]
-        );
-
-        if (tokenResult.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid or expired refresh token'
-            });
-        }
-
-        // Get user data
-        const userResult = await query(
-            'SELECT id, first_name, last_name, email, role FROM users WHERE id = $1 AND status = $2',
-            [tokenResult.rows[0].user_id, 'active']
-        );
+        const result = await refreshTokenService.rotate(refreshToken);
 
-        if (userResult.rows.length === 0) {
-            return res.status(401).json({
-                success: false,
-                message: 'User not found or inactive'
-            });
-        }
-
-        const user = userResult.rows[0];
-        const newAccessToken = generateToken(user);
+        // Replace refresh token cookie with the rotated token
+        res.cookie('refreshToken', result.tokens.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: result.tokens.refreshTokenExpiresAt.getTime() - Date.now()
+        });
 
         logger.info('Token refresh successful', {
-            userId: user.id,
+            userId: result.user.id,
+            familyId: result.familyId,
             requestId: getRequestId()
         });
 
         res.json({
             success: true,
-            accessToken: newAccessToken
+            accessToken: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken
         });
     } catch (error) {
         logger.error('Token refresh failed:', {
             error: error.message,
+            code: error.code,
             requestId: getRequestId()
         });
 
         res.status(401).json({
             success: false,
-            message: 'Token refresh failed'
+            code: error.code || 'TOKEN_REFRESH_FAILED',
+            message: error.code ? error.message : 'Token refresh failed'
         });
     }
 };
@@ -201,39 +362,10 @@ export const forgotPassword = async (req, res) => {
     const { email } = req.body;
     debugAuth('Forgot password:', { email });
     try {
-        // Check if user exists
-        const userResult = await query(
-            'SELECT id FROM users WHERE email = $1 AND status = $2',
-            [email, 'active']
-        );
-
-        if (userResult.rows.length === 0) {
-            // Don't reveal if email exists
-            return res.json({
-                success: true,
-                message: 'If the email exists, a reset link has been sent'
-            });
-        }
-
-        const userId = userResult.rows[0].id;
-
-        // Generate reset token
-        const resetToken = generateRandomToken();
-        const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-        // Store reset token
-        await insertRecord('password_resets', {
-            user_id: userId,
-            token: resetToken,
-            expires_at: expiresAt,
-            created_at: new Date()
-        });
-
-        // TODO: Send email with reset link
-        // await emailService.sendPasswordResetEmail(email, resetToken);
+        // Don't reveal if email exists: the lookup and send run after the response
+        authService.requestPasswordReset(email);
 
         logger.info('Password reset requested', {
-            userId,
             email,
             requestId: getRequestId()
         });
@@ -291,10 +423,12 @@ export const resetPassword = async (req, res) => {
         );
 
         // Invalidate all refresh tokens for this user
-        await query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+        await refreshTokenService.revokeAllForUser(userId, 'password_reset');
 
-        // Clear user cache
-        await cacheService.delete(`user:${userId}`);
+        // Revoke access tokens issued before the reset
+        await tokenRevocationService.revokeUserTokens(userId, 'password_reset');
+
+        await notifyPasswordChanged(userId);
 
         logger.info('Password reset successful', {
             userId,
@@ -325,7 +459,7 @@ export const changePassword = async (req, res) => {
     try {
         // Get current password hash
         const userResult = await query(
-            'SELECT password_hash FROM users WHERE id = $1',
+            'SELECT email, first_name, password_hash FROM users WHERE id = $1',
             [userId]
         );
 
@@ -354,11 +488,19 @@ export const changePassword = async (req, res) => {
             { id: userId }
         );
 
-        // Invalidate all refresh tokens except current session
-        // TODO: Keep current session active
+        // Invalidate all sessions except the current one; their access tokens are revoked with them
+        const revokedSessions = await sessionService.revokeAllExcept(userId, req.token.sessionId, 'password_change');
+
+        // Revoke access tokens outside any session too, sparing the caller's session or, without one, its token
+        await tokenRevocationService.revokeUserTokens(userId, 'password_change', req.token.sessionId
+            ? { exceptSessionId: req.token.sessionId }
+            : { exceptJti: req.token.id });
+
+        await notifyPasswordChanged(userId, userResult.rows[0]);
 
         logger.info('Password change successful', {
             userId,
+            revokedSessions,
             requestId: getRequestId()
         });
 
@@ -425,4 +567,34 @@ export const verifyEmail = async (req, res) => {
 
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Resend email verification link
+ */
+export const resendVerification = async (req, res) => {
+    const { email } = req.body;
+    debugAuth('Resending verification email:', { email });
+    try {
+        // Same response and timing either way so account state isn't revealed
+        authService.requestVerification(email);
+
+        logger.info('Verification email resend requested', {
+            email,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'If the account exists and is not yet verified, a verification link has been sent'
+        });
+    } catch (error) {
+        logger.error('Resend verification failed:', {
+            error: error.message,
+            email,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
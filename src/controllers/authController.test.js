@@ -0,0 +1,200 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import config from '../config/index.js';
+import { generateToken } from '../middleware/auth.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login, resetRateLimits } from '../../test/helpers/app.js';
+import { outbox, waitForEmails, tokenFrom } from '../../test/helpers/email.js';
+
+describe('authController', () => {
+    let db;
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        await resetRateLimits();
+        outbox().clear();
+        user = await createUser();
+    });
+
+    describe('POST /api/auth/logout', () => {
+        const logout = (accessToken, body = {}) => request(app)
+            .post('/api/auth/logout')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send(body);
+
+        const familyOf = async (refreshToken) => {
+            const result = await db.query(
+                `SELECT f.revoked_at, f.revoked_reason FROM refresh_tokens rt
+                 JOIN refresh_token_families f ON f.id = rt.family_id WHERE rt.token = $1`,
+                [refreshToken]
+            );
+            return result.rows[0];
+        };
+
+        test('ends the session of the refresh token in the body', async () => {
+            const session = await login(app, user);
+
+            const response = await logout(session.accessToken, { refreshToken: session.refreshToken });
+
+            expect(response.status).toBe(200);
+            expect((await familyOf(session.refreshToken)).revoked_reason).toBe('logout');
+        });
+
+        test('ends the session of the access token without a refresh token', async () => {
+            const session = await login(app, user);
+            const other = await login(app, user);
+
+            const response = await logout(session.accessToken);
+
+            expect(response.status).toBe(200);
+            expect((await familyOf(session.refreshToken)).revoked_reason).toBe('logout');
+            expect((await familyOf(other.refreshToken)).revoked_at).toBeNull();
+
+            const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+            expect(refreshed.status).toBe(401);
+        });
+
+        test('revokes the access token used to log out', async () => {
+            const session = await login(app, user);
+            await logout(session.accessToken);
+
+            const profile = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${session.accessToken}`);
+            expect(profile.status).toBe(401);
+        });
+    });
+
+    describe('password reset', () => {
+        const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+        const reset = (token, password) => request(app).post('/api/auth/reset-password').send({ token, password, confirmPassword: password });
+
+        test('answers the same for known and unknown addresses and mails only the known one', async () => {
+            const unknown = await forgot('nobody@example.com');
+            const known = await forgot(user.email);
+
+            expect(unknown.status).toBe(200);
+            expect(known.status).toBe(200);
+            expect(unknown.body).toEqual(known.body);
+
+            await waitForEmails(user.email);
+            expect(outbox().getMessages()).toHaveLength(1);
+        });
+
+        test('sets the new password with the emailed token, once', async () => {
+            const session = await login(app, user);
+            await forgot(user.email);
+            const [message] = await waitForEmails(user.email);
+            const token = tokenFrom(message);
+
+            const response = await reset(token, 'NewPassword123!');
+            expect(response.status).toBe(200);
+
+            expect((await reset(token, 'OtherPassword123!')).status).toBe(400);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken })).status).toBe(401);
+
+            await resetRateLimits();
+            const relogin = await request(app).post('/api/auth/login').send({ email: user.email, password: 'NewPassword123!' });
+            expect(relogin.status).toBe(200);
+        });
+    });
+
+    describe('POST /api/auth/change-password', () => {
+        const changePassword = (accessToken) => request(app)
+            .post('/api/auth/change-password')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({ currentPassword: user.password, newPassword: 'NewPassword123!', confirmPassword: 'NewPassword123!' });
+
+        const profile = (accessToken) => request(app).get('/api/users/profile').set('Authorization', `Bearer ${accessToken}`);
+
+        test('revokes older access tokens and keeps the current session', async () => {
+            const session = await login(app, user);
+            const older = generateToken(user);
+
+            expect((await changePassword(session.accessToken)).status).toBe(200);
+
+            const rejected = await profile(older);
+            expect(rejected.status).toBe(401);
+            expect(rejected.body.code).toBe('TOKEN_REVOKED');
+            expect((await profile(session.accessToken)).status).toBe(200);
+        });
+
+        test('keeps only the current token when it has no session', async () => {
+            const current = generateToken(user);
+            const other = generateToken(user);
+
+            expect((await changePassword(current)).status).toBe(200);
+
+            expect((await profile(other)).status).toBe(401);
+            expect((await profile(current)).status).toBe(200);
+        });
+    });
+
+    describe('email verification', () => {
+        const resend = (email) => request(app).post('/api/auth/resend-verification').send({ email });
+        const verifyLink = /verify-email\/([a-f0-9]+)/;
+
+        test('answers the same for every address and mails only unverified accounts', async () => {
+            const unverified = await createUser({ email_verified: false });
+
+            const responses = [
+                await resend('nobody@example.com'),
+                await resend(user.email),
+                await resend(unverified.email)
+            ];
+
+            expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+            expect(new Set(responses.map(response => JSON.stringify(response.body))).size).toBe(1);
+
+            await waitForEmails(unverified.email);
+            expect(outbox().getMessages()).toHaveLength(1);
+        });
+
+        test('verifies the address with the latest emailed token', async () => {
+            const unverified = await createUser({ email_verified: false });
+            await resend(unverified.email);
+            await waitForEmails(unverified.email);
+            await resend(unverified.email);
+            const [first, second] = await waitForEmails(unverified.email, 2);
+
+            expect((await request(app).get(`/api/auth/verify-email/${tokenFrom(first, verifyLink)}`)).status).toBe(400);
+            expect((await request(app).get(`/api/auth/verify-email/${tokenFrom(second, verifyLink)}`)).status).toBe(200);
+
+            const { rows: [row] } = await db.query('SELECT email_verified FROM users WHERE id = $1', [unverified.id]);
+            expect(row.email_verified).toBe(true);
+        });
+
+        describe('unverified login policy', () => {
+            const policy = config.auth.unverifiedLogin;
+
+            afterAll(() => {
+                config.auth.unverifiedLogin = policy;
+            });
+
+            test('restrict lets unverified users log in', async () => {
+                config.auth.unverifiedLogin = 'restrict';
+                const unverified = await createUser({ email_verified: false });
+
+                const response = await request(app).post('/api/auth/login').send({ email: unverified.email, password: unverified.password });
+
+                expect(response.status).toBe(200);
+            });
+
+            test('block rejects unverified users', async () => {
+                config.auth.unverifiedLogin = 'block';
+                const unverified = await createUser({ email_verified: false });
+
+                const response = await request(app).post('/api/auth/login').send({ email: unverified.email, password: unverified.password });
+
+                expect(response.status).toBe(403);
+                expect(response.body.code).toBe('ACCOUNT_NOT_VERIFIED');
+            });
+        });
+    });
+});
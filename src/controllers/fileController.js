@@ -0,0 +1,184 @@
+import { pipeline } from 'stream/promises';
+import { fileService } from '../services/fileService.js';
+import { permissionService } from '../services/permissionService.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugFileController = debug('app:fileController');
+
+debugFileController('Loading fileController');
+
+/**
+ * Whether the caller may use a file: its owner, or anyone with files:manage
+ * API keys act for the user owning them.
+ */
+const canAccess = async (req, file) => {
+    const userId = req.user.type === 'service' ? req.user.ownerId : req.user.id;
+
+    if (file.ownerId && file.ownerId === userId) {
+        return true;
+    }
+
+    return req.user.type === 'service'
+        ? req.user.permissions.includes('files:manage')
+        : permissionService.hasPermissions(req.user.id, ['files:manage']);
+};
+
+/**
+ * Look up a file the caller may use
+ * Files of other users are reported as not found rather than forbidden.
+ */
+const findFile = async (req) => {
+    const file = await fileService.get(req.params.id);
+    return file && (await canAccess(req, file)) ? file : null;
+};
+
+const withLinks = (file, req) => ({
+    ...file,
+    downloadUrl: `${req.baseUrl}/${file.id}/download`
+});
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'File not found'
+});
+
+/**
+ * Upload a file
+ */
+export const createFile = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'No file uploaded, send it as the `file` form field',
+            code: 'FILE_REQUIRED'
+        });
+    }
+
+    try {
+        const file = await fileService.store(
+            req.file,
+            req.user.type === 'service' ? req.user.ownerId : req.user.id
+        );
+
+        res.status(201).location(`${req.baseUrl}/${file.id}`).json({
+            success: true,
+            message: 'File uploaded successfully',
+            file: withLinks(file, req)
+        });
+    } catch (error) {
+        logger.error('Upload file failed:', {
+            error: error.message,
+            userId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Get file metadata
+ */
+export const getFile = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const file = await findFile(req);
+
+        if (!file) {
+            return notFound(res);
+        }
+
+        res.json({
+            success: true,
+            file: withLinks(file, req)
+        });
+    } catch (error) {
+        logger.error('Get file failed:', {
+            error: error.message,
+            fileId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Download file contents
+ * The content hash is the ETag, so unchanged files answer 304.
+ */
+export const downloadFile = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const file = await findFile(req);
+
+        if (!file) {
+            return notFound(res);
+        }
+
+        res.attachment(file.name);
+        res.type(file.mimeType);
+        res.set({
+            'Content-Length': file.size,
+            ETag: `"${file.hash}"`,
+            'Cache-Control': 'private, no-cache'
+        });
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        await pipeline(fileService.createReadStream(file), res);
+    } catch (error) {
+        logger.error('Download file failed:', {
+            error: error.message,
+            fileId: id,
+            requestId: getRequestId()
+        });
+
+        // Part of the file is already sent; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * Delete a file
+ */
+export const deleteFile = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const file = await findFile(req);
+
+        if (!file || !(await fileService.delete(id))) {
+            return notFound(res);
+        }
+
+        logger.info('File deleted', {
+            fileId: id,
+            userId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'File deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Delete file failed:', {
+            error: error.message,
+            fileId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import path from 'path';
+import fs from 'fs-extra';
+import request from 'supertest';
+import config from '../config/index.js';
+import { fileService } from '../services/fileService.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('fileController', () => {
+    let app;
+    let owner;
+    let stranger;
+    let manager;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        manager = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        owner = await login(app, await createUser());
+        stranger = await login(app, await createUser());
+    });
+
+    let sequence = 0;
+    // A PNG signature followed by bytes unique to each upload
+    const png = () => Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from(`image ${++sequence}`)]);
+
+    const upload = ({ accessToken }, content, filename = 'photo.png', contentType = 'image/png') => request(app)
+        .post('/api/files')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', content, { filename, contentType });
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    const storedContents = (hash) => path.resolve(config.upload.destination, fileService.storageKey(hash));
+
+    test('uploads a file and serves its metadata and contents', async () => {
+        const content = png();
+
+        const created = await upload(owner, content, 'my<photo>?.png');
+        expect(created.status).toBe(201);
+        expect(created.headers.location).toBe(`/api/files/${created.body.file.id}`);
+        expect(created.body.file).toMatchObject({ name: 'myphoto.png', mimeType: 'image/png', size: content.length });
+        expect(created.body.file).not.toHaveProperty('storageKey');
+
+        const metadata = await as(owner).get(created.headers.location);
+        expect(metadata.status).toBe(200);
+        expect(metadata.body.file.downloadUrl).toBe(`${created.headers.location}/download`);
+
+        const download = await as(owner).get(metadata.body.file.downloadUrl).buffer(true);
+        expect(download.status).toBe(200);
+        expect(download.headers.etag).toBe(`"${created.body.file.hash}"`);
+        expect(Buffer.compare(download.body, content)).toBe(0);
+
+        const cached = await as(owner).get(metadata.body.file.downloadUrl).set('If-None-Match', download.headers.etag);
+        expect(cached.status).toBe(304);
+    });
+
+    test('checks the content against the allowed types', async () => {
+        const disguised = await upload(owner, Buffer.from('#!/bin/sh\necho hi\n'), 'photo.png', 'image/png');
+        expect(disguised.status).toBe(415);
+
+        const notAllowed = await upload(owner, Buffer.from('%PDF-1.4'), 'report.pdf', 'application/pdf');
+        expect(notAllowed.status).toBe(415);
+    });
+
+    test('keeps files of other users out of reach, except for managers', async () => {
+        const { body } = await upload(owner, png());
+
+        expect((await as(stranger).get(`/api/files/${body.file.id}`)).status).toBe(404);
+        expect((await as(stranger).delete(`/api/files/${body.file.id}`)).status).toBe(404);
+        expect((await as(manager).get(`/api/files/${body.file.id}`)).status).toBe(200);
+    });
+
+    test('stores shared contents once and deletes them with the last file', async () => {
+        const content = png();
+        const first = (await upload(owner, content)).body.file;
+        const second = (await upload(stranger, content, 'copy.png')).body.file;
+
+        expect(second.hash).toBe(first.hash);
+        expect(await fs.pathExists(storedContents(first.hash))).toBe(true);
+
+        expect((await as(owner).delete(`/api/files/${first.id}`)).status).toBe(200);
+        expect((await as(owner).get(`/api/files/${first.id}`)).status).toBe(404);
+        expect((await as(stranger).get(`/api/files/${second.id}/download`)).status).toBe(200);
+
+        expect((await as(stranger).delete(`/api/files/${second.id}`)).status).toBe(200);
+        expect(await fs.pathExists(storedContents(first.hash))).toBe(false);
+    });
+
+    test('requires a file', async () => {
+        const response = await request(app).post('/api/files').set('Authorization', `Bearer ${owner.accessToken}`).field('name', 'x');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('FILE_REQUIRED');
+    });
+});
@@ -0,0 +1,131 @@
+import { jobQueue } from '../services/jobQueue.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugJobController = debug('app:jobController');
+
+debugJobController('Loading jobController');
+
+/**
+ * List jobs, newest first, dead letters included
+ */
+export const getJobs = async (req, res) => {
+    try {
+        const { jobs, pagination } = await jobQueue.list(req.query);
+
+        res.json({
+            success: true,
+            jobs,
+            pagination
+        });
+    } catch (error) {
+        logger.error('Get jobs failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Job counts per name and status
+ */
+export const getJobStats = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            stats: await jobQueue.stats()
+        });
+    } catch (error) {
+        logger.error('Get job stats failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Get a job
+ */
+export const getJob = async (req, res) => {
+    try {
+        const job = await jobQueue.get(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found',
+                code: 'JOB_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        logger.error('Get job failed:', {
+            error: error.message,
+            jobId: req.params.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Run a dead or pending job again now
+ */
+export const retryJob = async (req, res) => {
+    try {
+        const job = await jobQueue.retry(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Job queued for retry',
+            job
+        });
+    } catch (error) {
+        logger.error('Retry job failed:', {
+            error: error.message,
+            jobId: req.params.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Remove pending, completed or dead jobs
+ */
+export const purgeJobs = async (req, res) => {
+    try {
+        const purged = await jobQueue.purge(req.query);
+
+        logger.info('Jobs purged', {
+            ...req.query,
+            purged,
+            userId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: `${purged} job(s) purged`,
+            purged
+        });
+    } catch (error) {
+        logger.error('Purge jobs failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
@@ -0,0 +1,1253 @@
+import path from 'path';
+import debug from 'debug';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import {
+    advancedQuery,
+    insertRecord,
+    updateRecord,
+    deleteRecord,
+    countRecords,
+    paginatedQuery,
+    getTableSchema
+} from '../utils/database.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { cacheService } from '../services/cacheService.js';
+import { exportService, EXPORT_FORMATS } from '../services/exportService.js';
+import { importService } from '../services/importService.js';
+import { historyService } from '../services/historyService.js';
+import config from '../config/index.js';
+import { STATUS_CODES } from '../constants/statusCodes.js';
+import { buildResourceSchemas, isTextColumn, MANAGED_COLUMNS } from '../schemas/resourceSchemas.js';
+import { parseFilters, parseSort, parseFields } from '../utils/queryFilters.js';
+import { setRecordETag, checkIfMatch } from '../utils/etag.js';
+
+const debugResourceController = debug('app:resourceController');
+
+debugResourceController('Loading resourceController');
+
+const SOFT_DELETE_FILTER = '(deleted_at IS NULL OR deleted_at > NOW())';
+
+// List parameters that are never `?column=value` shorthand, even for a column of that name
+const LIST_PARAMETERS = [
+    'page', 'limit', 'cursor', 'includeCount', 'format', 'background', 'filter',
+    'search', 'sort', 'fields', 'sortBy', 'sortOrder', 'includeSoftDeleted'
+];
+
+/**
+ * Create handlers for a table
+ *
+ * The table is introspected on first use through getTableSchema. Columns outside
+ * `fields` are never returned or written.
+ *
+ * @param {string} tableName - Table name
+ * @param {Object} options - Resource options
+ * @param {string} [options.resourceName] - Name used in messages and cache keys (default: tableName)
+ * @param {string} [options.primaryKey] - Primary key column (default: introspected)
+ * @param {string[]} [options.fields] - Column allowlist (default: all columns)
+ * @param {string[]} [options.readOnlyFields] - Columns that can be read but not written
+ * @param {string[]} [options.searchFields] - Columns matched by ?search= (default: text columns)
+ * @param {string[]} [options.statsGroupBy] - Columns broken down in the stats endpoint
+ * @param {number} [options.defaultLimit] - Default page size (10)
+ * @param {number} [options.maxLimit] - Maximum page size (100)
+ * @param {number} [options.cacheTTL] - List cache TTL in seconds (300, 0 disables)
+ * @param {string[]} [options.conflictColumns] - Unique columns imports upsert on
+ *   (default: primary key, when clients may set it)
+ * @param {boolean} [options.history] - Keep previous versions of records for the history
+ *   and revert handlers (see services/historyService.js)
+ * @param {Object} [options.hooks] - beforeCreate, afterCreate, beforeUpdate, afterUpdate,
+ *   beforeDelete, afterDelete and serialize; before* hooks may return replacement data
+ *   or throw an AppError to reject the request. Hooks get the request as their last
+ *   argument, which is null when a background export or import runs them
+ * @returns {Object} Handlers plus resolve() for the introspected resource
+ */
+export const createResourceController = (tableName, options = {}) => {
+    const {
+        resourceName = tableName,
+        hooks = {},
+        defaultLimit = 10,
+        maxLimit = 100,
+        cacheTTL = 300
+    } = options;
+
+    let resolved = null;
+
+    if (options.history) {
+        historyService.track(tableName);
+    }
+
+    /**
+     * Introspect the table once and derive columns and validators
+     */
+    const resolve = () => {
+        if (!resolved) {
+            resolved = (async () => {
+                const schema = await getTableSchema(tableName);
+                const columnNames = Object.keys(schema.columns);
+
+                const primaryKey = options.primaryKey || schema.primaryKey?.[0] || 'id';
+                if (!schema.columns[primaryKey]) {
+                    throw new Error(`Primary key column '${primaryKey}' not found in table '${tableName}'`);
+                }
+
+                // A typo in the allowlist must not silently widen or narrow what is exposed
+                const unknown = [...(options.fields || []), ...(options.readOnlyFields || []), ...(options.conflictColumns || [])]
+                    .filter(name => !schema.columns[name]);
+
+                if (unknown.length > 0) {
+                    throw new Error(`Unknown columns for resource '${resourceName}': ${unknown.join(', ')}`);
+                }
+
+                const fields = options.fields
+                    ? [...new Set([primaryKey, ...options.fields])]
+                    : columnNames;
+
+                const readOnly = [...MANAGED_COLUMNS, ...(options.readOnlyFields || [])];
+                const primaryKeyGenerated = schema.columns[primaryKey].default !== null;
+
+                const writableFields = fields.filter(name =>
+                    !readOnly.includes(name) && !(name === primaryKey && primaryKeyGenerated)
+                );
+
+                const resource = {
+                    schema,
+                    primaryKey,
+                    fields,
+                    writableFields,
+                    // Read with every record for its ETag, even when not exposed
+                    selectColumns: [...new Set([
+                        ...fields,
+                        ...(schema.hasVersion ? ['version'] : []),
+                        ...(schema.hasUpdatedAt ? ['updated_at'] : [])
+                    ])],
+                    // Optional features skip columns this table does not have
+                    searchFields: options.searchFields
+                        ? options.searchFields.filter(name => fields.includes(name))
+                        : fields.filter(name => isTextColumn(schema.columns[name])),
+                    statsGroupBy: (options.statsGroupBy || []).filter(name => fields.includes(name)),
+                    conflictColumns: options.conflictColumns
+                        || (writableFields.includes(primaryKey) ? [primaryKey] : null),
+                    defaultLimit,
+                    maxLimit
+                };
+
+                resource.validators = buildResourceSchemas(schema, resource);
+
+                debugResourceController('Resource resolved', {
+                    resourceName,
+                    primaryKey,
+                    fields: fields.length,
+                    writable: writableFields.length
+                });
+
+                return resource;
+            })().catch(error => {
+                // Retry introspection on the next request
+                resolved = null;
+                throw error;
+            });
+        }
+
+        return resolved;
+    };
+
+    const serialize = async (record, req, resource) => {
+        const output = {};
+        for (const name of resource.fields) {
+            if (name in record) {
+                output[name] = record[name];
+            }
+        }
+        return hooks.serialize ? hooks.serialize(output, req) : output;
+    };
+
+    const serializeAll = (records, req, resource) =>
+        Promise.all(records.map(record => serialize(record, req, resource)));
+
+    const findRecord = async (resource, id, { includeSoftDeleted = false, select = resource.selectColumns.join(', ') } = {}) => {
+        const records = await advancedQuery(tableName, {
+            select,
+            where: { [resource.primaryKey]: id },
+            limit: 1,
+            includeSoftDeleted: resource.schema.hasDeletedAt ? includeSoftDeleted : null
+        });
+        return records[0] || null;
+    };
+
+    /**
+     * Read a record for a write, locking it until the transaction ends
+     * Checks made against the row (If-Match, hooks) then hold until the write commits.
+     */
+    const lockRecord = async (client, resource, id, { includeSoftDeleted = false } = {}) => {
+        const conditions = [`${resource.primaryKey} = $1`];
+        if (resource.schema.hasDeletedAt && !includeSoftDeleted) {
+            conditions.push(SOFT_DELETE_FILTER);
+        }
+
+        const result = await query(
+            `SELECT ${resource.selectColumns.join(', ')} FROM ${tableName} WHERE ${conditions.join(' AND ')} FOR UPDATE`,
+            [id],
+            { client }
+        );
+        return result.rows[0] || null;
+    };
+
+    /**
+     * Update a record read just before, bumping its version column when the table has one
+     * The update only matches while the record is still at that version.
+     * @throws {AppError} PRECONDITION_FAILED (412) when another write got in first
+     */
+    const updateVersioned = async (resource, id, data, existing, { client = null } = {}) => {
+        const versioned = resource.schema.hasVersion && Number.isInteger(existing.version);
+
+        try {
+            return await updateRecord(tableName, versioned ? { ...data, version: existing.version } : data, {
+                [resource.primaryKey]: id
+            }, {
+                returning: resource.selectColumns.join(', '),
+                optimisticLocking: versioned,
+                client
+            });
+        } catch (error) {
+            // The record was found, so nothing updated means its version moved on
+            if (versioned && error.message.startsWith('No records updated')) {
+                throw new AppError(`${resourceName} record has been changed since it was read`, 412, true, 'PRECONDITION_FAILED');
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Build the query behind list and export: search, filters, sort and sparse fieldsets
+     * Plain `?column=value` parameters are shorthand for `filter[column][eq]=value`.
+     */
+    const buildListQuery = (requestQuery, resource) => {
+        const { search, sort, fields, sortBy, sortOrder, includeSoftDeleted } = requestQuery;
+
+        const allowed = { fields: resource.fields };
+        const filters = parseFilters(requestQuery, resource.schema, allowed);
+
+        for (const [column, value] of Object.entries(requestQuery)) {
+            if (resource.fields.includes(column) && !LIST_PARAMETERS.includes(column)) {
+                filters.push(value === null
+                    ? { column, operator: 'null', value: true }
+                    : { column, operator: 'eq', value });
+            }
+        }
+
+        const params = [];
+        const whereClauses = [];
+
+        if (search && resource.searchFields.length > 0) {
+            params.push(`%${search}%`);
+            const placeholder = `$${params.length}`;
+            whereClauses.push(`(${resource.searchFields.map(field => `${field}::text ILIKE ${placeholder}`).join(' OR ')})`);
+        }
+
+        if (resource.schema.hasDeletedAt && !includeSoftDeleted) {
+            whereClauses.push(SOFT_DELETE_FILTER);
+        }
+
+        let baseQuery = `SELECT ${resource.fields.join(', ')} FROM ${tableName}`;
+        if (whereClauses.length > 0) {
+            baseQuery += ` WHERE ${whereClauses.join(' AND ')}`;
+        }
+
+        return {
+            baseQuery,
+            params,
+            filters,
+            orderBy: sortBy || (resource.schema.hasCreatedAt ? 'created_at' : resource.primaryKey),
+            orderDirection: sortOrder,
+            sort: sort ? parseSort(sort, resource.schema, allowed) : [],
+            fields: fields ? parseFields(fields, resource.schema, allowed) : null
+        };
+    };
+
+    /**
+     * List records with pagination, search, filters, sort and sparse fieldsets
+     */
+    const list = async (req, res) => {
+        const requestId = getRequestId();
+
+        try {
+            const resource = await resolve();
+            const { page, limit, cursor, includeCount } = req.query;
+            const { baseQuery, params, ...queryOptions } = buildListQuery(req.query, resource);
+
+            const result = await paginatedQuery(baseQuery, params, {
+                page,
+                limit,
+                cursor,
+                includeCount,
+                maxLimit,
+                ...queryOptions,
+                tableName,
+                useCache: cacheTTL > 0,
+                cacheTTL
+            });
+
+            debugResourceController('Listed records', { resourceName, count: result.data.length });
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data: await serializeAll(result.data, req, resource),
+                pagination: result.pagination,
+                requestId
+            });
+        } catch (error) {
+            logger.error(`List ${resourceName} failed:`, {
+                error: error.message,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Get a record by primary key
+     * Answers 304 when If-None-Match holds the record's current ETag.
+     */
+    const get = async (req, res) => {
+        const requestId = getRequestId();
+        const { id } = req.params;
+
+        try {
+            const resource = await resolve();
+            const record = await findRecord(resource, id);
+
+            if (!record) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: `${resourceName} record not found`,
+                    requestId
+                });
+            }
+
+            setRecordETag(res, record);
+            if (req.fresh) {
+                return res.status(STATUS_CODES.NOT_MODIFIED).end();
+            }
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data: await serialize(record, req, resource),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Get ${resourceName} failed:`, {
+                error: error.message,
+                id,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Create a record
+     */
+    const create = async (req, res) => {
+        const requestId = getRequestId();
+
+        try {
+            const resource = await resolve();
+            const data = hooks.beforeCreate ? (await hooks.beforeCreate(req.body, req)) ?? req.body : req.body;
+
+            const record = await insertRecord(tableName, data, { returning: resource.fields.join(', ') });
+
+            if (hooks.afterCreate) {
+                await hooks.afterCreate(record, req);
+            }
+
+            logger.info(`${resourceName} record created`, {
+                id: record[resource.primaryKey],
+                userId: req.user?.id,
+                requestId
+            });
+
+            res.status(STATUS_CODES.CREATED).json({
+                success: true,
+                message: `${resourceName} record created successfully`,
+                data: await serialize(record, req, resource),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Create ${resourceName} failed:`, {
+                error: error.message,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Update a record
+     * Honors If-Match against the record's ETag, checked on the row locked for the write.
+     * Tables with a version column are also updated with optimistic locking.
+     */
+    const update = async (req, res) => {
+        const requestId = getRequestId();
+        const { id } = req.params;
+
+        try {
+            const resource = await resolve();
+
+            // updateRecord throws when nothing matches, so look the record up first to answer 404
+            const updated = await transaction(async (client) => {
+                const existing = await lockRecord(client, resource, id);
+                if (!existing) {
+                    return null;
+                }
+
+                checkIfMatch(req, existing);
+
+                const data = hooks.beforeUpdate ? (await hooks.beforeUpdate(req.body, existing, req)) ?? req.body : req.body;
+                const record = await updateVersioned(resource, id, data, existing, { client });
+
+                return { existing, data, record };
+            });
+
+            if (!updated) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: `${resourceName} record not found`,
+                    requestId
+                });
+            }
+
+            const { existing, data, record } = updated;
+
+            if (hooks.afterUpdate) {
+                await hooks.afterUpdate(record, existing, req);
+            }
+
+            logger.info(`${resourceName} record updated`, {
+                id,
+                updatedFields: Object.keys(data),
+                userId: req.user?.id,
+                requestId
+            });
+
+            setRecordETag(res, record);
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                message: `${resourceName} record updated successfully`,
+                data: await serialize(record, req, resource),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Update ${resourceName} failed:`, {
+                error: error.message,
+                id,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Delete a record; soft delete when the table has deleted_at unless force=true
+     * Honors If-Match against the record's ETag, checked on the row locked for the write.
+     */
+    const remove = async (req, res) => {
+        const requestId = getRequestId();
+        const { id } = req.params;
+        const { force = false } = req.query;
+
+        try {
+            const resource = await resolve();
+            const useSoftDelete = resource.schema.hasDeletedAt && !force;
+
+            const record = await transaction(async (client) => {
+                if (req.get('If-Match')) {
+                    const existing = await lockRecord(client, resource, id);
+                    if (!existing) {
+                        return null;
+                    }
+
+                    checkIfMatch(req, existing);
+                }
+
+                if (hooks.beforeDelete) {
+                    await hooks.beforeDelete(id, req);
+                }
+
+                return deleteRecord(tableName, { [resource.primaryKey]: id }, {
+                    softDelete: useSoftDelete,
+                    returning: resource.primaryKey,
+                    client
+                });
+            });
+
+            if (!record) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: `${resourceName} record not found`,
+                    requestId
+                });
+            }
+
+            if (hooks.afterDelete) {
+                await hooks.afterDelete(id, req);
+            }
+
+            logger.info(`${resourceName} record ${useSoftDelete ? 'soft deleted' : 'deleted'}`, {
+                id,
+                userId: req.user?.id,
+                requestId
+            });
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                message: `${resourceName} record ${useSoftDelete ? 'deactivated' : 'deleted'} successfully`,
+                data: { id: record[resource.primaryKey] },
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Delete ${resourceName} failed:`, {
+                error: error.message,
+                id,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Update, delete or restore several records; each ID succeeds or fails on its own
+     * Updates are version-checked like single updates, against the version given
+     * with the ID or else the one read just before.
+     */
+    const bulk = async (req, res) => {
+        const requestId = getRequestId();
+        const { operation, ids, data } = req.body;
+
+        try {
+            const resource = await resolve();
+            const { primaryKey, schema } = resource;
+
+            if (operation === 'restore' && !schema.hasDeletedAt) {
+                return res.status(STATUS_CODES.BAD_REQUEST).json({
+                    success: false,
+                    message: 'Restore is not supported - table does not support soft deletes',
+                    requestId
+                });
+            }
+
+            const useSoftDelete = schema.hasDeletedAt && !data.force;
+            const results = [];
+
+            for (const item of ids) {
+                const { id, version } = typeof item === 'object' ? item : { id: item };
+
+                try {
+                    let record = null;
+
+                    if (operation === 'update') {
+                        const existing = await findRecord(resource, id);
+                        if (existing) {
+                            const updateData = hooks.beforeUpdate ? (await hooks.beforeUpdate(data, existing, req)) ?? data : data;
+                            record = await updateVersioned(resource, id, updateData, version === undefined ? existing : { ...existing, version });
+                            if (hooks.afterUpdate) {
+                                await hooks.afterUpdate(record, existing, req);
+                            }
+                        }
+                    } else if (operation === 'delete') {
+                        if (hooks.beforeDelete) {
+                            await hooks.beforeDelete(id, req);
+                        }
+                        record = await deleteRecord(tableName, { [primaryKey]: id }, {
+                            softDelete: useSoftDelete,
+                            returning: primaryKey
+                        });
+                        if (record && hooks.afterDelete) {
+                            await hooks.afterDelete(id, req);
+                        }
+                    } else {
+                        const existing = await findRecord(resource, id, { includeSoftDeleted: true, select: 'deleted_at' });
+                        if (existing?.deleted_at) {
+                            record = await updateRecord(tableName, { deleted_at: null }, { [primaryKey]: id }, { returning: primaryKey });
+                        }
+                    }
+
+                    const status = {
+                        update: 'updated',
+                        delete: useSoftDelete ? 'deactivated' : 'deleted',
+                        restore: 'restored'
+                    }[operation];
+
+                    if (!record) {
+                        results.push({ id, status: 'failed', error: 'Record not found' });
+                    } else {
+                        results.push(operation === 'update' && schema.hasVersion ? { id, status, version: record.version } : { id, status });
+                    }
+                } catch (error) {
+                    results.push({ id, status: 'failed', error: error.message });
+                }
+            }
+
+            const successCount = results.filter(r => r.status !== 'failed').length;
+
+            logger.info(`Bulk ${operation} on ${resourceName}`, {
+                total: results.length,
+                successful: successCount,
+                userId: req.user?.id,
+                requestId
+            });
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                message: `Bulk ${operation} completed`,
+                results,
+                summary: {
+                    total: results.length,
+                    successful: successCount,
+                    failed: results.length - successCount
+                },
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Bulk ${operation} on ${resourceName} failed:`, {
+                error: error.message,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Record counts, recent activity and per-column breakdowns
+     */
+    const stats = async (req, res) => {
+        const requestId = getRequestId();
+
+        try {
+            const resource = await resolve();
+            const { schema } = resource;
+
+            const cacheKey = `${resourceName}:stats`;
+            let data = await cacheService.get(cacheKey);
+
+            if (!data) {
+                const total = await countRecords(tableName, {}, { includeSoftDeleted: false, useCache: false });
+
+                const deleted = schema.hasDeletedAt
+                    ? await countRecords(tableName, {}, { includeSoftDeleted: true, useCache: false }) - total
+                    : 0;
+
+                const activeFilter = schema.hasDeletedAt ? SOFT_DELETE_FILTER : 'TRUE';
+
+                let createdLast30Days = null;
+                if (schema.hasCreatedAt) {
+                    const recent = await query(
+                        `SELECT COUNT(*) AS count FROM ${tableName}
+                         WHERE ${activeFilter} AND created_at >= NOW() - INTERVAL '30 days'`
+                    );
+                    createdLast30Days = parseInt(recent.rows[0].count);
+                }
+
+                const breakdowns = {};
+                for (const column of resource.statsGroupBy) {
+                    const result = await query(
+                        `SELECT ${column} AS value, COUNT(*) AS count FROM ${tableName}
+                         WHERE ${activeFilter} GROUP BY ${column} ORDER BY count DESC`
+                    );
+                    breakdowns[column] = result.rows.reduce((acc, row) => {
+                        acc[row.value] = parseInt(row.count);
+                        return acc;
+                    }, {});
+                }
+
+                data = {
+                    total,
+                    deleted,
+                    createdLast30Days,
+                    breakdowns,
+                    lastUpdated: new Date().toISOString()
+                };
+
+                // Dropped with the table's other cache entries on any write
+                await cacheService.set(cacheKey, data, 600, [`table:${tableName}`]);
+            }
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data,
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Get ${resourceName} statistics failed:`, {
+                error: error.message,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Public fields of an export job plus its status and download links
+     * The file name and path on disk stay out of responses.
+     */
+    const exportLinks = (job, req) => {
+        const { id, resource, format, status, rowCount, error, createdBy, createdAt, startedAt, completedAt, expiresAt } = job;
+        const statusUrl = `${req.baseUrl}/export/${id}`;
+        return {
+            id,
+            resource,
+            format,
+            status,
+            rowCount,
+            error,
+            createdBy,
+            createdAt,
+            startedAt,
+            completedAt,
+            expiresAt,
+            statusUrl,
+            downloadUrl: status === 'completed' ? `${statusUrl}/download` : null
+        };
+    };
+
+    /**
+     * Turn a validated list query into the query, columns and row transform of an export
+     * @param {Object} resource - Introspected resource
+     * @param {Object} listQuery - Validated exportQuery
+     * @param {Object|null} req - Request passed to the serialize hook; null in background jobs
+     */
+    const buildExport = (resource, listQuery, req = null) => {
+        const { baseQuery, params, filters, orderBy, orderDirection, sort, fields } = buildListQuery(listQuery, resource);
+        const selected = fields || resource.fields;
+
+        const columns = Object.keys(resource.schema.columns).filter(name => selected.includes(name));
+        const exportQuery = exportService.buildQuery({
+            baseQuery,
+            params,
+            filters,
+            columns,
+            sort: sort.length > 0 ? sort : [{ column: orderBy, direction: orderDirection }]
+        });
+
+        return {
+            ...exportQuery,
+            columns,
+            transform: hooks.serialize ? rows => serializeAll(rows, req, resource) : null
+        };
+    };
+
+    exportService.registerResource(resourceName, async listQuery => buildExport(await resolve(), listQuery));
+
+    /**
+     * Export the records a list query selects as CSV, NDJSON or XLSX
+     * Columns follow the table's column order. Exports up to config.export.maxSyncRows
+     * rows stream in the response; larger ones run as a background job.
+     */
+    const exportRecords = async (req, res) => {
+        const requestId = getRequestId();
+        const { format, background } = req.query;
+
+        try {
+            const resource = await resolve();
+            const { text, params, columns, transform } = buildExport(resource, req.query, req);
+
+            if (background || await exportService.count({ text, params }) > config.export.maxSyncRows) {
+                const job = await exportService.createJob({
+                    resource: resourceName,
+                    format,
+                    createdBy: req.user?.type === 'user' ? req.user.id : null,
+                    listQuery: req.query
+                });
+
+                logger.info(`${resourceName} export started`, {
+                    jobId: job.id,
+                    format,
+                    userId: req.user?.id,
+                    requestId
+                });
+
+                const data = exportLinks(job, req);
+
+                return res.status(STATUS_CODES.ACCEPTED).location(data.statusUrl).json({
+                    success: true,
+                    message: 'Export started',
+                    data,
+                    requestId
+                });
+            }
+
+            const { contentType, extension } = EXPORT_FORMATS[format];
+            res.status(STATUS_CODES.OK);
+            res.attachment(`${resourceName}-${new Date().toISOString().slice(0, 10)}.${extension}`);
+            res.type(contentType);
+
+            const rowCount = await exportService.write(res, {
+                text,
+                params,
+                columns,
+                format,
+                sheetName: resourceName,
+                transform
+            });
+
+            logger.info(`${resourceName} exported`, {
+                format,
+                rowCount,
+                userId: req.user?.id,
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Export ${resourceName} failed:`, {
+                error: error.message,
+                format,
+                requestId
+            });
+
+            // Part of the file is already sent; cut the download short instead
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * Get the status of a background export
+     */
+    const getExport = async (req, res) => {
+        const requestId = getRequestId();
+        const { jobId } = req.params;
+
+        try {
+            const job = await exportService.getJob(jobId, resourceName);
+
+            if (!job) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: 'Export not found',
+                    requestId
+                });
+            }
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data: exportLinks(job, req),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Get ${resourceName} export failed:`, {
+                error: error.message,
+                jobId,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Download the file of a completed background export
+     */
+    const downloadExport = async (req, res) => {
+        const requestId = getRequestId();
+        const { jobId } = req.params;
+
+        try {
+            const job = await exportService.getJob(jobId, resourceName);
+
+            if (!job || (job.status === 'completed' && !(await exportService.fileExists(job)))) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: 'Export not found',
+                    requestId
+                });
+            }
+
+            if (job.status !== 'completed') {
+                return res.status(STATUS_CODES.CONFLICT).json({
+                    success: false,
+                    message: job.status === 'failed' ? 'Export failed' : 'Export is not ready yet',
+                    code: job.status === 'failed' ? 'EXPORT_FAILED' : 'EXPORT_NOT_READY',
+                    data: exportLinks(job, req),
+                    requestId
+                });
+            }
+
+            res.attachment(job.fileName);
+            res.type(EXPORT_FORMATS[job.format].contentType);
+
+            await new Promise((resolve, reject) => {
+                res.sendFile(path.resolve(job.filePath), error => (error ? reject(error) : resolve()));
+            });
+        } catch (error) {
+            logger.error(`Download ${resourceName} export failed:`, {
+                error: error.message,
+                jobId,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Validate and write import rows, running the create hooks
+     * @param {Object} resource - Introspected resource
+     * @param {Array<Object>} rows - Rows to import
+     * @param {Object} options - { dryRun, atomic, conflictColumns }
+     * @param {Object|null} req - Request passed to the hooks; null in background jobs
+     * @returns {Promise<Object>} { summary, errors }
+     */
+    const runImport = async (resource, rows, { dryRun, atomic, conflictColumns }, req = null) => {
+        const prepare = async (row) => {
+            const { error, value } = resource.validators.create.validate(row, { abortEarly: false });
+
+            if (error) {
+                return {
+                    errors: error.details.map(detail => ({
+                        field: detail.path.join('.'),
+                        message: detail.message
+                    }))
+                };
+            }
+
+            try {
+                return { data: hooks.beforeCreate ? (await hooks.beforeCreate(value, req)) ?? value : value };
+            } catch (hookError) {
+                if (!hookError.isOperational) {
+                    throw hookError;
+                }
+                return { errors: [{ message: hookError.message }] };
+            }
+        };
+
+        const { summary, errors, records } = await importService.run(tableName, rows, {
+            prepare,
+            dryRun,
+            atomic,
+            conflictColumns,
+            returning: resource.fields.join(', ')
+        });
+
+        if (hooks.afterCreate) {
+            for (const { record, inserted } of records) {
+                if (inserted) {
+                    await hooks.afterCreate(record, req);
+                }
+            }
+        }
+
+        return { summary, errors };
+    };
+
+    importService.registerResource(resourceName, async (rows, options) => runImport(await resolve(), rows, options));
+
+    /**
+     * Import job with the URL to poll for its report
+     */
+    const importLinks = (job, req) => ({ ...job, statusUrl: `${req.baseUrl}/import/${job.id}` });
+
+    /**
+     * Import records from an uploaded CSV or JSON file, or `rows` in a JSON body
+     * Every row is validated like a create; the report lists the errors of each row
+     * by its 1-based position. Atomic imports write all rows or none. Imports over
+     * config.import.maxSyncRows rows run as a background job.
+     */
+    const importRecords = async (req, res) => {
+        const requestId = getRequestId();
+        const { dryRun, atomic, upsert, background } = req.body;
+
+        try {
+            const resource = await resolve();
+            const rows = req.file ? await importService.readFile(req.file) : req.body.rows;
+
+            if (!rows) {
+                return res.status(STATUS_CODES.BAD_REQUEST).json({
+                    success: false,
+                    message: 'Upload a CSV or JSON file as `file`, or send `rows`',
+                    code: 'IMPORT_DATA_REQUIRED',
+                    requestId
+                });
+            }
+
+            const conflictColumns = upsert ? req.body.conflictColumns || resource.conflictColumns : null;
+
+            if (upsert && !conflictColumns) {
+                return res.status(STATUS_CODES.BAD_REQUEST).json({
+                    success: false,
+                    message: 'conflictColumns is required to upsert',
+                    code: 'INVALID_CONFLICT_COLUMNS',
+                    requestId
+                });
+            }
+
+            // A wrong header would fail every row the same way, so report it once
+            const unknown = [...new Set(rows.flatMap(row => Object.keys(row)))]
+                .filter(name => !resource.writableFields.includes(name));
+
+            if (unknown.length > 0) {
+                return res.status(STATUS_CODES.BAD_REQUEST).json({
+                    success: false,
+                    message: `Unknown or read-only columns: ${unknown.join(', ')}`,
+                    code: 'UNKNOWN_COLUMNS',
+                    requestId
+                });
+            }
+
+            const options = { dryRun, atomic, conflictColumns };
+
+            if (background || rows.length > config.import.maxSyncRows) {
+                const job = await importService.createJob({
+                    resource: resourceName,
+                    rows,
+                    options,
+                    createdBy: req.user?.type === 'user' ? req.user.id : null
+                });
+
+                logger.info(`${resourceName} import started`, {
+                    jobId: job.id,
+                    rows: rows.length,
+                    userId: req.user?.id,
+                    requestId
+                });
+
+                const data = importLinks(job, req);
+
+                return res.status(STATUS_CODES.ACCEPTED).location(data.statusUrl).json({
+                    success: true,
+                    message: 'Import started',
+                    data,
+                    requestId
+                });
+            }
+
+            const { summary, errors } = await runImport(resource, rows, options, req);
+
+            logger.info(`${resourceName} import ${dryRun ? 'checked' : 'finished'}`, {
+                ...summary,
+                userId: req.user?.id,
+                requestId
+            });
+
+            const message = dryRun
+                ? 'Dry run completed, nothing was written'
+                : summary.committed
+                    ? `Import completed${errors.length > 0 ? ' with errors' : ''}`
+                    : 'Import failed, nothing was written';
+
+            res.status(dryRun || summary.committed ? STATUS_CODES.OK : STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+                success: errors.length === 0,
+                message,
+                data: { summary, errors },
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Import ${resourceName} failed:`, {
+                error: error.message,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Get the status of a background import, with its report once finished
+     */
+    const getImport = async (req, res) => {
+        const requestId = getRequestId();
+        const { jobId } = req.params;
+
+        try {
+            const job = await importService.getJob(jobId, resourceName);
+
+            if (!job) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: 'Import not found',
+                    requestId
+                });
+            }
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data: importLinks(job, req),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Get ${resourceName} import failed:`, {
+                error: error.message,
+                jobId,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * List the previous versions of a record, newest first
+     * Versions stay listed after the record itself is deleted.
+     */
+    const history = async (req, res) => {
+        const requestId = getRequestId();
+        const { id } = req.params;
+        const { page, limit, includeCount } = req.query;
+
+        try {
+            const resource = await resolve();
+
+            const result = await paginatedQuery(
+                'SELECT * FROM record_history WHERE table_name = $1 AND record_id = $2',
+                [tableName, String(id)],
+                {
+                    page,
+                    limit,
+                    includeCount,
+                    maxLimit,
+                    orderBy: 'version',
+                    orderDirection: 'DESC',
+                    tableName: 'record_history'
+                }
+            );
+
+            const versions = await Promise.all(result.data.map(async (row) => {
+                const entry = historyService.formatEntry(row);
+                return { ...entry, data: await serialize(entry.data, req, resource) };
+            }));
+
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                data: versions,
+                pagination: result.pagination,
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Get ${resourceName} history failed:`, {
+                error: error.message,
+                id,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    /**
+     * Restore a record to a previous version
+     * Writes the version's writable columns and soft delete state through updateRecord,
+     * guarded by the version column when the table has one. The replaced state becomes
+     * a version itself, so a revert can be reverted.
+     */
+    const revert = async (req, res) => {
+        const requestId = getRequestId();
+        const { id, version } = req.params;
+
+        try {
+            const resource = await resolve();
+            const { schema, primaryKey } = resource;
+
+            const reverted = await transaction(async (client) => {
+                const existing = await lockRecord(client, resource, id, { includeSoftDeleted: true });
+                if (!existing) {
+                    return { existing };
+                }
+
+                checkIfMatch(req, existing);
+
+                const entry = await historyService.get(tableName, id, version);
+                if (!entry) {
+                    return { existing, entry };
+                }
+
+                const restored = {};
+                for (const name of resource.writableFields) {
+                    if (name !== primaryKey && name in entry.data) {
+                        restored[name] = entry.data[name];
+                    }
+                }
+                if (schema.hasDeletedAt) {
+                    restored.deleted_at = entry.data.deleted_at ?? null;
+                }
+
+                const data = hooks.beforeUpdate ? (await hooks.beforeUpdate(restored, existing, req)) ?? restored : restored;
+                const record = await updateVersioned(resource, id, data, existing, { client });
+
+                return { existing, entry, record };
+            });
+
+            if (!reverted.existing) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: `${resourceName} record not found`,
+                    requestId
+                });
+            }
+
+            if (!reverted.entry) {
+                return res.status(STATUS_CODES.NOT_FOUND).json({
+                    success: false,
+                    message: `Version ${version} of ${resourceName} record not found`,
+                    code: 'VERSION_NOT_FOUND',
+                    requestId
+                });
+            }
+
+            const { existing, record } = reverted;
+
+            if (hooks.afterUpdate) {
+                await hooks.afterUpdate(record, existing, req);
+            }
+
+            logger.info(`${resourceName} record reverted`, {
+                id,
+                version,
+                userId: req.user?.id,
+                requestId
+            });
+
+            setRecordETag(res, record);
+            res.status(STATUS_CODES.OK).json({
+                success: true,
+                message: `${resourceName} record reverted to version ${version}`,
+                data: await serialize(record, req, resource),
+                requestId
+            });
+        } catch (error) {
+            logger.error(`Revert ${resourceName} failed:`, {
+                error: error.message,
+                id,
+                version,
+                requestId
+            });
+
+            throw error;
+        }
+    };
+
+    return {
+        resolve,
+        list,
+        get,
+        create,
+        update,
+        remove,
+        bulk,
+        stats,
+        exportRecords,
+        getExport,
+        downloadExport,
+        importRecords,
+        getImport,
+        history,
+        revert
+    };
+};
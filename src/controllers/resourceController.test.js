@@ -0,0 +1,109 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('resourceController', () => {
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    afterAll(teardownDatabase);
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body)
+    });
+
+    let sequence = 0;
+    const createEmployee = async (overrides = {}) => {
+        sequence++;
+        const response = await as(admin).post('/api/employees', {
+            emp_id: `R${String(sequence).padStart(4, '0')}`,
+            first_name: 'Ada',
+            last_name: `Lovelace${sequence}`,
+            email: `resource${sequence}@example.com`,
+            department: 'Engineering',
+            ...overrides
+        });
+        return response.body.data;
+    };
+
+    describe('bulk update', () => {
+        const bulkUpdate = (ids, data) => as(admin).post('/api/employees/bulk', { operation: 'update', ids, data });
+
+        test('updates plain IDs and returns their new versions', async () => {
+            const first = await createEmployee();
+            const second = await createEmployee();
+
+            const response = await bulkUpdate([first.id, second.id], { department: 'Research' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results).toEqual([
+                { id: first.id, status: 'updated', version: first.version + 1 },
+                { id: second.id, status: 'updated', version: second.version + 1 }
+            ]);
+            expect((await as(admin).get(`/api/employees/${first.id}`)).body.data.department).toBe('Research');
+        });
+
+        test('updates an ID pinned to its current version', async () => {
+            const employee = await createEmployee();
+
+            const response = await bulkUpdate([{ id: employee.id, version: employee.version }], { department: 'Research' });
+
+            expect(response.body.results).toEqual([{ id: employee.id, status: 'updated', version: employee.version + 1 }]);
+        });
+
+        test('fails an ID pinned to a stale version and leaves it alone', async () => {
+            const stale = await createEmployee();
+            const current = await createEmployee();
+            await bulkUpdate([stale.id], { department: 'Sales' });
+
+            const response = await bulkUpdate([
+                { id: stale.id, version: stale.version },
+                { id: current.id, version: current.version }
+            ], { department: 'Research' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results[0]).toEqual({
+                id: stale.id,
+                status: 'failed',
+                error: expect.stringContaining('changed since it was read')
+            });
+            expect(response.body.results[1].status).toBe('updated');
+            expect((await as(admin).get(`/api/employees/${stale.id}`)).body.data.department).toBe('Sales');
+        });
+
+        test('reports missing records per ID', async () => {
+            const employee = await createEmployee();
+
+            const response = await bulkUpdate([employee.id, 999999], { department: 'Research' });
+
+            expect(response.body.results[1]).toEqual({ id: 999999, status: 'failed', error: 'Record not found' });
+        });
+
+        test('rejects the same ID twice, pinned or not', async () => {
+            const employee = await createEmployee();
+
+            const response = await bulkUpdate([employee.id, { id: employee.id, version: 1 }], { department: 'Research' });
+
+            expect(response.status).toBe(422);
+        });
+
+        test('accepts versioned IDs only for updates', async () => {
+            const employee = await createEmployee();
+
+            const response = await as(admin).post('/api/employees/bulk', {
+                operation: 'delete',
+                ids: [{ id: employee.id, version: employee.version }]
+            });
+
+            expect(response.status).toBe(422);
+        });
+    });
+});
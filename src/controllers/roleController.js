@@ -0,0 +1,307 @@
+import { permissionService } from '../services/permissionService.js';
+import { query } from '../config/database.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugRoleController = debug('app:roleController');
+
+debugRoleController('Loading roleController');
+
+/**
+ * List roles with their permissions
+ */
+export const getRoles = async (req, res) => {
+    try {
+        const roles = await permissionService.listRoles();
+
+        res.json({
+            success: true,
+            roles
+        });
+    } catch (error) {
+        logger.error('Get roles failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * List all permissions
+ */
+export const getPermissions = async (req, res) => {
+    try {
+        const permissions = await permissionService.listPermissions();
+
+        res.json({
+            success: true,
+            permissions
+        });
+    } catch (error) {
+        logger.error('Get permissions failed:', {
+            error: error.message,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Get role by ID
+ */
+export const getRoleById = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const role = await permissionService.getRole(id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            role
+        });
+    } catch (error) {
+        logger.error('Get role failed:', {
+            error: error.message,
+            roleId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Create role
+ */
+export const createRole = async (req, res) => {
+    try {
+        const role = await permissionService.createRole(req.body, req.user.permissions);
+
+        logger.info('Role created by admin', {
+            roleId: role.id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            role
+        });
+    } catch (error) {
+        logger.error('Create role failed:', {
+            error: error.message,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Update role
+ */
+export const updateRole = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const role = await permissionService.updateRole(id, req.body, req.user.permissions);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        logger.info('Role updated by admin', {
+            roleId: id,
+            adminUserId: req.user.id,
+            updatedFields: Object.keys(req.body),
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            role
+        });
+    } catch (error) {
+        logger.error('Update role failed:', {
+            error: error.message,
+            roleId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Delete role
+ */
+export const deleteRole = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const deleted = await permissionService.deleteRole(id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        logger.info('Role deleted by admin', {
+            roleId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Delete role failed:', {
+            error: error.message,
+            roleId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * List roles of a user
+ */
+export const getUserRoles = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [roles, permissions] = await Promise.all([
+            permissionService.getUserRoles(id),
+            permissionService.getUserPermissions(id)
+        ]);
+
+        res.json({
+            success: true,
+            roles,
+            permissions
+        });
+    } catch (error) {
+        logger.error('Get user roles failed:', {
+            error: error.message,
+            targetUserId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Assign a role to a user
+ */
+export const assignUserRole = async (req, res) => {
+    const { id } = req.params;
+    const { roleId } = req.body;
+
+    try {
+        const userResult = await query('SELECT 1 FROM users WHERE id = $1 AND deleted_at IS NULL', [id]);
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const assigned = await permissionService.assignRole(id, roleId, req.user.id, req.user.permissions);
+
+        if (!assigned) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        logger.info('Role assigned by admin', {
+            targetUserId: id,
+            roleId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Role assigned successfully'
+        });
+    } catch (error) {
+        logger.error('Assign role failed:', {
+            error: error.message,
+            targetUserId: id,
+            roleId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Remove a role from a user
+ */
+export const removeUserRole = async (req, res) => {
+    const { id, roleId } = req.params;
+
+    try {
+        const removed = await permissionService.removeRole(id, roleId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role assignment not found'
+            });
+        }
+
+        logger.info('Role removed by admin', {
+            targetUserId: id,
+            roleId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Role removed successfully'
+        });
+    } catch (error) {
+        logger.error('Remove role failed:', {
+            error: error.message,
+            targetUserId: id,
+            roleId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
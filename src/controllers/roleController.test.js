@@ -0,0 +1,147 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('roleController', () => {
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    const as = (accessToken) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    const createRole = async (permissions) => {
+        const response = await as(admin.accessToken).post('/api/roles', {
+            name: `role-${crypto.randomUUID().slice(0, 8)}`,
+            permissions
+        });
+
+        expect(response.status).toBe(201);
+        return response.body.role;
+    };
+
+    test('lists the system roles and their permissions to admins', async () => {
+        const response = await as(admin.accessToken).get('/api/roles');
+
+        expect(response.status).toBe(200);
+        expect(response.body.roles.map(role => role.name)).toEqual(expect.arrayContaining(['admin', 'moderator', 'user']));
+    });
+
+    test('keeps users without roles:read out', async () => {
+        const user = await login(app, await createUser());
+
+        const response = await as(user.accessToken).get('/api/roles');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('grants the permissions of the primary role', async () => {
+        const moderator = await login(app, await createUser({ role: 'moderator' }));
+
+        expect((await as(moderator.accessToken).get('/api/users')).status).toBe(200);
+        expect((await as(moderator.accessToken).get('/api/roles')).status).toBe(403);
+    });
+
+    test('applies assigned and removed roles to existing tokens', async () => {
+        const user = await createUser();
+        const session = await login(app, user);
+        const role = await createRole(['users:read']);
+
+        expect((await as(session.accessToken).get('/api/users')).status).toBe(403);
+
+        const assigned = await as(admin.accessToken).post(`/api/users/${user.id}/roles`, { roleId: role.id });
+        expect(assigned.status).toBe(200);
+        expect((await as(session.accessToken).get('/api/users')).status).toBe(200);
+
+        const listed = await as(admin.accessToken).get(`/api/users/${user.id}/roles`);
+        expect(listed.body.permissions).toEqual(['users:read']);
+
+        expect((await as(admin.accessToken).delete(`/api/users/${user.id}/roles/${role.id}`)).status).toBe(200);
+        expect((await as(session.accessToken).get('/api/users')).status).toBe(403);
+    });
+
+    test('applies permission changes of a role to its holders', async () => {
+        const user = await createUser();
+        const session = await login(app, user);
+        const role = await createRole([]);
+        await as(admin.accessToken).post(`/api/users/${user.id}/roles`, { roleId: role.id });
+
+        expect((await as(session.accessToken).get('/api/users')).status).toBe(403);
+
+        const updated = await as(admin.accessToken).put(`/api/roles/${role.id}`, { permissions: ['users:read'] });
+        expect(updated.status).toBe(200);
+        expect((await as(session.accessToken).get('/api/users')).status).toBe(200);
+    });
+
+    describe('delegation', () => {
+        // A user holding only the given permissions, through a role of their own
+        const delegate = async (permissions) => {
+            const user = await createUser();
+            const role = await createRole(permissions);
+            await as(admin.accessToken).post(`/api/users/${user.id}/roles`, { roleId: role.id });
+            return login(app, user);
+        };
+
+        test('does not let roles:assign hand out a role with permissions the caller lacks', async () => {
+            const session = await delegate(['roles:assign', 'roles:read', 'users:read']);
+            const { body } = await as(admin.accessToken).get('/api/roles');
+            const adminRole = body.roles.find(role => role.name === 'admin');
+
+            const escalated = await as(session.accessToken).post(`/api/users/${session.user.id}/roles`, { roleId: adminRole.id });
+            expect(escalated.status).toBe(403);
+            expect(escalated.body.code).toBe('PERMISSION_NOT_GRANTED');
+
+            const reader = await createRole(['users:read']);
+            expect((await as(session.accessToken).post(`/api/users/${session.user.id}/roles`, { roleId: reader.id })).status).toBe(200);
+        });
+
+        test('does not let roles:manage create or widen a role beyond the caller', async () => {
+            const session = await delegate(['roles:manage', 'roles:read', 'users:read']);
+
+            const created = await as(session.accessToken).post('/api/roles', { name: 'superuser', permissions: ['users:read', 'users:delete'] });
+            expect(created.status).toBe(403);
+            expect(created.body.code).toBe('PERMISSION_NOT_GRANTED');
+
+            const narrow = await as(session.accessToken).post('/api/roles', { name: 'reader', permissions: ['users:read'] });
+            expect(narrow.status).toBe(201);
+
+            const widened = await as(session.accessToken).put(`/api/roles/${narrow.body.role.id}`, { permissions: ['roles:manage', 'users:delete'] });
+            expect(widened.status).toBe(403);
+            expect(widened.body.code).toBe('PERMISSION_NOT_GRANTED');
+            expect((await as(admin.accessToken).get(`/api/roles/${narrow.body.role.id}`)).body.role.permissions).toEqual(['users:read']);
+        });
+    });
+
+    test('rejects unknown permissions', async () => {
+        const response = await as(admin.accessToken).post('/api/roles', { name: 'auditor', permissions: ['reports:read'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('UNKNOWN_PERMISSION');
+    });
+
+    test('does not delete system roles', async () => {
+        const { body } = await as(admin.accessToken).get('/api/roles');
+        const system = body.roles.find(role => role.name === 'moderator');
+
+        const response = await as(admin.accessToken).delete(`/api/roles/${system.id}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('SYSTEM_ROLE');
+    });
+});
@@ -0,0 +1,201 @@
+import { sessionService } from '../services/sessionService.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugSessionController = debug('app:sessionController');
+
+debugSessionController('Loading sessionController');
+
+/**
+ * List sessions of the current user
+ */
+export const getSessions = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const sessions = await sessionService.listForUser(userId, req.token.sessionId);
+
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        logger.error('Get sessions failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Revoke one session of the current user
+ */
+export const revokeSession = async (req, res) => {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    try {
+        const revoked = await sessionService.revoke(userId, id, 'user_signed_out');
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        logger.info('Session revoked by user', {
+            userId,
+            sessionId: id,
+            current: id === req.token.sessionId,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Revoke session failed:', {
+            error: error.message,
+            userId,
+            sessionId: id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Sign out everywhere except the current session
+ */
+export const revokeOtherSessions = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const revoked = await sessionService.revokeAllExcept(userId, req.token.sessionId, 'user_signed_out');
+
+        logger.info('Other sessions revoked by user', {
+            userId,
+            revoked,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Signed out of all other sessions',
+            revoked
+        });
+    } catch (error) {
+        logger.error('Revoke other sessions failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * List sessions of a user (admin only)
+ */
+export const getUserSessions = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const sessions = await sessionService.listForUser(id);
+
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        logger.error('Get user sessions failed:', {
+            error: error.message,
+            targetUserId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Revoke one session of a user (admin only)
+ */
+export const revokeUserSession = async (req, res) => {
+    const { id, sessionId } = req.params;
+
+    try {
+        const revoked = await sessionService.revoke(id, sessionId, 'admin_revoked');
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        logger.info('User session revoked by admin', {
+            targetUserId: id,
+            sessionId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Revoke user session failed:', {
+            error: error.message,
+            targetUserId: id,
+            sessionId,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Revoke all sessions of a user (admin only)
+ */
+export const revokeAllUserSessions = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const revoked = await sessionService.revokeAllExcept(id, null, 'admin_revoked');
+
+        logger.info('All user sessions revoked by admin', {
+            targetUserId: id,
+            revoked,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'All sessions revoked successfully',
+            revoked
+        });
+    } catch (error) {
+        logger.error('Revoke all user sessions failed:', {
+            error: error.message,
+            targetUserId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
@@ -0,0 +1,94 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('sessionController', () => {
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        user = await createUser();
+    });
+
+    const as = (accessToken) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    test('lists the sessions of the current user and flags the current one', async () => {
+        const current = await login(app, user);
+        await login(app, user);
+
+        const response = await as(current.accessToken).get('/api/auth/sessions');
+
+        expect(response.status).toBe(200);
+        expect(response.body.sessions).toHaveLength(2);
+        expect(response.body.sessions.filter(session => session.current)).toHaveLength(1);
+    });
+
+    test('revokes one session and the access tokens issued for it', async () => {
+        const current = await login(app, user);
+        const other = await login(app, user);
+
+        const { body } = await as(current.accessToken).get('/api/auth/sessions');
+        const otherSession = body.sessions.find(session => !session.current);
+
+        const response = await as(current.accessToken).delete(`/api/auth/sessions/${otherSession.id}`);
+        expect(response.status).toBe(200);
+
+        expect((await as(other.accessToken).get('/api/auth/sessions')).status).toBe(401);
+        expect((await as(current.accessToken).get('/api/auth/sessions')).status).toBe(200);
+    });
+
+    test('answers 404 for a session of another user', async () => {
+        const current = await login(app, user);
+        const stranger = await createUser();
+        const strangerSession = await login(app, stranger);
+
+        const { body } = await as(strangerSession.accessToken).get('/api/auth/sessions');
+        const response = await as(current.accessToken).delete(`/api/auth/sessions/${body.sessions[0].id}`);
+
+        expect(response.status).toBe(404);
+        expect((await as(strangerSession.accessToken).get('/api/auth/sessions')).status).toBe(200);
+    });
+
+    test('signs out everywhere else', async () => {
+        const current = await login(app, user);
+        const other = await login(app, user);
+
+        const response = await as(current.accessToken).delete('/api/auth/sessions');
+
+        expect(response.status).toBe(200);
+        expect(response.body.revoked).toBe(1);
+        expect((await as(other.accessToken).get('/api/auth/sessions')).status).toBe(401);
+    });
+
+    test('lets admins list and revoke sessions of other users', async () => {
+        const admin = await login(app, await createUser({ role: 'admin' }));
+        const session = await login(app, user);
+
+        const listed = await as(admin.accessToken).get(`/api/users/${user.id}/sessions`);
+        expect(listed.status).toBe(200);
+        expect(listed.body.sessions).toHaveLength(1);
+
+        const revoked = await as(admin.accessToken).delete(`/api/users/${user.id}/sessions/${listed.body.sessions[0].id}`);
+        expect(revoked.status).toBe(200);
+        expect((await as(session.accessToken).get('/api/auth/sessions')).status).toBe(401);
+    });
+
+    test('keeps other users away from the admin endpoints', async () => {
+        const session = await login(app, user);
+
+        const response = await as(session.accessToken).get(`/api/users/${user.id}/sessions`);
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,131 @@
+import { twoFactorService } from '../services/twoFactorService.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugTwoFactorController = debug('app:twoFactorController');
+
+debugTwoFactorController('Loading twoFactorController');
+
+/**
+ * Get two-factor status of the current user
+ */
+export const getTwoFactorStatus = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const status = await twoFactorService.getStatus(userId);
+
+        res.json({
+            success: true,
+            twoFactor: status
+        });
+    } catch (error) {
+        logger.error('Get two-factor status failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Start two-factor enrollment
+ */
+export const setupTwoFactor = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            ...enrollment
+        });
+    } catch (error) {
+        logger.error('Two-factor setup failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Confirm two-factor enrollment and return recovery codes
+ */
+export const confirmTwoFactor = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const recoveryCodes = await twoFactorService.confirmEnrollment(userId, req.body.code);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+            recoveryCodes
+        });
+    } catch (error) {
+        logger.error('Two-factor confirmation failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Disable two-factor authentication
+ */
+export const disableTwoFactor = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        await twoFactorService.disable(userId, req.body.code);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        logger.error('Two-factor disable failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Replace recovery codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(userId, req.body.code);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work',
+            recoveryCodes
+        });
+    } catch (error) {
+        logger.error('Recovery code regeneration failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
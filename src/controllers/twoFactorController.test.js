@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { authenticator } from 'otplib';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login, resetRateLimits } from '../../test/helpers/app.js';
+
+describe('twoFactorController', () => {
+    let db;
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        await resetRateLimits();
+        user = await createUser();
+    });
+
+    const post = (url, accessToken, body = {}) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body);
+
+    /**
+     * Enroll the user and return the secret and recovery codes
+     */
+    const enroll = async () => {
+        const { accessToken } = await login(app, user);
+        const setup = await post('/api/auth/2fa/setup', accessToken);
+        const confirm = await post('/api/auth/2fa/confirm', accessToken, { code: authenticator.generate(setup.body.secret) });
+
+        expect(confirm.status).toBe(200);
+        return { secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes, accessToken };
+    };
+
+    const challenge = async () => {
+        await resetRateLimits();
+        const response = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+
+        expect(response.body.twoFactorRequired).toBe(true);
+        expect(response.body.accessToken).toBeUndefined();
+        return response.body.challengeToken;
+    };
+
+    const verify = async (challengeToken, code) => {
+        await resetRateLimits();
+        return request(app).post('/api/auth/2fa/verify').send({ challengeToken, code });
+    };
+
+    // Enrollment used the current step, and a step's code only works once
+    const nextCode = (secret) => authenticator.clone({ epoch: Date.now() + 30 * 1000 }).generate(secret);
+
+    test('completes the login with a code from the authenticator app', async () => {
+        const { secret } = await enroll();
+
+        const response = await verify(await challenge(), nextCode(secret));
+
+        expect(response.status).toBe(200);
+        expect(response.body.accessToken).toEqual(expect.any(String));
+    });
+
+    test('accepts each recovery code once', async () => {
+        const { recoveryCodes } = await enroll();
+
+        expect((await verify(await challenge(), recoveryCodes[0])).status).toBe(200);
+
+        const reused = await verify(await challenge(), recoveryCodes[0]);
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    test('rejects a challenge token that already completed a login', async () => {
+        const { recoveryCodes } = await enroll();
+        const challengeToken = await challenge();
+
+        expect((await verify(challengeToken, recoveryCodes[0])).status).toBe(200);
+
+        const replayed = await verify(challengeToken, recoveryCodes[1]);
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.code).toBe('INVALID_TWO_FACTOR_CHALLENGE');
+
+        // The replay did not use up the second recovery code
+        expect((await verify(await challenge(), recoveryCodes[1])).status).toBe(200);
+    });
+
+    test('keeps the challenge usable after a wrong code', async () => {
+        const { secret } = await enroll();
+        const challengeToken = await challenge();
+
+        expect((await verify(challengeToken, '000000')).status).toBe(401);
+
+        // Skip the backoff the failure started
+        await db.query('DELETE FROM login_attempts WHERE email = $1', [user.email.toLowerCase()]);
+        expect((await verify(challengeToken, nextCode(secret))).status).toBe(200);
+    });
+
+    test('does not accept a challenge token as an access token', async () => {
+        await enroll();
+
+        const response = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${await challenge()}`);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('logs in with the password alone after disabling', async () => {
+        const { recoveryCodes, accessToken } = await enroll();
+
+        const response = await post('/api/auth/2fa/disable', accessToken, { code: recoveryCodes[0] });
+        expect(response.status).toBe(200);
+
+        expect((await login(app, user)).accessToken).toEqual(expect.any(String));
+    });
+});
@@ -1,44 +1,89 @@
-import { paginatedQuery, updateRecord, deleteRecord } from '../utils/database.js';
-import { query } from '../config/database.js';
-import { cacheService } from '../services/cacheService.js';
+import { paginatedQuery, updateRecord, deleteRecord, getTableSchema } from '../utils/database.js';
+import { parseFilters, parseSort, parseFields } from '../utils/queryFilters.js';
+import { query, transaction } from '../config/database.js';
+import { tokenRevocationService } from '../services/tokenRevocationService.js';
+import { refreshTokenService } from '../services/refreshTokenService.js';
+import { loginThrottleService } from '../services/loginThrottleService.js';
+import { avatarService } from '../services/avatarService.js';
 import logger from '../config/logger.js';
 import { getRequestId } from '../middleware/requestTracker.js';
+import { setRecordETag, checkIfMatch } from '../utils/etag.js';
+import { pipeline } from 'stream/promises';
 import debug from 'debug';
 
 const debugUserController = debug('app:userController');
 
 debugUserController('Loading userController');
 
+// Columns returned by (and filterable, sortable and selectable on) the user list
+const USER_LIST_FIELDS = [
+    'id', 'first_name', 'last_name', 'email', 'role', 'status',
+    'email_verified', 'created_at', 'updated_at', 'last_login'
+];
+
+const USER_SORT_COLUMNS = {
+    created_at: 'created_at',
+    email: 'email',
+    firstName: 'first_name',
+    lastName: 'last_name'
+};
+
+/**
+ * Avatar URLs of a user row: avatarUrl (medium size) and avatarUrls per size
+ */
+const avatarFields = (req, user) => {
+    const avatarUrls = avatarService.urls(req.baseUrl, user.avatar_key);
+    return { avatarUrl: avatarUrls?.medium ?? null, avatarUrls };
+};
+
+/**
+ * Lock a user row for a write and check the request's If-Match against it
+ * Users are versioned by updated_at; the lock keeps other writes out until commit.
+ * @returns {Promise<boolean>} false when the user does not exist
+ */
+const lockUser = async (client, req, userId) => {
+    const result = await client.query(
+        'SELECT updated_at FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [userId]
+    );
+
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    checkIfMatch(req, result.rows[0]);
+    return true;
+};
+
 /**
  * Get current user profile
+ * Answers 304 when If-None-Match holds the profile's current ETag. The row is read
+ * fresh every time, so the ETag is the one writes check If-Match against.
  */
 export const getProfile = async (req, res) => {
     const userId = req.user.id;
 
     try {
-        // Try to get from cache first
-        let user = await cacheService.get(`user:${userId}`);
-
-        if (!user) {
-            const userResult = await query(
-                `SELECT id, first_name, last_name, email, phone, date_of_birth, bio, 
+        const userResult = await query(
+            `SELECT id, first_name, last_name, email, phone, date_of_birth, bio, 
          location, website, preferences, role, status, email_verified, 
-         created_at, updated_at, last_login
+         created_at, updated_at, last_login, avatar_key
          FROM users WHERE id = $1`,
-                [userId]
-            );
-
-            if (userResult.rows.length === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'User not found'
-                });
-            }
+            [userId]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
 
-            user = userResult.rows[0];
+        const user = userResult.rows[0];
 
-            // Cache user data
-            await cacheService.set(`user:${userId}`, user, 3600);
+        setRecordETag(res, user);
+        if (req.fresh) {
+            return res.status(304).end();
         }
 
         res.json({
@@ -54,6 +99,7 @@ export const getProfile = async (req, res) => {
                 location: user.location,
                 website: user.website,
                 preferences: user.preferences,
+                ...avatarFields(req, user),
                 role: user.role,
                 status: user.status,
                 emailVerified: user.email_verified,
@@ -75,6 +121,7 @@ export const getProfile = async (req, res) => {
 
 /**
  * Update current user profile
+ * Honors If-Match against the profile's ETag.
  */
 export const updateProfile = async (req, res) => {
     const userId = req.user.id;
@@ -88,7 +135,17 @@ export const updateProfile = async (req, res) => {
             dbUpdateData[dbKey] = updateData[key];
         });
 
-        const updatedUser = await updateRecord('users', dbUpdateData, { id: userId });
+        const updatedUser = await transaction(async (client) => {
+            if (!(await lockUser(client, req, userId))) {
+                return null;
+            }
+
+            return updateRecord('users', dbUpdateData, { id: userId }, {
+                client,
+                returning: `id, first_name, last_name, email, phone, date_of_birth, bio,
+                    location, website, preferences, avatar_key, updated_at`
+            });
+        });
 
         if (!updatedUser) {
             return res.status(404).json({
@@ -97,15 +154,13 @@ export const updateProfile = async (req, res) => {
             });
         }
 
-        // Clear user cache
-        await cacheService.delete(`user:${userId}`);
-
         logger.info('Profile updated successfully', {
             userId,
             updatedFields: Object.keys(updateData),
             requestId: getRequestId()
         });
 
+        setRecordETag(res, updatedUser);
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -119,7 +174,8 @@ export const updateProfile = async (req, res) => {
                 bio: updatedUser.bio,
                 location: updatedUser.location,
                 website: updatedUser.website,
-                preferences: updatedUser.preferences
+                preferences: updatedUser.preferences,
+                ...avatarFields(req, updatedUser)
             }
         });
     } catch (error) {
@@ -135,15 +191,19 @@ export const updateProfile = async (req, res) => {
 
 /**
  * Delete current user account
+ * Honors If-Match against the profile's ETag.
  */
 export const deleteProfile = async (req, res) => {
     const userId = req.user.id;
 
     try {
         // Soft delete user account
-        const deletedUser = await deleteRecord('users', { id: userId }, {
-            softDelete: true,
-            returning: 'id'
+        const deletedUser = await transaction(async (client) => {
+            if (!(await lockUser(client, req, userId))) {
+                return null;
+            }
+
+            return deleteRecord('users', { id: userId }, { softDelete: true, returning: 'id', client });
         });
 
         if (!deletedUser) {
@@ -153,11 +213,14 @@ export const deleteProfile = async (req, res) => {
             });
         }
 
-        // Clear all user-related cache
-        await cacheService.delete(`user:${userId}`);
+        // Profile pictures are not kept for deleted accounts
+        await avatarService.remove(userId);
+
+        // Revoke all refresh tokens
+        await refreshTokenService.revokeAllForUser(userId, 'account_deleted');
 
-        // Delete all refresh tokens
-        await query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+        // Revoke outstanding access tokens
+        await tokenRevocationService.revokeUserTokens(userId, 'account_deleted');
 
         logger.info('User account deleted', {
             userId,
@@ -179,43 +242,165 @@ export const deleteProfile = async (req, res) => {
     }
 };
 
+/**
+ * Upload or replace the current user's avatar
+ */
+export const updateAvatar = async (req, res) => {
+    const userId = req.user.id;
+
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'No image uploaded, send it as the `avatar` form field',
+            code: 'FILE_REQUIRED'
+        });
+    }
+
+    try {
+        const avatarKey = await avatarService.set(userId, req.file);
+
+        logger.info('Avatar uploaded', {
+            userId,
+            size: req.file.size,
+            mimeType: req.file.mimetype,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'Avatar updated successfully',
+            ...avatarFields(req, { avatar_key: avatarKey })
+        });
+    } catch (error) {
+        logger.error('Update avatar failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Remove the current user's avatar
+ */
+export const deleteAvatar = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const removed = await avatarService.remove(userId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'No avatar to remove'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Avatar removed successfully'
+        });
+    } catch (error) {
+        logger.error('Delete avatar failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
+
+/**
+ * Serve an avatar image
+ * URLs carry a hash of the image, so responses can be cached indefinitely.
+ */
+export const getAvatar = async (req, res) => {
+    const { userId, version, size } = req.params;
+
+    try {
+        const stream = await avatarService.createReadStream(userId, version, size);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Avatar not found'
+            });
+        }
+
+        res.type('image/webp');
+        res.set({
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            // Shown by front ends on other origins
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+
+        await pipeline(stream, res);
+    } catch (error) {
+        logger.error('Get avatar failed:', {
+            error: error.message,
+            userId,
+            requestId: getRequestId()
+        });
+
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        throw error;
+    }
+};
+
 /**
  * Get all users (admin only)
  */
 export const getUsers = async (req, res) => {
-    const { page, limit, search, role, status, sortBy, sortOrder } = req.query;
+    const { page, limit, cursor, includeCount, search, role, status, sort, fields, sortBy, sortOrder } = req.query;
 
     try {
-        let baseQuery = 'SELECT id, first_name, last_name, email, role, status, email_verified, created_at, updated_at, last_login FROM users WHERE deleted_at IS NULL';
+        let baseQuery = `SELECT ${USER_LIST_FIELDS.join(', ')} FROM users WHERE deleted_at IS NULL`;
         const params = [];
         let paramIndex = 1;
 
         // Add search filter
         if (search) {
-            baseQuery += ` AND (first_name ILIKE ${paramIndex} OR last_name ILIKE ${paramIndex} OR email ILIKE ${paramIndex})`;
+            baseQuery += ` AND (first_name ILIKE $${paramIndex} OR last_name ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`;
             params.push(`%${search}%`);
             paramIndex++;
         }
 
         // Add role filter
         if (role) {
-            baseQuery += ` AND role = ${paramIndex}`;
+            baseQuery += ` AND role = $${paramIndex}`;
             params.push(role);
             paramIndex++;
         }
 
         // Add status filter
         if (status) {
-            baseQuery += ` AND status = ${paramIndex}`;
+            baseQuery += ` AND status = $${paramIndex}`;
             params.push(status);
             paramIndex++;
         }
 
+        // filter[column][operator], sort and fields parameters
+        const schema = await getTableSchema('users');
+        const allowed = { fields: USER_LIST_FIELDS };
+        const filters = parseFilters(req.query, schema, allowed);
+
         const result = await paginatedQuery(baseQuery, params, {
             page: parseInt(page),
             limit: parseInt(limit),
-            orderBy: sortBy,
-            orderDirection: sortOrder.toUpperCase()
+            cursor,
+            includeCount,
+            orderBy: USER_SORT_COLUMNS[sortBy],
+            orderDirection: sortOrder.toUpperCase(),
+            sort: sort ? parseSort(sort, schema, allowed) : [],
+            fields: fields ? parseFields(fields, schema, allowed) : null,
+            tableName: 'users',
+            filters
         });
 
         res.json({
@@ -246,6 +431,7 @@ export const getUsers = async (req, res) => {
 
 /**
  * Get user by ID (admin only)
+ * Answers 304 when If-None-Match holds the user's current ETag.
  */
 export const getUserById = async (req, res) => {
     const { id } = req.params;
@@ -254,7 +440,7 @@ export const getUserById = async (req, res) => {
         const userResult = await query(
             `SELECT id, first_name, last_name, email, phone, date_of_birth, bio,
        location, website, preferences, role, status, email_verified,
-       created_at, updated_at, last_login
+       created_at, updated_at, last_login, avatar_key
        FROM users WHERE id = $1 AND deleted_at IS NULL`,
             [id]
         );
@@ -268,6 +454,11 @@ export const getUserById = async (req, res) => {
 
         const user = userResult.rows[0];
 
+        setRecordETag(res, user);
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
         res.json({
             success: true,
             user: {
@@ -281,6 +472,7 @@ export const getUserById = async (req, res) => {
                 location: user.location,
                 website: user.website,
                 preferences: user.preferences,
+                ...avatarFields(req, user),
                 role: user.role,
                 status: user.status,
                 emailVerified: user.email_verified,
@@ -302,6 +494,7 @@ export const getUserById = async (req, res) => {
 
 /**
  * Update user by ID (admin only)
+ * Honors If-Match, so concurrent admin edits cannot overwrite each other unseen.
  */
 export const updateUser = async (req, res) => {
     const { id } = req.params;
@@ -315,9 +508,15 @@ export const updateUser = async (req, res) => {
             dbUpdateData[dbKey] = updateData[key];
         });
 
-        const updatedUser = await updateRecord('users', dbUpdateData, {
-            id,
-            deleted_at: null
+        const updatedUser = await transaction(async (client) => {
+            if (!(await lockUser(client, req, id))) {
+                return null;
+            }
+
+            return updateRecord('users', dbUpdateData, { id }, {
+                client,
+                returning: 'id, first_name, last_name, email, role, status, updated_at'
+            });
         });
 
         if (!updatedUser) {
@@ -327,9 +526,6 @@ export const updateUser = async (req, res) => {
             });
         }
 
-        // Clear user cache
-        await cacheService.delete(`user:${id}`);
-
         logger.info('User updated by admin', {
             targetUserId: id,
             adminUserId: req.user.id,
@@ -337,6 +533,7 @@ export const updateUser = async (req, res) => {
             requestId: getRequestId()
         });
 
+        setRecordETag(res, updatedUser);
         res.json({
             success: true,
             message: 'User updated successfully',
@@ -363,6 +560,7 @@ export const updateUser = async (req, res) => {
 
 /**
  * Delete user by ID (admin only)
+ * Honors If-Match against the user's ETag.
  */
 export const deleteUser = async (req, res) => {
     const { id } = req.params;
@@ -376,9 +574,12 @@ export const deleteUser = async (req, res) => {
             });
         }
 
-        const deletedUser = await deleteRecord('users', { id }, {
-            softDelete: true,
-            returning: 'id'
+        const deletedUser = await transaction(async (client) => {
+            if (!(await lockUser(client, req, id))) {
+                return null;
+            }
+
+            return deleteRecord('users', { id }, { softDelete: true, returning: 'id', client });
         });
 
         if (!deletedUser) {
@@ -388,11 +589,11 @@ export const deleteUser = async (req, res) => {
             });
         }
 
-        // Clear user cache
-        await cacheService.delete(`user:${id}`);
+        // Revoke all refresh tokens for this user
+        await refreshTokenService.revokeAllForUser(id, 'user_deleted');
 
-        // Delete all refresh tokens for this user
-        await query('DELETE FROM refresh_tokens WHERE user_id = $1', [id]);
+        // Revoke outstanding access tokens
+        await tokenRevocationService.revokeUserTokens(id, 'user_deleted');
 
         logger.info('User deleted by admin', {
             targetUserId: id,
@@ -414,4 +615,47 @@ export const deleteUser = async (req, res) => {
 
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Unlock a user locked out by failed logins (admin only)
+ */
+export const unlockUser = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const userResult = await query(
+            'SELECT email FROM users WHERE id = $1 AND deleted_at IS NULL',
+            [id]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await loginThrottleService.reset(userResult.rows[0].email);
+
+        logger.info('User unlocked by admin', {
+            targetUserId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        res.json({
+            success: true,
+            message: 'User unlocked successfully'
+        });
+    } catch (error) {
+        logger.error('Unlock user failed:', {
+            error: error.message,
+            targetUserId: id,
+            adminUserId: req.user.id,
+            requestId: getRequestId()
+        });
+
+        throw error;
+    }
+};
@@ -2,18 +2,151 @@ import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 import logger from '../config/logger.js';
 import { getRequestId, setUserId } from './requestTracker.js';
+import { query } from '../config/database.js';
+import { tokenRevocationService } from '../services/tokenRevocationService.js';
+import { permissionService } from '../services/permissionService.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+import { signingKeyService } from '../services/signingKeyService.js';
+import { generateUUID } from '../utils/crypto.js';
+import { ERROR_MESSAGES } from '../constants/errorMessages.js';
 import debug from 'debug';
 
 const debugAuth = debug('app:auth');
 
 /**
- * JWT Authentication middleware
+ * Check the current verification status of a user whose token predates verification
+ */
+const isEmailVerified = async (userId) => {
+    const result = await query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.email_verified === true;
+};
+
+/**
+ * Sign a token with the current signing key, or the HMAC secret in HS256 mode
+ */
+const signToken = (payload, secret, options) => {
+    if (!signingKeyService.enabled) {
+        return jwt.sign(payload, secret, options);
+    }
+
+    const key = signingKeyService.getSigningKey();
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.algorithm, keyid: key.kid });
+};
+
+/**
+ * Verify a token against the key named by its `kid`
+ * Tokens without a `kid` were signed with the HMAC secret; they are accepted in
+ * HS256 mode and, unless disabled, while they outlive the switch to signing keys.
+ */
+const verifyToken = (token, secret, options) => {
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+
+    if (kid) {
+        const key = signingKeyService.getVerificationKey(kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('Unknown signing key');
+        }
+        return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+    }
+
+    if (signingKeyService.enabled && !config.jwt.acceptLegacyHmac) {
+        throw new jwt.JsonWebTokenError('Token is not signed with a known key');
+    }
+
+    return jwt.verify(token, secret, { ...options, algorithms: ['HS256'] });
+};
+
+/**
+ * Resolve the X-API-Key header once per request
+ * The global rate limiter resolves it first, to give each valid key its own bucket.
+ * @returns {Promise<Object|null>} Active API key or null
+ */
+export const resolveApiKey = async (req) => {
+    if (req.apiKey === undefined) {
+        const header = req.get('X-API-Key');
+        req.apiKey = header ? await apiKeyService.authenticate(header) : null;
+    }
+    return req.apiKey;
+};
+
+/**
+ * Authenticate a request carrying an X-API-Key header as a service principal
+ */
+const authenticateApiKey = async (req, res, next, roles, required) => {
+    const apiKey = await resolveApiKey(req);
+
+    if (!apiKey) {
+        if (!required) {
+            return next();
+        }
+
+        logger.warn('Authentication failed: Invalid API key', {
+            requestId: getRequestId(),
+            ip: req.ip
+        });
+
+        return res.status(401).json({
+            error: 'Authentication failed',
+            code: 'INVALID_API_KEY',
+            message: 'Invalid or expired API key'
+        });
+    }
+
+    if (roles.length > 0 && !roles.includes('service')) {
+        logger.warn('Authorization failed: API key used on a role-restricted route', {
+            requestId: getRequestId(),
+            apiKeyId: apiKey.id,
+            requiredRoles: roles
+        });
+
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Insufficient permissions'
+        });
+    }
+
+    // Service principal: scopes act as its permissions, as far as the owner still holds them
+    const ownerPermissions = await permissionService.getUserPermissions(apiKey.ownerId);
+
+    req.user = {
+        id: apiKey.id,
+        type: 'service',
+        name: apiKey.name,
+        ownerId: apiKey.ownerId,
+        role: 'service',
+        permissions: apiKey.scopes.filter(scope => ownerPermissions.includes(scope)),
+        emailVerified: true
+    };
+
+    req.token = {
+        id: null,
+        sessionId: null,
+        apiKeyId: apiKey.id,
+        issuedAt: null,
+        expiresAt: null
+    };
+
+    setUserId(apiKey.ownerId);
+
+    debugAuth(`Service authenticated: ${apiKey.name} (${apiKey.id})`);
+    next();
+};
+
+/**
+ * Authentication middleware
+ * Accepts a Bearer JWT or an X-API-Key header. When not required, an invalid,
+ * expired or revoked credential leaves the request anonymous instead of failing.
+ * @param {Object} options - { required, roles, requireVerified }
  */
 export const authenticateToken = (options = {}) => {
-    const { required = true, roles = [] } = options;
+    const { required = true, roles = [], requireVerified = false } = options;
 
     return async (req, res, next) => {
         try {
+            if (req.get('X-API-Key') && !req.headers.authorization) {
+                return await authenticateApiKey(req, res, next, roles, required);
+            }
+
             const authHeader = req.headers.authorization;
             const token = authHeader && authHeader.split(' ')[1];
 
@@ -35,16 +168,35 @@ export const authenticateToken = (options = {}) => {
             }
 
             // Verify JWT token
-            const decoded = jwt.verify(token, config.jwt.secret, {
+            const decoded = verifyToken(token, config.jwt.secret, {
                 issuer: config.jwt.issuer,
                 audience: config.jwt.audience
             });
 
-            // Check if token is blacklisted (you might want to implement this)
-            // const isBlacklisted = await checkTokenBlacklist(token);
-            // if (isBlacklisted) {
-            //   throw new Error('Token is blacklisted');
-            // }
+            // Refresh and challenge tokens carry a type; access tokens don't
+            if (decoded.tokenType) {
+                throw new jwt.JsonWebTokenError('Token is not an access token');
+            }
+
+            // Reject tokens revoked by logout, password change or account deletion
+            if (await tokenRevocationService.isRevoked(decoded)) {
+                if (!required) {
+                    return next();
+                }
+
+                logger.warn('Authentication failed: Token revoked', {
+                    requestId: getRequestId(),
+                    userId: decoded.userId,
+                    jti: decoded.jti,
+                    ip: req.ip
+                });
+
+                return res.status(401).json({
+                    error: 'Authentication failed',
+                    code: 'TOKEN_REVOKED',
+                    message: ERROR_MESSAGES.TOKEN_REVOKED
+                });
+            }
 
             // Check role authorization
             if (roles.length > 0 && !roles.includes(decoded.role)) {
@@ -61,12 +213,39 @@ export const authenticateToken = (options = {}) => {
                 });
             }
 
+            // Tokens issued before verification still say unverified, so confirm against the database
+            const emailVerified = decoded.emailVerified === true || (requireVerified && await isEmailVerified(decoded.userId));
+
+            if (requireVerified && !emailVerified) {
+                logger.warn('Authorization failed: Email not verified', {
+                    requestId: getRequestId(),
+                    userId: decoded.userId,
+                    path: req.originalUrl
+                });
+
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    code: 'EMAIL_NOT_VERIFIED',
+                    message: ERROR_MESSAGES.EMAIL_NOT_VERIFIED
+                });
+            }
+
             // Set user information in request and CLS
             req.user = {
                 id: decoded.userId,
+                type: 'user',
                 email: decoded.email,
                 role: decoded.role,
-                permissions: decoded.permissions || []
+                permissions: decoded.permissions || [],
+                emailVerified
+            };
+
+            // Keep token identity around so it can be revoked (e.g. on logout)
+            req.token = {
+                id: decoded.jti,
+                sessionId: decoded.sessionId || null,
+                issuedAt: decoded.iat,
+                expiresAt: decoded.exp
             };
 
             setUserId(decoded.userId);
@@ -75,37 +254,93 @@ export const authenticateToken = (options = {}) => {
             next();
 
         } catch (error) {
+            if (!required && error instanceof jwt.JsonWebTokenError) {
+                return next();
+            }
+
             logger.warn('Authentication failed:', {
                 error: error.message,
                 requestId: getRequestId(),
                 ip: req.ip
             });
 
-            const message = error.name === 'TokenExpiredError'
-                ? 'Token expired'
-                : 'Invalid token';
+            const isExpired = error.name === 'TokenExpiredError';
 
             return res.status(401).json({
                 error: 'Authentication failed',
-                message
+                code: isExpired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+                message: isExpired ? 'Token expired' : 'Invalid token'
             });
         }
     };
 };
 
+/**
+ * Permission authorization middleware
+ * Must run after authenticateToken. Permissions come from the per-user cache
+ * rather than the token, so role changes apply without waiting for a new token.
+ * @param {...string} permissions - Required permissions (all must be granted)
+ */
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Access denied',
+                message: 'No token provided'
+            });
+        }
+
+        try {
+            const granted = req.user.type === 'service'
+                ? req.user.permissions
+                : await permissionService.getUserPermissions(req.user.id);
+            const missing = permissions.filter(permission => !granted.includes(permission));
+
+            if (missing.length > 0) {
+                logger.warn('Authorization failed: Missing permissions', {
+                    requestId: getRequestId(),
+                    userId: req.user.id,
+                    requiredPermissions: permissions,
+                    missingPermissions: missing
+                });
+
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    code: 'INSUFFICIENT_PERMISSIONS',
+                    message: ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS
+                });
+            }
+
+            req.user.permissions = granted;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
 /**
  * Generate JWT token
+ * @param {Object} payload - User record
+ * @param {Object} options - Session (refresh token family) the token belongs to
  */
-export const generateToken = (payload) => {
-    return jwt.sign(
+export const generateToken = (payload, options = {}) => {
+    const { sessionId = null } = options;
+
+    return signToken(
         {
             userId: payload.id,
             email: payload.email,
             role: payload.role,
-            permissions: payload.permissions
+            permissions: payload.permissions,
+            emailVerified: payload.email_verified === true,
+            sessionId,
+            // `iat` is whole seconds; revocation cut-offs compare against this instead
+            issuedAtMs: Date.now()
         },
         config.jwt.secret,
         {
+            jwtid: generateUUID(),
             expiresIn: config.jwt.expiresIn,
             issuer: config.jwt.issuer,
             audience: config.jwt.audience
@@ -115,18 +350,86 @@ export const generateToken = (payload) => {
 
 /**
  * Generate refresh token
+ * @param {Object} payload - User record
+ * @param {Object} options - Token id (jti) and token family id
  */
-export const generateRefreshToken = (payload) => {
-    return jwt.sign(
+export const generateRefreshToken = (payload, options = {}) => {
+    const { jti = generateUUID(), familyId = null } = options;
+
+    return signToken(
         {
             userId: payload.id,
-            tokenType: 'refresh'
+            tokenType: 'refresh',
+            familyId
         },
         config.jwt.refreshSecret,
         {
+            jwtid: jti,
             expiresIn: config.jwt.refreshExpiresIn,
             issuer: config.jwt.issuer,
             audience: config.jwt.audience
         }
     );
-};
\ No newline at end of file
+};
+
+/**
+ * Verify refresh token signature, expiry and type
+ * @param {string} token - Refresh token
+ * @returns {Object} Decoded token payload
+ */
+export const verifyRefreshToken = (token) => {
+    const decoded = verifyToken(token, config.jwt.refreshSecret, {
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience
+    });
+
+    if (decoded.tokenType !== 'refresh') {
+        throw new jwt.JsonWebTokenError('Token is not a refresh token');
+    }
+
+    return decoded;
+};
+
+/**
+ * Generate a two-factor login challenge token
+ * Issued after a correct password when 2FA is enabled; uses its own audience so
+ * it is never accepted as an access token.
+ * @param {Object} payload - User record
+ * @param {Object} options - Login options carried to the second step ({ rememberMe })
+ */
+export const generateChallengeToken = (payload, options = {}) => {
+    const { rememberMe = false } = options;
+
+    return signToken(
+        {
+            userId: payload.id,
+            tokenType: '2fa_challenge',
+            rememberMe
+        },
+        config.jwt.secret,
+        {
+            jwtid: generateUUID(),
+            expiresIn: config.twoFactor.challengeExpiresIn,
+            issuer: config.jwt.issuer,
+            audience: `${config.jwt.audience}:2fa`
+        }
+    );
+};
+
+/**
+ * Verify a two-factor login challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded token payload
+ */
+export const verifyChallengeToken = (token) => {
+    const decoded = verifyToken(token, config.jwt.secret, {
+        issuer: config.jwt.issuer,
+        audience: `${config.jwt.audience}:2fa`
+    });
+
+    if (decoded.tokenType !== '2fa_challenge') {
+        throw new jwt.JsonWebTokenError('Token is not a two-factor challenge token');
+    }
+
+    return decoded;
+};
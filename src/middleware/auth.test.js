@@ -0,0 +1,84 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+import { authenticateToken, generateToken } from './auth.js';
+import { errorHandler } from './errorHandler.js';
+
+describe('authenticateToken', () => {
+    let db;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+    });
+
+    afterAll(teardownDatabase);
+
+    describe('requireVerified', () => {
+        const app = express();
+        app.get('/verified', authenticateToken({ requireVerified: true }), (req, res) => res.json({ ok: true }));
+        app.use(errorHandler);
+
+        const get = (accessToken) => request(app).get('/verified').set('Authorization', `Bearer ${accessToken}`);
+
+        test('denies users whose address is not verified', async () => {
+            const user = await createUser({ email_verified: false });
+
+            const response = await get(generateToken(user));
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+        });
+
+        test('admits a token issued before the address was verified', async () => {
+            const user = await createUser({ email_verified: false });
+            const accessToken = generateToken(user);
+
+            await db.query('UPDATE users SET email_verified = TRUE WHERE id = $1', [user.id]);
+
+            expect((await get(accessToken)).status).toBe(200);
+        });
+    });
+
+    describe('token types', () => {
+        test('rejects a refresh token on a protected route', async () => {
+            const app = createTestApp();
+            const session = await login(app, await createUser());
+
+            const response = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${session.refreshToken}`);
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('INVALID_TOKEN');
+            expect((await request(app).get('/api/users/profile').set('Authorization', `Bearer ${session.accessToken}`)).status).toBe(200);
+        });
+    });
+
+    describe('optional authentication', () => {
+        const app = express();
+        app.get('/optional', authenticateToken({ required: false }), (req, res) => res.json({ userId: req.user?.id ?? null }));
+        app.use(errorHandler);
+
+        test('leaves a request with an invalid API key anonymous', async () => {
+            const response = await request(app).get('/optional').set('X-API-Key', `pk_${'0'.repeat(43)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.userId).toBeNull();
+        });
+
+        test('leaves a request with an invalid token anonymous', async () => {
+            const response = await request(app).get('/optional').set('Authorization', 'Bearer not-a-token');
+
+            expect(response.status).toBe(200);
+            expect(response.body.userId).toBeNull();
+        });
+
+        test('authenticates a valid token', async () => {
+            const user = await createUser();
+
+            const response = await request(app).get('/optional').set('Authorization', `Bearer ${generateToken(user)}`);
+
+            expect(response.body.userId).toBe(user.id);
+        });
+    });
+});
@@ -11,10 +11,11 @@ debugErrorHandler('Loading errorHandler middleware');
  * Custom error class for application errors
  */
 export class AppError extends Error {
-    constructor (message, statusCode = 500, isOperational = true) {
+    constructor (message, statusCode = 500, isOperational = true, code = null) {
         super(message);
         this.statusCode = statusCode;
         this.isOperational = isOperational;
+        this.code = code;
         this.name = this.constructor.name;
 
         Error.captureStackTrace(this, this.constructor);
@@ -99,6 +100,7 @@ export const errorHandler = (error, req, res, next) => {
     const response = {
         error: true,
         message: message,
+        ...(error instanceof AppError && error.code && { code: error.code }),
         requestId: getRequestId(),
         timestamp: new Date().toISOString()
     };
@@ -109,6 +111,11 @@ export const errorHandler = (error, req, res, next) => {
         response.details = error;
     }
 
+    // Lockouts and throttles tell the client when to retry
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
     // Send error response
     res.status(statusCode).json(response);
 };
@@ -0,0 +1,107 @@
+import logger from '../config/logger.js';
+import { idempotencyService } from '../services/idempotencyService.js';
+import { AppError } from './errorHandler.js';
+import { getRequestId } from './requestTracker.js';
+import debug from 'debug';
+
+const debugIdempotency = debug('app:idempotencyMiddleware');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header
+ *
+ * The first request with a key runs, and its JSON response is stored for
+ * config.idempotency.ttl. Repeats of the same request with that key get the stored
+ * response back, marked with `Idempotent-Replayed: true`. A repeat while the first
+ * request is still running gets 409, and the same key on a different request 422.
+ * 5xx responses are not stored, so those requests can be retried.
+ *
+ * Keys are scoped to the authenticated user, or to the client IP address where
+ * there is none, so one client cannot replay another's response. Place after
+ * authenticateToken and validation. Routes opt in by adding the middleware.
+ *
+ * @param {Object} options - Idempotency options
+ * @param {boolean} [options.required] - Reject requests without the header (default: false)
+ * @returns {Function} Express middleware
+ */
+export const idempotent = (options = {}) => {
+    const { required = false } = options;
+
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+
+        try {
+            if (key === undefined) {
+                if (required) {
+                    throw new AppError('Idempotency-Key header is required', 400, true, 'IDEMPOTENCY_KEY_REQUIRED');
+                }
+                return next();
+            }
+
+            if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+                throw new AppError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, 400, true, 'INVALID_IDEMPOTENCY_KEY');
+            }
+
+            const scope = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+            const keyHash = idempotencyService.keyHash(key, scope);
+            const fingerprint = idempotencyService.fingerprint({
+                method: req.method,
+                path: req.originalUrl,
+                body: req.body
+            });
+
+            const existing = await idempotencyService.claim(keyHash, fingerprint);
+
+            if (existing) {
+                if (existing.fingerprint !== fingerprint) {
+                    throw new AppError('Idempotency-Key was already used for a different request', 422, true, 'IDEMPOTENCY_KEY_REUSED');
+                }
+
+                if (existing.status === 'processing') {
+                    res.set('Retry-After', '1');
+                    throw new AppError('A request with this Idempotency-Key is still in progress', 409, true, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+                }
+
+                debugIdempotency('Replaying stored response', { keyHash, status: existing.responseStatus });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            let settled = false;
+
+            const settle = (write) => {
+                settled = true;
+                write.catch(error => {
+                    // The key lapses after lockTimeout, so a retry can still run
+                    logger.error('Idempotency key update failed:', {
+                        error: error.message,
+                        requestId: getRequestId()
+                    });
+                });
+            };
+
+            // Store when the response is written, even if the client has gone away by then
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (!settled) {
+                    settle(res.statusCode < 500
+                        ? idempotencyService.complete(keyHash, fingerprint, { responseStatus: res.statusCode, responseBody: body })
+                        : idempotencyService.release(keyHash));
+                }
+                return json(body);
+            };
+
+            // Responses other than JSON are not replayed
+            res.on('finish', () => {
+                if (!settled) {
+                    settle(idempotencyService.release(keyHash));
+                }
+            });
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
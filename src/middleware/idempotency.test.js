@@ -0,0 +1,210 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { idempotent } from './idempotency.js';
+import { errorHandler } from './errorHandler.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login, resetRateLimits } from '../../test/helpers/app.js';
+
+describe('idempotency', () => {
+    let db;
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    afterAll(teardownDatabase);
+
+    const as = ({ accessToken }) => ({
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body)
+    });
+
+    let sequence = 0;
+    const employee = () => {
+        sequence++;
+        return {
+            emp_id: `I${sequence}`,
+            first_name: 'Ada',
+            last_name: 'Lovelace',
+            email: `idempotency${sequence}@example.com`
+        };
+    };
+
+    const employeesWith = async (email) => (await db.query('SELECT id FROM employee WHERE email = $1', [email])).rows;
+
+    test('replays the response of a repeated create', async () => {
+        const body = employee();
+
+        const created = await as(admin).post('/api/employees', body).set('Idempotency-Key', 'create-1');
+        const repeated = await as(admin).post('/api/employees', body).set('Idempotency-Key', 'create-1');
+
+        expect(created.status).toBe(201);
+        expect(created.headers['idempotent-replayed']).toBeUndefined();
+        expect(repeated.status).toBe(201);
+        expect(repeated.headers['idempotent-replayed']).toBe('true');
+        expect(repeated.body.data).toEqual(created.body.data);
+        expect(await employeesWith(body.email)).toHaveLength(1);
+    });
+
+    test('replays a repeated registration', async () => {
+        const body = { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'Password123!', confirmPassword: 'Password123!', terms: true };
+
+        await resetRateLimits();
+        const registered = await request(app).post('/api/auth/register').set('Idempotency-Key', 'register-1').send(body);
+        const repeated = await request(app).post('/api/auth/register').set('Idempotency-Key', 'register-1').send(body);
+
+        expect(registered.status).toBe(201);
+        expect(repeated.status).toBe(201);
+        expect(repeated.headers['idempotent-replayed']).toBe('true');
+        expect(repeated.body.user.id).toBe(registered.body.user.id);
+    });
+
+    test('does not store an unkeyed hash of a registration body', async () => {
+        const body = { firstName: 'Alan', lastName: 'Turing', email: 'alan@example.com', password: 'Password123!', confirmPassword: 'Password123!', terms: true };
+
+        await resetRateLimits();
+        await request(app).post('/api/auth/register').set('Idempotency-Key', 'register-2').send(body);
+
+        const { rows } = await db.query('SELECT fingerprint FROM idempotency_keys');
+        const unkeyed = crypto.createHash('sha256').update(JSON.stringify(['POST', '/api/auth/register', body])).digest('hex');
+        expect(rows.length).toBeGreaterThan(0);
+        expect(rows.map(row => row.fingerprint)).not.toContain(unkeyed);
+    });
+
+    test('replays a repeated bulk operation', async () => {
+        const { body: { data } } = await as(admin).post('/api/employees', employee());
+        const bulk = { operation: 'update', ids: [data.id], data: { department: 'Research' } };
+
+        const first = await as(admin).post('/api/employees/bulk', bulk).set('Idempotency-Key', 'bulk-1');
+        const repeated = await as(admin).post('/api/employees/bulk', bulk).set('Idempotency-Key', 'bulk-1');
+
+        expect(repeated.headers['idempotent-replayed']).toBe('true');
+        expect(repeated.body).toEqual(first.body);
+    });
+
+    test('rejects a key used for a different request', async () => {
+        await as(admin).post('/api/employees', employee()).set('Idempotency-Key', 'create-2');
+
+        const reused = await as(admin).post('/api/employees', employee()).set('Idempotency-Key', 'create-2');
+
+        expect(reused.status).toBe(422);
+        expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('scopes keys to the user', async () => {
+        const other = await login(app, await createUser({ role: 'admin' }));
+        const body = employee();
+
+        await as(admin).post('/api/employees', body).set('Idempotency-Key', 'create-3');
+        const theirs = await as(other).post('/api/employees', body).set('Idempotency-Key', 'create-3');
+
+        expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+        expect(theirs.status).not.toBe(201);
+    });
+
+    test('leaves routes that did not opt in alone', async () => {
+        const { body: { data } } = await as(admin).post('/api/employees', employee());
+
+        const first = await as(admin).put(`/api/employees/${data.id}`, { department: 'Research' }).set('Idempotency-Key', 'update-1');
+        const second = await as(admin).put(`/api/employees/${data.id}`, { department: 'Research' }).set('Idempotency-Key', 'update-1');
+
+        expect(second.headers['idempotent-replayed']).toBeUndefined();
+        expect(second.body.data.version).toBe(first.body.data.version + 1);
+    });
+
+    describe('without a user', () => {
+        const open = express();
+        let runs = 0;
+
+        open.set('trust proxy', true);
+        open.use(express.json());
+        open.post('/', idempotent(), (req, res) => {
+            runs++;
+            res.status(201).json({ run: runs });
+        });
+        open.use(errorHandler);
+
+        const from = (ip) => request(open).post('/').set('X-Forwarded-For', ip).set('Idempotency-Key', 'anonymous-1').send({ same: true });
+
+        test('scopes keys to the client address', async () => {
+            const first = await from('203.0.113.1');
+            const repeated = await from('203.0.113.1');
+            const other = await from('203.0.113.2');
+
+            expect(repeated.headers['idempotent-replayed']).toBe('true');
+            expect(other.headers['idempotent-replayed']).toBeUndefined();
+            expect(other.body.run).not.toBe(first.body.run);
+        });
+    });
+
+    describe('in flight', () => {
+        const gated = express();
+        let release;
+        let runs = 0;
+
+        gated.use(express.json());
+        gated.post('/', idempotent(), async (req, res, next) => {
+            runs++;
+            try {
+                await new Promise(resolve => { release = resolve; });
+                if (req.body.fail) {
+                    return res.status(503).json({ success: false });
+                }
+                res.status(201).json({ success: true, run: runs });
+            } catch (error) {
+                next(error);
+            }
+        });
+        gated.use(errorHandler);
+
+        const send = (key, body = {}) => request(gated).post('/').set('Idempotency-Key', key).send(body);
+
+        const started = async () => {
+            while (!release) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        };
+
+        test('answers 409 while the first request runs', async () => {
+            release = null;
+            const first = send('flight-1').then(response => response);
+            await started();
+
+            const concurrent = await send('flight-1');
+            expect(concurrent.status).toBe(409);
+            expect(concurrent.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+            expect(concurrent.headers['retry-after']).toBe('1');
+
+            release();
+            expect((await first).status).toBe(201);
+            expect((await send('flight-1')).headers['idempotent-replayed']).toBe('true');
+        });
+
+        test('lets a request that failed on the server be retried', async () => {
+            release = null;
+            const failed = send('flight-2', { fail: true }).then(response => response);
+            await started();
+            release();
+            expect((await failed).status).toBe(503);
+
+            release = null;
+            const retried = send('flight-2', { fail: true }).then(response => response);
+            await started();
+            release();
+
+            const response = await retried;
+            expect(response.status).toBe(503);
+            expect(response.headers['idempotent-replayed']).toBeUndefined();
+        });
+
+        test('checks the header', async () => {
+            expect((await send('x'.repeat(256))).body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+        });
+    });
+});
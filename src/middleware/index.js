@@ -3,7 +3,7 @@ import { securityMiddleware } from './security.js';
 import { rateLimiter } from './rateLimiter.js';
 import { errorHandler, notFoundHandler } from './errorHandler.js';
 import { validationErrorHandler } from './validation.js';
-import { authenticateToken } from './auth.js';
+import { authenticateToken, requirePermission } from './auth.js';
 import { strictRateLimiter } from './rateLimiter.js';
 
-export { requestTracker, securityMiddleware, rateLimiter, errorHandler, notFoundHandler, validationErrorHandler, authenticateToken, strictRateLimiter };
\ No newline at end of file
+export { requestTracker, securityMiddleware, rateLimiter, errorHandler, notFoundHandler, validationErrorHandler, authenticateToken, requirePermission, strictRateLimiter };
\ No newline at end of file
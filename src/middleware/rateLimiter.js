@@ -2,6 +2,7 @@ import rateLimit from 'express-rate-limit';
 import config from '../config/index.js';
 import logger from '../config/logger.js';
 import { getRedisClient } from '../config/redis.js';
+import { resolveApiKey } from './auth.js';
 import debug from 'debug';
 
 const debugRateLimiter = debug('app:rateLimiter');
@@ -62,9 +63,39 @@ class RedisStore {
 }
 
 /**
- * Main rate limiter
+ * API key lookup limiter
+ * Counts requests whose X-API-Key header does not resolve to an active key against
+ * the IP, and runs before the lookup, so sending random keys neither escapes the
+ * IP's bucket nor buys unlimited database lookups.
  */
-export const rateLimiter = rateLimit({
+const apiKeyLookupLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.maxApiKeyFailures,
+    standardHeaders: false,
+    legacyHeaders: false,
+    keyGenerator: (req) => req.ip,
+    skip: (req) => !req.get('X-API-Key'),
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req) => Boolean(req.apiKey),
+
+    handler: (req, res) => {
+        logger.warn('API key lookup rate limit exceeded:', {
+            ip: req.ip,
+            path: req.path
+        });
+
+        res.status(429).json({
+            error: 'Too many requests',
+            message: 'Too many requests with an invalid API key',
+            retryAfter: Math.ceil(config.rateLimit.windowMs / 1000)
+        });
+    }
+});
+
+/**
+ * Request limiter
+ */
+const requestLimiter = rateLimit({
     windowMs: config.rateLimit.windowMs,
     max: config.rateLimit.maxRequests,
     message: {
@@ -78,9 +109,11 @@ export const rateLimiter = rateLimit({
     // Use Redis store if available and Redis is enabled
     store: (process.env.NODE_ENV === 'production' && config.redis.enabled) ? new RedisStore() : undefined,
 
-    // Custom key generator
-    keyGenerator: (req) => {
-        return req.user?.id || req.ip;
+    // Custom key generator: each valid API key gets its own bucket; anything else,
+    // including an invalid key, counts against the IP
+    keyGenerator: async (req) => {
+        const apiKey = await resolveApiKey(req);
+        return apiKey ? `apikey:${apiKey.id}` : req.ip;
     },
 
     // Skip function for certain requests
@@ -112,6 +145,11 @@ export const rateLimiter = rateLimit({
     }
 });
 
+/**
+ * Main rate limiter
+ */
+export const rateLimiter = [apiKeyLookupLimiter, requestLimiter];
+
 /**
  * Strict rate limiter for sensitive endpoints
  */
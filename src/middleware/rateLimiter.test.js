@@ -0,0 +1,53 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import config from '../config/index.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+import { rateLimiter } from './rateLimiter.js';
+
+describe('rateLimiter', () => {
+    const app = express();
+    app.use(rateLimiter);
+    app.get('/', (req, res) => res.json({ ok: true }));
+
+    const remaining = (response) => Number(response.headers['ratelimit-remaining']);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('counts requests with invalid API keys against the IP', async () => {
+        jest.spyOn(apiKeyService, 'authenticate').mockResolvedValue(null);
+
+        const anonymous = await request(app).get('/');
+        const first = await request(app).get('/').set('X-API-Key', 'pk_first');
+        const second = await request(app).get('/').set('X-API-Key', 'pk_second');
+
+        expect(remaining(first)).toBe(remaining(anonymous) - 1);
+        expect(remaining(second)).toBe(remaining(anonymous) - 2);
+    });
+
+    test('gives each valid API key its own bucket', async () => {
+        jest.spyOn(apiKeyService, 'authenticate').mockImplementation(async (apiKey) => ({ id: apiKey }));
+
+        await request(app).get('/').set('X-API-Key', 'pk_first');
+        const first = await request(app).get('/').set('X-API-Key', 'pk_first');
+        const second = await request(app).get('/').set('X-API-Key', 'pk_second');
+
+        expect(remaining(first)).toBe(config.rateLimit.maxRequests - 2);
+        expect(remaining(second)).toBe(config.rateLimit.maxRequests - 1);
+    });
+
+    test('stops looking up keys for an IP that keeps sending invalid ones', async () => {
+        const authenticate = jest.spyOn(apiKeyService, 'authenticate').mockResolvedValue(null);
+
+        let limited;
+        for (let i = 0; i <= config.rateLimit.maxApiKeyFailures && limited?.status !== 429; i++) {
+            authenticate.mockClear();
+            limited = await request(app).get('/').set('X-API-Key', `pk_random${i}`);
+        }
+
+        expect(limited.status).toBe(429);
+        expect(authenticate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,130 @@
+import multer from 'multer';
+import fs from 'fs-extra';
+import path from 'path';
+import debug from 'debug';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { AppError } from './errorHandler.js';
+import { generateUUID } from '../utils/crypto.js';
+
+const debugUpload = debug('app:upload');
+
+debugUpload('Loading upload middleware');
+
+// Leading bytes of binary formats as [offset, hex] pairs; text formats have none
+const SIGNATURES = [
+    { type: 'image/jpeg', parts: [[0, 'ffd8ff']] },
+    { type: 'image/png', parts: [[0, '89504e470d0a1a0a']] },
+    { type: 'image/gif', parts: [[0, '47494638']] },
+    { type: 'image/webp', parts: [[0, '52494646'], [8, '57454250']] },
+    { type: 'application/pdf', parts: [[0, '255044462d']] },
+    { type: 'application/zip', parts: [[0, '504b0304']] }
+];
+
+const SIGNED_TYPES = new Set(SIGNATURES.map(signature => signature.type));
+
+const HEADER_LENGTH = 16;
+
+/**
+ * Detect a file type from its first bytes
+ * @param {Buffer} header - Start of the file
+ * @returns {string|null} MIME type, or null when no known signature matches
+ */
+export const detectFileType = (header) => {
+    const match = SIGNATURES.find(({ parts }) => parts.every(([offset, hex]) => {
+        const bytes = Buffer.from(hex, 'hex');
+        return header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes);
+    }));
+
+    return match ? match.type : null;
+};
+
+/**
+ * Check the content of a stored upload against the allowed types
+ * The client's Content-Type is only trusted for types without a signature, and
+ * never when the content carries the signature of another type.
+ * @returns {Promise<string|null>} Verified MIME type, or null when not allowed
+ */
+const verifyFileType = async (file, allowedTypes) => {
+    const handle = await fs.promises.open(file.path, 'r');
+    let header;
+
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_LENGTH), 0, HEADER_LENGTH, 0);
+        header = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const type = detectFileType(header) || (SIGNED_TYPES.has(file.mimetype) ? null : file.mimetype);
+    return type && allowedTypes.includes(type) ? type : null;
+};
+
+/**
+ * Accept a single multipart file, stored in a temporary directory under config.upload.destination
+ * Both the declared type and the file content must match allowedTypes; req.file.mimetype
+ * is the verified type. The stored file is removed once the response is done; handlers
+ * that keep the file must move it elsewhere. Other form fields end up in req.body.
+ * @param {string} field - Form field holding the file
+ * @param {Object} options - { allowedTypes, maxFileSize, destination } (default: config.upload)
+ */
+export const uploadFile = (field, options = {}) => {
+    const {
+        allowedTypes = config.upload.allowedTypes,
+        maxFileSize = config.upload.maxFileSize,
+        destination = path.join(config.upload.destination, 'tmp')
+    } = options;
+
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: (req, file, cb) => {
+                fs.ensureDir(destination).then(() => cb(null, destination), cb);
+            },
+            // Never trust the client file name on disk
+            filename: (req, file, cb) => cb(null, generateUUID())
+        }),
+        limits: {
+            fileSize: maxFileSize,
+            files: 1
+        },
+        fileFilter: (req, file, cb) => {
+            if (!allowedTypes.includes(file.mimetype)) {
+                return cb(new AppError(`File type '${file.mimetype}' is not allowed`, 415, true, 'UNSUPPORTED_FILE_TYPE'));
+            }
+            cb(null, true);
+        }
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (req.file) {
+                res.on('close', () => {
+                    fs.remove(req.file.path).catch(removeError => {
+                        logger.warn('Failed to remove uploaded file:', { error: removeError.message });
+                    });
+                });
+            }
+
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return next(new AppError(`File is larger than ${maxFileSize} bytes`, 413, true, 'FILE_TOO_LARGE'));
+                }
+                return next(new AppError(error.message, 400, true, error.code));
+            }
+
+            if (error || !req.file) {
+                return next(error);
+            }
+
+            verifyFileType(req.file, allowedTypes).then(type => {
+                if (!type) {
+                    return next(new AppError('File content does not match an allowed type', 415, true, 'UNSUPPORTED_FILE_TYPE'));
+                }
+
+                req.file.mimetype = type;
+                debugUpload('File uploaded', { field, size: req.file.size, mimetype: type });
+                next();
+            }, next);
+        });
+    };
+};
@@ -41,7 +41,12 @@ export const validate = (schema, property = 'body') => {
         }
 
         // Replace request property with validated and sanitized value
-        req[property] = value;
+        if (property === 'query') {
+            // Express 5 exposes req.query through a getter only
+            Object.defineProperty(req, 'query', { value, writable: true, enumerable: true, configurable: true });
+        } else {
+            req[property] = value;
+        }
         debugValidation(`Validation passed for ${property}`);
         next();
     };
@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+    createApiKeySchema,
+    updateApiKeySchema,
+    apiKeyQuerySchema,
+    apiKeyIdSchema
+} from '../schemas/apiKeySchemas.js';
+import {
+    getApiKeys,
+    getApiKeyById,
+    createApiKey,
+    updateApiKey,
+    revokeApiKey
+} from '../controllers/apiKeyController.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugApiKeysRoutes = debug('app:apiKeysRoutes');
+
+debugApiKeysRoutes('Loading apiKeysRoutes');
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys
+ * @access  Private (api_keys:manage)
+ */
+router.get('/',
+    authenticateToken({ requireVerified: true }),
+    requirePermission('api_keys:manage'),
+    validate(apiKeyQuerySchema, 'query'),
+    asyncHandler(getApiKeys)
+);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get API key by ID
+ * @access  Private (api_keys:manage)
+ */
+router.get('/:id',
+    authenticateToken({ requireVerified: true }),
+    requirePermission('api_keys:manage'),
+    validate(apiKeyIdSchema, 'params'),
+    asyncHandler(getApiKeyById)
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the plaintext key is only returned once
+ * @access  Private (api_keys:manage)
+ */
+router.post('/',
+    authenticateToken({ requireVerified: true }),
+    requirePermission('api_keys:manage'),
+    validate(createApiKeySchema),
+    asyncHandler(createApiKey)
+);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Update name, scopes or expiry of an API key
+ * @access  Private (api_keys:manage)
+ */
+router.put('/:id',
+    authenticateToken({ requireVerified: true }),
+    requirePermission('api_keys:manage'),
+    validate(apiKeyIdSchema, 'params'),
+    validate(updateApiKeySchema),
+    asyncHandler(updateApiKey)
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api_keys:manage)
+ */
+router.delete('/:id',
+    authenticateToken({ requireVerified: true }),
+    requirePermission('api_keys:manage'),
+    validate(apiKeyIdSchema, 'params'),
+    asyncHandler(revokeApiKey)
+);
+
+export default router;
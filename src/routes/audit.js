@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { auditQuerySchema } from '../schemas/auditSchemas.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugAuditRoutes = debug('app:auditRoutes');
+
+debugAuditRoutes('Loading auditRoutes');
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit log entries with table, recordId, operation, column, userId,
+ *          requestId and from/to filters
+ * @access  Private (audit:read)
+ */
+router.get('/',
+    authenticateToken(),
+    requirePermission('audit:read'),
+    validate(auditQuerySchema, 'query'),
+    asyncHandler(getAuditLog)
+);
+
+export default router;
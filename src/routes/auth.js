@@ -2,13 +2,21 @@ import { Router } from 'express';
 import { validate } from '../middleware/validation.js';
 import { authenticateToken, strictRateLimiter } from '../middleware/index.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
     registerSchema,
     loginSchema,
     forgotPasswordSchema,
     resetPasswordSchema,
     changePasswordSchema,
-    refreshTokenSchema
+    refreshTokenSchema,
+    logoutSchema,
+    resendVerificationSchema,
+    sessionIdSchema,
+    twoFactorCodeSchema,
+    twoFactorVerifySchema,
+    oidcProviderSchema,
+    oidcCallbackSchema
 } from '../schemas/authSchemas.js';
 import {
     register,
@@ -18,8 +26,25 @@ import {
     forgotPassword,
     resetPassword,
     changePassword,
-    verifyEmail
+    verifyEmail,
+    resendVerification,
+    verifyTwoFactor,
+    getOidcProviders,
+    startOidcLogin,
+    oidcCallback
 } from '../controllers/authController.js';
+import {
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
+} from '../controllers/sessionController.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
 import debug from 'debug';
 
 const router = Router();
@@ -30,12 +55,13 @@ debugAuthRoutes('Loading authRoutes');
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user (Idempotency-Key aware)
  * @access  Public
  */
 router.post('/register',
     strictRateLimiter,
     validate(registerSchema),
+    idempotent(),
     asyncHandler(register)
 );
 
@@ -50,6 +76,48 @@ router.post('/login',
     asyncHandler(login)
 );
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a two-factor or recovery code
+ * @access  Public
+ */
+router.post('/2fa/verify',
+    strictRateLimiter,
+    validate(twoFactorVerifySchema),
+    asyncHandler(verifyTwoFactor)
+);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured social login providers
+ * @access  Public
+ */
+router.get('/oidc/providers',
+    asyncHandler(getOidcProviders)
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider
+ * @desc    Redirect to a social login provider (OIDC with PKCE)
+ * @access  Public
+ */
+router.get('/oidc/:provider',
+    strictRateLimiter,
+    validate(oidcProviderSchema, 'params'),
+    asyncHandler(startOidcLogin)
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Complete social login after the provider redirects back
+ * @access  Public
+ */
+router.get('/oidc/:provider/callback',
+    validate(oidcProviderSchema, 'params'),
+    validate(oidcCallbackSchema, 'query'),
+    asyncHandler(oidcCallback)
+);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
@@ -57,7 +125,7 @@ router.post('/login',
  */
 router.post('/logout',
     authenticateToken(),
-    validate(refreshTokenSchema),
+    validate(logoutSchema),
     asyncHandler(logout)
 );
 
@@ -113,6 +181,17 @@ router.get('/verify-email/:token',
     asyncHandler(verifyEmail)
 );
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend email verification link
+ * @access  Public
+ */
+router.post('/resend-verification',
+    strictRateLimiter,
+    validate(resendVerificationSchema),
+    asyncHandler(resendVerification)
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user info
@@ -128,4 +207,91 @@ router.get('/me',
     })
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get('/sessions',
+    authenticateToken(),
+    asyncHandler(getSessions)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session of the current user
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+    authenticateToken(),
+    validate(sessionIdSchema, 'params'),
+    asyncHandler(revokeSession)
+);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out everywhere except the current session
+ * @access  Private
+ */
+router.delete('/sessions',
+    authenticateToken(),
+    asyncHandler(revokeOtherSessions)
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
+ */
+router.get('/2fa',
+    authenticateToken(),
+    asyncHandler(getTwoFactorStatus)
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns otpauth URI and QR code)
+ * @access  Private (verified email)
+ */
+router.post('/2fa/setup',
+    authenticateToken({ requireVerified: true }),
+    asyncHandler(setupTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/confirm',
+    authenticateToken(),
+    strictRateLimiter,
+    validate(twoFactorCodeSchema),
+    asyncHandler(confirmTwoFactor)
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+    authenticateToken(),
+    strictRateLimiter,
+    validate(twoFactorCodeSchema),
+    asyncHandler(regenerateRecoveryCodes)
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable',
+    authenticateToken(),
+    strictRateLimiter,
+    validate(twoFactorCodeSchema),
+    asyncHandler(disableTwoFactor)
+);
+
 export default router;
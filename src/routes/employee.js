@@ -1,9 +1,47 @@
-import { Router } from 'express';
-import { getEmployees } from '../controllers/employeeController.js';
+import { validate } from '../middleware/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { createResourceRouter } from './resourceRouter.js';
+import { employeeSearchSchema } from '../schemas/employeeSchemas.js';
+import { searchEmployees, getEmployeeSchema } from '../controllers/employeeController.js';
+import debug from 'debug';
 
-const router = Router();
+const debugEmployeeRoutes = debug('app:employeeRoutes');
 
-router.get('/', asyncHandler(getEmployees));
+debugEmployeeRoutes('Loading employeeRoutes');
 
-export default router;
\ No newline at end of file
+/**
+ * Employee routes
+ * List, get, create, update, delete, bulk, stats, history and revert come from
+ * createResourceRouter; see routes/resourceRouter.js. Access is controlled by
+ * employees:read|write|delete.
+ */
+const employeeRouter = createResourceRouter('employee', {
+    resourceName: 'employees',
+    history: true,
+    searchFields: ['first_name', 'last_name', 'email', 'emp_id', 'name'],
+    statsGroupBy: ['status', 'department'],
+    routes: (router, { guard, permissions }) => {
+        /**
+         * @route   GET /api/employees/search
+         * @desc    Search employees across name, email, ID and phone
+         * @access  Private (employees:read)
+         */
+        router.get('/search',
+            ...guard(permissions.read),
+            validate(employeeSearchSchema, 'query'),
+            asyncHandler(searchEmployees)
+        );
+
+        /**
+         * @route   GET /api/employees/schema
+         * @desc    Employee table columns and features
+         * @access  Private (employees:read)
+         */
+        router.get('/schema',
+            ...guard(permissions.read),
+            asyncHandler(getEmployeeSchema)
+        );
+    }
+});
+
+export default employeeRouter;
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('/api/employees', () => {
+    let app;
+    let admin;
+    let moderator;
+    let user;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+        moderator = await login(app, await createUser({ role: 'moderator' }));
+        user = await login(app, await createUser());
+    });
+
+    afterAll(teardownDatabase);
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    let sequence = 0;
+    const employee = (overrides = {}) => {
+        sequence++;
+        return {
+            emp_id: `E${String(sequence).padStart(4, '0')}`,
+            first_name: 'Ada',
+            last_name: `Lovelace${sequence}`,
+            email: `employee${sequence}@example.com`,
+            department: 'Engineering',
+            salary: 5000,
+            ...overrides
+        };
+    };
+
+    test('creates, reads, updates and deletes an employee', async () => {
+        const created = await as(admin).post('/api/employees', employee());
+        expect(created.status).toBe(201);
+        const { id } = created.body.data;
+
+        const fetched = await as(admin).get(`/api/employees/${id}`);
+        expect(fetched.status).toBe(200);
+        expect(fetched.body.data.first_name).toBe('Ada');
+
+        const updated = await as(admin).put(`/api/employees/${id}`, { department: 'Research' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.data.department).toBe('Research');
+
+        expect((await as(admin).delete(`/api/employees/${id}`)).status).toBe(200);
+        expect((await as(admin).get(`/api/employees/${id}`)).status).toBe(404);
+    });
+
+    test('lets unverified users read but not write', async () => {
+        const unverified = await login(app, await createUser({ role: 'admin', email_verified: false }));
+
+        expect((await as(unverified).get('/api/employees')).status).toBe(200);
+
+        const created = await as(unverified).post('/api/employees', employee());
+        expect(created.status).toBe(403);
+        expect(created.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+        expect((await as(unverified).post('/api/api-keys', { name: 'Unverified', scopes: [] })).status).toBe(403);
+    });
+
+    test('lists and searches employees', async () => {
+        await as(admin).post('/api/employees', employee({ first_name: 'Grace', last_name: 'Hopper' }));
+
+        const list = await as(admin).get('/api/employees?limit=5');
+        expect(list.status).toBe(200);
+        expect(list.body.data.length).toBeGreaterThan(0);
+
+        const search = await as(admin).get('/api/employees/search?q=hopper');
+        expect(search.status).toBe(200);
+        expect(search.body.data.map(row => row.last_name)).toEqual(['Hopper']);
+
+        const filtered = await as(admin).get(`/api/employees/search?q=hopper&filters=${encodeURIComponent('{"department":"Research"}')}`);
+        expect(filtered.status).toBe(200);
+        expect(filtered.body.data).toEqual([]);
+    });
+
+    test('validates the body against the table', async () => {
+        const missing = await as(admin).post('/api/employees', { email: 'no-name@example.com' });
+        expect(missing.status).toBe(422);
+
+        const tooLong = await as(admin).post('/api/employees', employee({ phone: '1'.repeat(30) }));
+        expect(tooLong.status).toBe(422);
+    });
+
+    test('lets read-only roles read but not write', async () => {
+        expect((await as(moderator).get('/api/employees')).status).toBe(200);
+        expect((await as(moderator).post('/api/employees', employee())).status).toBe(403);
+    });
+
+    test('keeps users without employee permissions out', async () => {
+        expect((await as(user).get('/api/employees')).status).toBe(403);
+        expect((await request(app).get('/api/employees')).status).toBe(401);
+    });
+});
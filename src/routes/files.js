@@ -0,0 +1,65 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadFile } from '../middleware/upload.js';
+import { fileIdSchema } from '../schemas/fileSchemas.js';
+import {
+    createFile,
+    getFile,
+    downloadFile,
+    deleteFile
+} from '../controllers/fileController.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugFilesRoutes = debug('app:filesRoutes');
+
+debugFilesRoutes('Loading filesRoutes');
+
+/**
+ * @route   POST /api/files
+ * @desc    Upload a file (multipart, `file` field); type and size follow config.upload
+ * @access  Private
+ */
+router.post('/',
+    authenticateToken(),
+    uploadFile('file'),
+    asyncHandler(createFile)
+);
+
+/**
+ * @route   GET /api/files/:id
+ * @desc    Get file metadata
+ * @access  Private (owner or files:manage)
+ */
+router.get('/:id',
+    authenticateToken(),
+    validate(fileIdSchema, 'params'),
+    asyncHandler(getFile)
+);
+
+/**
+ * @route   GET /api/files/:id/download
+ * @desc    Download file contents
+ * @access  Private (owner or files:manage)
+ */
+router.get('/:id/download',
+    authenticateToken(),
+    validate(fileIdSchema, 'params'),
+    asyncHandler(downloadFile)
+);
+
+/**
+ * @route   DELETE /api/files/:id
+ * @desc    Delete a file
+ * @access  Private (owner or files:manage)
+ */
+router.delete('/:id',
+    authenticateToken(),
+    validate(fileIdSchema, 'params'),
+    asyncHandler(deleteFile)
+);
+
+export default router;
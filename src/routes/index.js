@@ -1,9 +1,14 @@
 import { Router } from 'express';
 import authRoutes from './auth.js';
 import userRoutes from './users.js';
+import roleRoutes from './roles.js';
+import apiKeyRoutes from './apiKeys.js';
 import healthRoutes from './health.js';
 import databaseDocs from './databaseDocs.js';
 import employeeRoutes from './employee.js';
+import fileRoutes from './files.js';
+import auditRoutes from './audit.js';
+import jobRoutes from './jobs.js';
 
 const router = Router();
 
@@ -15,9 +20,14 @@ router.get('/', (req, res) => {
         endpoints: {
             auth: '/api/auth',
             users: '/api/users',
+            roles: '/api/roles',
+            apiKeys: '/api/api-keys',
             health: '/api/health',
             database: '/api/database',
-            employees: '/api/employees'
+            employees: '/api/employees',
+            files: '/api/files',
+            audit: '/api/audit',
+            jobs: '/api/jobs'
         },
         documentation: '/api/docs'
     });
@@ -26,8 +36,13 @@ router.get('/', (req, res) => {
 // Mount route modules
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
 router.use('/health', healthRoutes);
 router.use('/database', databaseDocs);
-router.use('/employee', employeeRoutes);
+router.use('/employees', employeeRoutes);
+router.use('/files', fileRoutes);
+router.use('/audit', auditRoutes);
+router.use('/jobs', jobRoutes);
 
 export default router;
\ No newline at end of file
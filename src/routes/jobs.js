@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { jobIdSchema, jobQuerySchema, jobPurgeSchema } from '../schemas/jobSchemas.js';
+import {
+    getJobs,
+    getJobStats,
+    getJob,
+    retryJob,
+    purgeJobs
+} from '../controllers/jobController.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugJobsRoutes = debug('app:jobsRoutes');
+
+debugJobsRoutes('Loading jobsRoutes');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List background jobs and dead letters with status and name filters
+ * @access  Private (jobs:read)
+ */
+router.get('/',
+    authenticateToken(),
+    requirePermission('jobs:read'),
+    validate(jobQuerySchema, 'query'),
+    asyncHandler(getJobs)
+);
+
+/**
+ * @route   GET /api/jobs/stats
+ * @desc    Job counts per name and status
+ * @access  Private (jobs:read)
+ */
+router.get('/stats',
+    authenticateToken(),
+    requirePermission('jobs:read'),
+    asyncHandler(getJobStats)
+);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get a job, including its attempts and last error
+ * @access  Private (jobs:read)
+ */
+router.get('/:id',
+    authenticateToken(),
+    requirePermission('jobs:read'),
+    validate(jobIdSchema, 'params'),
+    asyncHandler(getJob)
+);
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Run a dead or pending job again now; dead jobs start over with all their attempts
+ * @access  Private (jobs:manage)
+ */
+router.post('/:id/retry',
+    authenticateToken(),
+    requirePermission('jobs:manage'),
+    validate(jobIdSchema, 'params'),
+    asyncHandler(retryJob)
+);
+
+/**
+ * @route   DELETE /api/jobs
+ * @desc    Purge pending, completed or dead jobs, optionally of one name and from before a date
+ * @access  Private (jobs:manage)
+ */
+router.delete('/',
+    authenticateToken(),
+    requirePermission('jobs:manage'),
+    validate(jobPurgeSchema, 'query'),
+    asyncHandler(purgeJobs)
+);
+
+export default router;
@@ -0,0 +1,191 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadFile } from '../middleware/upload.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { createResourceController } from '../controllers/resourceController.js';
+import config from '../config/index.js';
+import debug from 'debug';
+
+const debugResourceRouter = debug('app:resourceRouter');
+
+/**
+ * Validate against a validator generated from the table schema
+ * The schema is only known after introspection, so validation waits for it.
+ */
+const validateResource = (controller, name, property = 'body') => {
+    return asyncHandler(async (req, res, next) => {
+        const { validators } = await controller.resolve();
+        return validate(validators[name], property)(req, res, next);
+    });
+};
+
+/**
+ * Build REST endpoints for a table
+ *
+ *   GET    /        list (page or cursor, limit, search, sort, fields, filters)
+ *   GET    /stats   counts and breakdowns
+ *   GET    /export  CSV, NDJSON or XLSX export of the list query (background job when large)
+ *   GET    /export/:jobId           background export status
+ *   GET    /export/:jobId/download  background export file
+ *   POST   /import  create or upsert records from a CSV or JSON file, with dry run
+ *                   (background job when large)
+ *   GET    /import/:jobId           background import status and report
+ *   POST   /bulk    bulk update, delete or restore (Idempotency-Key aware)
+ *   GET    /:id     get
+ *   POST   /        create (Idempotency-Key aware)
+ *   PUT    /:id     update (PATCH is the same partial update)
+ *   DELETE /:id     delete (soft unless force=true)
+ *   GET    /:id/history           previous versions (with the `history` option)
+ *   POST   /:id/revert/:version   restore a previous version (with the `history` option)
+ *
+ * Takes every option of createResourceController, plus:
+ * @param {string} tableName - Table name
+ * @param {Object} options - Resource options
+ * @param {Object} [options.permissions] - { read, write, delete, export } permission names
+ *   (default: `<resourceName>:read|write|delete|export`); null only requires authentication
+ * @param {boolean} [options.authenticate] - Require authentication (default: true)
+ * @param {Function} [options.routes] - Called with the router to add custom routes ahead of `/:id`;
+ *   gets { controller, guard, writeGuard, permissions }, writeGuard also requiring a verified email
+ * @returns {Router} Express router
+ */
+export const createResourceRouter = (tableName, options = {}) => {
+    const {
+        resourceName = tableName,
+        authenticate = true,
+        routes = null
+    } = options;
+
+    const permissions = {
+        read: `${resourceName}:read`,
+        write: `${resourceName}:write`,
+        delete: `${resourceName}:delete`,
+        export: `${resourceName}:export`,
+        ...options.permissions
+    };
+
+    const controller = createResourceController(tableName, options);
+    const router = Router();
+
+    const guardWith = (authOptions) => (...required) => {
+        const names = required.filter(Boolean);
+        if (!authenticate) {
+            return [];
+        }
+        return names.length > 0
+            ? [authenticateToken(authOptions), requirePermission(...names)]
+            : [authenticateToken(authOptions)];
+    };
+
+    const guard = guardWith({});
+    // Writes are denied to unverified users under the `restrict` login policy
+    const writeGuard = guardWith({ requireVerified: true });
+
+    router.get('/',
+        ...guard(permissions.read),
+        validateResource(controller, 'list', 'query'),
+        asyncHandler(controller.list)
+    );
+
+    router.get('/stats',
+        ...guard(permissions.read),
+        asyncHandler(controller.stats)
+    );
+
+    router.get('/export',
+        ...guard(permissions.export),
+        validateResource(controller, 'exportQuery', 'query'),
+        asyncHandler(controller.exportRecords)
+    );
+
+    router.get('/export/:jobId',
+        ...guard(permissions.export),
+        validateResource(controller, 'exportJob', 'params'),
+        asyncHandler(controller.getExport)
+    );
+
+    router.get('/export/:jobId/download',
+        ...guard(permissions.export),
+        validateResource(controller, 'exportJob', 'params'),
+        asyncHandler(controller.downloadExport)
+    );
+
+    router.post('/import',
+        ...writeGuard(permissions.write),
+        uploadFile('file', { allowedTypes: config.import.allowedTypes }),
+        validateResource(controller, 'importOptions'),
+        asyncHandler(controller.importRecords)
+    );
+
+    router.get('/import/:jobId',
+        ...guard(permissions.write),
+        validateResource(controller, 'importJob', 'params'),
+        asyncHandler(controller.getImport)
+    );
+
+    router.post('/bulk',
+        ...writeGuard(permissions.write, permissions.delete),
+        validateResource(controller, 'bulk'),
+        idempotent(),
+        asyncHandler(controller.bulk)
+    );
+
+    if (routes) {
+        routes(router, { controller, guard, writeGuard, permissions });
+    }
+
+    router.get('/:id',
+        ...guard(permissions.read),
+        validateResource(controller, 'id', 'params'),
+        asyncHandler(controller.get)
+    );
+
+    router.post('/',
+        ...writeGuard(permissions.write),
+        validateResource(controller, 'create'),
+        idempotent(),
+        asyncHandler(controller.create)
+    );
+
+    router.put('/:id',
+        ...writeGuard(permissions.write),
+        validateResource(controller, 'id', 'params'),
+        validateResource(controller, 'update'),
+        asyncHandler(controller.update)
+    );
+
+    router.patch('/:id',
+        ...writeGuard(permissions.write),
+        validateResource(controller, 'id', 'params'),
+        validateResource(controller, 'update'),
+        asyncHandler(controller.update)
+    );
+
+    router.delete('/:id',
+        ...writeGuard(permissions.delete),
+        validateResource(controller, 'id', 'params'),
+        validateResource(controller, 'deleteQuery', 'query'),
+        asyncHandler(controller.remove)
+    );
+
+    if (options.history) {
+        router.get('/:id/history',
+            ...guard(permissions.read),
+            validateResource(controller, 'id', 'params'),
+            validateResource(controller, 'historyQuery', 'query'),
+            asyncHandler(controller.history)
+        );
+
+        router.post('/:id/revert/:version',
+            ...writeGuard(permissions.write),
+            validateResource(controller, 'version', 'params'),
+            asyncHandler(controller.revert)
+        );
+    }
+
+    debugResourceRouter(`Resource router created for ${tableName}`);
+    return router;
+};
+
+export default createResourceRouter;
@@ -0,0 +1,97 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+    createRoleSchema,
+    updateRoleSchema,
+    roleIdSchema
+} from '../schemas/roleSchemas.js';
+import {
+    getRoles,
+    getPermissions,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+} from '../controllers/roleController.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugRolesRoutes = debug('app:rolesRoutes');
+
+debugRolesRoutes('Loading rolesRoutes');
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles with their permissions
+ * @access  Private (roles:read)
+ */
+router.get('/',
+    authenticateToken(),
+    requirePermission('roles:read'),
+    asyncHandler(getRoles)
+);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List all permissions
+ * @access  Private (roles:read)
+ */
+router.get('/permissions',
+    authenticateToken(),
+    requirePermission('roles:read'),
+    asyncHandler(getPermissions)
+);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get role by ID
+ * @access  Private (roles:read)
+ */
+router.get('/:id',
+    authenticateToken(),
+    requirePermission('roles:read'),
+    validate(roleIdSchema, 'params'),
+    asyncHandler(getRoleById)
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role
+ * @access  Private (roles:manage)
+ */
+router.post('/',
+    authenticateToken(),
+    requirePermission('roles:manage'),
+    validate(createRoleSchema),
+    asyncHandler(createRole)
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update a role and/or replace its permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/:id',
+    authenticateToken(),
+    requirePermission('roles:manage'),
+    validate(roleIdSchema, 'params'),
+    validate(updateRoleSchema),
+    asyncHandler(updateRole)
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete a role
+ * @access  Private (roles:manage)
+ */
+router.delete('/:id',
+    authenticateToken(),
+    requirePermission('roles:manage'),
+    validate(roleIdSchema, 'params'),
+    asyncHandler(deleteRole)
+);
+
+export default router;
@@ -1,21 +1,40 @@
 import { Router } from 'express';
 import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadFile } from '../middleware/upload.js';
+import config from '../config/index.js';
 import {
     updateProfileSchema,
     userQuerySchema,
-    userIdSchema
+    userIdSchema,
+    userSessionParamsSchema,
+    avatarParamsSchema
 } from '../schemas/userSchemas.js';
 import {
     getProfile,
     updateProfile,
     deleteProfile,
+    updateAvatar,
+    deleteAvatar,
+    getAvatar,
     getUsers,
     getUserById,
     updateUser,
-    deleteUser
+    deleteUser,
+    unlockUser
 } from '../controllers/userController.js';
+import {
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions
+} from '../controllers/sessionController.js';
+import { assignRoleSchema, userRoleParamsSchema } from '../schemas/roleSchemas.js';
+import {
+    getUserRoles,
+    assignUserRole,
+    removeUserRole
+} from '../controllers/roleController.js';
 import debug from 'debug';
 
 const router = Router();
@@ -55,35 +74,85 @@ router.delete('/profile',
     asyncHandler(deleteProfile)
 );
 
+/**
+ * @route   PUT /api/users/profile/avatar
+ * @desc    Upload or replace the current user's avatar (multipart, `avatar` field)
+ * @access  Private
+ */
+router.put('/profile/avatar',
+    authenticateToken(),
+    uploadFile('avatar', {
+        allowedTypes: config.avatar.allowedTypes,
+        maxFileSize: config.avatar.maxFileSize
+    }),
+    asyncHandler(updateAvatar)
+);
+
+/**
+ * @route   DELETE /api/users/profile/avatar
+ * @desc    Remove the current user's avatar
+ * @access  Private
+ */
+router.delete('/profile/avatar',
+    authenticateToken(),
+    asyncHandler(deleteAvatar)
+);
+
+/**
+ * @route   GET /api/users/avatars/:userId/:version/:size
+ * @desc    Avatar image; URLs come from avatarUrl and avatarUrls on profiles
+ * @access  Public
+ */
+router.get('/avatars/:userId/:version/:size',
+    validate(avatarParamsSchema, 'params'),
+    asyncHandler(getAvatar)
+);
+
 /**
  * @route   GET /api/users
- * @desc    Get all users (admin only)
- * @access  Private (Admin)
+ * @desc    Get all users
+ * @access  Private (users:read)
  */
 router.get('/',
-    authenticateToken({ roles: ['admin'] }),
+    authenticateToken(),
+    requirePermission('users:read'),
     validate(userQuerySchema, 'query'),
     asyncHandler(getUsers)
 );
 
 /**
  * @route   GET /api/users/:id
- * @desc    Get user by ID (admin only)
- * @access  Private (Admin)
+ * @desc    Get user by ID
+ * @access  Private (users:read)
  */
 router.get('/:id',
-    authenticateToken({ roles: ['admin'] }),
+    authenticateToken(),
+    requirePermission('users:read'),
     validate(userIdSchema, 'params'),
     asyncHandler(getUserById)
 );
 
 /**
  * @route   PUT /api/users/:id
- * @desc    Update user by ID (admin only)
- * @access  Private (Admin)
+ * @desc    Update user by ID
+ * @access  Private (users:update)
  */
 router.put('/:id',
-    authenticateToken({ roles: ['admin'] }),
+    authenticateToken(),
+    requirePermission('users:update'),
+    validate(userIdSchema, 'params'),
+    validate(updateProfileSchema),
+    asyncHandler(updateUser)
+);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Update user by ID (same partial update as PUT)
+ * @access  Private (users:update)
+ */
+router.patch('/:id',
+    authenticateToken(),
+    requirePermission('users:update'),
     validate(userIdSchema, 'params'),
     validate(updateProfileSchema),
     asyncHandler(updateUser)
@@ -91,13 +160,99 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete user by ID (admin only)
- * @access  Private (Admin)
+ * @desc    Delete user by ID
+ * @access  Private (users:delete)
  */
 router.delete('/:id',
-    authenticateToken({ roles: ['admin'] }),
+    authenticateToken(),
+    requirePermission('users:delete'),
     validate(userIdSchema, 'params'),
     asyncHandler(deleteUser)
 );
 
-export default router;
\ No newline at end of file
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear failed logins and lockout of a user
+ * @access  Private (users:unlock)
+ */
+router.post('/:id/unlock',
+    authenticateToken(),
+    requirePermission('users:unlock'),
+    validate(userIdSchema, 'params'),
+    asyncHandler(unlockUser)
+);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List active sessions of a user
+ * @access  Private (sessions:read)
+ */
+router.get('/:id/sessions',
+    authenticateToken(),
+    requirePermission('sessions:read'),
+    validate(userIdSchema, 'params'),
+    asyncHandler(getUserSessions)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke a session of a user
+ * @access  Private (sessions:revoke)
+ */
+router.delete('/:id/sessions/:sessionId',
+    authenticateToken(),
+    requirePermission('sessions:revoke'),
+    validate(userSessionParamsSchema, 'params'),
+    asyncHandler(revokeUserSession)
+);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Revoke all sessions of a user
+ * @access  Private (sessions:revoke)
+ */
+router.delete('/:id/sessions',
+    authenticateToken(),
+    requirePermission('sessions:revoke'),
+    validate(userIdSchema, 'params'),
+    asyncHandler(revokeAllUserSessions)
+);
+
+/**
+ * @route   GET /api/users/:id/roles
+ * @desc    List roles and resolved permissions of a user
+ * @access  Private (roles:read)
+ */
+router.get('/:id/roles',
+    authenticateToken(),
+    requirePermission('roles:read'),
+    validate(userIdSchema, 'params'),
+    asyncHandler(getUserRoles)
+);
+
+/**
+ * @route   POST /api/users/:id/roles
+ * @desc    Assign a role to a user
+ * @access  Private (roles:assign)
+ */
+router.post('/:id/roles',
+    authenticateToken(),
+    requirePermission('roles:assign'),
+    validate(userIdSchema, 'params'),
+    validate(assignRoleSchema),
+    asyncHandler(assignUserRole)
+);
+
+/**
+ * @route   DELETE /api/users/:id/roles/:roleId
+ * @desc    Remove a role from a user
+ * @access  Private (roles:assign)
+ */
+router.delete('/:id/roles/:roleId',
+    authenticateToken(),
+    requirePermission('roles:assign'),
+    validate(userRoleParamsSchema, 'params'),
+    asyncHandler(removeUserRole)
+);
+
+export default router;
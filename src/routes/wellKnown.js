@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { signingKeyService } from '../services/signingKeyService.js';
+import debug from 'debug';
+
+const router = Router();
+
+const debugWellKnownRoutes = debug('app:wellKnownRoutes');
+
+debugWellKnownRoutes('Loading wellKnownRoutes');
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying tokens issued by this service
+ * @access  Public
+ */
+router.get('/jwks.json', (req, res) => {
+    // Short cache so verifiers pick up newly published keys well before they sign
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(signingKeyService.getJwks());
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugApiKeySchemas = debug('app:apiKeySchemas');
+
+debugApiKeySchemas('Loading apiKeySchemas');
+
+const scopesSchema = Joi.array()
+    .items(Joi.string().pattern(/^[a-z_]+:[a-z_]+$/).messages({
+        'string.pattern.base': 'Scopes must look like resource:action'
+    }))
+    .unique();
+
+/**
+ * Create API key schema
+ */
+export const createApiKeySchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    scopes: scopesSchema.default([]),
+    expiresAt: Joi.date().iso().greater('now').optional()
+}).options({ stripUnknown: true });
+
+/**
+ * Update API key schema
+ */
+export const updateApiKeySchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    scopes: scopesSchema.optional(),
+    expiresAt: Joi.date().iso().greater('now').allow(null).optional()
+}).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+}).options({ stripUnknown: true });
+
+/**
+ * API key query parameters schema
+ */
+export const apiKeyQuerySchema = Joi.object({
+    ownerId: Joi.string().uuid().optional(),
+    includeRevoked: Joi.boolean().default(false)
+}).options({ stripUnknown: true });
+
+/**
+ * API key ID parameter schema
+ */
+export const apiKeyIdSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid API key ID format'
+    })
+});
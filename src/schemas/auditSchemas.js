@@ -0,0 +1,25 @@
+import Joi from 'joi';
+import debug from 'debug';
+import { cursorParams } from './resourceSchemas.js';
+
+const debugAuditSchemas = debug('app:auditSchemas');
+
+debugAuditSchemas('Loading auditSchemas');
+
+/**
+ * Audit log query schema
+ */
+export const auditQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    ...cursorParams,
+    table: Joi.string().max(100).optional(),
+    recordId: Joi.string().max(255).optional(),
+    operation: Joi.string().valid('insert', 'update', 'delete', 'soft_delete').optional(),
+    // Entries that changed this column
+    column: Joi.string().pattern(/^[a-z_][a-z0-9_]*$/i).max(100).optional(),
+    userId: Joi.string().uuid().optional(),
+    requestId: Joi.string().max(255).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+}).options({ stripUnknown: true });
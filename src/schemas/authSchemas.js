@@ -110,6 +110,13 @@ export const forgotPasswordSchema = Joi.object({
     email: emailSchema
 }).options({ stripUnknown: true });
 
+/**
+ * Resend verification email schema
+ */
+export const resendVerificationSchema = Joi.object({
+    email: emailSchema
+}).options({ stripUnknown: true });
+
 /**
  * Password reset schema
  */
@@ -157,3 +164,63 @@ export const refreshTokenSchema = Joi.object({
         'string.empty': 'Refresh token is required'
     })
 }).options({ stripUnknown: true });
+
+/**
+ * Logout validation schema
+ * Without a refresh token the session of the access token is ended.
+ */
+export const logoutSchema = Joi.object({
+    refreshToken: Joi.string().optional()
+}).options({ stripUnknown: true });
+
+/**
+ * Session ID parameter schema
+ */
+export const sessionIdSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid session ID format'
+    })
+});
+
+/**
+ * Two-factor code schema (TOTP code or recovery code)
+ */
+const twoFactorCodeField = Joi.string()
+    .trim()
+    .pattern(/^(\d{6}|[a-fA-F0-9]{5}-?[a-fA-F0-9]{5})$/)
+    .required()
+    .messages({
+        'string.empty': 'Two-factor code is required',
+        'string.pattern.base': 'Enter a 6 digit code or a recovery code'
+    });
+
+export const twoFactorCodeSchema = Joi.object({
+    code: twoFactorCodeField
+}).options({ stripUnknown: true });
+
+/**
+ * Two-factor login verification schema
+ */
+export const twoFactorVerifySchema = Joi.object({
+    challengeToken: Joi.string().required().messages({
+        'string.empty': 'Challenge token is required'
+    }),
+    code: twoFactorCodeField
+}).options({ stripUnknown: true });
+
+/**
+ * OIDC provider parameter schema
+ */
+export const oidcProviderSchema = Joi.object({
+    provider: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required()
+});
+
+/**
+ * OIDC callback query schema
+ */
+export const oidcCallbackSchema = Joi.object({
+    state: Joi.string().max(128).required(),
+    code: Joi.string().max(2048).when('error', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+    error: Joi.string().max(256).optional(),
+    error_description: Joi.string().max(1024).optional()
+}).options({ stripUnknown: true });
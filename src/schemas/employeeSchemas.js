@@ -0,0 +1,40 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugEmployeeSchemas = debug('app:employeeSchemas');
+
+debugEmployeeSchemas('Loading employeeSchemas');
+
+// Column names are checked against the table schema in the controller
+const columnName = Joi.string().pattern(/^[a-z_][a-z0-9_]*$/).max(63);
+
+const filtersSchema = Joi.object().pattern(columnName, Joi.alternatives().try(
+    Joi.string().max(1000),
+    Joi.number(),
+    Joi.boolean()
+));
+
+/**
+ * Employee search query parameters schema
+ * `filters` is a JSON object of column/value pairs, e.g. filters={"status":"active"}
+ */
+export const employeeSearchSchema = Joi.object({
+    q: Joi.string().trim().min(2).max(100).required(),
+    filters: Joi.alternatives().try(
+        filtersSchema,
+        Joi.string().custom((value, helpers) => {
+            try {
+                const { error, value: filters } = filtersSchema.validate(JSON.parse(value));
+                return error ? helpers.error('any.invalid') : filters;
+            } catch {
+                return helpers.error('any.invalid');
+            }
+        })
+    ).default({}).messages({
+        'any.invalid': 'Filters must be a JSON object of column/value pairs'
+    }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortBy: columnName.optional(),
+    sortOrder: Joi.string().uppercase().valid('ASC', 'DESC').default('DESC')
+}).options({ stripUnknown: true });
@@ -0,0 +1,15 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugFileSchemas = debug('app:fileSchemas');
+
+debugFileSchemas('Loading fileSchemas');
+
+/**
+ * File ID parameter schema
+ */
+export const fileIdSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid file ID format'
+    })
+});
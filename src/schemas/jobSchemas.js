@@ -0,0 +1,38 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugJobSchemas = debug('app:jobSchemas');
+
+debugJobSchemas('Loading jobSchemas');
+
+const jobName = Joi.string().max(100);
+
+/**
+ * Job ID parameter schema
+ */
+export const jobIdSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid job ID format'
+    })
+});
+
+/**
+ * Job list query schema
+ */
+export const jobQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('pending', 'running', 'completed', 'dead').optional(),
+    name: jobName.optional()
+}).options({ stripUnknown: true });
+
+/**
+ * Job purge query schema
+ * Running jobs cannot be purged; `before` compares run time for pending jobs,
+ * completion time for completed ones and failure time for dead ones.
+ */
+export const jobPurgeSchema = Joi.object({
+    status: Joi.string().valid('pending', 'completed', 'dead').required(),
+    name: jobName.optional(),
+    before: Joi.date().iso().optional()
+}).options({ stripUnknown: true });
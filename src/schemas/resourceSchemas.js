@@ -0,0 +1,228 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugResourceSchemas = debug('app:resourceSchemas');
+
+debugResourceSchemas('Loading resourceSchemas');
+
+// Maintained by the database helpers, never written through the API
+export const MANAGED_COLUMNS = ['created_at', 'updated_at', 'deleted_at', 'version'];
+
+// Formats of services/exportService.js
+const EXPORT_FORMAT_NAMES = ['csv', 'ndjson', 'xlsx'];
+
+// filter[column] or filter[column][operator], see utils/queryFilters.js
+export const FILTER_PARAM = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+const INTEGER_TYPES = ['smallint', 'integer', 'bigint'];
+const NUMERIC_TYPES = ['numeric', 'decimal', 'real', 'double precision'];
+const TEXT_TYPES = ['character varying', 'character', 'text', 'citext'];
+const DATE_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+
+/**
+ * Whether a column holds text (used to pick search columns)
+ */
+export const isTextColumn = (column) => TEXT_TYPES.includes(column.type);
+
+/**
+ * Joi validator for a value of a column, from information_schema metadata
+ * @param {Object} column - Column info from getTableSchema
+ * @returns {Joi.Schema} Validator, allowing null when the column is nullable
+ */
+export const columnValidator = (column) => {
+    let validator;
+
+    if (INTEGER_TYPES.includes(column.type)) {
+        validator = Joi.number().integer();
+    } else if (NUMERIC_TYPES.includes(column.type)) {
+        validator = Joi.number();
+        if (column.scale) {
+            validator = validator.precision(column.scale);
+        }
+    } else if (column.type === 'boolean') {
+        validator = Joi.boolean();
+    } else if (column.type === 'uuid') {
+        validator = Joi.string().uuid();
+    } else if (DATE_TYPES.includes(column.type)) {
+        validator = Joi.date().iso();
+    } else if (column.type === 'json' || column.type === 'jsonb') {
+        validator = Joi.alternatives().try(Joi.object(), Joi.array());
+    } else if (column.type === 'ARRAY') {
+        validator = Joi.array();
+    } else if (isTextColumn(column)) {
+        validator = Joi.string().trim();
+        if (column.maxLength) {
+            validator = validator.max(column.maxLength);
+        }
+    } else {
+        validator = Joi.any();
+    }
+
+    return column.nullable ? validator.allow(null) : validator;
+};
+
+/**
+ * Cursor pagination parameters for list schemas
+ * An empty cursor asks for the first page in cursor mode.
+ */
+export const cursorParams = {
+    cursor: Joi.string().allow('').max(2000).optional(),
+    includeCount: Joi.boolean().default(true)
+};
+
+/**
+ * Let filter parameters through a query schema
+ * Their columns, operators and values are checked by parseFilters against the table schema.
+ * @param {Joi.ObjectSchema} schema - Query schema
+ */
+export const withFilterParams = (schema) => schema
+    .keys({
+        // Nested form produced by extended query parsers
+        filter: Joi.object().optional()
+    })
+    .pattern(FILTER_PARAM, Joi.alternatives().try(
+        Joi.string().max(1000),
+        Joi.array().items(Joi.string().max(1000)).max(100)
+    ));
+
+/**
+ * Build request validators for a table resource
+ * @param {Object} tableSchema - Result of getTableSchema
+ * @param {Object} resource - { primaryKey, fields, writableFields, sortFields, maxLimit, defaultLimit }
+ * @returns {Object} { create, update, list, exportQuery, exportJob, importOptions, importJob, bulk, id,
+ *   deleteQuery, historyQuery, version }
+ */
+export const buildResourceSchemas = (tableSchema, resource) => {
+    const { primaryKey, fields, writableFields, maxLimit, defaultLimit } = resource;
+    const { columns } = tableSchema;
+
+    const createKeys = {};
+    const updateKeys = {};
+    const filterKeys = {};
+
+    for (const name of writableFields) {
+        const column = columns[name];
+        const validator = columnValidator(column);
+
+        // Required unless the database can fill it in
+        createKeys[name] = !column.nullable && column.default === null
+            ? validator.required()
+            : validator.optional();
+
+        if (name !== primaryKey) {
+            updateKeys[name] = validator.optional();
+        }
+    }
+
+    for (const name of fields) {
+        filterKeys[name] = columnValidator(columns[name]).optional();
+    }
+
+    const idValidator = columnValidator({ ...columns[primaryKey], nullable: false }).required();
+
+    // Which records a list or export selects, and how
+    const selectionKeys = {
+        search: Joi.string().trim().max(100).optional(),
+        sort: Joi.string().max(500).optional(),
+        fields: Joi.string().max(2000).optional(),
+        sortBy: Joi.string().valid(...fields).optional(),
+        sortOrder: Joi.string().uppercase().valid('ASC', 'DESC').default('DESC'),
+        includeSoftDeleted: Joi.boolean().default(false),
+        ...filterKeys
+    };
+
+    // Arrays in JSON bodies, comma separated in multipart forms
+    const columnList = Joi.array().items(Joi.string().valid(...writableFields)).min(1).unique();
+    const conflictColumns = Joi.alternatives().try(
+        columnList,
+        Joi.string().custom((value, helpers) => {
+            const { error, value: columns } = columnList.validate(value.split(',').map(name => name.trim()));
+            return error ? helpers.message(error.message) : columns;
+        })
+    );
+
+    const update = Joi.object(updateKeys).min(1).messages({
+        'object.min': 'At least one field must be provided for update'
+    });
+
+    return {
+        create: Joi.object(createKeys).min(1).messages({
+            'object.min': 'Record data cannot be empty'
+        }),
+
+        update,
+
+        list: withFilterParams(Joi.object({
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+            ...cursorParams,
+            ...selectionKeys
+        })),
+
+        exportQuery: withFilterParams(Joi.object({
+            format: Joi.string().valid(...EXPORT_FORMAT_NAMES).default('csv'),
+            // Run as a background job even when small enough to stream
+            background: Joi.boolean().default(false),
+            ...selectionKeys
+        })),
+
+        exportJob: Joi.object({
+            jobId: Joi.string().uuid().required()
+        }),
+
+        importJob: Joi.object({
+            jobId: Joi.string().uuid().required()
+        }),
+
+        // Rows come from the uploaded file, or `rows` in a JSON body; each is checked against `create`
+        importOptions: Joi.object({
+            dryRun: Joi.boolean().default(false),
+            // false writes the valid rows even when others fail
+            atomic: Joi.boolean().default(true),
+            upsert: Joi.boolean().default(false),
+            conflictColumns: conflictColumns.optional(),
+            // Run as a background job even when small enough to run in the request
+            background: Joi.boolean().default(false),
+            rows: Joi.array().items(Joi.object()).min(1).optional()
+        }),
+
+        bulk: Joi.object({
+            operation: Joi.string().valid('update', 'delete', 'restore').required(),
+            // Updates may pin an ID to the version the client read: { id, version }
+            ids: Joi.when('operation', {
+                is: 'update',
+                then: Joi.array().items(Joi.alternatives().try(idValidator, Joi.object({
+                    id: idValidator,
+                    version: Joi.number().integer().min(1).optional()
+                }))).min(1).max(500).unique((a, b) => (a?.id ?? a) === (b?.id ?? b)).required(),
+                otherwise: Joi.array().items(idValidator).min(1).max(500).unique().required()
+            }),
+            data: Joi.when('operation', {
+                is: 'update',
+                then: update.required(),
+                otherwise: Joi.object({
+                    force: Joi.boolean().default(false)
+                }).default({})
+            })
+        }),
+
+        id: Joi.object({
+            id: idValidator
+        }),
+
+        deleteQuery: Joi.object({
+            force: Joi.boolean().default(false)
+        }),
+
+        historyQuery: Joi.object({
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+            includeCount: Joi.boolean().default(true)
+        }),
+
+        version: Joi.object({
+            id: idValidator,
+            version: Joi.number().integer().min(1).required()
+        })
+    };
+};
@@ -0,0 +1,72 @@
+import Joi from 'joi';
+import debug from 'debug';
+
+const debugRoleSchemas = debug('app:roleSchemas');
+
+debugRoleSchemas('Loading roleSchemas');
+
+const roleNameSchema = Joi.string()
+    .trim()
+    .lowercase()
+    .min(2)
+    .max(50)
+    .pattern(/^[a-z][a-z0-9_-]*$/)
+    .messages({
+        'string.pattern.base': 'Role name may only contain lowercase letters, numbers, underscores and hyphens'
+    });
+
+const permissionListSchema = Joi.array()
+    .items(Joi.string().pattern(/^[a-z_]+:[a-z_]+$/).messages({
+        'string.pattern.base': 'Permissions must look like resource:action'
+    }))
+    .unique();
+
+/**
+ * Create role schema
+ */
+export const createRoleSchema = Joi.object({
+    name: roleNameSchema.required(),
+    description: Joi.string().max(255).optional(),
+    permissions: permissionListSchema.default([])
+}).options({ stripUnknown: true });
+
+/**
+ * Update role schema
+ */
+export const updateRoleSchema = Joi.object({
+    name: roleNameSchema.optional(),
+    description: Joi.string().max(255).optional(),
+    permissions: permissionListSchema.optional()
+}).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+}).options({ stripUnknown: true });
+
+/**
+ * Role ID parameter schema
+ */
+export const roleIdSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid role ID format'
+    })
+});
+
+/**
+ * Assign role to user schema
+ */
+export const assignRoleSchema = Joi.object({
+    roleId: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid role ID format'
+    })
+}).options({ stripUnknown: true });
+
+/**
+ * User role parameters schema
+ */
+export const userRoleParamsSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid user ID format'
+    }),
+    roleId: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid role ID format'
+    })
+});
@@ -1,5 +1,7 @@
 import Joi from 'joi';
 import debug from 'debug';
+import config from '../config/index.js';
+import { withFilterParams, cursorParams } from './resourceSchemas.js';
 
 const debugUserSchemas = debug('app:userSchemas');
 
@@ -57,15 +59,19 @@ export const updateProfileSchema = Joi.object({
 /**
  * User query parameters schema
  */
-export const userQuerySchema = Joi.object({
+export const userQuerySchema = withFilterParams(Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
+    ...cursorParams,
     search: Joi.string().max(100).optional(),
     role: Joi.string().valid('admin', 'user', 'moderator').optional(),
     status: Joi.string().valid('active', 'inactive', 'suspended').optional(),
+    // e.g. sort=-last_login,email and fields=id,email (column names)
+    sort: Joi.string().max(500).optional(),
+    fields: Joi.string().max(1000).optional(),
     sortBy: Joi.string().valid('created_at', 'email', 'firstName', 'lastName').default('created_at'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
-}).options({ stripUnknown: true });
+})).options({ stripUnknown: true });
 
 /**
  * User ID parameter schema
@@ -74,4 +80,25 @@ export const userIdSchema = Joi.object({
     id: Joi.string().uuid().required().messages({
         'string.guid': 'Invalid user ID format'
     })
-});
\ No newline at end of file
+});
+
+/**
+ * User session parameters schema
+ */
+export const userSessionParamsSchema = Joi.object({
+    id: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid user ID format'
+    }),
+    sessionId: Joi.string().uuid().required().messages({
+        'string.guid': 'Invalid session ID format'
+    })
+});
+
+/**
+ * Avatar image parameters schema
+ */
+export const avatarParamsSchema = Joi.object({
+    userId: Joi.string().uuid().required(),
+    version: Joi.string().hex().length(16).required(),
+    size: Joi.string().valid(...Object.keys(config.avatar.sizes)).required()
+});
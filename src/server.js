@@ -6,6 +6,7 @@ import debug from 'debug';
 
 import config from './config/index.js';
 import logger from './config/logger.js';
+import { jobQueue } from './services/jobQueue.js';
 
 const debugServer = debug('app:server');
 
@@ -135,8 +136,13 @@ const setupGracefulShutdown = (server) => {
         logger.info(`${signal} received, shutting down gracefully`);
         debugServer('Starting graceful shutdown');
 
+        // Stop taking jobs; running ones finish alongside open requests
+        const jobsDrained = jobQueue.stop();
+
         // Stop accepting new connections
-        server.close((error) => {
+        server.close(async (error) => {
+            await jobsDrained;
+
             if (error) {
                 logger.error('Error during server shutdown:', error);
                 process.exit(1);
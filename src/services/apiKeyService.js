@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { generateRandomToken } from '../utils/crypto.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugApiKey = debug('app:apiKey');
+
+const KEY_PREFIX = 'pk_';
+const LOOKUP_CACHE_TTL = 60; // seconds
+const LAST_USED_RESOLUTION = 60; // only record last use once a minute
+
+/**
+ * API key service
+ *
+ * Keys are random 32 byte secrets shown once at creation; only their SHA-256
+ * hash is stored. Each key belongs to an owner and grants a list of scopes,
+ * which are permission names.
+ */
+export class ApiKeyService {
+    hashKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    cacheKey(keyHash) {
+        return `apikey:${keyHash}`;
+    }
+
+    formatKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.prefix,
+            scopes: row.scopes,
+            ownerId: row.owner_id,
+            createdBy: row.created_by,
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at,
+            revokedAt: row.revoked_at,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Reject scopes that are not known permissions or that the caller does not hold
+     * @param {string[]} scopes - Requested scopes
+     * @param {string[]} granted - The caller's effective permissions (a key's own scopes for a service principal)
+     * @throws {AppError} UNKNOWN_SCOPE, SCOPE_NOT_GRANTED
+     */
+    async assertScopes(scopes, granted) {
+        const result = await query('SELECT name FROM permissions WHERE name = ANY($1::text[])', [scopes]);
+        const known = result.rows.map(row => row.name);
+        const unknown = scopes.filter(scope => !known.includes(scope));
+
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown scopes: ${unknown.join(', ')}`, 400, true, 'UNKNOWN_SCOPE');
+        }
+
+        const notGranted = scopes.filter(scope => !granted.includes(scope));
+
+        if (notGranted.length > 0) {
+            throw new AppError(`Cannot grant scopes you do not hold: ${notGranted.join(', ')}`, 403, true, 'SCOPE_NOT_GRANTED');
+        }
+    }
+
+    /**
+     * Create a key
+     * @param {Object} data - { name, scopes, expiresAt, ownerId, createdBy }
+     * @param {string[]} granted - Permissions of the caller, which bound the scopes
+     * @returns {Promise<Object>} { apiKey, key } - plaintext key (shown once) and its record
+     */
+    async create({ name, scopes = [], expiresAt = null, ownerId, createdBy = null }, granted) {
+        await this.assertScopes(scopes, granted);
+
+        const owner = await query('SELECT 1 FROM users WHERE id = $1 AND deleted_at IS NULL', [ownerId]);
+        if (owner.rows.length === 0) {
+            throw new AppError('Owner not found', 400, true, 'OWNER_NOT_FOUND');
+        }
+
+        const apiKey = `${KEY_PREFIX}${generateRandomToken(32)}`;
+
+        const result = await query(
+            `INSERT INTO api_keys (name, prefix, key_hash, scopes, owner_id, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [name, apiKey.slice(0, KEY_PREFIX.length + 8), this.hashKey(apiKey), scopes, ownerId, createdBy, expiresAt]
+        );
+
+        logger.info('API key created', { apiKeyId: result.rows[0].id, name, ownerId, scopes, createdBy });
+
+        return { apiKey, key: this.formatKey(result.rows[0]) };
+    }
+
+    /**
+     * List keys, newest first
+     * @param {Object} filters - { ownerId, includeRevoked }
+     */
+    async list({ ownerId = null, includeRevoked = false } = {}) {
+        const result = await query(
+            `SELECT * FROM api_keys
+             WHERE ($1::uuid IS NULL OR owner_id = $1::uuid) AND ($2 OR revoked_at IS NULL)
+             ORDER BY created_at DESC`,
+            [ownerId, includeRevoked]
+        );
+
+        return result.rows.map(row => this.formatKey(row));
+    }
+
+    /**
+     * Get a key by ID
+     * @returns {Promise<Object|null>} Key or null if not found
+     */
+    async get(id) {
+        const result = await query('SELECT * FROM api_keys WHERE id = $1', [id]);
+        return result.rows[0] ? this.formatKey(result.rows[0]) : null;
+    }
+
+    /**
+     * Update name, scopes or expiry of an active key
+     * @param {string[]} granted - Permissions of the caller, which bound new scopes
+     * @returns {Promise<Object|null>} Updated key or null if not found
+     */
+    async update(id, { name, scopes, expiresAt }, granted) {
+        if (scopes !== undefined) {
+            await this.assertScopes(scopes, granted);
+        }
+
+        const result = await query(
+            `UPDATE api_keys SET
+                name = COALESCE($2, name),
+                scopes = COALESCE($3, scopes),
+                expires_at = CASE WHEN $4 THEN $5::timestamptz ELSE expires_at END,
+                updated_at = NOW()
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING *`,
+            [id, name ?? null, scopes ?? null, expiresAt !== undefined, expiresAt ?? null]
+        );
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        await cacheService.delete(this.cacheKey(result.rows[0].key_hash));
+
+        logger.info('API key updated', { apiKeyId: id });
+        return this.formatKey(result.rows[0]);
+    }
+
+    /**
+     * Revoke a key
+     * @returns {Promise<boolean>} False if not found or already revoked
+     */
+    async revoke(id) {
+        const result = await query(
+            'UPDATE api_keys SET revoked_at = NOW(), updated_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING key_hash',
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await cacheService.delete(this.cacheKey(result.rows[0].key_hash));
+
+        logger.info('API key revoked', { apiKeyId: id });
+        return true;
+    }
+
+    /**
+     * Resolve a presented key
+     * Found keys are cached briefly; revocation and updates clear the cache entry.
+     * Misses are not cached, so unknown keys cannot fill the cache; the API key
+     * lookup limiter bounds how many of them an IP can try.
+     * @param {string} apiKey - Plaintext key from the X-API-Key header
+     * @returns {Promise<Object|null>} Active key or null
+     */
+    async authenticate(apiKey) {
+        if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) {
+            return null;
+        }
+
+        const keyHash = this.hashKey(apiKey);
+        let key = await cacheService.get(this.cacheKey(keyHash));
+
+        if (key === null) {
+            const result = await query(
+                `SELECT k.* FROM api_keys k
+                 JOIN users u ON u.id = k.owner_id
+                 WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND u.deleted_at IS NULL AND u.status = 'active'`,
+                [keyHash]
+            );
+            key = result.rows[0] ? this.formatKey(result.rows[0]) : null;
+
+            if (key) {
+                await cacheService.set(this.cacheKey(keyHash), key, LOOKUP_CACHE_TTL);
+            }
+        }
+
+        if (!key || (key.expiresAt && new Date(key.expiresAt) <= new Date())) {
+            return null;
+        }
+
+        this.touch(key.id);
+        return key;
+    }
+
+    /**
+     * Record use of a key without holding up the request
+     */
+    touch(id) {
+        query(
+            `UPDATE api_keys SET last_used_at = NOW()
+             WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $2))`,
+            [id, LAST_USED_RESOLUTION]
+        ).catch(error => {
+            debugApiKey('Failed to record API key use', { apiKeyId: id, error: error.message });
+        });
+    }
+}
+
+// Create default API key service instance
+export const apiKeyService = new ApiKeyService();
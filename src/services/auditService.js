@@ -0,0 +1,113 @@
+import { isDeepStrictEqual } from 'util';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { getRequestId, getUserId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugAudit = debug('app:audit');
+
+/**
+ * Audit trail service
+ *
+ * Writes to the tables in config.audit.tables made through the helpers of
+ * utils/database.js are recorded in audit_log, in the transaction of the write.
+ * Entries keep the changed columns only: before values in old_values, after
+ * values in new_values; inserts and deletes keep the whole row.
+ */
+export class AuditService {
+    constructor () {
+        this.tables = new Set(config.audit.tables);
+        this.redactColumns = new Set(config.audit.redactColumns);
+    }
+
+    isAudited(tableName) {
+        return this.tables.has(tableName);
+    }
+
+    formatEntry(row) {
+        return {
+            id: row.id,
+            tableName: row.table_name,
+            recordId: row.record_id,
+            operation: row.operation,
+            oldValues: row.old_values,
+            newValues: row.new_values,
+            userId: row.user_id,
+            requestId: row.request_id,
+            createdAt: row.created_at
+        };
+    }
+
+    redact(values) {
+        if (!values) {
+            return null;
+        }
+
+        return Object.fromEntries(Object.entries(values).map(([column, value]) => [
+            column,
+            this.redactColumns.has(column) && value !== null ? '[REDACTED]' : value
+        ]));
+    }
+
+    /**
+     * Turn a row change into an audit entry
+     * @returns {Object|null} Entry, or null when no column changed
+     */
+    buildEntry({ operation, recordId, before, after }) {
+        if (!before || !after) {
+            return {
+                record_id: recordId,
+                operation,
+                old_values: this.redact(before),
+                new_values: this.redact(after)
+            };
+        }
+
+        const changed = Object.keys(after).filter(column => !isDeepStrictEqual(before[column], after[column]));
+        if (changed.length === 0) {
+            return null;
+        }
+
+        const pick = (values) => Object.fromEntries(changed.map(column => [column, values[column] ?? null]));
+
+        return {
+            record_id: recordId,
+            operation,
+            old_values: this.redact(pick(before)),
+            new_values: this.redact(pick(after))
+        };
+    }
+
+    /**
+     * Record the rows changed by one statement
+     * @param {Object} client - Transaction client of the write
+     * @param {Object} change
+     * @param {string} change.tableName - Table name
+     * @param {Array<Object>} change.changes - [{ operation, recordId, before, after }] rows as JSON,
+     *   before null for inserts and after null for deletes
+     * @returns {Promise<number>} Entries written
+     */
+    async record(client, { tableName, changes }) {
+        const entries = changes
+            .map(change => this.buildEntry(change))
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return 0;
+        }
+
+        await query(
+            `INSERT INTO audit_log (table_name, record_id, operation, old_values, new_values, user_id, request_id)
+             SELECT $1, e.record_id, e.operation, e.old_values, e.new_values, $2, $3
+             FROM jsonb_to_recordset($4::jsonb) AS e(record_id TEXT, operation TEXT, old_values JSONB, new_values JSONB)`,
+            [tableName, getUserId(), getRequestId(), JSON.stringify(entries)],
+            { client }
+        );
+
+        debugAudit('Audit entries recorded', { tableName, count: entries.length });
+        return entries.length;
+    }
+}
+
+// Create default audit service instance
+export const auditService = new AuditService();
@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { auditService } from './auditService.js';
+import { transaction } from '../config/database.js';
+import { updateRecord } from '../utils/database.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('auditService', () => {
+    let app;
+    let admin;
+    let user;
+    const audited = auditService.tables;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        auditService.tables = new Set(['employee']);
+        admin = await login(app, await createUser({ role: 'admin' }));
+        user = await login(app, await createUser());
+    });
+
+    afterAll(async () => {
+        auditService.tables = audited;
+        await teardownDatabase();
+    });
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    let sequence = 0;
+    const createEmployee = async () => {
+        sequence++;
+        const response = await as(admin).post('/api/employees', {
+            emp_id: `A${sequence}`,
+            first_name: 'Ada',
+            last_name: 'Lovelace',
+            email: `audit${sequence}@example.com`,
+            department: 'Engineering'
+        });
+        return response.body.data;
+    };
+
+    const entriesOf = async (recordId) => {
+        const response = await as(admin).get(`/api/audit?table=employee&recordId=${recordId}`);
+        return response.body.entries;
+    };
+
+    test('records who changed what, newest first', async () => {
+        const employee = await createEmployee();
+        const updated = await as(admin).put(`/api/employees/${employee.id}`, { department: 'Research' });
+        await as(admin).delete(`/api/employees/${employee.id}`);
+
+        const entries = await entriesOf(employee.id);
+
+        expect(entries.map(entry => entry.operation)).toEqual(['soft_delete', 'update', 'insert']);
+        expect(entries[1]).toMatchObject({
+            tableName: 'employee',
+            recordId: String(employee.id),
+            oldValues: { department: 'Engineering' },
+            newValues: { department: 'Research' },
+            userId: admin.user.id,
+            requestId: updated.body.requestId
+        });
+        expect(entries[2].oldValues).toBeNull();
+        expect(entries[2].newValues).toMatchObject({ emp_id: employee.emp_id });
+    });
+
+    test('keeps only the columns an update changed', async () => {
+        const employee = await createEmployee();
+        await as(admin).put(`/api/employees/${employee.id}`, { department: 'Research', first_name: 'Ada' });
+
+        const [entry] = await entriesOf(employee.id);
+
+        expect(Object.keys(entry.newValues).sort()).toEqual(['department', 'updated_at', 'version']);
+        expect(Object.keys(entry.oldValues).sort()).toEqual(['department', 'updated_at', 'version']);
+    });
+
+    test('writes in the transaction of the change', async () => {
+        const employee = await createEmployee();
+
+        await expect(transaction(async (client) => {
+            await updateRecord('employee', { department: 'Sales' }, { id: employee.id }, { client });
+            throw new Error('rolled back');
+        })).rejects.toThrow('rolled back');
+
+        expect((await entriesOf(employee.id)).map(entry => entry.operation)).toEqual(['insert']);
+    });
+
+    test('leaves tables that did not opt in alone', async () => {
+        await as(user).put('/api/users/profile', { bio: 'Unaudited' });
+
+        const response = await as(admin).get('/api/audit?table=users');
+
+        expect(response.body.entries).toEqual([]);
+    });
+
+    test('redacts secret columns', () => {
+        const entry = auditService.buildEntry({
+            operation: 'update',
+            recordId: '1',
+            before: { password: 'old', email: 'a@example.com' },
+            after: { password: 'new', email: 'a@example.com' }
+        });
+
+        expect(entry).toMatchObject({ old_values: { password: '[REDACTED]' }, new_values: { password: '[REDACTED]' } });
+    });
+
+    test('filters by column and operation', async () => {
+        const employee = await createEmployee();
+        await as(admin).put(`/api/employees/${employee.id}`, { last_name: 'Byron' });
+
+        const byColumn = await as(admin).get(`/api/audit?table=employee&column=last_name&recordId=${employee.id}`);
+        const byOperation = await as(admin).get(`/api/audit?table=employee&operation=insert&recordId=${employee.id}`);
+
+        expect(byColumn.body.entries.map(entry => entry.newValues.last_name)).toEqual(['Byron', 'Lovelace']);
+        expect(byOperation.body.entries).toHaveLength(1);
+    });
+
+    test('is for holders of audit:read only', async () => {
+        expect((await as(user).get('/api/audit')).status).toBe(403);
+    });
+});
@@ -1,7 +1,18 @@
 import { hashPassword, comparePassword, generateRandomToken } from '../utils/crypto.js';
-import { generateToken, generateRefreshToken } from '../middleware/auth.js';
+import { generateToken, generateChallengeToken, verifyChallengeToken } from '../middleware/auth.js';
 import { insertRecord, updateRecord } from '../utils/database.js';
-import { cacheService } from './cacheService.js';
+import { query } from '../config/database.js';
+import { tokenRevocationService } from './tokenRevocationService.js';
+import { refreshTokenService } from './refreshTokenService.js';
+import { sessionService } from './sessionService.js';
+import { emailService } from './emailService.js';
+import { jobQueue } from './jobQueue.js';
+import { twoFactorService } from './twoFactorService.js';
+import { loginThrottleService } from './loginThrottleService.js';
+import { permissionService } from './permissionService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ERROR_MESSAGES } from '../constants/errorMessages.js';
+import config from '../config/index.js';
 import logger from '../config/logger.js';
 
 /**
@@ -10,8 +21,12 @@ import logger from '../config/logger.js';
 export class AuthService {
     /**
      * Register a new user
+     * @param {Object} userData - Profile and password
+     * @param {Object} options - { emailVerified } when the address was already verified (e.g. by an OIDC provider)
      */
-    async register(userData) {
+    async register(userData, options = {}) {
+        const { emailVerified = false } = options;
+
         try {
             // Check if user already exists
             const existingUser = await query(
@@ -36,19 +51,19 @@ export class AuthService {
                 date_of_birth: userData.dateOfBirth,
                 status: 'active',
                 role: 'user',
-                email_verified: false,
+                email_verified: emailVerified,
                 created_at: new Date(),
                 updated_at: new Date()
             });
 
-            // Generate email verification token
-            const verificationToken = generateRandomToken();
-            await insertRecord('email_verifications', {
-                user_id: newUser.id,
-                token: verificationToken,
-                expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-                created_at: new Date()
-            });
+            // A failed delivery must not fail the registration; the user can request a new link
+            if (!emailVerified) {
+                try {
+                    await this.sendEmailVerification(newUser);
+                } catch (error) {
+                    logger.warn('Verification email not sent', { userId: newUser.id, error: error.message });
+                }
+            }
 
             logger.info('User registered successfully', { userId: newUser.id, email: userData.email });
 
@@ -59,8 +74,7 @@ export class AuthService {
                     lastName: newUser.last_name,
                     email: newUser.email,
                     role: newUser.role
-                },
-                verificationToken
+                }
             };
         } catch (error) {
             logger.error('User registration failed:', error);
@@ -68,11 +82,148 @@ export class AuthService {
         }
     }
 
+    /**
+     * Email a new verification link, through the job queue when config.email.queue is set
+     * The job holds only the user ID; its handler issues the token.
+     * @param {Object} user - User record ({ id, email, first_name })
+     */
+    async sendEmailVerification(user) {
+        if (config.email.queue) {
+            await jobQueue.enqueue('auth.verify-email', { userId: user.id });
+            return;
+        }
+
+        await this.issueEmailVerification(user);
+    }
+
+    /**
+     * Issue a new email verification token, replacing earlier ones, and email it now
+     * @param {Object} user - User record ({ id, email, first_name })
+     * @param {Object} retry - { retryAttempts } of the send
+     */
+    async issueEmailVerification(user, retry = {}) {
+        const verificationToken = generateRandomToken();
+
+        await query('DELETE FROM email_verifications WHERE user_id = $1', [user.id]);
+        await insertRecord('email_verifications', {
+            user_id: user.id,
+            token: verificationToken,
+            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+            created_at: new Date()
+        });
+
+        await emailService.sendVerificationEmail(
+            { email: user.email, firstName: user.first_name },
+            verificationToken,
+            retry
+        );
+    }
+
+    /**
+     * Resend the verification email
+     * Silently does nothing for unknown, inactive or already verified accounts
+     * @param {string} email - User email
+     * @returns {Promise<boolean>} Whether an email was sent
+     */
+    async resendVerification(email) {
+        const userResult = await query(
+            'SELECT id, email, first_name, email_verified FROM users WHERE email = $1 AND status = $2',
+            [email, 'active']
+        );
+
+        const user = userResult.rows[0];
+
+        if (!user || user.email_verified) {
+            return false;
+        }
+
+        await this.sendEmailVerification(user);
+
+        logger.info('Verification email resent', { userId: user.id });
+        return true;
+    }
+
+    /**
+     * Start resendVerification without waiting for it, like requestPasswordReset
+     * @param {string} email - User email
+     */
+    requestVerification(email) {
+        this.resendVerification(email).catch(error => {
+            logger.warn('Verification email not resent', { email, error: error.message });
+        });
+    }
+
+    /**
+     * Email a password reset link
+     * Silently does nothing for unknown or inactive accounts
+     * @param {string} email - User email
+     * @returns {Promise<boolean>} Whether an email was sent
+     */
+    async sendPasswordReset(email) {
+        const userResult = await query(
+            'SELECT id, email, first_name FROM users WHERE email = $1 AND status = $2',
+            [email, 'active']
+        );
+
+        const user = userResult.rows[0];
+
+        if (!user) {
+            return false;
+        }
+
+        // Like verification links, the job holds only the user ID
+        if (config.email.queue) {
+            await jobQueue.enqueue('auth.password-reset', { userId: user.id });
+        } else {
+            await this.issuePasswordReset(user);
+        }
+
+        logger.info('Password reset email sent', { userId: user.id });
+        return true;
+    }
+
+    /**
+     * Issue a password reset token and email it now
+     * @param {Object} user - User record ({ id, email, first_name })
+     * @param {Object} retry - { retryAttempts } of the send
+     */
+    async issuePasswordReset(user, retry = {}) {
+        const resetToken = generateRandomToken();
+
+        await insertRecord('password_resets', {
+            user_id: user.id,
+            token: resetToken,
+            expires_at: new Date(Date.now() + 60 * 60 * 1000), // 1 hour
+            created_at: new Date()
+        });
+
+        await emailService.sendPasswordResetEmail({ email: user.email, firstName: user.first_name }, resetToken, retry);
+    }
+
+    /**
+     * Start sendPasswordReset without waiting for it
+     * The lookup and the send happen after the caller responds, so the
+     * response takes as long for unknown addresses as for known ones.
+     * @param {string} email - User email
+     */
+    requestPasswordReset(email) {
+        this.sendPasswordReset(email).catch(error => {
+            logger.warn('Password reset email not sent', { email, error: error.message });
+        });
+    }
+
     /**
      * Login user
+     * @param {string} email - User email
+     * @param {string} password - Plain text password
+     * @param {boolean} rememberMe - Extend session lifetime to 30 days
+     * @param {Object} context - Client details recorded on the session ({ userAgent, ipAddress })
      */
-    async login(email, password, rememberMe = false) {
+    async login(email, password, rememberMe = false, context = {}) {
         try {
+            // Locked or backing-off accounts are rejected before the password is checked
+            await loginThrottleService.assertCanAttempt(email);
+
             // Get user with password
             const userResult = await query(
                 'SELECT id, first_name, last_name, email, password_hash, role, status, email_verified FROM users WHERE email = $1',
@@ -80,6 +231,7 @@ export class AuthService {
             );
 
             if (userResult.rows.length === 0) {
+                await this.recordFailedLogin(email);
                 throw new Error('Invalid credentials');
             }
 
@@ -93,71 +245,178 @@ export class AuthService {
             // Verify password
             const isValidPassword = await comparePassword(password, user.password_hash);
             if (!isValidPassword) {
+                await this.recordFailedLogin(email, user);
                 throw new Error('Invalid credentials');
             }
 
-            // Generate tokens
-            const accessToken = generateToken(user);
-            const refreshToken = generateRefreshToken(user);
+            if (!user.email_verified && config.auth.unverifiedLogin === 'block') {
+                throw new AppError(ERROR_MESSAGES.ACCOUNT_NOT_VERIFIED, 403, true, 'ACCOUNT_NOT_VERIFIED');
+            }
 
-            // Store refresh token
-            await insertRecord('refresh_tokens', {
-                user_id: user.id,
-                token: refreshToken,
-                expires_at: new Date(Date.now() + (rememberMe ? 30 : 7) * 24 * 60 * 60 * 1000),
-                created_at: new Date()
-            });
+            return await this.startLogin(user, rememberMe, context);
+        } catch (error) {
+            logger.error('User login failed:', error);
+            throw error;
+        }
+    }
 
-            // Update last login
-            await updateRecord('users',
-                { last_login: new Date() },
-                { id: user.id }
-            );
+    /**
+     * Log in a user whose first factor (password or external identity) was verified
+     * Returns a two-factor challenge instead of tokens when 2FA is enabled.
+     * @param {Object} user - User record
+     * @param {boolean} rememberMe - Extend session lifetime to 30 days
+     * @param {Object} context - Client details recorded on the session
+     */
+    async startLogin(user, rememberMe = false, context = {}) {
+        if (await twoFactorService.isEnabled(user.id)) {
+            logger.info('Two-factor challenge issued', { userId: user.id, email: user.email });
+
+            return {
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user, { rememberMe })
+            };
+        }
+
+        return this.completeLogin(user, rememberMe, context);
+    }
+
+    /**
+     * Complete the second login step with a TOTP or recovery code
+     * @param {string} challengeToken - Token returned by login
+     * @param {string} code - TOTP code or recovery code
+     * @param {Object} context - Client details recorded on the session ({ userAgent, ipAddress })
+     */
+    async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+        let challenge;
+        try {
+            challenge = verifyChallengeToken(challengeToken);
+        } catch {
+            throw new AppError('Invalid or expired two-factor challenge', 401, true, 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
+
+        // A challenge completes one login; checked before the code so a replay doesn't burn a recovery code
+        if (await tokenRevocationService.isRevoked(challenge)) {
+            throw new AppError('Invalid or expired two-factor challenge', 401, true, 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
 
-            // Cache user data
-            await cacheService.set(`user:${user.id}`, {
+        const userResult = await query(
+            'SELECT id, first_name, last_name, email, role, status, email_verified FROM users WHERE id = $1',
+            [challenge.userId]
+        );
+
+        const user = userResult.rows[0];
+        if (!user || user.status !== 'active') {
+            throw new AppError('Account is not active', 401, true, 'USER_INACTIVE');
+        }
+
+        await loginThrottleService.assertCanAttempt(user.email);
+
+        const method = await twoFactorService.verifyCode(user.id, code);
+        if (!method) {
+            logger.warn('Two-factor verification failed', { userId: user.id });
+            await this.recordFailedLogin(user.email, user);
+            throw new AppError('Invalid two-factor code', 401, true, 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const used = await tokenRevocationService.consume(challenge.jti, challenge.exp, {
+            userId: user.id,
+            reason: '2fa_challenge_used'
+        });
+        if (!used) {
+            throw new AppError('Invalid or expired two-factor challenge', 401, true, 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
+
+        const result = await this.completeLogin(user, challenge.rememberMe, context);
+        return { ...result, rememberMe: challenge.rememberMe, twoFactorMethod: method };
+    }
+
+    /**
+     * Count a failed login against the account and email the owner if it gets locked
+     * @param {string} email - Email the login was attempted with
+     * @param {Object|null} user - Matching user record, if any
+     */
+    async recordFailedLogin(email, user = null) {
+        const { locked, lockedUntil } = await loginThrottleService.recordFailure(email);
+
+        if (locked && user) {
+            try {
+                await emailService.sendAccountLockedEmail({ email: user.email, firstName: user.first_name }, lockedUntil);
+            } catch (error) {
+                logger.warn('Account locked email not sent', { userId: user.id, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Start a session for an authenticated user and issue its tokens
+     * @param {Object} user - User record
+     * @param {boolean} rememberMe - Extend session lifetime to 30 days
+     * @param {Object} context - Client details recorded on the session
+     */
+    async completeLogin(user, rememberMe = false, context = {}) {
+        await loginThrottleService.reset(user.email);
+
+        // Resolve permissions now so they are cached and carried in the access token
+        const permissions = await permissionService.getUserPermissions(user.id);
+
+        // Start a new session (refresh token family) and issue tokens for it
+        const { refreshToken, familyId: sessionId } = await refreshTokenService.startFamily(user, {
+            rememberMe,
+            userAgent: context.userAgent,
+            ipAddress: context.ipAddress
+        });
+        const accessToken = generateToken({ ...user, permissions }, { sessionId });
+
+        // Update last login; not a change to the profile, so its ETag stays valid
+        await updateRecord('users',
+            { last_login: new Date() },
+            { id: user.id },
+            { touch: false }
+        );
+
+        logger.info('User logged in successfully', { userId: user.id, email: user.email });
+
+        return {
+            user: {
                 id: user.id,
                 firstName: user.first_name,
                 lastName: user.last_name,
                 email: user.email,
-                role: user.role
-            }, 3600); // 1 hour
-
-            logger.info('User logged in successfully', { userId: user.id, email });
-
-            return {
-                user: {
-                    id: user.id,
-                    firstName: user.first_name,
-                    lastName: user.last_name,
-                    email: user.email,
-                    role: user.role,
-                    emailVerified: user.email_verified
-                },
-                tokens: {
-                    accessToken,
-                    refreshToken
-                }
-            };
-        } catch (error) {
-            logger.error('User login failed:', error);
-            throw error;
-        }
+                role: user.role,
+                emailVerified: user.email_verified,
+                permissions
+            },
+            sessionId,
+            tokens: {
+                accessToken,
+                refreshToken
+            }
+        };
     }
 
     /**
      * Logout user
+     * @param {string} userId - User ID
+     * @param {string} refreshToken - Refresh token to discard; without one the session
+     *   of the access token is ended
+     * @param {Object} accessToken - Current access token ({ id, sessionId, expiresAt }) to revoke
      */
-    async logout(userId, refreshToken) {
+    async logout(userId, refreshToken, accessToken = null) {
         try {
-            // Remove refresh token
-            await query(
-                'DELETE FROM refresh_tokens WHERE user_id = $1 AND token = $2',
-                [userId, refreshToken]
-            );
+            // Revoke the refresh token family
+            if (refreshToken) {
+                await refreshTokenService.revokeByToken(refreshToken, userId);
+            } else if (accessToken?.sessionId) {
+                await sessionService.revoke(userId, accessToken.sessionId, 'logout');
+            }
 
-            // Clear user cache
-            await cacheService.delete(`user:${userId}`);
+            // Revoke the access token used for this request
+            if (accessToken?.id) {
+                await tokenRevocationService.revokeToken(accessToken.id, accessToken.expiresAt, {
+                    userId,
+                    reason: 'logout'
+                });
+            }
 
             logger.info('User logged out successfully', { userId });
         } catch (error) {
@@ -165,4 +424,30 @@ export class AuthService {
             throw error;
         }
     }
-}
\ No newline at end of file
+}
+
+const authService = new AuthService();
+
+const findActiveUser = async (userId) => {
+    const result = await query(
+        'SELECT id, email, first_name, email_verified FROM users WHERE id = $1 AND status = $2',
+        [userId, 'active']
+    );
+    return result.rows[0] || null;
+};
+
+// Tokens are issued when the job runs, so neither jobs nor dead letters hold one.
+// Each attempt sends once with a new token; the queue spaces out the retries.
+jobQueue.register('auth.verify-email', async ({ userId }) => {
+    const user = await findActiveUser(userId);
+    if (user && !user.email_verified) {
+        await authService.issueEmailVerification(user, { retryAttempts: 1 });
+    }
+});
+
+jobQueue.register('auth.password-reset', async ({ userId }) => {
+    const user = await findActiveUser(userId);
+    if (user) {
+        await authService.issuePasswordReset(user, { retryAttempts: 1 });
+    }
+});
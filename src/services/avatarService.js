@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { transaction } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createStorageDriver } from './storageDrivers.js';
+import debug from 'debug';
+
+const debugAvatar = debug('app:avatar');
+
+// Refuse to decode images larger than this, whatever their file size
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * Avatar service
+ *
+ * Uploaded images are decoded, turned upright and re-encoded as WebP in every size
+ * of config.avatar.sizes, which drops EXIF and other metadata. Each upload is stored
+ * under `avatars/<userId>/<version>/`, where the version is a hash of the image, so
+ * avatar URLs never change contents and can be cached for good.
+ */
+export class AvatarService {
+    constructor () {
+        this.driver = createStorageDriver(config.upload.driver);
+        this.sizes = config.avatar.sizes;
+    }
+
+    sizeKey(avatarKey, size) {
+        return `${avatarKey}/${size}.webp`;
+    }
+
+    /**
+     * Public URLs of a user's avatar in every size
+     * @param {string} baseUrl - Mount path of the user routes
+     * @param {string|null} avatarKey - users.avatar_key
+     * @returns {Object|null} URL per size name, or null without an avatar
+     */
+    urls(baseUrl, avatarKey) {
+        if (!avatarKey) {
+            return null;
+        }
+
+        // avatars/<userId>/<version> is also the URL path below the user routes
+        return Object.fromEntries(Object.keys(this.sizes).map(size => [size, `${baseUrl}/${avatarKey}/${size}`]));
+    }
+
+    /**
+     * Render every size of an image
+     * @throws {AppError} INVALID_IMAGE when the file cannot be decoded
+     */
+    async render(filePath) {
+        const image = sharp(filePath, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' });
+
+        try {
+            const rendered = {};
+            for (const [size, dimension] of Object.entries(this.sizes)) {
+                rendered[size] = await image.clone()
+                    .rotate()
+                    .resize(dimension, dimension, { fit: size === 'original' ? 'inside' : 'cover', withoutEnlargement: true })
+                    .webp({ quality: config.avatar.quality })
+                    .toBuffer();
+            }
+            return rendered;
+        } catch (error) {
+            debugAvatar('Image rejected', { error: error.message });
+            throw new AppError('File is not a valid image', 400, true, 'INVALID_IMAGE');
+        }
+    }
+
+    /**
+     * Replace a user's avatar
+     * @param {string} userId - User ID
+     * @param {Object} file - req.file from uploadFile
+     * @returns {Promise<string>} New avatar key
+     */
+    async set(userId, file) {
+        const rendered = await this.render(file.path);
+
+        const version = crypto.createHash('sha256').update(rendered.original).digest('hex').slice(0, 16);
+        const avatarKey = `avatars/${userId}/${version}`;
+
+        await Promise.all(Object.entries(rendered).map(([size, buffer]) =>
+            this.driver.put(this.sizeKey(avatarKey, size), buffer)
+        ));
+
+        const previous = await this.swap(userId, avatarKey);
+        if (previous === undefined) {
+            await this.deleteImages(avatarKey);
+            throw new AppError('User not found', 404, true, 'USER_NOT_FOUND');
+        }
+
+        // Uploading the same image again keeps its key
+        if (previous && previous !== avatarKey) {
+            await this.deleteImages(previous);
+        }
+
+        logger.info('Avatar updated', { userId, version });
+        return avatarKey;
+    }
+
+    /**
+     * Remove a user's avatar
+     * @returns {Promise<boolean>} Whether there was one
+     */
+    async remove(userId) {
+        const previous = await this.swap(userId, null);
+
+        if (previous) {
+            await this.deleteImages(previous);
+            logger.info('Avatar removed', { userId });
+        }
+
+        return Boolean(previous);
+    }
+
+    /**
+     * Set users.avatar_key and return the previous value
+     * @returns {Promise<string|null|undefined>} Previous key, undefined when the user does not exist
+     */
+    async swap(userId, avatarKey) {
+        return transaction(async (client) => {
+            const current = await client.query('SELECT avatar_key FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+            if (current.rows.length === 0) {
+                return undefined;
+            }
+
+            await client.query('UPDATE users SET avatar_key = $2, updated_at = NOW() WHERE id = $1', [userId, avatarKey]);
+            return current.rows[0].avatar_key;
+        });
+    }
+
+    async deleteImages(avatarKey) {
+        try {
+            await Promise.all(Object.keys(this.sizes).map(size => this.driver.delete(this.sizeKey(avatarKey, size))));
+        } catch (error) {
+            // The new avatar is in place; stale images only cost storage
+            logger.warn('Failed to delete avatar images:', { avatarKey, error: error.message });
+        }
+    }
+
+    /**
+     * Stream one size of an avatar
+     * @returns {Promise<stream.Readable|null>} Image stream, or null if not found
+     */
+    async createReadStream(userId, version, size) {
+        const key = this.sizeKey(`avatars/${userId}/${version}`, size);
+        return (await this.driver.exists(key)) ? this.driver.createReadStream(key) : null;
+    }
+}
+
+// Create default avatar service instance
+export const avatarService = new AvatarService();
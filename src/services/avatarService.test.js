@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import request from 'supertest';
+import config from '../config/index.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('avatarService', () => {
+    let db;
+    let app;
+    let user;
+    let session;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        user = await createUser();
+        session = await login(app, user);
+    });
+
+    // A landscape JPEG carrying EXIF, including an orientation that turns it upright as portrait
+    const photo = (color = '#c0ffee') => sharp({ create: { width: 600, height: 400, channels: 3, background: color } })
+        .jpeg()
+        .withExif({ IFD0: { Make: 'TestCam', Model: 'Leaky 1' } })
+        .withMetadata({ orientation: 6 })
+        .toBuffer();
+
+    const uploadAvatar = (content, contentType = 'image/jpeg') => request(app)
+        .put('/api/users/profile/avatar')
+        .set('Authorization', `Bearer ${session.accessToken}`)
+        .attach('avatar', content, { filename: 'me.jpg', contentType });
+
+    const profile = () => request(app).get('/api/users/profile').set('Authorization', `Bearer ${session.accessToken}`);
+
+    const avatarKey = async () => {
+        const { rows: [row] } = await db.query('SELECT avatar_key FROM users WHERE id = $1', [user.id]);
+        return row.avatar_key;
+    };
+
+    const storedImages = (key) => Object.keys(config.avatar.sizes)
+        .map(size => path.resolve(config.upload.destination, key, `${size}.webp`));
+
+    test('renders every size as upright WebP without metadata', async () => {
+        const response = await uploadAvatar(await photo());
+
+        expect(response.status).toBe(200);
+        expect(Object.keys(response.body.avatarUrls)).toEqual(['thumb', 'medium', 'original']);
+        expect(response.body.avatarUrl).toBe(response.body.avatarUrls.medium);
+
+        const thumb = await request(app).get(response.body.avatarUrls.thumb).buffer(true);
+        expect(thumb.status).toBe(200);
+        expect(thumb.headers['content-type']).toBe('image/webp');
+        expect(await sharp(thumb.body).metadata()).toMatchObject({ format: 'webp', width: 64, height: 64 });
+
+        const original = await request(app).get(response.body.avatarUrls.original).buffer(true);
+        const metadata = await sharp(original.body).metadata();
+        expect(metadata).toMatchObject({ width: 400, height: 600 });
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.orientation).toBeUndefined();
+    });
+
+    test('shows the avatar on the profile', async () => {
+        const { body } = await uploadAvatar(await photo());
+
+        const response = await profile();
+
+        expect(response.body.user.avatarUrl).toBe(body.avatarUrl);
+    });
+
+    test('replaces the previous images', async () => {
+        await uploadAvatar(await photo('#000000'));
+        const previous = await avatarKey();
+
+        await uploadAvatar(await photo('#ffffff'));
+
+        expect(await avatarKey()).not.toBe(previous);
+        for (const file of storedImages(previous)) {
+            expect(await fs.pathExists(file)).toBe(false);
+        }
+    });
+
+    test('rejects files that are not images', async () => {
+        const truncated = (await photo()).subarray(0, 200);
+
+        expect((await uploadAvatar(truncated)).body.code).toBe('INVALID_IMAGE');
+        expect((await uploadAvatar(Buffer.from('%PDF-1.4'), 'application/pdf')).status).toBe(415);
+        expect(await avatarKey()).toBeNull();
+    });
+
+    test('removes the avatar', async () => {
+        await uploadAvatar(await photo());
+        const key = await avatarKey();
+
+        const response = await request(app).delete('/api/users/profile/avatar').set('Authorization', `Bearer ${session.accessToken}`);
+
+        expect(response.status).toBe(200);
+        expect((await profile()).body.user.avatarUrl).toBeNull();
+        for (const file of storedImages(key)) {
+            expect(await fs.pathExists(file)).toBe(false);
+        }
+    });
+
+    test('deletes the images with the account', async () => {
+        await uploadAvatar(await photo());
+        const key = await avatarKey();
+
+        const response = await request(app).delete('/api/users/profile').set('Authorization', `Bearer ${session.accessToken}`);
+
+        expect(response.status).toBe(200);
+        for (const file of storedImages(key)) {
+            expect(await fs.pathExists(file)).toBe(false);
+        }
+    });
+});
@@ -0,0 +1,47 @@
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { clearSchemaCache, getTableSchema } from '../utils/database.js';
+import { jobQueue } from './jobQueue.js';
+import debug from 'debug';
+
+const debugCacheWarm = debug('app:cacheWarm');
+
+/**
+ * Cache warming
+ *
+ * Reloads table schemas into the cache ahead of the requests that need them.
+ * Runs as the `cache.warm` job, which cronService enqueues, so one worker does
+ * it however many instances are running.
+ */
+export class CacheWarmService {
+    constructor (options = config.cacheWarm) {
+        this.tables = options.tables;
+    }
+
+    /**
+     * Reload the schema of every configured table
+     * A table that cannot be read is logged and skipped.
+     * @returns {Promise<number>} Tables warmed
+     */
+    async warm() {
+        let warmed = 0;
+
+        for (const tableName of this.tables) {
+            try {
+                await clearSchemaCache(tableName);
+                await getTableSchema(tableName);
+                warmed++;
+            } catch (error) {
+                logger.warn('Table schema not warmed', { tableName, error: error.message });
+            }
+        }
+
+        debugCacheWarm('Cache warmed', { tables: warmed });
+        return warmed;
+    }
+}
+
+// Create default cache warm service instance
+export const cacheWarmService = new CacheWarmService();
+
+jobQueue.register('cache.warm', () => cacheWarmService.warm());
@@ -1,6 +1,16 @@
 import cron from 'node-cron';
 import logger from '../config/logger.js';
 import config from '../config/index.js';
+import { tokenRevocationService } from './tokenRevocationService.js';
+import { refreshTokenService } from './refreshTokenService.js';
+import { loginThrottleService } from './loginThrottleService.js';
+import { oidcService } from './oidcService.js';
+import { signingKeyService } from './signingKeyService.js';
+import { exportService } from './exportService.js';
+import { importService } from './importService.js';
+import { idempotencyService } from './idempotencyService.js';
+import { jobQueue } from './jobQueue.js';
+import './cacheWarmService.js';
 
 /**
  * Cron job manager
@@ -135,8 +145,39 @@ if (config.env !== 'test') {
     cronManager.schedule('cleanup-sessions', '0 * * * *', async () => {
         // Implement session cleanup logic
         logger.info('Running session cleanup');
+
+        // Each purge runs on its own, so one failing does not keep the others from running
+        const purgeSteps = [
+            ['Expired token revocations purged', 'tokenRevocations', () => tokenRevocationService.purgeExpired()],
+            ['Expired refresh token families purged', 'families', () => refreshTokenService.purgeExpired()],
+            ['Stale login attempts purged', 'loginAttempts', () => loginThrottleService.purgeExpired()],
+            ['Expired OIDC login requests purged', 'oidcRequests', () => oidcService.purgeExpired()],
+            ['Expired JWT signing keys purged', 'signingKeys', () => signingKeyService.purgeExpired()],
+            ['Expired export files purged', 'exports', () => exportService.purgeExpired()],
+            ['Expired import reports purged', 'imports', () => importService.purgeExpired()],
+            ['Expired idempotency keys purged', 'idempotencyKeys', () => idempotencyService.purgeExpired()],
+            ['Old completed jobs purged', 'jobs', () => jobQueue.purgeExpired()]
+        ];
+
+        for (const [message, key, purge] of purgeSteps) {
+            try {
+                logger.info(message, { [key]: await purge() });
+            } catch (error) {
+                logger.error(`Cleanup step failed: ${key}`, { error: error.message });
+            }
+        }
+    });
+
+    // Rotate JWT signing keys and pick up keys created by other instances (every 5 minutes)
+    cronManager.schedule('signing-keys', '*/5 * * * *', async () => {
+        await signingKeyService.refresh();
     });
 
+    // Reload caches through the job queue, so one worker warms them (every 30 minutes and on start)
+    cronManager.schedule('cache-warm', '*/30 * * * *', async () => {
+        await jobQueue.enqueue('cache.warm', {});
+    }, { runOnInit: true });
+
     // Database maintenance (every day at 2 AM)
     cronManager.schedule('db-maintenance', '0 2 * * *', async () => {
         // Implement database maintenance logic
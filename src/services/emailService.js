@@ -0,0 +1,206 @@
+import ejs from 'ejs';
+import path from 'path';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { createTransport } from './emailTransports.js';
+import { jobQueue } from './jobQueue.js';
+import debug from 'debug';
+
+const debugEmail = debug('app:email');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Email service
+ *
+ * Renders EJS templates from `<views>/emails` and hands the message to a
+ * pluggable transport (smtp, file or memory), retrying failed sends with
+ * exponential backoff. With config.email.queue, sending enqueues an
+ * `email.send` job instead and the job queue does the retrying. Links holding
+ * tokens are sent directly, by jobs that issue the token (see authService).
+ */
+export class EmailService {
+    constructor (transport = null) {
+        this.transport = transport;
+        this.templateDir = path.join(config.views.directory, 'emails');
+    }
+
+    /**
+     * Lazily create the configured transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createTransport(config.email.transport);
+            debugEmail(`Using ${this.transport.name} email transport`);
+        }
+        return this.transport;
+    }
+
+    /**
+     * Swap the transport (e.g. a MemoryTransport in tests)
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Render an email template
+     * @param {string} template - Template name without extension
+     * @param {Object} data - Template data
+     * @returns {Promise<Object>} HTML and plain-text bodies
+     */
+    async render(template, data = {}) {
+        const html = await ejs.renderFile(path.join(this.templateDir, `${template}.ejs`), {
+            appName: config.app.name,
+            appUrl: config.app.url,
+            ...data
+        });
+
+        const text = html
+            .replace(/<style[\s\S]*?<\/style>/gi, '')
+            .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\n\s*\n\s*/g, '\n\n')
+            .trim();
+
+        return { html, text };
+    }
+
+    /**
+     * Send an email, through the job queue when config.email.queue is set
+     * @param {Object} options - { to, subject, template, data }
+     * @returns {Promise<Object>} Enqueued job, or the transport result when sent directly
+     */
+    async send(options) {
+        if (config.email.queue) {
+            const job = await jobQueue.enqueue('email.send', options);
+            debugEmail('Email queued', { to: options.to, template: options.template, jobId: job.id });
+            return job;
+        }
+
+        return this.deliver(options);
+    }
+
+    /**
+     * Render and send an email now
+     * @param {Object} options - { to, subject, template, data }
+     * @param {Object} retry - { retryAttempts }
+     * @returns {Promise<Object>} Transport result
+     */
+    async deliver({ to, subject, template, data = {} }, { retryAttempts = config.email.retryAttempts } = {}) {
+        const { html, text } = await this.render(template, data);
+        const message = { from: config.email.from, to, subject, html, text };
+        const { retryDelayMs } = config.email;
+
+        for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+            try {
+                const result = await this.getTransport().send(message);
+
+                logger.info('Email sent', {
+                    to,
+                    template,
+                    attempt,
+                    messageId: result.messageId,
+                    requestId: getRequestId()
+                });
+
+                return result;
+            } catch (error) {
+                if (attempt === retryAttempts) {
+                    logger.error('Email sending failed:', {
+                        to,
+                        template,
+                        attempts: attempt,
+                        error: error.message,
+                        requestId: getRequestId()
+                    });
+                    throw error;
+                }
+
+                const delay = retryDelayMs * 2 ** (attempt - 1);
+                logger.warn('Email sending failed, retrying', {
+                    to,
+                    template,
+                    attempt,
+                    retryInMs: delay,
+                    error: error.message
+                });
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Send email address verification link
+     * Always sent now: the link holds a token, which must not be stored in a job.
+     * authService queues its own job, which issues the token when it runs.
+     * @param {Object} retry - { retryAttempts }
+     */
+    async sendVerificationEmail(user, token, retry = {}) {
+        return this.deliver({
+            to: user.email,
+            subject: 'Verify your email address',
+            template: 'verify-email',
+            data: {
+                firstName: user.firstName,
+                verifyUrl: `${config.app.url}/api/auth/verify-email/${token}`
+            }
+        }, retry);
+    }
+
+    /**
+     * Send password reset link
+     * Always sent now, like sendVerificationEmail
+     * @param {Object} retry - { retryAttempts }
+     */
+    async sendPasswordResetEmail(user, token, retry = {}) {
+        return this.deliver({
+            to: user.email,
+            subject: 'Reset your password',
+            template: 'password-reset',
+            data: {
+                firstName: user.firstName,
+                resetUrl: `${config.app.url}/reset-password?token=${token}`,
+                expiresInMinutes: 60
+            }
+        }, retry);
+    }
+
+    /**
+     * Notify user that their account was locked after failed logins
+     */
+    async sendAccountLockedEmail(user, lockedUntil) {
+        return this.send({
+            to: user.email,
+            subject: 'Your account has been temporarily locked',
+            template: 'account-locked',
+            data: {
+                firstName: user.firstName,
+                lockedUntil: lockedUntil.toUTCString(),
+                resetUrl: `${config.app.url}/forgot-password`
+            }
+        });
+    }
+
+    /**
+     * Notify user that their password was changed
+     */
+    async sendPasswordChangedEmail(user) {
+        return this.send({
+            to: user.email,
+            subject: 'Your password was changed',
+            template: 'password-changed',
+            data: {
+                firstName: user.firstName,
+                changedAt: new Date().toUTCString()
+            }
+        });
+    }
+}
+
+// Create default email service instance
+export const emailService = new EmailService();
+
+// Queued emails get one send per job attempt; the queue spaces out the retries
+jobQueue.register('email.send', message => emailService.deliver(message, { retryAttempts: 1 }));
@@ -0,0 +1,69 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import config from '../config/index.js';
+import { EmailService } from './emailService.js';
+import { MemoryTransport } from './emailTransports.js';
+
+/**
+ * Memory transport that fails the first `failures` sends
+ */
+class FlakyTransport extends MemoryTransport {
+    constructor (failures) {
+        super();
+        this.failures = failures;
+        this.attempts = 0;
+    }
+
+    async send(message) {
+        this.attempts++;
+        if (this.attempts <= this.failures) {
+            throw new Error('Connection refused');
+        }
+        return super.send(message);
+    }
+}
+
+describe('EmailService', () => {
+    const message = {
+        to: 'user@example.com',
+        subject: 'Reset your password',
+        template: 'password-reset',
+        data: { firstName: 'Ada', resetUrl: 'https://app.test/reset-password?token=abc', expiresInMinutes: 60 }
+    };
+
+    let retryDelayMs;
+
+    beforeAll(() => {
+        retryDelayMs = config.email.retryDelayMs;
+        config.email.retryDelayMs = 1;
+    });
+
+    afterAll(() => {
+        config.email.retryDelayMs = retryDelayMs;
+    });
+
+    test('renders the template into HTML and plain text', async () => {
+        const transport = new MemoryTransport();
+        await new EmailService(transport).deliver(message);
+
+        const [sent] = transport.getMessages('user@example.com');
+        expect(sent.from).toBe(config.email.from);
+        expect(sent.html).toContain('href="https://app.test/reset-password?token=abc"');
+        expect(sent.text).toContain('Reset password (https://app.test/reset-password?token=abc)');
+        expect(sent.text).not.toMatch(/<[^>]+>/);
+    });
+
+    test('retries failed sends', async () => {
+        const transport = new FlakyTransport(2);
+        await new EmailService(transport).deliver(message, { retryAttempts: 3 });
+
+        expect(transport.attempts).toBe(3);
+        expect(transport.getMessages()).toHaveLength(1);
+    });
+
+    test('gives up after the last attempt', async () => {
+        const transport = new FlakyTransport(5);
+
+        await expect(new EmailService(transport).deliver(message, { retryAttempts: 2 })).rejects.toThrow('Connection refused');
+        expect(transport.attempts).toBe(2);
+    });
+});
@@ -0,0 +1,105 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs-extra';
+import path from 'path';
+import config from '../config/index.js';
+import { generateUUID } from '../utils/crypto.js';
+import debug from 'debug';
+
+const debugTransport = debug('app:emailTransport');
+
+/**
+ * SMTP transport
+ * Works against a real relay or a local SMTP sink (MailHog, Mailpit, ...).
+ */
+export class SmtpTransport {
+    constructor (smtpConfig = config.email.smtp) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: smtpConfig.port,
+            secure: smtpConfig.secure,
+            auth: smtpConfig.user
+                ? { user: smtpConfig.user, pass: smtpConfig.password }
+                : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        debugTransport('SMTP message sent', { messageId: info.messageId });
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * JSON file outbox transport
+ * Writes each message to its own JSON file instead of delivering it.
+ */
+export class FileTransport {
+    constructor (outboxDir = config.email.outboxDir) {
+        this.name = 'file';
+        this.outboxDir = path.resolve(outboxDir);
+    }
+
+    async send(message) {
+        const messageId = generateUUID();
+        const filePath = path.join(this.outboxDir, `${Date.now()}-${messageId}.json`);
+
+        await fs.ensureDir(this.outboxDir);
+        await fs.writeJson(filePath, {
+            messageId,
+            createdAt: new Date().toISOString(),
+            ...message
+        }, { spaces: 2 });
+
+        debugTransport('Message written to outbox', { filePath });
+        return { messageId, filePath };
+    }
+}
+
+/**
+ * In-memory transport for tests
+ */
+export class MemoryTransport {
+    constructor () {
+        this.name = 'memory';
+        this.messages = [];
+    }
+
+    async send(message) {
+        const messageId = generateUUID();
+        this.messages.push({ messageId, createdAt: new Date(), ...message });
+        return { messageId };
+    }
+
+    /**
+     * Messages sent so far, optionally filtered by recipient
+     */
+    getMessages(to = null) {
+        return to ? this.messages.filter(message => message.to === to) : [...this.messages];
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+const transports = {
+    smtp: SmtpTransport,
+    file: FileTransport,
+    memory: MemoryTransport
+};
+
+/**
+ * Create a transport by name
+ * @param {string} name - smtp | file | memory
+ */
+export const createTransport = (name = config.email.transport) => {
+    const Transport = transports[name];
+
+    if (!Transport) {
+        throw new Error(`Unknown email transport '${name}'. Expected one of: ${Object.keys(transports).join(', ')}`);
+    }
+
+    return new Transport();
+};
@@ -0,0 +1,355 @@
+import { once } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import ms from 'ms';
+import Cursor from 'pg-cursor';
+import ExcelJS from 'exceljs';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, getPool } from '../config/database.js';
+import { compileFilters, compileSort } from '../utils/queryFilters.js';
+import { jobQueue } from './jobQueue.js';
+import debug from 'debug';
+
+const debugExport = debug('app:export');
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+};
+
+const csvCell = (value) => {
+    let text = toText(value);
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * A closed stream never drains, so closing also ends the wait.
+ */
+const write = async (stream, chunk) => {
+    if (stream.write(chunk)) {
+        return;
+    }
+
+    await new Promise(resolve => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+    });
+};
+
+/**
+ * Row writers per format: start(), rows(batch), finish()
+ */
+const createWriter = (format, stream, columns, sheetName) => {
+    if (format === 'csv') {
+        return {
+            // BOM so spreadsheet apps read the file as UTF-8
+            start: () => write(stream, `\ufeff${columns.map(csvCell).join(',')}\r\n`),
+            rows: (rows) => write(stream, rows.map(row => `${columns.map(column => csvCell(row[column])).join(',')}\r\n`).join('')),
+            finish: async () => stream.end()
+        };
+    }
+
+    if (format === 'ndjson') {
+        return {
+            start: async () => {},
+            rows: (rows) => write(stream, rows.map(row => `${JSON.stringify(row)}\n`).join('')),
+            finish: async () => stream.end()
+        };
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(sheetName.substring(0, 31));
+    worksheet.columns = columns.map(column => ({ header: column, key: column }));
+
+    return {
+        start: async () => {},
+        rows: async (rows) => {
+            for (const row of rows) {
+                const values = {};
+                for (const column of columns) {
+                    const value = row[column];
+                    values[column] = value !== null && typeof value === 'object' && !(value instanceof Date)
+                        ? JSON.stringify(value)
+                        : value;
+                }
+                worksheet.addRow(values).commit();
+            }
+        },
+        finish: async () => {
+            worksheet.commit();
+            await workbook.commit();
+        }
+    };
+};
+
+/**
+ * Table export service
+ *
+ * Streams query results through a Postgres cursor, one batch at a time, so memory
+ * stays flat whatever the table size. Large exports run as export.run jobs on the
+ * job queue and are written to EXPORT_DIR, tracked in export_jobs until they expire.
+ */
+export class ExportService {
+    constructor () {
+        this.dir = config.export.dir;
+        this.batchSize = config.export.batchSize;
+        this.fileTTL = ms(config.export.fileTTL);
+        this.resources = new Map();
+    }
+
+    formatJob(row) {
+        return {
+            id: row.id,
+            resource: row.resource,
+            format: row.format,
+            status: row.status,
+            rowCount: row.row_count,
+            error: row.error,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at,
+            expiresAt: row.expires_at
+        };
+    }
+
+    /**
+     * Compose the export query over a list base query
+     * @param {Object} spec - { baseQuery, params, filters, sort, columns }
+     * @returns {Object} { text, params }
+     */
+    buildQuery({ baseQuery, params = [], filters = [], sort = [], columns }) {
+        const compiled = compileFilters(filters, { startIndex: params.length + 1 });
+        let text = `SELECT ${columns.join(', ')} FROM (${baseQuery}) AS export_query`;
+
+        if (compiled.clauses.length > 0) {
+            text += ` WHERE ${compiled.clauses.join(' AND ')}`;
+        }
+        if (sort.length > 0) {
+            text += ` ORDER BY ${compileSort(sort)}`;
+        }
+
+        return { text, params: [...params, ...compiled.params] };
+    }
+
+    /**
+     * Count the rows an export query returns
+     */
+    async count({ text, params }) {
+        const result = await query(`SELECT COUNT(*) AS total FROM (${text}) AS count_query`, params);
+        return parseInt(result.rows[0].total);
+    }
+
+    /**
+     * Stream the rows of a query to a writable stream
+     * Stops early when the stream is destroyed, e.g. the client went away.
+     * @param {stream.Writable} stream - Destination (response or file)
+     * @param {Object} options - { text, params, columns, format, sheetName, transform }
+     *   transform: optional async function mapping each batch of rows before writing
+     * @returns {Promise<number>} Rows written
+     */
+    async write(stream, { text, params, columns, format, sheetName = 'export', transform = null }) {
+        const writer = createWriter(format, stream, columns, sheetName);
+        const client = await getPool().connect();
+        const cursor = client.query(new Cursor(text, params));
+        let rowCount = 0;
+
+        try {
+            await writer.start();
+
+            let rows;
+            do {
+                rows = await cursor.read(this.batchSize);
+                if (stream.destroyed) {
+                    debugExport('Export stream closed early', { rowCount });
+                    return rowCount;
+                }
+                if (rows.length > 0) {
+                    await writer.rows(transform ? await transform(rows) : rows);
+                    rowCount += rows.length;
+                }
+            } while (rows.length === this.batchSize);
+
+            await writer.finish();
+            return rowCount;
+        } finally {
+            await cursor.close();
+            client.release();
+        }
+    }
+
+    filePath(job) {
+        return path.join(this.dir, `${job.id}.${EXPORT_FORMATS[job.format].extension}`);
+    }
+
+    /**
+     * Register how the exports of a resource are built
+     * The export.run job keeps only the list query, so the resource that
+     * started the export turns it back into a query when the job runs.
+     * @param {string} resource - Resource name
+     * @param {Function} buildExport - async (listQuery) => { text, params, columns, transform }
+     */
+    registerResource(resource, buildExport) {
+        this.resources.set(resource, buildExport);
+    }
+
+    /**
+     * Start a background export as an export.run job
+     * @param {Object} options - { resource, format, createdBy, listQuery }
+     * @returns {Promise<Object>} Pending job
+     */
+    async createJob({ resource, format, createdBy, listQuery }) {
+        const result = await query(
+            `INSERT INTO export_jobs (resource, format, created_by, list_query, expires_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [resource, format, createdBy, JSON.stringify(listQuery), new Date(Date.now() + this.fileTTL)]
+        );
+
+        const job = result.rows[0];
+
+        try {
+            await jobQueue.enqueue('export.run', { exportId: job.id });
+        } catch (error) {
+            await query(
+                `UPDATE export_jobs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+                [job.id, 'Export could not be queued']
+            );
+            throw error;
+        }
+
+        debugExport('Export job created', { jobId: job.id, resource, format });
+        return this.formatJob(job);
+    }
+
+    /**
+     * Write the file of a background export; the export.run job handler
+     * A failed attempt leaves the export pending until the queue runs out of attempts.
+     * @param {string} id - Export job ID
+     * @param {Object} attempt - Queue job ({ attempts, maxAttempts })
+     */
+    async runJob(id, { attempts, maxAttempts }) {
+        const result = await query('SELECT * FROM export_jobs WHERE id = $1', [id]);
+        const job = result.rows[0];
+
+        // Expired, or finished by an attempt whose outcome was not recorded
+        if (!job || job.status === 'completed') {
+            debugExport('Export job skipped', { jobId: id, status: job?.status });
+            return;
+        }
+
+        const filePath = this.filePath(job);
+
+        await query(
+            'UPDATE export_jobs SET status = $2, error = NULL, started_at = NOW(), completed_at = NULL WHERE id = $1',
+            [job.id, 'running']
+        );
+
+        try {
+            const buildExport = this.resources.get(job.resource);
+            if (!buildExport) {
+                throw new Error(`No exports registered for ${job.resource}`);
+            }
+
+            const { text, params, columns, transform = null } = await buildExport(job.list_query);
+
+            await fs.ensureDir(this.dir);
+            const stream = fs.createWriteStream(filePath);
+            const finished = once(stream, 'finish');
+
+            const rowCount = await this.write(stream, {
+                text,
+                params,
+                columns,
+                format: job.format,
+                sheetName: job.resource,
+                transform
+            });
+            await finished;
+
+            const fileName = `${job.resource}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[job.format].extension}`;
+            await query(
+                `UPDATE export_jobs
+                 SET status = 'completed', row_count = $2, file_name = $3, completed_at = NOW()
+                 WHERE id = $1`,
+                [job.id, rowCount, fileName]
+            );
+
+            logger.info('Export job completed', { jobId: job.id, resource: job.resource, rowCount });
+        } catch (error) {
+            await fs.remove(filePath);
+            await query(
+                'UPDATE export_jobs SET status = $2, error = $3, completed_at = NOW() WHERE id = $1',
+                [job.id, attempts >= maxAttempts ? 'failed' : 'pending', error.message]
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Get an unexpired export job of a resource
+     * @returns {Promise<Object|null>} Job with its file path, or null
+     */
+    async getJob(id, resource) {
+        const result = await query(
+            'SELECT * FROM export_jobs WHERE id = $1 AND resource = $2 AND expires_at > NOW()',
+            [id, resource]
+        );
+
+        const row = result.rows[0];
+        return row ? { ...this.formatJob(row), fileName: row.file_name, filePath: this.filePath(row) } : null;
+    }
+
+    /**
+     * Whether the file of a completed job is on this instance's disk
+     */
+    fileExists(job) {
+        return fs.pathExists(job.filePath);
+    }
+
+    /**
+     * Delete expired export jobs and their files
+     * @returns {Promise<number>} Jobs purged
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM export_jobs WHERE expires_at <= NOW() RETURNING id, format');
+
+        await Promise.all(result.rows.map(row => fs.remove(this.filePath(row))));
+        return result.rowCount;
+    }
+}
+
+// Create default export service instance
+export const exportService = new ExportService();
+
+// A retried attempt writes the file again from the start
+jobQueue.register('export.run', ({ exportId }, job) => exportService.runJob(exportId, job));
@@ -0,0 +1,99 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { jobQueue } from './jobQueue.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('exportService', () => {
+    let app;
+    let admin;
+    let user;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+        user = await login(app, await createUser());
+        jobQueue.start();
+
+        const employees = [['Engineering', 4000], ['Engineering', 6000], ['Sales', 9000]];
+        for (const [index, [department, salary]] of employees.entries()) {
+            await request(app).post('/api/employees').set('Authorization', `Bearer ${admin.accessToken}`).send({
+                emp_id: `X${index}`,
+                first_name: 'Ada',
+                last_name: `Export, "${index}"`,
+                email: `export${index}@example.com`,
+                department,
+                salary
+            });
+        }
+    });
+
+    afterAll(async () => {
+        await jobQueue.stop();
+        await teardownDatabase();
+    });
+
+    const get = (url, { accessToken } = admin) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`);
+
+    const waitForJob = async (statusUrl) => {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const response = await get(statusUrl);
+            if (response.body.data.status !== 'pending' && response.body.data.status !== 'running') {
+                return response;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Export ${statusUrl} did not finish`);
+    };
+
+    test('streams the list query as CSV, quoting values', async () => {
+        const response = await get('/api/employees/export?format=csv&filter[department][eq]=Engineering&fields=last_name,salary&sort=-salary');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename="employees-.*\.csv"/);
+        expect(response.text.trim().split(/\r?\n/)).toEqual([
+            'last_name,salary',
+            '"Export, ""1""",6000.00',
+            '"Export, ""0""",4000.00'
+        ]);
+    });
+
+    test('streams NDJSON, one record per line', async () => {
+        const response = await get('/api/employees/export?format=ndjson&fields=emp_id&sort=emp_id');
+
+        expect(response.status).toBe(200);
+        expect(response.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+            { emp_id: 'X0' }, { emp_id: 'X1' }, { emp_id: 'X2' }
+        ]);
+    });
+
+    test('runs background exports as jobs with a download link', async () => {
+        const started = await get('/api/employees/export?format=csv&background=true&fields=emp_id');
+
+        expect(started.status).toBe(202);
+        expect(started.headers.location).toBe(started.body.data.statusUrl);
+
+        const finished = await waitForJob(started.body.data.statusUrl);
+        expect(finished.body.data).toMatchObject({ status: 'completed', rowCount: 3 });
+        expect(finished.body.data).not.toHaveProperty('filePath');
+        expect(finished.body.data).not.toHaveProperty('fileName');
+
+        const download = await get(finished.body.data.downloadUrl);
+        expect(download.status).toBe(200);
+        expect(download.text.trim().split(/\r?\n/)).toHaveLength(4);
+
+        const { jobs: [job] } = await jobQueue.list({ name: 'export.run' });
+        expect(job).toMatchObject({ status: 'completed', payload: { exportId: started.body.data.id } });
+    });
+
+    test('answers 404 for unknown jobs and 422 for unknown formats', async () => {
+        expect((await get('/api/employees/export/00000000-0000-4000-8000-000000000000')).status).toBe(404);
+        expect((await get('/api/employees/export?format=pdf')).status).toBe(422);
+    });
+
+    test('requires the export permission', async () => {
+        expect((await get('/api/employees/export?format=csv', user)).status).toBe(403);
+    });
+});
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { sanitizeFilename } from '../utils/sanitizer.js';
+import { createStorageDriver } from './storageDrivers.js';
+import debug from 'debug';
+
+const debugFile = debug('app:file');
+
+/**
+ * Uploaded file service
+ *
+ * Contents are content-addressed: they are stored once per SHA-256 hash and shared
+ * by every file row with that hash. Storing and deleting hold an advisory lock on
+ * the hash, so contents are never removed while another row is being added for them.
+ */
+export class FileService {
+    constructor () {
+        this.driver = createStorageDriver(config.upload.driver);
+    }
+
+    formatFile(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            mimeType: row.mime_type,
+            size: Number(row.size),
+            hash: row.hash,
+            ownerId: row.owner_id,
+            createdAt: row.created_at
+        };
+    }
+
+    storageKey(hash) {
+        return `${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}`;
+    }
+
+    async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(filePath), hash);
+        return hash.digest('hex');
+    }
+
+    lock(client, hash) {
+        return client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [hash]);
+    }
+
+    /**
+     * Store an upload
+     * @param {Object} file - req.file from uploadFile
+     * @param {string|null} ownerId - Owning user
+     * @returns {Promise<Object>} File record
+     */
+    async store(file, ownerId = null) {
+        const hash = await this.hashFile(file.path);
+        const key = this.storageKey(hash);
+        const name = sanitizeFilename(file.originalname) || 'file';
+
+        const row = await transaction(async (client) => {
+            await this.lock(client, hash);
+
+            const result = await client.query(
+                `INSERT INTO files (name, mime_type, size, hash, storage_driver, storage_key, owner_id)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [name, file.mimetype, file.size, hash, this.driver.name, key, ownerId]
+            );
+
+            if (!(await this.driver.exists(key))) {
+                await this.driver.put(key, file.path);
+            }
+
+            return result.rows[0];
+        });
+
+        logger.info('File stored', { fileId: row.id, size: row.size, mimeType: row.mime_type, ownerId });
+        return this.formatFile(row);
+    }
+
+    /**
+     * Get a file by ID
+     * @returns {Promise<Object|null>} File record, or null if not found
+     */
+    async get(id) {
+        const result = await query('SELECT * FROM files WHERE id = $1', [id]);
+        const row = result.rows[0];
+
+        return row ? this.formatFile(row) : null;
+    }
+
+    /**
+     * Stream the contents of a file
+     * @param {Object} file - Result of get()
+     */
+    createReadStream(file) {
+        return this.driver.createReadStream(this.storageKey(file.hash));
+    }
+
+    /**
+     * Delete a file, and its contents once no other file shares them
+     * @returns {Promise<boolean>} Whether the file existed
+     */
+    async delete(id) {
+        return transaction(async (client) => {
+            const result = await client.query('DELETE FROM files WHERE id = $1 RETURNING hash, storage_key', [id]);
+            const row = result.rows[0];
+
+            if (!row) {
+                return false;
+            }
+
+            await this.lock(client, row.hash);
+
+            const shared = await client.query('SELECT 1 FROM files WHERE hash = $1 LIMIT 1', [row.hash]);
+            if (shared.rows.length === 0) {
+                await this.driver.delete(row.storage_key);
+            }
+
+            debugFile('File deleted', { fileId: id, contentsDeleted: shared.rows.length === 0 });
+            return true;
+        });
+    }
+}
+
+// Create default file service instance
+export const fileService = new FileService();
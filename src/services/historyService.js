@@ -0,0 +1,91 @@
+import { isDeepStrictEqual } from 'util';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { getRequestId, getUserId } from '../middleware/requestTracker.js';
+import debug from 'debug';
+
+const debugHistory = debug('app:history');
+
+/**
+ * Record history service
+ *
+ * For the tracked tables, the update and delete helpers of utils/database.js keep the
+ * row as it was before each change in record_history, in the transaction of the change.
+ * Versions count up from 1 per record, independently of any version column.
+ * Tables are tracked through config.history.tables or the `history` resource option.
+ */
+export class HistoryService {
+    constructor () {
+        this.tables = new Set(config.history.tables);
+    }
+
+    track(tableName) {
+        this.tables.add(tableName);
+        debugHistory('Tracking table', { tableName });
+    }
+
+    isTracked(tableName) {
+        return this.tables.has(tableName);
+    }
+
+    formatEntry(row) {
+        return {
+            version: row.version,
+            operation: row.operation,
+            data: row.data,
+            userId: row.user_id,
+            requestId: row.request_id,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Keep the previous state of the rows changed by one statement
+     * @param {Object} client - Transaction client of the write
+     * @param {Object} change
+     * @param {string} change.tableName - Table name
+     * @param {Array<Object>} change.changes - [{ operation, recordId, before, after }] rows as JSON;
+     *   rows without a before state (inserts) or left unchanged are skipped
+     * @returns {Promise<number>} Versions written
+     */
+    async record(client, { tableName, changes }) {
+        const versions = changes
+            .filter(({ recordId, before, after }) => recordId !== null && before && !isDeepStrictEqual(before, after))
+            .map(({ operation, recordId, before }) => ({ record_id: recordId, operation, data: before }));
+
+        if (versions.length === 0) {
+            return 0;
+        }
+
+        // Writers of a record hold its row lock until commit, so the next version is free
+        await query(
+            `INSERT INTO record_history (table_name, record_id, version, operation, data, user_id, request_id)
+             SELECT $1::text, v.record_id,
+                    COALESCE((SELECT MAX(h.version) FROM record_history h
+                              WHERE h.table_name = $1::text AND h.record_id = v.record_id), 0) + 1,
+                    v.operation, v.data, $2, $3
+             FROM jsonb_to_recordset($4::jsonb) AS v(record_id TEXT, operation TEXT, data JSONB)`,
+            [tableName, getUserId(), getRequestId(), JSON.stringify(versions)],
+            { client }
+        );
+
+        debugHistory('Versions recorded', { tableName, count: versions.length });
+        return versions.length;
+    }
+
+    /**
+     * Get one version of a record
+     * @returns {Promise<Object|null>} Entry, or null if not found
+     */
+    async get(tableName, recordId, version) {
+        const result = await query(
+            'SELECT * FROM record_history WHERE table_name = $1 AND record_id = $2 AND version = $3',
+            [tableName, String(recordId), version]
+        );
+
+        return result.rows[0] ? this.formatEntry(result.rows[0]) : null;
+    }
+}
+
+// Create default history service instance
+export const historyService = new HistoryService();
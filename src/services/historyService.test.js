@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('historyService', () => {
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    afterAll(teardownDatabase);
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body = {}) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    let sequence = 0;
+    const createEmployee = async () => {
+        sequence++;
+        const response = await as(admin).post('/api/employees', {
+            emp_id: `H${sequence}`,
+            first_name: 'Ada',
+            last_name: 'Lovelace',
+            email: `history${sequence}@example.com`,
+            department: 'Engineering'
+        });
+        return response.body.data;
+    };
+
+    const historyOf = async (id) => (await as(admin).get(`/api/employees/${id}/history`)).body.data;
+
+    test('keeps every replaced state, newest first', async () => {
+        const employee = await createEmployee();
+        await as(admin).put(`/api/employees/${employee.id}`, { department: 'Research' });
+        await as(admin).put(`/api/employees/${employee.id}`, { department: 'Sales' });
+
+        const versions = await historyOf(employee.id);
+
+        expect(versions.map(entry => [entry.version, entry.operation, entry.data.department])).toEqual([
+            [2, 'update', 'Research'],
+            [1, 'update', 'Engineering']
+        ]);
+        expect(versions[0].userId).toBe(admin.user.id);
+    });
+
+    test('reverts to a version and keeps the replaced state as a version', async () => {
+        const employee = await createEmployee();
+        await as(admin).put(`/api/employees/${employee.id}`, { department: 'Research' });
+
+        const reverted = await as(admin).post(`/api/employees/${employee.id}/revert/1`);
+
+        expect(reverted.status).toBe(200);
+        expect(reverted.body.data.department).toBe('Engineering');
+        expect(reverted.body.data.version).toBe(employee.version + 2);
+
+        const versions = await historyOf(employee.id);
+        expect(versions[0]).toMatchObject({ version: 2, data: { department: 'Research' } });
+
+        const undone = await as(admin).post(`/api/employees/${employee.id}/revert/2`);
+        expect(undone.body.data.department).toBe('Research');
+    });
+
+    test('brings a deleted record back', async () => {
+        const employee = await createEmployee();
+        await as(admin).delete(`/api/employees/${employee.id}`);
+        expect((await as(admin).get(`/api/employees/${employee.id}`)).status).toBe(404);
+
+        const versions = await historyOf(employee.id);
+        expect(versions[0].operation).toBe('soft_delete');
+
+        const reverted = await as(admin).post(`/api/employees/${employee.id}/revert/${versions[0].version}`);
+
+        expect(reverted.status).toBe(200);
+        expect((await as(admin).get(`/api/employees/${employee.id}`)).status).toBe(200);
+    });
+
+    test('records bulk updates', async () => {
+        const employee = await createEmployee();
+
+        await as(admin).post('/api/employees/bulk', { operation: 'update', ids: [employee.id], data: { department: 'Research' } });
+
+        expect((await historyOf(employee.id)).map(entry => entry.data.department)).toEqual(['Engineering']);
+    });
+
+    test('answers 404 for an unknown version and 412 for a stale If-Match', async () => {
+        const employee = await createEmployee();
+        const { headers } = await as(admin).get(`/api/employees/${employee.id}`);
+        await as(admin).put(`/api/employees/${employee.id}`, { department: 'Research' });
+
+        const unknown = await as(admin).post(`/api/employees/${employee.id}/revert/9`);
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.code).toBe('VERSION_NOT_FOUND');
+
+        const stale = await as(admin).post(`/api/employees/${employee.id}/revert/1`).set('If-Match', headers.etag);
+        expect(stale.status).toBe(412);
+    });
+});
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import ms from 'ms';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { getRedisClient, isRedisReady } from '../config/redis.js';
+import { createHMAC } from '../utils/crypto.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugIdempotency = debug('app:idempotency');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Idempotency key service
+ *
+ * A key is claimed by the first request that uses it and marked `processing`
+ * until its response is stored as `completed`; repeats get that response back
+ * for `ttl`. A claim left behind by a crashed request lapses after `lockTimeout`.
+ * Keys live in Redis when it is connected and in the idempotency_keys table otherwise.
+ */
+export class IdempotencyService {
+    constructor (options = config.idempotency) {
+        this.ttlMs = ms(options.ttl);
+        this.lockTimeoutMs = ms(options.lockTimeout);
+        this.secret = options.secret;
+    }
+
+    /**
+     * Hash of an Idempotency-Key header, scoped to the caller
+     * @param {string} key - Header value
+     * @param {string} scope - Caller identity, e.g. `user:<id>` or `ip:<address>`
+     */
+    keyHash(key, scope) {
+        return sha256(`${scope}:${key}`);
+    }
+
+    /**
+     * Keyed hash of what a request asks for; a key may only be repeated with the same one
+     * Bodies can hold passwords, so a stored fingerprint must not be open to offline guessing.
+     */
+    fingerprint({ method, path, body }) {
+        return createHMAC(JSON.stringify([method, path, body ?? null]), this.secret);
+    }
+
+    redisKey(keyHash) {
+        return cacheService.generateKey(`idempotency:${keyHash}`);
+    }
+
+    /**
+     * Claim a key for a request
+     * @param {string} keyHash - Result of keyHash
+     * @param {string} fingerprint - Result of fingerprint
+     * @returns {Promise<Object|null>} null when claimed; otherwise the existing entry:
+     *   { status: 'processing'|'completed', fingerprint, responseStatus, responseBody }
+     */
+    async claim(keyHash, fingerprint) {
+        if (isRedisReady()) {
+            const client = getRedisClient();
+            const redisKey = this.redisKey(keyHash);
+
+            const claimed = await client.set(redisKey, JSON.stringify({ status: 'processing', fingerprint }), {
+                condition: 'NX',
+                expiration: { type: 'PX', value: this.lockTimeoutMs }
+            });
+
+            if (claimed) {
+                debugIdempotency('Key claimed', { keyHash });
+                return null;
+            }
+
+            const existing = await client.get(redisKey);
+            // Expired in between; claim it on the retry
+            return existing ? JSON.parse(existing) : { status: 'processing', fingerprint };
+        }
+
+        const result = await query(
+            `INSERT INTO idempotency_keys (key_hash, fingerprint, status, expires_at)
+             VALUES ($1, $2, 'processing', NOW() + make_interval(secs => $3))
+             ON CONFLICT (key_hash) DO UPDATE SET
+                 fingerprint = EXCLUDED.fingerprint,
+                 status = 'processing',
+                 response_status = NULL,
+                 response_body = NULL,
+                 created_at = NOW(),
+                 expires_at = EXCLUDED.expires_at
+             WHERE idempotency_keys.expires_at <= NOW()
+             RETURNING key_hash`,
+            [keyHash, fingerprint, this.lockTimeoutMs / 1000]
+        );
+
+        if (result.rowCount > 0) {
+            debugIdempotency('Key claimed', { keyHash });
+            return null;
+        }
+
+        const existing = await query(
+            'SELECT fingerprint, status, response_status, response_body FROM idempotency_keys WHERE key_hash = $1',
+            [keyHash]
+        );
+
+        const row = existing.rows[0];
+        if (!row) {
+            return { status: 'processing', fingerprint };
+        }
+
+        return {
+            status: row.status,
+            fingerprint: row.fingerprint,
+            responseStatus: row.response_status,
+            responseBody: row.response_body
+        };
+    }
+
+    /**
+     * Store the response of a claimed key for replay
+     */
+    async complete(keyHash, fingerprint, { responseStatus, responseBody }) {
+        if (isRedisReady()) {
+            await getRedisClient().set(
+                this.redisKey(keyHash),
+                JSON.stringify({ status: 'completed', fingerprint, responseStatus, responseBody }),
+                { expiration: { type: 'PX', value: this.ttlMs } }
+            );
+        } else {
+            await query(
+                `UPDATE idempotency_keys
+                 SET status = 'completed', response_status = $2, response_body = $3,
+                     expires_at = NOW() + make_interval(secs => $4)
+                 WHERE key_hash = $1 AND fingerprint = $5`,
+                [keyHash, responseStatus, JSON.stringify(responseBody), this.ttlMs / 1000, fingerprint]
+            );
+        }
+
+        debugIdempotency('Response stored', { keyHash, responseStatus });
+    }
+
+    /**
+     * Give up a claimed key without a response, so the request can be retried
+     */
+    async release(keyHash) {
+        if (isRedisReady()) {
+            await getRedisClient().del(this.redisKey(keyHash));
+        } else {
+            await query(
+                'DELETE FROM idempotency_keys WHERE key_hash = $1 AND status = \'processing\'',
+                [keyHash]
+            );
+        }
+
+        debugIdempotency('Key released', { keyHash });
+    }
+
+    /**
+     * Remove expired keys from the database (Redis expires them itself)
+     * @returns {Promise<number>} Keys removed
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+        return result.rowCount;
+    }
+}
+
+// Create default idempotency service instance
+export const idempotencyService = new IdempotencyService();
@@ -0,0 +1,350 @@
+import fs from 'fs-extra';
+import ms from 'ms';
+import { parse } from 'csv-parse';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { insertRecord } from '../utils/database.js';
+import { cacheService } from './cacheService.js';
+import { jobQueue } from './jobQueue.js';
+import debug from 'debug';
+
+const debugImport = debug('app:import');
+
+const invalidFile = (message) => new AppError(message, 400, true, 'INVALID_IMPORT_FILE');
+
+/**
+ * Turn a database error on one row into a report entry
+ * e.g. "Key (email)=(a@b.c) already exists." is reported against `email`.
+ */
+const describeDatabaseError = (error) => {
+    const column = error.detail?.match(/^Key \(([^)]+)\)/)?.[1] || error.column;
+
+    return {
+        ...(column && { field: column }),
+        message: error.detail || error.message,
+        code: error.code
+    };
+};
+
+/**
+ * Bulk import service
+ *
+ * Rows are validated one by one, then written in a single transaction with a
+ * savepoint per row so a failing row does not abort the others. Dry runs and
+ * atomic imports with failures roll the whole batch back, still reporting every row.
+ * Large imports run as import.run jobs on the job queue, tracked in import_jobs
+ * with their report until they expire.
+ */
+export class ImportService {
+    constructor () {
+        this.maxRows = config.import.maxRows;
+        this.reportTTL = ms(config.import.reportTTL);
+        this.resources = new Map();
+    }
+
+    formatJob(row) {
+        return {
+            id: row.id,
+            resource: row.resource,
+            status: row.status,
+            summary: row.summary,
+            errors: row.errors,
+            error: row.error,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at,
+            expiresAt: row.expires_at
+        };
+    }
+
+    /**
+     * Read rows from an uploaded CSV or JSON file
+     * CSV needs a header row; empty cells are left out so column defaults apply.
+     * JSON must be an array of objects.
+     * @param {Object} file - req.file from uploadFile
+     * @returns {Promise<Array<Object>>} Rows
+     * @throws {AppError} INVALID_IMPORT_FILE
+     */
+    async readFile(file) {
+        const isJson = file.mimetype === 'application/json' || file.originalname.toLowerCase().endsWith('.json');
+
+        if (isJson) {
+            let rows;
+            try {
+                rows = await fs.readJson(file.path);
+            } catch {
+                throw invalidFile('File is not valid JSON');
+            }
+
+            if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+                throw invalidFile('JSON file must contain an array of objects');
+            }
+
+            return rows;
+        }
+
+        const rows = [];
+        const parser = fs.createReadStream(file.path).pipe(parse({
+            columns: header => header.map(name => name.trim()),
+            bom: true,
+            trim: true,
+            skip_empty_lines: true
+        }));
+
+        try {
+            for await (const record of parser) {
+                rows.push(Object.fromEntries(Object.entries(record).filter(([, value]) => value !== '')));
+            }
+        } catch (error) {
+            throw invalidFile(`Invalid CSV file: ${error.message}`);
+        }
+
+        return rows;
+    }
+
+    /**
+     * @throws {AppError} INVALID_IMPORT_FILE when there are no rows, TOO_MANY_ROWS over config.import.maxRows
+     */
+    checkRows(rows) {
+        if (rows.length === 0) {
+            throw invalidFile('Nothing to import');
+        }
+        if (rows.length > this.maxRows) {
+            throw new AppError(`Imports are limited to ${this.maxRows} rows`, 400, true, 'TOO_MANY_ROWS');
+        }
+    }
+
+    /**
+     * Validate and write rows
+     * @param {string} tableName - Table name
+     * @param {Array<Object>} rows - Rows to import
+     * @param {Object} options
+     * @param {Function} options.prepare - async (row) => { data } or { errors: [{ field, message }] }
+     * @param {boolean} [options.dryRun] - Report what would happen, write nothing
+     * @param {boolean} [options.atomic] - Write all rows or none (default: true)
+     * @param {string[]} [options.conflictColumns] - Upsert on these columns instead of inserting
+     * @param {string} [options.returning] - Columns returned for written records
+     * @returns {Promise<Object>} { summary, errors, records }; errors are per row (1-based)
+     */
+    async run(tableName, rows, options) {
+        const { prepare, dryRun = false, atomic = true, conflictColumns = null, returning = '*' } = options;
+
+        this.checkRows(rows);
+
+        const errors = [];
+        const prepared = [];
+
+        for (const [index, row] of rows.entries()) {
+            const { data, errors: rowErrors = [] } = await prepare(row);
+
+            if (rowErrors.length > 0) {
+                errors.push({ row: index + 1, errors: rowErrors });
+            } else {
+                prepared.push({ row: index + 1, data });
+            }
+        }
+
+        const summary = {
+            total: rows.length,
+            valid: prepared.length,
+            invalid: errors.length,
+            created: 0,
+            updated: 0,
+            failed: 0,
+            dryRun,
+            atomic,
+            committed: false
+        };
+
+        const records = [];
+
+        // An atomic import with invalid rows cannot succeed; dry runs still check the valid rows
+        if (prepared.length > 0 && (dryRun || !(atomic && errors.length > 0))) {
+            await transaction(async (client) => {
+                await client.query('SAVEPOINT import');
+
+                for (const { row, data } of prepared) {
+                    await client.query('SAVEPOINT import_row');
+
+                    try {
+                        const { __inserted: inserted, ...record } = await insertRecord(tableName, data, {
+                            client,
+                            invalidate: false,
+                            // xmax is 0 for freshly inserted rows, set for rows updated on conflict
+                            returning: `${returning}, (xmax = 0) AS __inserted`,
+                            ...(conflictColumns && { onConflict: 'update', conflictColumns })
+                        });
+
+                        await client.query('RELEASE SAVEPOINT import_row');
+                        summary[inserted ? 'created' : 'updated']++;
+                        records.push({ row, record, inserted });
+                    } catch (error) {
+                        await client.query('ROLLBACK TO SAVEPOINT import_row');
+
+                        // Fails every row alike, so fail the request
+                        if (error.code === '42P10') {
+                            throw new AppError(
+                                `No unique constraint on (${conflictColumns.join(', ')}) to upsert on`,
+                                400,
+                                true,
+                                'INVALID_CONFLICT_COLUMNS'
+                            );
+                        }
+
+                        summary.failed++;
+                        errors.push({ row, errors: [describeDatabaseError(error)] });
+                    }
+                }
+
+                const rollback = dryRun || (atomic && summary.failed > 0);
+                if (rollback) {
+                    await client.query('ROLLBACK TO SAVEPOINT import');
+                }
+
+                summary.committed = !rollback;
+            });
+        }
+
+        if (summary.committed) {
+            await cacheService.invalidateByTags([`table:${tableName}`]);
+            logger.info('Import committed', { tableName, created: summary.created, updated: summary.updated, failed: summary.failed });
+        }
+
+        debugImport('Import finished', summary);
+
+        return {
+            summary,
+            errors: errors.sort((a, b) => a.row - b.row),
+            records: summary.committed ? records : []
+        };
+    }
+
+    /**
+     * Register how the imports of a resource are run
+     * The import.run job keeps only the import ID, so the resource that
+     * started the import validates and writes its rows when the job runs.
+     * @param {string} resource - Resource name
+     * @param {Function} runImport - async (rows, options) => { summary, errors }
+     */
+    registerResource(resource, runImport) {
+        this.resources.set(resource, runImport);
+    }
+
+    /**
+     * Start a background import as an import.run job
+     * @param {Object} options - { resource, rows, options, createdBy }; options as for run
+     * @returns {Promise<Object>} Pending job
+     */
+    async createJob({ resource, rows, options, createdBy }) {
+        this.checkRows(rows);
+
+        const result = await query(
+            `INSERT INTO import_jobs (resource, rows, options, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [resource, JSON.stringify(rows), JSON.stringify(options), createdBy, new Date(Date.now() + this.reportTTL)]
+        );
+
+        const job = result.rows[0];
+
+        try {
+            await jobQueue.enqueue('import.run', { importId: job.id });
+        } catch (error) {
+            await query(
+                `UPDATE import_jobs SET status = 'failed', rows = NULL, error = $2, completed_at = NOW() WHERE id = $1`,
+                [job.id, 'Import could not be queued']
+            );
+            throw error;
+        }
+
+        debugImport('Import job created', { jobId: job.id, resource, rows: rows.length });
+        return this.formatJob(job);
+    }
+
+    /**
+     * Run a background import; the import.run job handler
+     * A failed attempt leaves the import pending until the queue runs out of attempts.
+     * @param {string} id - Import job ID
+     * @param {Object} attempt - Queue job ({ attempts, maxAttempts })
+     */
+    async runJob(id, { attempts, maxAttempts }) {
+        const result = await query('SELECT * FROM import_jobs WHERE id = $1', [id]);
+        const job = result.rows[0];
+
+        // Expired, or finished by an attempt whose outcome was not recorded
+        if (!job || job.status === 'completed') {
+            debugImport('Import job skipped', { jobId: id, status: job?.status });
+            return;
+        }
+
+        await query(
+            'UPDATE import_jobs SET status = $2, error = NULL, started_at = NOW(), completed_at = NULL WHERE id = $1',
+            [job.id, 'running']
+        );
+
+        try {
+            const runImport = this.resources.get(job.resource);
+            if (!runImport) {
+                throw new Error(`No imports registered for ${job.resource}`);
+            }
+
+            const { summary, errors } = await runImport(job.rows, job.options);
+
+            await query(
+                `UPDATE import_jobs
+                 SET status = 'completed', rows = NULL, summary = $2, errors = $3, completed_at = NOW()
+                 WHERE id = $1`,
+                [job.id, JSON.stringify(summary), JSON.stringify(errors)]
+            );
+
+            logger.info('Import job completed', { jobId: job.id, resource: job.resource, ...summary });
+        } catch (error) {
+            const failed = attempts >= maxAttempts || error.isOperational;
+
+            await query(
+                `UPDATE import_jobs
+                 SET status = $2, error = $3, completed_at = NOW(), rows = CASE WHEN $4 THEN NULL ELSE rows END
+                 WHERE id = $1`,
+                [job.id, failed ? 'failed' : 'pending', error.message, failed]
+            );
+
+            // Rejected as a whole, e.g. no unique constraint to upsert on; retrying will not help
+            if (error.isOperational) {
+                logger.warn('Import job rejected', { jobId: job.id, resource: job.resource, error: error.message });
+                return;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get an unexpired import job of a resource
+     * @returns {Promise<Object|null>} Job, or null
+     */
+    async getJob(id, resource) {
+        const result = await query(
+            'SELECT * FROM import_jobs WHERE id = $1 AND resource = $2 AND expires_at > NOW()',
+            [id, resource]
+        );
+
+        return result.rows[0] ? this.formatJob(result.rows[0]) : null;
+    }
+
+    /**
+     * Delete expired import jobs
+     * @returns {Promise<number>} Jobs purged
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM import_jobs WHERE expires_at <= NOW()');
+        return result.rowCount;
+    }
+}
+
+// Create default import service instance
+export const importService = new ImportService();
+
+// Rows are written in one transaction, so a retried attempt starts from a clean slate
+jobQueue.register('import.run', ({ importId }, job) => importService.runJob(importId, job));
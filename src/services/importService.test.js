@@ -0,0 +1,169 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { jobQueue } from './jobQueue.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('importService', () => {
+    let db;
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+        jobQueue.start();
+    });
+
+    afterAll(async () => {
+        await jobQueue.stop();
+        await teardownDatabase();
+    });
+
+    const importRows = (body) => request(app)
+        .post('/api/employees/import')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send(body);
+
+    const importFile = (content, filename, contentType) => request(app)
+        .post('/api/employees/import')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .attach('file', Buffer.from(content), { filename, contentType });
+
+    const countEmployees = async (prefix) => {
+        const result = await db.query('SELECT COUNT(*)::int AS count FROM employee WHERE emp_id LIKE $1', [`${prefix}%`]);
+        return result.rows[0].count;
+    };
+
+    const row = (empId, overrides = {}) => ({
+        emp_id: empId,
+        first_name: 'Ada',
+        last_name: 'Lovelace',
+        email: `${empId.toLowerCase()}@example.com`,
+        ...overrides
+    });
+
+    test('imports the rows of a CSV file', async () => {
+        const csv = 'emp_id,first_name,last_name,email,salary\nCSV1,Ada,Lovelace,csv1@example.com,5000\nCSV2,Grace,Hopper,csv2@example.com,\n';
+
+        const response = await importFile(csv, 'employees.csv', 'text/csv');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.summary).toMatchObject({ committed: true });
+        expect(response.body.data.errors).toEqual([]);
+        expect(await countEmployees('CSV')).toBe(2);
+    });
+
+    test('imports the rows of a JSON file', async () => {
+        const response = await importFile(JSON.stringify([row('JSN1'), row('JSN2')]), 'employees.json', 'application/json');
+
+        expect(response.status).toBe(200);
+        expect(await countEmployees('JSN')).toBe(2);
+    });
+
+    test('checks a dry run without writing', async () => {
+        const response = await importRows({ dryRun: true, rows: [row('DRY1'), row('DRY2', { first_name: '' })] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.message).toBe('Dry run completed, nothing was written');
+        expect(response.body.data.errors).toEqual([
+            expect.objectContaining({ row: 2, errors: [expect.objectContaining({ field: 'first_name' })] })
+        ]);
+        expect(await countEmployees('DRY')).toBe(0);
+    });
+
+    test('writes nothing of an atomic import with an invalid row', async () => {
+        const response = await importRows({ rows: [row('ATM1'), row('ATM2', { salary: 'lots' })] });
+
+        expect(response.status).toBe(422);
+        expect(response.body.message).toBe('Import failed, nothing was written');
+        expect(await countEmployees('ATM')).toBe(0);
+    });
+
+    test('writes the valid rows of a best-effort import', async () => {
+        const response = await importRows({ atomic: false, rows: [row('BST1'), row('BST2', { salary: 'lots' }), row('BST3')] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(false);
+        expect(response.body.data.errors.map(error => error.row)).toEqual([2]);
+        expect(await countEmployees('BST')).toBe(2);
+    });
+
+    test('upserts on the conflict columns', async () => {
+        await importRows({ rows: [row('UPS1', { department: 'Engineering' })] });
+
+        const response = await importRows({
+            upsert: true,
+            conflictColumns: ['emp_id'],
+            rows: [row('UPS1', { department: 'Research' }), row('UPS2')]
+        });
+
+        expect(response.status).toBe(200);
+        const { rows } = await db.query('SELECT department FROM employee WHERE emp_id = $1', ['UPS1']);
+        expect(rows).toEqual([{ department: 'Research' }]);
+        expect(await countEmployees('UPS')).toBe(2);
+    });
+
+    test('reports unknown columns once', async () => {
+        const response = await importRows({ rows: [row('UNK1', { password: 'x' }), row('UNK2', { password: 'y' })] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('UNKNOWN_COLUMNS');
+    });
+
+    test('rejects files of other types and requests without rows', async () => {
+        const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+        expect((await importFile(png, 'employees.csv', 'text/csv')).status).toBe(415);
+        expect((await importRows({})).body.code).toBe('IMPORT_DATA_REQUIRED');
+    });
+
+    describe('in the background', () => {
+        const get = (url) => request(app).get(url).set('Authorization', `Bearer ${admin.accessToken}`);
+
+        const waitForImport = async (statusUrl) => {
+            for (let attempt = 0; attempt < 100; attempt++) {
+                const response = await get(statusUrl);
+                if (response.body.data.status !== 'pending' && response.body.data.status !== 'running') {
+                    return response;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            throw new Error(`Import ${statusUrl} did not finish`);
+        };
+
+        test('runs as a job with a report to poll', async () => {
+            const started = await importRows({ rows: [row('BG1'), row('BG2'), row('BG3', { salary: 'lots' })], atomic: false, background: true });
+
+            expect(started.status).toBe(202);
+            expect(started.headers.location).toBe(started.body.data.statusUrl);
+
+            const finished = await waitForImport(started.body.data.statusUrl);
+            expect(finished.body.data).toMatchObject({
+                status: 'completed',
+                summary: { total: 3, created: 2, invalid: 1, committed: true },
+                errors: [{ row: 3 }]
+            });
+            expect(await countEmployees('BG')).toBe(2);
+
+            const { jobs: [job] } = await jobQueue.list({ name: 'import.run' });
+            expect(job.payload).toEqual({ importId: started.body.data.id });
+
+            const { rows: [stored] } = await db.query('SELECT rows FROM import_jobs WHERE id = $1', [started.body.data.id]);
+            expect(stored.rows).toBeNull();
+        });
+
+        test('fails an import rejected as a whole without retrying', async () => {
+            const started = await importRows({ rows: [row('BGX')], upsert: true, conflictColumns: ['first_name'], background: true });
+
+            const finished = await waitForImport(started.body.data.statusUrl);
+            expect(finished.body.data).toMatchObject({ status: 'failed', summary: null });
+            expect(finished.body.data.error).toMatch(/unique constraint/);
+        });
+
+        test('answers 404 for unknown imports', async () => {
+            expect((await get('/api/employees/import/00000000-0000-4000-8000-000000000000')).status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,658 @@
+import { query } from '../config/database.js';
+import { getRedisClient } from '../config/redis.js';
+import { generateUUID } from '../utils/crypto.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugJobs = debug('app:jobBackend');
+
+/**
+ * Job queue backends
+ *
+ * A backend stores jobs and implements:
+ *   enqueue(job)                      store a new pending job { id, name, payload, maxAttempts, runAt }
+ *   reserve(name, limit, lockMs)      claim up to limit due jobs of a handler for lockMs, counting an attempt;
+ *                                     running jobs whose lock expired are claimed again
+ *   complete(job)                     mark a reserved job completed
+ *   retryLater(job, error, runAt)     put a reserved job back as pending until runAt
+ *   bury(job, error)                  move a reserved job to the dead letters
+ *   get(id)                           job by ID, dead letters included, or null
+ *   list({ status, name, offset, limit })  { jobs, total }, newest first
+ *   retry(id)                         run a dead or pending job again now; the job, or null if it is neither
+ *   purge({ status, name, before })   remove pending, completed or dead jobs older than before; count
+ *   stats()                           { <name>: { pending, running, completed, dead } }
+ *
+ * complete, retryLater and bury only apply to the attempt that reserved the job,
+ * so a worker whose lock expired cannot overwrite the outcome of the next one.
+ * Jobs are plain objects with camelCase fields and a status of pending, running,
+ * completed or dead.
+ */
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const emptyCounts = () => Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+
+// Live jobs and dead letters as one relation
+const ALL_JOBS = `
+    SELECT id, name, payload, status, attempts, max_attempts, run_at, locked_until, last_error,
+           created_at, started_at, completed_at, NULL::timestamptz AS failed_at
+    FROM jobs
+    UNION ALL
+    SELECT id, name, payload, 'dead', attempts, max_attempts, NULL, NULL, last_error,
+           created_at, NULL, NULL, failed_at
+    FROM dead_jobs`;
+
+// Column holding the time a job entered each status, for purging
+const PURGE_COLUMNS = {
+    pending: 'run_at',
+    completed: 'completed_at',
+    dead: 'failed_at'
+};
+
+const formatRow = (row) => ({
+    id: row.id,
+    name: row.name,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at ?? null,
+    lockedUntil: row.locked_until ?? null,
+    lastError: row.last_error ?? null,
+    createdAt: row.created_at,
+    startedAt: row.started_at ?? null,
+    completedAt: row.completed_at ?? null,
+    failedAt: row.failed_at ?? null
+});
+
+/**
+ * Postgres backend
+ * Jobs live in the jobs table and dead letters in dead_jobs (migration 017).
+ * Workers claim jobs with FOR UPDATE SKIP LOCKED, so any number of them can
+ * poll the same table without handing a job out twice.
+ */
+export class PostgresJobBackend {
+    constructor () {
+        this.name = 'postgres';
+    }
+
+    async enqueue({ id, name, payload, maxAttempts, runAt }) {
+        const result = await query(
+            `INSERT INTO jobs (id, name, payload, max_attempts, run_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [id, name, JSON.stringify(payload), maxAttempts, runAt]
+        );
+        return formatRow(result.rows[0]);
+    }
+
+    async reserve(name, limit, lockMs) {
+        const result = await query(
+            `UPDATE jobs
+             SET status = 'running', attempts = attempts + 1, started_at = NOW(),
+                 locked_until = NOW() + make_interval(secs => $3)
+             WHERE id IN (
+                 SELECT id FROM jobs
+                 WHERE name = $1
+                   AND ((status = 'pending' AND run_at <= NOW()) OR (status = 'running' AND locked_until < NOW()))
+                 ORDER BY run_at
+                 LIMIT $2
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [name, limit, lockMs / 1000]
+        );
+
+        if (result.rowCount > 0) {
+            debugJobs('Jobs reserved', { name, count: result.rowCount });
+        }
+        return result.rows.map(formatRow);
+    }
+
+    async complete(job) {
+        await query(
+            `UPDATE jobs SET status = 'completed', completed_at = NOW(), locked_until = NULL
+             WHERE id = $1 AND status = 'running' AND attempts = $2`,
+            [job.id, job.attempts]
+        );
+    }
+
+    async retryLater(job, error, runAt) {
+        await query(
+            `UPDATE jobs SET status = 'pending', run_at = $3, last_error = $4, locked_until = NULL
+             WHERE id = $1 AND status = 'running' AND attempts = $2`,
+            [job.id, job.attempts, runAt, error]
+        );
+    }
+
+    async bury(job, error) {
+        await query(
+            `WITH buried AS (
+                 DELETE FROM jobs WHERE id = $1 AND status = 'running' AND attempts = $2 RETURNING *
+             )
+             INSERT INTO dead_jobs (id, name, payload, attempts, max_attempts, last_error, created_at)
+             SELECT id, name, payload, LEAST(attempts, max_attempts), max_attempts, $3, created_at FROM buried`,
+            [job.id, job.attempts, error]
+        );
+    }
+
+    async get(id) {
+        const result = await query(`SELECT * FROM (${ALL_JOBS}) AS all_jobs WHERE id = $1`, [id]);
+        return result.rows[0] ? formatRow(result.rows[0]) : null;
+    }
+
+    async list({ status, name, offset, limit }) {
+        const params = [];
+        const whereClauses = [];
+
+        if (status) {
+            params.push(status);
+            whereClauses.push(`status = $${params.length}`);
+        }
+        if (name) {
+            params.push(name);
+            whereClauses.push(`name = $${params.length}`);
+        }
+
+        const where = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        const [count, result] = await Promise.all([
+            query(`SELECT COUNT(*) AS total FROM (${ALL_JOBS}) AS all_jobs ${where}`, params),
+            query(
+                `SELECT * FROM (${ALL_JOBS}) AS all_jobs ${where}
+                 ORDER BY created_at DESC, id
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            )
+        ]);
+
+        return { jobs: result.rows.map(formatRow), total: parseInt(count.rows[0].total, 10) };
+    }
+
+    async retry(id) {
+        const revived = await query(
+            `WITH revived AS (DELETE FROM dead_jobs WHERE id = $1 RETURNING *)
+             INSERT INTO jobs (id, name, payload, max_attempts, last_error, created_at)
+             SELECT id, name, payload, max_attempts, last_error, created_at FROM revived
+             RETURNING *`,
+            [id]
+        );
+
+        if (revived.rowCount > 0) {
+            return formatRow(revived.rows[0]);
+        }
+
+        const result = await query(
+            'UPDATE jobs SET run_at = NOW() WHERE id = $1 AND status = \'pending\' RETURNING *',
+            [id]
+        );
+        return result.rows[0] ? formatRow(result.rows[0]) : null;
+    }
+
+    async purge({ status, name, before }) {
+        const table = status === 'dead' ? 'dead_jobs' : 'jobs';
+        const params = [before];
+        const whereClauses = [`${PURGE_COLUMNS[status]} < $1`];
+
+        if (status !== 'dead') {
+            params.push(status);
+            whereClauses.push(`status = $${params.length}`);
+        }
+        if (name) {
+            params.push(name);
+            whereClauses.push(`name = $${params.length}`);
+        }
+
+        const result = await query(`DELETE FROM ${table} WHERE ${whereClauses.join(' AND ')}`, params);
+        return result.rowCount;
+    }
+
+    async stats() {
+        const result = await query(
+            `SELECT name, status, COUNT(*) AS count FROM (${ALL_JOBS}) AS all_jobs GROUP BY name, status ORDER BY name`
+        );
+
+        const stats = {};
+        for (const row of result.rows) {
+            stats[row.name] ??= emptyCounts();
+            stats[row.name][row.status] = parseInt(row.count, 10);
+        }
+        return stats;
+    }
+}
+
+// Claim due jobs of one handler: lost running jobs first, then due pending ones
+// KEYS: pending set, running set; ARGV: now, limit, lock ms, job key prefix
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local lockedUntil = now + tonumber(ARGV[3])
+local ids = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now, 'LIMIT', 0, limit)
+if #ids < limit then
+    local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now, 'LIMIT', 0, limit - #ids)
+    for _, id in ipairs(due) do
+        table.insert(ids, id)
+    end
+end
+local reserved = {}
+for _, id in ipairs(ids) do
+    local key = ARGV[4] .. id
+    redis.call('ZREM', KEYS[1], id)
+    if redis.call('EXISTS', key) == 1 then
+        redis.call('HINCRBY', key, 'attempts', 1)
+        redis.call('HSET', key, 'status', 'running', 'startedAt', now, 'lockedUntil', lockedUntil)
+        redis.call('ZADD', KEYS[2], lockedUntil, id)
+        table.insert(reserved, id)
+    else
+        redis.call('ZREM', KEYS[2], id)
+    end
+end
+return reserved`;
+
+// Move a reserved job out of the running set, if it is still on the same attempt
+// KEYS: job key, running set, target set; ARGV: attempts, score, id, then field/value pairs
+const SETTLE_SCRIPT = `
+if redis.call('HGET', KEYS[1], 'status') ~= 'running' or redis.call('HGET', KEYS[1], 'attempts') ~= ARGV[1] then
+    return 0
+end
+redis.call('ZREM', KEYS[2], ARGV[3])
+redis.call('ZADD', KEYS[3], ARGV[2], ARGV[3])
+redis.call('HSET', KEYS[1], unpack(ARGV, 4))
+return 1`;
+
+// KEYS: job key, dead set, pending set; ARGV: now, id
+const RETRY_SCRIPT = `
+local status = redis.call('HGET', KEYS[1], 'status')
+if status == 'dead' then
+    redis.call('ZREM', KEYS[2], ARGV[2])
+    redis.call('HSET', KEYS[1], 'status', 'pending', 'attempts', 0, 'failedAt', '')
+elseif status ~= 'pending' then
+    return 0
+end
+redis.call('HSET', KEYS[1], 'runAt', ARGV[1])
+redis.call('ZADD', KEYS[3], ARGV[1], ARGV[2])
+return 1`;
+
+// One page of the union of status sets, highest score first
+// KEYS: status sets, then a scratch key; ARGV: offset, limit
+const LIST_SCRIPT = `
+local offset = tonumber(ARGV[1])
+local stop = offset + tonumber(ARGV[2]) - 1
+local source = KEYS[1]
+if #KEYS > 2 then
+    source = KEYS[#KEYS]
+    redis.call('ZUNIONSTORE', source, #KEYS - 1, unpack(KEYS, 1, #KEYS - 1))
+end
+local total = redis.call('ZCARD', source)
+local ids = redis.call('ZREVRANGE', source, offset, stop)
+if #KEYS > 2 then
+    redis.call('DEL', source)
+end
+table.insert(ids, 1, total)
+return ids`;
+
+// KEYS: status sets; ARGV: max score, job key prefix
+const PURGE_SCRIPT = `
+local count = 0
+for _, set in ipairs(KEYS) do
+    local ids = redis.call('ZRANGEBYSCORE', set, '-inf', '(' .. ARGV[1])
+    for _, id in ipairs(ids) do
+        redis.call('DEL', ARGV[2] .. id)
+    end
+    redis.call('ZREMRANGEBYSCORE', set, '-inf', '(' .. ARGV[1])
+    count = count + #ids
+end
+return count`;
+
+const toTime = (value) => (value ? new Date(Number(value)) : null);
+
+/**
+ * Redis backend
+ * Each job is a hash; per handler name, a sorted set per status holds job IDs
+ * scored by run time (pending), lock expiry (running), completion (completed)
+ * or failure (dead). State changes run as Lua scripts, so concurrent workers see
+ * them atomically. Listings are ordered by that score rather than creation time.
+ */
+export class RedisJobBackend {
+    constructor () {
+        this.name = 'redis';
+    }
+
+    key(suffix) {
+        return cacheService.generateKey(`jobs:${suffix}`);
+    }
+
+    jobKey(id) {
+        return this.key(`job:${id}`);
+    }
+
+    setKey(status, name) {
+        return this.key(`${status}:${name}`);
+    }
+
+    formatHash(hash) {
+        return {
+            id: hash.id,
+            name: hash.name,
+            payload: JSON.parse(hash.payload),
+            status: hash.status,
+            attempts: parseInt(hash.attempts, 10),
+            maxAttempts: parseInt(hash.maxAttempts, 10),
+            runAt: hash.status === 'pending' ? toTime(hash.runAt) : null,
+            lockedUntil: hash.status === 'running' ? toTime(hash.lockedUntil) : null,
+            lastError: hash.lastError || null,
+            createdAt: toTime(hash.createdAt),
+            startedAt: toTime(hash.startedAt),
+            completedAt: toTime(hash.completedAt),
+            failedAt: toTime(hash.failedAt)
+        };
+    }
+
+    async fetch(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        const client = getRedisClient();
+        const multi = client.multi();
+        ids.forEach(id => multi.hGetAll(this.jobKey(id)));
+        const hashes = await multi.exec();
+
+        return hashes.filter(hash => hash && hash.id).map(hash => this.formatHash(hash));
+    }
+
+    async names(name) {
+        return name ? [name] : getRedisClient().sMembers(this.key('names'));
+    }
+
+    async enqueue({ id, name, payload, maxAttempts, runAt }) {
+        const now = Date.now();
+        const hash = {
+            id,
+            name,
+            payload: JSON.stringify(payload),
+            status: 'pending',
+            attempts: '0',
+            maxAttempts: String(maxAttempts),
+            runAt: String(runAt.getTime()),
+            createdAt: String(now)
+        };
+
+        await getRedisClient().multi()
+            .hSet(this.jobKey(id), hash)
+            .zAdd(this.setKey('pending', name), { score: runAt.getTime(), value: id })
+            .sAdd(this.key('names'), name)
+            .exec();
+
+        return this.formatHash(hash);
+    }
+
+    async reserve(name, limit, lockMs) {
+        const ids = await getRedisClient().eval(RESERVE_SCRIPT, {
+            keys: [this.setKey('pending', name), this.setKey('running', name)],
+            arguments: [String(Date.now()), String(limit), String(lockMs), this.jobKey('')]
+        });
+
+        if (ids.length > 0) {
+            debugJobs('Jobs reserved', { name, count: ids.length });
+        }
+        return this.fetch(ids);
+    }
+
+    async settle(job, status, score, fields) {
+        await getRedisClient().eval(SETTLE_SCRIPT, {
+            keys: [this.jobKey(job.id), this.setKey('running', job.name), this.setKey(status, job.name)],
+            arguments: [
+                String(job.attempts),
+                String(score),
+                job.id,
+                'status', status, 'lockedUntil', '',
+                ...Object.entries(fields).flatMap(([field, value]) => [field, String(value)])
+            ]
+        });
+    }
+
+    async complete(job) {
+        const now = Date.now();
+        await this.settle(job, 'completed', now, { completedAt: now });
+    }
+
+    async retryLater(job, error, runAt) {
+        await this.settle(job, 'pending', runAt.getTime(), { runAt: runAt.getTime(), lastError: error });
+    }
+
+    async bury(job, error) {
+        const now = Date.now();
+        await this.settle(job, 'dead', now, {
+            failedAt: now,
+            lastError: error,
+            attempts: Math.min(job.attempts, job.maxAttempts)
+        });
+    }
+
+    async get(id) {
+        const [job] = await this.fetch([id]);
+        return job ?? null;
+    }
+
+    async list({ status, name, offset, limit }) {
+        const statuses = status ? [status] : JOB_STATUSES;
+        const names = await this.names(name);
+        const sets = names.flatMap(jobName => statuses.map(jobStatus => this.setKey(jobStatus, jobName)));
+
+        if (sets.length === 0) {
+            return { jobs: [], total: 0 };
+        }
+
+        const [total, ...ids] = await getRedisClient().eval(LIST_SCRIPT, {
+            keys: [...sets, this.key(`list:${generateUUID()}`)],
+            arguments: [String(offset), String(limit)]
+        });
+
+        return { jobs: await this.fetch(ids), total };
+    }
+
+    async retry(id) {
+        const job = await this.get(id);
+        if (!job) {
+            return null;
+        }
+
+        const retried = await getRedisClient().eval(RETRY_SCRIPT, {
+            keys: [this.jobKey(id), this.setKey('dead', job.name), this.setKey('pending', job.name)],
+            arguments: [String(Date.now()), id]
+        });
+
+        return retried ? this.get(id) : null;
+    }
+
+    async purge({ status, name, before }) {
+        const names = await this.names(name);
+        if (names.length === 0) {
+            return 0;
+        }
+
+        return getRedisClient().eval(PURGE_SCRIPT, {
+            keys: names.map(jobName => this.setKey(status, jobName)),
+            arguments: [String(before.getTime()), this.jobKey('')]
+        });
+    }
+
+    async stats() {
+        const names = (await this.names()).sort();
+        if (names.length === 0) {
+            return {};
+        }
+
+        const multi = getRedisClient().multi();
+        names.forEach(name => JOB_STATUSES.forEach(status => multi.zCard(this.setKey(status, name))));
+        const counts = await multi.exec();
+
+        return Object.fromEntries(names.map((name, i) => [
+            name,
+            Object.fromEntries(JOB_STATUSES.map((status, j) => [status, counts[i * JOB_STATUSES.length + j]]))
+        ]));
+    }
+}
+
+/**
+ * In-memory backend
+ * Keeps jobs in a Map of this process; for tests and single-process development.
+ */
+export class MemoryJobBackend {
+    constructor () {
+        this.name = 'memory';
+        this.jobs = new Map();
+    }
+
+    copy(job) {
+        return job ? structuredClone(job) : null;
+    }
+
+    // The stored job, if it is still on the attempt that reserved it
+    current(job) {
+        const stored = this.jobs.get(job.id);
+        return stored && stored.status === 'running' && stored.attempts === job.attempts ? stored : null;
+    }
+
+    async enqueue({ id, name, payload, maxAttempts, runAt }) {
+        const job = {
+            id,
+            name,
+            payload: structuredClone(payload),
+            status: 'pending',
+            attempts: 0,
+            maxAttempts,
+            runAt,
+            lockedUntil: null,
+            lastError: null,
+            createdAt: new Date(),
+            startedAt: null,
+            completedAt: null,
+            failedAt: null
+        };
+
+        this.jobs.set(id, job);
+        return this.copy(job);
+    }
+
+    async reserve(name, limit, lockMs) {
+        const now = Date.now();
+
+        const due = [...this.jobs.values()]
+            .filter(job => job.name === name && (
+                (job.status === 'pending' && job.runAt.getTime() <= now) ||
+                (job.status === 'running' && job.lockedUntil.getTime() < now)
+            ))
+            .sort((a, b) => (a.runAt?.getTime() ?? 0) - (b.runAt?.getTime() ?? 0))
+            .slice(0, limit);
+
+        return due.map(job => {
+            Object.assign(job, {
+                status: 'running',
+                attempts: job.attempts + 1,
+                startedAt: new Date(now),
+                lockedUntil: new Date(now + lockMs)
+            });
+            return this.copy(job);
+        });
+    }
+
+    async complete(job) {
+        const stored = this.current(job);
+        if (stored) {
+            Object.assign(stored, { status: 'completed', completedAt: new Date(), lockedUntil: null });
+        }
+    }
+
+    async retryLater(job, error, runAt) {
+        const stored = this.current(job);
+        if (stored) {
+            Object.assign(stored, { status: 'pending', runAt, lastError: error, lockedUntil: null });
+        }
+    }
+
+    async bury(job, error) {
+        const stored = this.current(job);
+        if (stored) {
+            Object.assign(stored, {
+                status: 'dead',
+                attempts: Math.min(stored.attempts, stored.maxAttempts),
+                lastError: error,
+                failedAt: new Date(),
+                runAt: null,
+                lockedUntil: null
+            });
+        }
+    }
+
+    async get(id) {
+        return this.copy(this.jobs.get(id));
+    }
+
+    async list({ status, name, offset, limit }) {
+        const matching = [...this.jobs.values()]
+            .filter(job => (!status || job.status === status) && (!name || job.name === name))
+            .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+
+        return {
+            jobs: matching.slice(offset, offset + limit).map(job => this.copy(job)),
+            total: matching.length
+        };
+    }
+
+    async retry(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['dead', 'pending'].includes(job.status)) {
+            return null;
+        }
+
+        if (job.status === 'dead') {
+            Object.assign(job, { status: 'pending', attempts: 0, failedAt: null });
+        }
+        job.runAt = new Date();
+        return this.copy(job);
+    }
+
+    async purge({ status, name, before }) {
+        const timeField = { pending: 'runAt', completed: 'completedAt', dead: 'failedAt' }[status];
+        let count = 0;
+
+        for (const job of this.jobs.values()) {
+            if (job.status === status && (!name || job.name === name) && job[timeField] < before) {
+                this.jobs.delete(job.id);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    async stats() {
+        const stats = {};
+        for (const job of [...this.jobs.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+            stats[job.name] ??= emptyCounts();
+            stats[job.name][job.status]++;
+        }
+        return stats;
+    }
+}
+
+const backends = {
+    postgres: PostgresJobBackend,
+    redis: RedisJobBackend,
+    memory: MemoryJobBackend
+};
+
+/**
+ * Create a job queue backend by name
+ * @param {string} name - postgres, redis or memory
+ */
+export const createJobBackend = (name) => {
+    const Backend = backends[name];
+
+    if (!Backend) {
+        throw new Error(`Unknown job queue backend '${name}'. Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    return new Backend();
+};
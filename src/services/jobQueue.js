@@ -0,0 +1,340 @@
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { generateUUID } from '../utils/crypto.js';
+import { createJobBackend } from './jobBackends.js';
+import debug from 'debug';
+
+const debugQueue = debug('app:jobQueue');
+
+const sleep = (delay) => new Promise(resolve => setTimeout(resolve, delay).unref());
+
+/**
+ * Background job queue
+ *
+ * Work is enqueued under a handler name and run by the worker of any instance
+ * that registered a handler for it. A failed job is retried after
+ * backoffBase * 2^(attempt - 1), capped at backoffMax, until it runs out of
+ * attempts and moves to the dead letters, where it stays until retried or
+ * purged. A job still running after lockTimeout is taken to be lost and runs
+ * again, so handlers must be safe to repeat and finish well within it.
+ */
+export class JobQueue {
+    constructor (options = config.jobs, backend = null) {
+        this.options = options;
+        this.backend = backend;
+        this.handlers = new Map();
+        this.running = new Map();
+        this.active = false;
+        this.polling = null;
+        this.timer = null;
+        this.wakeRequested = false;
+        this.pollIntervalMs = ms(options.pollInterval);
+        this.lockTimeoutMs = ms(options.lockTimeout);
+        this.backoffBaseMs = ms(options.backoffBase);
+        this.backoffMaxMs = ms(options.backoffMax);
+    }
+
+    /**
+     * Lazily create the configured backend
+     */
+    getBackend() {
+        if (!this.backend) {
+            this.backend = createJobBackend(this.options.backend);
+            debugQueue(`Using ${this.backend.name} job queue backend`);
+        }
+        return this.backend;
+    }
+
+    /**
+     * Swap the backend (e.g. a MemoryJobBackend in tests)
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Register the handler of a job name
+     * @param {string} name - Job name, e.g. 'email.send'
+     * @param {Function} handler - async (payload, job) => void; throwing fails the attempt
+     * @param {Object} options - { concurrency, maxAttempts }; concurrency limits jobs of this
+     *   name running at once in this process
+     */
+    register(name, handler, { concurrency = this.options.concurrency, maxAttempts = this.options.maxAttempts } = {}) {
+        this.handlers.set(name, { handler, concurrency, maxAttempts, running: 0 });
+        debugQueue('Job handler registered', { name, concurrency, maxAttempts });
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} name - Job name
+     * @param {Object} payload - JSON data passed to the handler
+     * @param {Object} options - { delay (ms or ms string), runAt (Date), maxAttempts }
+     * @returns {Promise<Object>} Enqueued job
+     */
+    async enqueue(name, payload = {}, options = {}) {
+        const delay = typeof options.delay === 'string' ? ms(options.delay) : (options.delay ?? 0);
+        const runAt = options.runAt ?? new Date(Date.now() + delay);
+        const maxAttempts = options.maxAttempts ?? this.handlers.get(name)?.maxAttempts ?? this.options.maxAttempts;
+
+        const job = await this.getBackend().enqueue({ id: generateUUID(), name, payload, maxAttempts, runAt });
+
+        debugQueue('Job enqueued', { id: job.id, name, runAt, requestId: getRequestId() });
+
+        if (runAt.getTime() <= Date.now()) {
+            this.wake();
+        }
+        return job;
+    }
+
+    /**
+     * Wait before the next attempt after a number of failed ones
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    backoffDelay(attempts) {
+        return Math.min(this.backoffBaseMs * 2 ** (attempts - 1), this.backoffMaxMs);
+    }
+
+    /**
+     * Start working jobs of the registered handlers
+     */
+    start() {
+        if (this.active) {
+            return;
+        }
+
+        this.active = true;
+        logger.info('Job worker started', {
+            backend: this.getBackend().name,
+            handlers: [...this.handlers.keys()],
+            concurrency: this.options.concurrency
+        });
+        this.poll();
+    }
+
+    /**
+     * Poll again right away, e.g. after a job finished
+     */
+    wake() {
+        if (!this.active) {
+            return;
+        }
+
+        if (this.polling) {
+            this.wakeRequested = true;
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), 0);
+    }
+
+    poll() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.active || this.polling) {
+            return this.polling;
+        }
+
+        this.wakeRequested = false;
+        this.polling = this.reserveJobs()
+            .catch(error => {
+                logger.error('Job polling failed:', { error: error.message });
+            })
+            .finally(() => {
+                this.polling = null;
+                if (this.active) {
+                    this.timer = setTimeout(() => this.poll(), this.wakeRequested ? 0 : this.pollIntervalMs);
+                    this.timer.unref();
+                }
+            });
+
+        return this.polling;
+    }
+
+    async reserveJobs() {
+        for (const [name, entry] of this.handlers) {
+            const free = Math.min(entry.concurrency - entry.running, this.options.concurrency - this.running.size);
+            if (free <= 0) {
+                continue;
+            }
+
+            const jobs = await this.getBackend().reserve(name, free, this.lockTimeoutMs);
+            jobs.forEach(job => this.run(job, entry));
+        }
+    }
+
+    run(job, entry) {
+        entry.running++;
+
+        const execution = this.execute(job, entry).finally(() => {
+            entry.running--;
+            this.running.delete(job.id);
+            this.wake();
+        });
+
+        this.running.set(job.id, execution);
+    }
+
+    async execute(job, entry) {
+        const backend = this.getBackend();
+        const startTime = Date.now();
+
+        try {
+            // Lock expired on the last attempt, e.g. the process died while running it
+            if (job.attempts > job.maxAttempts) {
+                await backend.bury(job, job.lastError || 'Lock expired on the last attempt');
+                logger.error('Job moved to dead letters:', { id: job.id, name: job.name, attempts: job.maxAttempts });
+                return;
+            }
+
+            let failure = null;
+            try {
+                await entry.handler(job.payload, job);
+            } catch (error) {
+                failure = error;
+            }
+
+            const duration = `${Date.now() - startTime}ms`;
+
+            if (!failure) {
+                await backend.complete(job);
+                debugQueue('Job completed', { id: job.id, name: job.name, attempts: job.attempts, duration });
+            } else if (job.attempts >= job.maxAttempts) {
+                await backend.bury(job, failure.message);
+                logger.error('Job failed, moved to dead letters:', {
+                    id: job.id,
+                    name: job.name,
+                    attempts: job.attempts,
+                    error: failure.message,
+                    duration
+                });
+            } else {
+                const delay = this.backoffDelay(job.attempts);
+                await backend.retryLater(job, failure.message, new Date(Date.now() + delay));
+                logger.warn('Job failed, retrying', {
+                    id: job.id,
+                    name: job.name,
+                    attempt: job.attempts,
+                    retryInMs: delay,
+                    error: failure.message,
+                    duration
+                });
+            }
+        } catch (error) {
+            // Left running; picked up again once its lock expires
+            logger.error('Failed to record job outcome:', { id: job.id, name: job.name, error: error.message });
+        }
+    }
+
+    /**
+     * Stop taking jobs and wait for running ones to finish
+     * @param {number} timeout - Longest wait in milliseconds
+     * @returns {Promise<boolean>} Whether every running job finished in time
+     */
+    async stop(timeout = ms(this.options.drainTimeout)) {
+        if (!this.active) {
+            return true;
+        }
+
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // Jobs reserved by a poll in progress must be waited for too
+        await this.polling;
+
+        logger.info('Job worker stopping', { running: this.running.size });
+
+        const drained = await Promise.race([
+            Promise.allSettled([...this.running.values()]).then(() => true),
+            sleep(timeout).then(() => false)
+        ]);
+
+        if (drained) {
+            logger.info('Job worker stopped');
+        } else {
+            logger.warn('Job worker stopped with jobs still running; they run again once their lock expires', {
+                running: [...this.running.keys()]
+            });
+        }
+
+        return drained;
+    }
+
+    /**
+     * Page through jobs, dead letters included
+     * @param {Object} filters - { status, name, page, limit }
+     * @returns {Promise<Object>} { jobs, pagination }
+     */
+    async list({ status, name, page = 1, limit = 20 } = {}) {
+        const { jobs, total } = await this.getBackend().list({ status, name, offset: (page - 1) * limit, limit });
+        const totalPages = Math.ceil(total / limit);
+
+        return {
+            jobs,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        };
+    }
+
+    async get(id) {
+        return this.getBackend().get(id);
+    }
+
+    /**
+     * Run a dead or pending job again now; dead jobs start over with all their attempts
+     * @throws {AppError} JOB_NOT_FOUND, or JOB_NOT_RETRYABLE for running and completed jobs
+     */
+    async retry(id) {
+        const job = await this.getBackend().retry(id);
+
+        if (!job) {
+            const existing = await this.get(id);
+            if (!existing) {
+                throw new AppError('Job not found', 404, true, 'JOB_NOT_FOUND');
+            }
+            throw new AppError(`A ${existing.status} job cannot be retried`, 409, true, 'JOB_NOT_RETRYABLE');
+        }
+
+        logger.info('Job retried', { id, name: job.name, requestId: getRequestId() });
+        this.wake();
+        return job;
+    }
+
+    /**
+     * Remove pending, completed or dead jobs
+     * @param {Object} filters - { status, name, before }; before defaults to now
+     * @returns {Promise<number>} Jobs removed
+     */
+    async purge({ status, name, before = new Date() }) {
+        const purged = await this.getBackend().purge({ status, name, before });
+        debugQueue('Jobs purged', { status, name, before, purged });
+        return purged;
+    }
+
+    async stats() {
+        return this.getBackend().stats();
+    }
+
+    /**
+     * Remove completed jobs older than config.jobs.retention
+     * @returns {Promise<number>} Jobs removed
+     */
+    async purgeExpired() {
+        return this.purge({ status: 'completed', before: new Date(Date.now() - ms(this.options.retention)) });
+    }
+}
+
+// Create default job queue instance
+export const jobQueue = new JobQueue();
@@ -0,0 +1,267 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import request from 'supertest';
+import config from '../config/index.js';
+import { JobQueue, jobQueue } from './jobQueue.js';
+import { MemoryJobBackend } from './jobBackends.js';
+import { CacheWarmService } from './cacheWarmService.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login, resetRateLimits } from '../../test/helpers/app.js';
+import { waitForEmails, tokenFrom } from '../../test/helpers/email.js';
+
+const sleep = (delay) => new Promise(resolve => setTimeout(resolve, delay));
+
+const until = async (check, { timeout = 3000 } = {}) => {
+    const deadline = Date.now() + timeout;
+    let result;
+
+    while (!(result = await check())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting');
+        }
+        await sleep(5);
+    }
+
+    return result;
+};
+
+describe('jobQueue', () => {
+    describe('worker', () => {
+        let queue;
+
+        const createQueue = () => new JobQueue({
+            ...config.jobs,
+            pollInterval: '10ms',
+            backoffBase: '10ms',
+            backoffMax: '40ms',
+            lockTimeout: '1s'
+        }, new MemoryJobBackend());
+
+        const settled = (id) => until(async () => {
+            const job = await queue.get(id);
+            return ['completed', 'dead'].includes(job.status) && job;
+        });
+
+        afterEach(async () => {
+            await queue.stop(100);
+        });
+
+        test('runs jobs with the handler of their name', async () => {
+            queue = createQueue();
+            const payloads = [];
+            queue.register('greet', async (payload) => { payloads.push(payload); });
+            queue.start();
+
+            const { id } = await queue.enqueue('greet', { name: 'Ada' });
+
+            expect(await settled(id)).toMatchObject({ status: 'completed', attempts: 1 });
+            expect(payloads).toEqual([{ name: 'Ada' }]);
+        });
+
+        test('retries failed jobs with exponential backoff, then buries them', async () => {
+            queue = createQueue();
+            const attempts = [];
+            queue.register('flaky', async () => {
+                attempts.push(Date.now());
+                throw new Error('Unreachable');
+            }, { maxAttempts: 3 });
+            queue.start();
+
+            const { id } = await queue.enqueue('flaky');
+            const job = await settled(id);
+
+            expect(job).toMatchObject({ status: 'dead', attempts: 3, lastError: 'Unreachable' });
+            expect(attempts).toHaveLength(3);
+            expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(queue.backoffDelay(2) - 5);
+            expect([1, 2, 3, 9].map(attempt => queue.backoffDelay(attempt))).toEqual([10, 20, 40, 40]);
+        });
+
+        test('runs dead jobs again from the start on retry', async () => {
+            queue = createQueue();
+            let failing = true;
+            queue.register('flaky', async () => {
+                if (failing) {
+                    throw new Error('Unreachable');
+                }
+            }, { maxAttempts: 1 });
+            queue.start();
+
+            const { id } = await queue.enqueue('flaky');
+            await settled(id);
+            failing = false;
+
+            await queue.retry(id);
+
+            expect(await settled(id)).toMatchObject({ status: 'completed', attempts: 1 });
+            await expect(queue.retry(id)).rejects.toMatchObject({ code: 'JOB_NOT_RETRYABLE' });
+        });
+
+        test('holds delayed jobs until they are due', async () => {
+            queue = createQueue();
+            const ran = [];
+            queue.register('later', async () => { ran.push(Date.now()); });
+            queue.start();
+
+            const enqueuedAt = Date.now();
+            const { id } = await queue.enqueue('later', {}, { delay: '150ms' });
+
+            await sleep(50);
+            expect(ran).toEqual([]);
+
+            await settled(id);
+            expect(ran[0] - enqueuedAt).toBeGreaterThanOrEqual(145);
+        });
+
+        test('runs no more jobs of a name at once than its concurrency', async () => {
+            queue = createQueue();
+            let running = 0;
+            let mostRunning = 0;
+            queue.register('slow', async () => {
+                running++;
+                mostRunning = Math.max(mostRunning, running);
+                await sleep(30);
+                running--;
+            }, { concurrency: 2 });
+            queue.start();
+
+            const jobs = await Promise.all([1, 2, 3, 4, 5].map(() => queue.enqueue('slow')));
+            await Promise.all(jobs.map(({ id }) => settled(id)));
+
+            expect(mostRunning).toBe(2);
+        });
+
+        test('finishes running jobs on stop and takes no more', async () => {
+            queue = createQueue();
+            queue.register('slow', async () => { await sleep(50); });
+            queue.start();
+
+            const running = await queue.enqueue('slow');
+            await until(async () => (await queue.get(running.id)).status === 'running');
+
+            expect(await queue.stop()).toBe(true);
+            expect((await queue.get(running.id)).status).toBe('completed');
+
+            const queued = await queue.enqueue('slow');
+            await sleep(50);
+            expect((await queue.get(queued.id)).status).toBe('pending');
+        });
+    });
+
+    describe('endpoints', () => {
+        let app;
+        let admin;
+        let user;
+
+        beforeAll(async () => {
+            await setupDatabase();
+            app = createTestApp();
+            admin = await login(app, await createUser({ role: 'admin' }));
+            user = await login(app, await createUser());
+        });
+
+        afterAll(teardownDatabase);
+
+        const as = ({ accessToken }) => ({
+            get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+            post: (url) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`),
+            delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+        });
+
+        test('let job readers inspect jobs and managers retry and purge them', async () => {
+            const job = await jobQueue.enqueue('report.build', { week: 12 });
+
+            const listed = await as(admin).get('/api/jobs?name=report.build');
+            expect(listed.status).toBe(200);
+            expect(listed.body.jobs.map(entry => entry.id)).toEqual([job.id]);
+
+            const fetched = await as(admin).get(`/api/jobs/${job.id}`);
+            expect(fetched.body.job).toMatchObject({ name: 'report.build', status: 'pending', payload: { week: 12 } });
+
+            expect((await as(admin).post(`/api/jobs/${job.id}/retry`)).status).toBe(200);
+
+            const purged = await as(admin).delete(`/api/jobs?status=pending&name=report.build&before=${new Date(Date.now() + 1000).toISOString()}`);
+            expect(purged.body.purged).toBe(1);
+            expect((await as(admin).get(`/api/jobs/${job.id}`)).status).toBe(404);
+        });
+
+        test('are for holders of the jobs permissions only', async () => {
+            expect((await as(user).get('/api/jobs')).status).toBe(403);
+            expect((await as(user).delete('/api/jobs?status=dead')).status).toBe(403);
+        });
+
+        describe('queued emails', () => {
+            const queued = config.email.queue;
+
+            beforeAll(() => {
+                config.email.queue = true;
+                jobQueue.start();
+            });
+
+            afterAll(async () => {
+                config.email.queue = queued;
+                await jobQueue.stop();
+            });
+
+            const jobsNamed = async (name) => (await jobQueue.list({ name })).jobs;
+
+            test('hold the user ID instead of the reset link', async () => {
+                const owner = await createUser();
+
+                await resetRateLimits();
+                await request(app).post('/api/auth/forgot-password').send({ email: owner.email });
+
+                const [message] = await waitForEmails(owner.email);
+                const token = tokenFrom(message);
+                expect(token).toBeTruthy();
+
+                const [job] = await jobsNamed('auth.password-reset');
+                expect(job.payload).toEqual({ userId: owner.id });
+
+                const listed = await as(admin).get('/api/jobs?name=auth.password-reset');
+                expect(JSON.stringify(listed.body)).not.toContain(token);
+
+                await resetRateLimits();
+                const reset = await request(app).post('/api/auth/reset-password')
+                    .send({ token, password: 'NewPassword123!', confirmPassword: 'NewPassword123!' });
+                expect(reset.status).toBe(200);
+            });
+
+            test('hold the user ID instead of the verification link', async () => {
+                await resetRateLimits();
+                const registered = await request(app).post('/api/auth/register').send({
+                    firstName: 'Grace',
+                    lastName: 'Hopper',
+                    email: 'queued@example.com',
+                    password: 'Password123!',
+                    confirmPassword: 'Password123!',
+                    terms: true
+                });
+
+                await waitForEmails('queued@example.com');
+
+                const [job] = await jobsNamed('auth.verify-email');
+                expect(job.payload).toEqual({ userId: registered.body.user.id });
+            });
+        });
+
+        describe('cache warming', () => {
+            beforeAll(() => jobQueue.start());
+            afterAll(() => jobQueue.stop());
+
+            test('runs as a queued job', async () => {
+                const { id } = await jobQueue.enqueue('cache.warm', {});
+
+                const job = await until(async () => {
+                    const current = await jobQueue.get(id);
+                    return ['completed', 'dead'].includes(current.status) && current;
+                });
+                expect(job.status).toBe('completed');
+            });
+
+            test('skips tables it cannot read', async () => {
+                const warmer = new CacheWarmService({ tables: ['employee', 'missing_table'] });
+
+                expect(await warmer.warm()).toBe(1);
+            });
+        });
+    });
+});
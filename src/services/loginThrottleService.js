@@ -0,0 +1,219 @@
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query } from '../config/database.js';
+import { getRedisClient, isRedisReady } from '../config/redis.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { ERROR_MESSAGES } from '../constants/errorMessages.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugThrottle = debug('app:loginThrottle');
+
+// Count a failure, starting over outside the window, and lock at the limit
+// KEYS: throttle hash; ARGV: now, window start, max attempts, lock ms, ttl ms
+// Returns { failedCount, lockedUntil } with lockedUntil 0 when not locked
+const RECORD_FAILURE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local lastFailedAt = tonumber(redis.call('HGET', KEYS[1], 'lastFailedAt'))
+if not lastFailedAt or lastFailedAt <= tonumber(ARGV[2]) then
+    redis.call('HSET', KEYS[1], 'failedCount', 0)
+end
+local failedCount = redis.call('HINCRBY', KEYS[1], 'failedCount', 1)
+redis.call('HSET', KEYS[1], 'lastFailedAt', ARGV[1])
+local lockedUntil = 0
+if failedCount >= tonumber(ARGV[3]) then
+    lockedUntil = now + tonumber(ARGV[4])
+    redis.call('HSET', KEYS[1], 'lockedUntil', lockedUntil)
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return { failedCount, lockedUntil }`;
+
+/**
+ * Login throttle service
+ *
+ * Tracks failed logins per account (normalized email) rather than per IP, so
+ * a brute-force attack spread over many addresses is still slowed down. Each
+ * failure doubles the wait before the next attempt; after `maxAttempts`
+ * failures the account is locked for `lockDurationMs`. State lives in Redis
+ * when it is connected and in the login_attempts table otherwise.
+ */
+export class LoginThrottleService {
+    constructor (options = config.auth.lockout) {
+        this.options = options;
+    }
+
+    normalizeEmail(email) {
+        return String(email).trim().toLowerCase();
+    }
+
+    redisKey(email) {
+        return cacheService.generateKey(`lockout:${this.normalizeEmail(email)}`);
+    }
+
+    /**
+     * Wait required after a number of consecutive failures
+     * @param {number} failedCount - Consecutive failures
+     * @returns {number} Delay in milliseconds
+     */
+    backoffDelay(failedCount) {
+        if (failedCount <= 0) {
+            return 0;
+        }
+        const { backoffBaseMs, backoffMaxMs } = this.options;
+        return Math.min(backoffBaseMs * 2 ** (failedCount - 1), backoffMaxMs);
+    }
+
+    /**
+     * Current throttle state of an account
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} { failedCount, lastFailedAt, lockedUntil }
+     */
+    async getState(email) {
+        const windowStart = Date.now() - this.options.attemptWindowMs;
+
+        if (isRedisReady()) {
+            const state = await getRedisClient().hGetAll(this.redisKey(email));
+            const lastFailedAt = state.lastFailedAt ? parseInt(state.lastFailedAt, 10) : null;
+
+            return {
+                failedCount: lastFailedAt && lastFailedAt > windowStart ? parseInt(state.failedCount, 10) || 0 : 0,
+                lastFailedAt,
+                lockedUntil: state.lockedUntil ? parseInt(state.lockedUntil, 10) : null
+            };
+        }
+
+        const result = await query(
+            'SELECT failed_count, last_failed_at, locked_until FROM login_attempts WHERE email = $1',
+            [this.normalizeEmail(email)]
+        );
+
+        const row = result.rows[0];
+        const lastFailedAt = row?.last_failed_at ? new Date(row.last_failed_at).getTime() : null;
+
+        return {
+            failedCount: lastFailedAt && lastFailedAt > windowStart ? row.failed_count : 0,
+            lastFailedAt,
+            lockedUntil: row?.locked_until ? new Date(row.locked_until).getTime() : null
+        };
+    }
+
+    /**
+     * Reject the attempt if the account is locked or still backing off
+     * @param {string} email - Account email
+     * @throws {AppError} ACCOUNT_LOCKED (423) or LOGIN_THROTTLED (429)
+     */
+    async assertCanAttempt(email) {
+        const { failedCount, lastFailedAt, lockedUntil } = await this.getState(email);
+        const now = Date.now();
+
+        if (lockedUntil && lockedUntil > now) {
+            const error = new AppError(ERROR_MESSAGES.ACCOUNT_LOCKED, 423, true, 'ACCOUNT_LOCKED');
+            error.retryAfter = Math.ceil((lockedUntil - now) / 1000);
+            throw error;
+        }
+
+        const retryAt = lastFailedAt + this.backoffDelay(failedCount);
+        if (failedCount > 0 && retryAt > now) {
+            const error = new AppError(ERROR_MESSAGES.LOGIN_THROTTLED, 429, true, 'LOGIN_THROTTLED');
+            error.retryAfter = Math.ceil((retryAt - now) / 1000);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed attempt, locking the account once the limit is reached
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} { failedCount, locked, lockedUntil }
+     */
+    async recordFailure(email) {
+        const { maxAttempts, lockDurationMs, attemptWindowMs } = this.options;
+        const now = Date.now();
+        let failedCount;
+        let lockedUntil;
+
+        // Count and lock in one step so concurrent failures can't both miss the limit
+        if (isRedisReady()) {
+            [failedCount, lockedUntil] = await getRedisClient().eval(RECORD_FAILURE_SCRIPT, {
+                keys: [this.redisKey(email)],
+                arguments: [
+                    String(now),
+                    String(now - attemptWindowMs),
+                    String(maxAttempts),
+                    String(lockDurationMs),
+                    String(Math.max(attemptWindowMs, lockDurationMs))
+                ]
+            });
+        } else {
+            const result = await query(
+                `INSERT INTO login_attempts (email, failed_count, last_failed_at, locked_until, updated_at)
+                 VALUES ($1, 1, NOW(), CASE WHEN 1 >= $3 THEN NOW() + make_interval(secs => $4) END, NOW())
+                 ON CONFLICT (email) DO UPDATE SET
+                    failed_count = CASE
+                        WHEN login_attempts.last_failed_at < NOW() - make_interval(secs => $2) THEN 1
+                        ELSE login_attempts.failed_count + 1
+                    END,
+                    locked_until = CASE
+                        WHEN (CASE
+                            WHEN login_attempts.last_failed_at < NOW() - make_interval(secs => $2) THEN 1
+                            ELSE login_attempts.failed_count + 1
+                        END) >= $3 THEN NOW() + make_interval(secs => $4)
+                        ELSE login_attempts.locked_until
+                    END,
+                    last_failed_at = NOW(),
+                    updated_at = NOW()
+                 RETURNING failed_count, locked_until`,
+                [this.normalizeEmail(email), attemptWindowMs / 1000, maxAttempts, lockDurationMs / 1000]
+            );
+            failedCount = result.rows[0].failed_count;
+            lockedUntil = failedCount >= maxAttempts ? new Date(result.rows[0].locked_until).getTime() : 0;
+        }
+
+        debugThrottle('Login failure recorded', { email, failedCount });
+
+        if (failedCount < maxAttempts) {
+            return { failedCount, locked: false, lockedUntil: null };
+        }
+
+        logger.warn('Security event: account locked after repeated failed logins', {
+            event: 'account_locked',
+            email: this.normalizeEmail(email),
+            failedCount,
+            lockedUntil: new Date(lockedUntil).toISOString(),
+            requestId: getRequestId()
+        });
+
+        return { failedCount, locked: true, lockedUntil: new Date(lockedUntil) };
+    }
+
+    /**
+     * Clear failures and any lock (successful login or admin unlock)
+     * @param {string} email - Account email
+     */
+    async reset(email) {
+        if (isRedisReady()) {
+            await getRedisClient().del(this.redisKey(email));
+        } else {
+            await query('DELETE FROM login_attempts WHERE email = $1', [this.normalizeEmail(email)]);
+        }
+
+        debugThrottle('Login throttle reset', { email });
+    }
+
+    /**
+     * Remove stale rows from Postgres
+     * Redis entries expire on their own.
+     */
+    async purgeExpired() {
+        const result = await query(
+            `DELETE FROM login_attempts
+             WHERE last_failed_at < NOW() - make_interval(secs => $1)
+               AND (locked_until IS NULL OR locked_until < NOW())`,
+            [this.options.attemptWindowMs / 1000]
+        );
+        return result.rowCount;
+    }
+}
+
+// Create default login throttle service instance
+export const loginThrottleService = new LoginThrottleService();
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, resetRateLimits } from '../../test/helpers/app.js';
+import { LoginThrottleService, loginThrottleService } from './loginThrottleService.js';
+
+const options = {
+    maxAttempts: 3,
+    lockDurationMs: 60 * 1000,
+    attemptWindowMs: 15 * 60 * 1000,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 10 * 1000
+};
+
+describe('LoginThrottleService', () => {
+    let db;
+    const throttle = new LoginThrottleService(options);
+    const address = () => `throttle-${crypto.randomUUID()}@example.com`;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+    });
+
+    afterAll(teardownDatabase);
+
+    test('backs off after a failure', async () => {
+        const email = address();
+        await throttle.recordFailure(email);
+
+        await expect(throttle.assertCanAttempt(email)).rejects.toMatchObject({ statusCode: 429, code: 'LOGIN_THROTTLED' });
+    });
+
+    test('locks the account at the limit, whatever the case of the address', async () => {
+        const email = address();
+        await throttle.recordFailure(email);
+        await throttle.recordFailure(email.toUpperCase());
+        const result = await throttle.recordFailure(email);
+
+        expect(result.locked).toBe(true);
+        expect(result.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+        await expect(throttle.assertCanAttempt(email)).rejects.toMatchObject({ statusCode: 423, code: 'ACCOUNT_LOCKED' });
+    });
+
+    test('counts concurrent failures once each and locks at the limit', async () => {
+        const email = address();
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => throttle.recordFailure(email)));
+
+        expect(results.map(result => result.failedCount).sort()).toEqual([1, 2, 3, 4, 5]);
+        expect(results.filter(result => result.locked)).toHaveLength(3);
+        const { rows: [row] } = await db.query('SELECT failed_count, locked_until FROM login_attempts WHERE email = $1', [email]);
+        expect(row.failed_count).toBe(5);
+        expect(row.locked_until).not.toBeNull();
+    });
+
+    test('starts over after the window', async () => {
+        const email = address();
+        await throttle.recordFailure(email);
+        await throttle.recordFailure(email);
+        await db.query('UPDATE login_attempts SET last_failed_at = NOW() - INTERVAL \'1 hour\' WHERE email = $1', [email]);
+
+        const result = await throttle.recordFailure(email);
+
+        expect(result).toMatchObject({ failedCount: 1, locked: false });
+    });
+
+    test('clears failures and locks on reset', async () => {
+        const email = address();
+        for (let i = 0; i < options.maxAttempts; i++) {
+            await throttle.recordFailure(email);
+        }
+
+        await throttle.reset(email);
+
+        await expect(throttle.assertCanAttempt(email)).resolves.toBeUndefined();
+    });
+
+    describe('POST /api/auth/login', () => {
+        test('throttles wrong passwords per account', async () => {
+            const app = createTestApp();
+            const user = await createUser();
+            const attempt = async (password) => {
+                await resetRateLimits();
+                return request(app).post('/api/auth/login').send({ email: user.email, password });
+            };
+
+            expect((await attempt('WrongPassword1!')).status).toBe(401);
+
+            const throttled = await attempt(user.password);
+            expect(throttled.status).toBe(429);
+            expect(throttled.body.code).toBe('LOGIN_THROTTLED');
+
+            await loginThrottleService.reset(user.email);
+            expect((await attempt(user.password)).status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query } from '../config/database.js';
+import { getRedisClient, isRedisReady } from '../config/redis.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { generateRandomToken } from '../utils/crypto.js';
+import { get, post } from '../utils/httpService.js';
+import { cacheService } from './cacheService.js';
+import { AuthService } from './authService.js';
+import debug from 'debug';
+
+const debugOidc = debug('app:oidc');
+
+const USER_COLUMNS = 'u.id, u.first_name, u.last_name, u.email, u.role, u.status, u.email_verified';
+
+/**
+ * OpenID Connect client
+ *
+ * Authorization code flow with PKCE (S256), state and nonce. Pending requests
+ * are kept in Redis when it is connected and in oidc_auth_requests otherwise.
+ * ID tokens are verified against the provider's JWKS. Verified identities are
+ * linked to users through user_identities.
+ */
+export class OidcService {
+    constructor (providers = config.oidc.providers) {
+        this.providers = providers;
+        this.authService = new AuthService();
+        this.metadata = new Map();
+        this.jwks = new Map();
+    }
+
+    /**
+     * Get a configured provider
+     * @throws {AppError} OIDC_PROVIDER_NOT_FOUND
+     */
+    getProvider(name) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new AppError(`Unknown login provider '${name}'`, 404, true, 'OIDC_PROVIDER_NOT_FOUND');
+        }
+        return provider;
+    }
+
+    /**
+     * Public list of configured providers
+     */
+    listProviders() {
+        return Object.values(this.providers).map(({ name, displayName }) => ({ name, displayName }));
+    }
+
+    redirectUri(provider) {
+        return `${config.app.url}/api/auth/oidc/${provider.name}/callback`;
+    }
+
+    /**
+     * Provider endpoints, from explicit configuration or the discovery document
+     * @returns {Promise<Object>} { issuer, authorizationUrl, tokenUrl, jwksUrl }
+     */
+    async getMetadata(provider) {
+        if (provider.authorizationUrl && provider.tokenUrl && provider.jwksUrl) {
+            return {
+                issuer: provider.issuer,
+                authorizationUrl: provider.authorizationUrl,
+                tokenUrl: provider.tokenUrl,
+                jwksUrl: provider.jwksUrl
+            };
+        }
+
+        if (!this.metadata.has(provider.name)) {
+            const discovery = await get(provider.discoveryUrl);
+
+            this.metadata.set(provider.name, {
+                issuer: discovery.issuer,
+                authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+                tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+                jwksUrl: provider.jwksUrl || discovery.jwks_uri
+            });
+
+            debugOidc('Provider metadata discovered', { provider: provider.name });
+        }
+
+        return this.metadata.get(provider.name);
+    }
+
+    /**
+     * JWKS of a provider; jose caches the keys and refetches on unknown `kid`
+     */
+    getJwks(provider, jwksUrl) {
+        if (!this.jwks.has(provider.name)) {
+            this.jwks.set(provider.name, createRemoteJWKSet(new URL(jwksUrl)));
+        }
+        return this.jwks.get(provider.name);
+    }
+
+    /**
+     * Build the authorization URL and remember the pending request
+     * @param {string} providerName - Provider name
+     * @param {Object} options - { rememberMe }
+     * @returns {Promise<string>} URL to redirect the user to
+     */
+    async createAuthorizationUrl(providerName, options = {}) {
+        const { rememberMe = false } = options;
+        const provider = this.getProvider(providerName);
+        const metadata = await this.getMetadata(provider);
+
+        const state = generateRandomToken(16);
+        const nonce = generateRandomToken(16);
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        await this.saveRequest(state, { provider: provider.name, nonce, codeVerifier, rememberMe });
+
+        const url = new URL(metadata.authorizationUrl);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: this.redirectUri(provider),
+            scope: provider.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        }).toString();
+
+        debugOidc('Authorization request created', { provider: provider.name });
+        return url.toString();
+    }
+
+    async saveRequest(state, request) {
+        const ttl = config.oidc.stateTTL;
+
+        if (isRedisReady()) {
+            await cacheService.set(`oidc:state:${state}`, request, ttl);
+            return;
+        }
+
+        await query(
+            `INSERT INTO oidc_auth_requests (state, provider, nonce, code_verifier, remember_me, expires_at)
+             VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))`,
+            [state, request.provider, request.nonce, request.codeVerifier, request.rememberMe, ttl]
+        );
+    }
+
+    /**
+     * Load and delete a pending request so each state is used once
+     * Both paths read and delete in one step, so concurrent callbacks cannot share a state.
+     * @returns {Promise<Object|null>} { provider, nonce, codeVerifier, rememberMe }
+     */
+    async consumeRequest(state) {
+        if (isRedisReady()) {
+            const request = await getRedisClient().getDel(cacheService.generateKey(`oidc:state:${state}`));
+            return request === null ? null : JSON.parse(request);
+        }
+
+        const result = await query(
+            `DELETE FROM oidc_auth_requests WHERE state = $1 AND expires_at > NOW()
+             RETURNING provider, nonce, code_verifier, remember_me`,
+            [state]
+        );
+
+        const row = result.rows[0];
+        return row
+            ? { provider: row.provider, nonce: row.nonce, codeVerifier: row.code_verifier, rememberMe: row.remember_me }
+            : null;
+    }
+
+    /**
+     * Handle the redirect back from the provider
+     * @param {string} providerName - Provider name
+     * @param {Object} params - Callback query ({ code, state, error })
+     * @returns {Promise<Object>} { claims, rememberMe }
+     */
+    async handleCallback(providerName, params) {
+        const provider = this.getProvider(providerName);
+
+        if (params.error) {
+            throw new AppError(`Login was not completed: ${params.error}`, 401, true, 'OIDC_LOGIN_FAILED');
+        }
+
+        const request = await this.consumeRequest(params.state);
+        if (!request || request.provider !== provider.name) {
+            throw new AppError('Invalid or expired login state', 401, true, 'OIDC_INVALID_STATE');
+        }
+
+        const metadata = await this.getMetadata(provider);
+
+        let tokens;
+        try {
+            tokens = await post(metadata.tokenUrl, new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: params.code,
+                redirect_uri: this.redirectUri(provider),
+                client_id: provider.clientId,
+                client_secret: provider.clientSecret || '',
+                code_verifier: request.codeVerifier
+            }), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+        } catch (error) {
+            logger.warn('OIDC token exchange failed', { provider: provider.name, error: error.message, requestId: getRequestId() });
+            throw new AppError('Login with provider failed', 401, true, 'OIDC_LOGIN_FAILED');
+        }
+
+        if (!tokens.id_token) {
+            throw new AppError('Provider did not return an ID token', 401, true, 'OIDC_LOGIN_FAILED');
+        }
+
+        const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, request.nonce);
+        return { claims, rememberMe: request.rememberMe };
+    }
+
+    /**
+     * Verify signature, issuer, audience, expiry and nonce of an ID token
+     * @returns {Promise<Object>} ID token claims
+     */
+    async verifyIdToken(provider, metadata, idToken, nonce) {
+        try {
+            const { payload } = await jwtVerify(idToken, this.getJwks(provider, metadata.jwksUrl), {
+                issuer: metadata.issuer,
+                audience: provider.clientId
+            });
+
+            if (payload.nonce !== nonce) {
+                throw new Error('Nonce mismatch');
+            }
+
+            return payload;
+        } catch (error) {
+            logger.warn('OIDC ID token rejected', { provider: provider.name, error: error.message, requestId: getRequestId() });
+            throw new AppError('Invalid ID token', 401, true, 'OIDC_INVALID_ID_TOKEN');
+        }
+    }
+
+    /**
+     * Find the user linked to an external identity, linking or registering one if needed
+     * An existing account is only linked when both the provider and the account
+     * have verified the email; otherwise whoever registered the address first could
+     * keep a password on the linked account.
+     * @param {string} providerName - Provider name
+     * @param {Object} claims - Verified ID token claims
+     * @returns {Promise<Object>} User record
+     */
+    async findOrCreateUser(providerName, claims) {
+        const linked = await query(
+            `SELECT ${USER_COLUMNS}
+             FROM user_identities ui
+             JOIN users u ON u.id = ui.user_id
+             WHERE ui.provider = $1 AND ui.subject = $2 AND u.deleted_at IS NULL`,
+            [providerName, claims.sub]
+        );
+
+        if (linked.rows.length > 0) {
+            await query(
+                'UPDATE user_identities SET last_login_at = NOW() WHERE provider = $1 AND subject = $2',
+                [providerName, claims.sub]
+            );
+            return linked.rows[0];
+        }
+
+        if (!claims.email) {
+            throw new AppError('The provider did not share an email address', 400, true, 'OIDC_EMAIL_REQUIRED');
+        }
+
+        const emailVerified = claims.email_verified === true;
+        const existing = await query(
+            `SELECT ${USER_COLUMNS} FROM users u WHERE u.email = $1 AND u.deleted_at IS NULL`,
+            [claims.email]
+        );
+
+        let user = existing.rows[0];
+
+        if (user && !emailVerified) {
+            throw new AppError('An account with this email already exists. Sign in with your password', 409, true, 'OIDC_ACCOUNT_EXISTS');
+        }
+
+        if (user && !user.email_verified) {
+            throw new AppError('An account with this email already exists. Verify its email before signing in with a provider', 409, true, 'OIDC_ACCOUNT_EXISTS');
+        }
+
+        if (!user) {
+            const { user: created } = await this.authService.register({
+                firstName: claims.given_name || claims.name?.split(' ')[0] || 'User',
+                lastName: claims.family_name || claims.name?.split(' ').slice(1).join(' ') || '',
+                email: claims.email,
+                // Not usable for password login until the user resets it
+                password: generateRandomToken(32)
+            }, { emailVerified });
+
+            const createdResult = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [created.id]);
+            user = createdResult.rows[0];
+        }
+
+        await query(
+            `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [user.id, providerName, claims.sub, claims.email]
+        );
+
+        logger.info('External identity linked', {
+            userId: user.id,
+            provider: providerName,
+            newUser: !existing.rows[0],
+            requestId: getRequestId()
+        });
+
+        return user;
+    }
+
+    /**
+     * Remove expired pending requests from Postgres
+     * Redis entries expire on their own.
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM oidc_auth_requests WHERE expires_at <= NOW()');
+        return result.rowCount;
+    }
+}
+
+// Create default OIDC service instance
+export const oidcService = new OidcService();
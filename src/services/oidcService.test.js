@@ -0,0 +1,207 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { SignJWT, exportJWK, generateKeyPair } from 'jose';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { mockRedis } from '../../test/helpers/redis.js';
+
+const redis = mockRedis();
+
+const { createTestApp, resetRateLimits } = await import('../../test/helpers/app.js');
+const { oidcService } = await import('./oidcService.js');
+
+/**
+ * Identity provider on a local port
+ * /authorize is not served: the tests follow the redirect by hand with authorize().
+ * /token checks the PKCE verifier and returns an ID token with the claims of the code.
+ */
+const startProvider = async () => {
+    const { publicKey, privateKey } = await generateKeyPair('RS256');
+    const jwk = { ...await exportJWK(publicKey), kid: 'test-key', alg: 'RS256', use: 'sig' };
+    const codes = new Map();
+    const provider = express();
+
+    provider.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+    provider.post('/token', express.urlencoded({ extended: false }), async (req, res) => {
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+
+        const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+        if (!grant || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const idToken = await new SignJWT({ nonce: grant.nonce, ...grant.claims })
+            .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+            .setIssuer(server.issuer)
+            .setAudience('api-test')
+            .setIssuedAt()
+            .setExpirationTime('5m')
+            .sign(privateKey);
+
+        res.json({ access_token: 'provider-access-token', id_token: idToken });
+    });
+
+    const server = await new Promise(resolve => {
+        const listener = provider.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    server.issuer = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Approve an authorization request and return the callback query
+     */
+    server.authorize = (authorizationUrl, claims) => {
+        const params = new URL(authorizationUrl).searchParams;
+        const code = crypto.randomUUID();
+        codes.set(code, { nonce: params.get('nonce'), codeChallenge: params.get('code_challenge'), claims });
+        return { code, state: params.get('state') };
+    };
+
+    return server;
+};
+
+describe('OidcService', () => {
+    let db;
+    let app;
+    let provider;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+        provider = await startProvider();
+
+        oidcService.providers.mock = {
+            name: 'mock',
+            displayName: 'Mock',
+            issuer: provider.issuer,
+            clientId: 'api-test',
+            clientSecret: 'secret',
+            authorizationUrl: `${provider.issuer}/authorize`,
+            tokenUrl: `${provider.issuer}/token`,
+            jwksUrl: `${provider.issuer}/jwks`,
+            scopes: 'openid email profile'
+        };
+    });
+
+    afterAll(async () => {
+        delete oidcService.providers.mock;
+        await new Promise(resolve => provider.close(resolve));
+        await teardownDatabase();
+    });
+
+    beforeEach(resetRateLimits);
+
+    const start = async () => {
+        const response = await request(app).get('/api/auth/oidc/mock');
+        expect(response.status).toBe(302);
+        return response.headers.location;
+    };
+
+    const callback = (query) => request(app).get('/api/auth/oidc/mock/callback').query(query);
+
+    const signIn = async (claims) => callback(provider.authorize(await start(), claims));
+
+    const subject = () => `sub-${crypto.randomUUID()}`;
+    const address = () => `oidc-${crypto.randomUUID()}@example.com`;
+
+    test('redirects to the provider with PKCE, state and nonce', async () => {
+        const params = new URL(await start()).searchParams;
+
+        expect(params.get('client_id')).toBe('api-test');
+        expect(params.get('code_challenge_method')).toBe('S256');
+        expect(params.get('state')).toEqual(expect.any(String));
+        expect(params.get('nonce')).toEqual(expect.any(String));
+    });
+
+    test('registers a new user and links the identity', async () => {
+        const claims = { sub: subject(), email: address(), email_verified: true, given_name: 'Grace', family_name: 'Hopper' };
+
+        const response = await signIn(claims);
+
+        expect(response.status).toBe(200);
+        expect(response.body.accessToken).toEqual(expect.any(String));
+
+        const { rows: [user] } = await db.query('SELECT id, first_name, email_verified FROM users WHERE email = $1', [claims.email]);
+        expect(user).toMatchObject({ first_name: 'Grace', email_verified: true });
+
+        const again = await signIn(claims);
+        expect(again.body.user.id).toBe(user.id);
+    });
+
+    test('links an existing account when the provider verified the email', async () => {
+        const user = await createUser();
+
+        const response = await signIn({ sub: subject(), email: user.email, email_verified: true });
+
+        expect(response.status).toBe(200);
+        expect(response.body.user.id).toBe(user.id);
+    });
+
+    test('does not link an existing account to an unverified email', async () => {
+        const user = await createUser();
+
+        const response = await signIn({ sub: subject(), email: user.email, email_verified: false });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('OIDC_ACCOUNT_EXISTS');
+    });
+
+    test('does not link an existing account whose own email is unverified', async () => {
+        const user = await createUser({ email_verified: false });
+
+        const response = await signIn({ sub: subject(), email: user.email, email_verified: true });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('OIDC_ACCOUNT_EXISTS');
+        const { rows } = await db.query('SELECT 1 FROM user_identities WHERE user_id = $1', [user.id]);
+        expect(rows).toHaveLength(0);
+    });
+
+    test('accepts each state once', async () => {
+        const query = provider.authorize(await start(), { sub: subject(), email: address(), email_verified: true });
+
+        expect((await callback(query)).status).toBe(200);
+
+        const replayed = await callback(query);
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.code).toBe('OIDC_INVALID_STATE');
+    });
+
+    test('accepts each state once when callbacks arrive together', async () => {
+        const query = provider.authorize(await start(), { sub: subject(), email: address(), email_verified: true });
+
+        const responses = await Promise.all([callback(query), callback(query)]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    test('hands a state kept in Postgres to one of two concurrent callbacks', async () => {
+        redis.ready = false;
+        try {
+            const state = crypto.randomUUID();
+            await oidcService.saveRequest(state, { provider: 'mock', nonce: 'n', codeVerifier: 'v', rememberMe: false });
+
+            const requests = await Promise.all([oidcService.consumeRequest(state), oidcService.consumeRequest(state)]);
+
+            expect(requests.filter(Boolean)).toHaveLength(1);
+        } finally {
+            redis.ready = true;
+        }
+    });
+
+    test('rejects an ID token issued for another login', async () => {
+        const response = await signIn({ sub: subject(), email: address(), nonce: 'another-login' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('OIDC_INVALID_ID_TOKEN');
+    });
+
+    test('answers 404 for an unknown provider', async () => {
+        const response = await request(app).get('/api/auth/oidc/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('OIDC_PROVIDER_NOT_FOUND');
+    });
+});
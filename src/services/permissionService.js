@@ -0,0 +1,353 @@
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugPermission = debug('app:permission');
+
+const PERMISSIONS_TTL = 3600; // 1 hour
+
+/**
+ * Permission service
+ *
+ * Users get permissions through roles: the role in users.role plus any roles
+ * assigned in user_roles. Resolved permissions are cached per user and
+ * invalidated whenever a role or an assignment changes.
+ */
+export class PermissionService {
+    cacheKey(userId) {
+        return `permissions:${userId}`;
+    }
+
+    /**
+     * Resolve the permissions of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<string[]>} Permission names
+     */
+    async getUserPermissions(userId) {
+        return cacheService.remember(this.cacheKey(userId), async () => {
+            const result = await query(
+                `SELECT DISTINCT p.name
+                 FROM permissions p
+                 JOIN role_permissions rp ON rp.permission_id = p.id
+                 JOIN roles r ON r.id = rp.role_id
+                 WHERE r.id IN (SELECT role_id FROM user_roles WHERE user_id = $1)
+                    OR r.name = (SELECT role FROM users WHERE id = $1)
+                 ORDER BY p.name`,
+                [userId]
+            );
+
+            debugPermission('Permissions resolved', { userId, count: result.rows.length });
+            return result.rows.map(row => row.name);
+        }, PERMISSIONS_TTL);
+    }
+
+    /**
+     * Check whether a user has every given permission
+     * @param {string} userId - User ID
+     * @param {string[]} required - Permission names
+     */
+    async hasPermissions(userId, required) {
+        const granted = await this.getUserPermissions(userId);
+        return required.every(permission => granted.includes(permission));
+    }
+
+    /**
+     * Drop cached permissions of users
+     * @param {string[]} userIds - User IDs
+     */
+    async invalidateUsers(userIds) {
+        for (const userId of userIds) {
+            await cacheService.delete(this.cacheKey(userId));
+        }
+    }
+
+    /**
+     * Drop cached permissions of everyone holding a role
+     * @param {string} roleId - Role ID
+     */
+    async invalidateRole(roleId) {
+        const result = await query(
+            `SELECT user_id AS id FROM user_roles WHERE role_id = $1
+             UNION
+             SELECT u.id FROM users u JOIN roles r ON r.name = u.role WHERE r.id = $1`,
+            [roleId]
+        );
+
+        await this.invalidateUsers(result.rows.map(row => row.id));
+    }
+
+    /**
+     * List all permissions
+     */
+    async listPermissions() {
+        const result = await query('SELECT id, name, description FROM permissions ORDER BY name');
+        return result.rows;
+    }
+
+    /**
+     * List roles with their permissions
+     */
+    async listRoles() {
+        const result = await query(
+            `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+                    COALESCE(array_agg(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+             FROM roles r
+             LEFT JOIN role_permissions rp ON rp.role_id = r.id
+             LEFT JOIN permissions p ON p.id = rp.permission_id
+             GROUP BY r.id
+             ORDER BY r.name`
+        );
+
+        return result.rows.map(row => this.formatRole(row));
+    }
+
+    /**
+     * Get a role with its permissions
+     * @param {string} roleId - Role ID
+     * @returns {Promise<Object|null>} Role or null if not found
+     */
+    async getRole(roleId) {
+        const result = await query(
+            `SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+                    COALESCE(array_agg(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+             FROM roles r
+             LEFT JOIN role_permissions rp ON rp.role_id = r.id
+             LEFT JOIN permissions p ON p.id = rp.permission_id
+             WHERE r.id = $1
+             GROUP BY r.id`,
+            [roleId]
+        );
+
+        return result.rows[0] ? this.formatRole(result.rows[0]) : null;
+    }
+
+    formatRole(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            isSystem: row.is_system,
+            permissions: row.permissions,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Reject permissions the caller does not hold, so nobody can grant more than they have
+     * @param {string[]} permissionNames - Permissions to grant
+     * @param {string[]} granted - The caller's effective permissions
+     * @throws {AppError} PERMISSION_NOT_GRANTED (403)
+     */
+    assertGrantable(permissionNames, granted) {
+        const notGranted = permissionNames.filter(name => !granted.includes(name));
+
+        if (notGranted.length > 0) {
+            throw new AppError(`Cannot grant permissions you do not hold: ${notGranted.join(', ')}`, 403, true, 'PERMISSION_NOT_GRANTED');
+        }
+    }
+
+    /**
+     * Replace the permissions of a role
+     * @param {Object} options - { client, granted: permissions of the caller, which bound the role's }
+     * @throws {AppError} UNKNOWN_PERMISSION if a name does not exist, PERMISSION_NOT_GRANTED
+     */
+    async setRolePermissions(roleId, permissionNames, options = {}) {
+        const { client = null, granted } = options;
+
+        const found = await query(
+            'SELECT id, name FROM permissions WHERE name = ANY($1::text[])',
+            [permissionNames],
+            { client }
+        );
+
+        if (found.rows.length !== new Set(permissionNames).size) {
+            const known = found.rows.map(row => row.name);
+            const unknown = permissionNames.filter(name => !known.includes(name));
+            throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400, true, 'UNKNOWN_PERMISSION');
+        }
+
+        this.assertGrantable(permissionNames, granted);
+
+        await query('DELETE FROM role_permissions WHERE role_id = $1', [roleId], { client });
+
+        for (const permission of found.rows) {
+            await query(
+                'INSERT INTO role_permissions (role_id, permission_id) VALUES ($1, $2)',
+                [roleId, permission.id],
+                { client }
+            );
+        }
+    }
+
+    /**
+     * Create a role
+     * @param {Object} data - { name, description, permissions }
+     * @param {string[]} granted - Permissions of the caller, which bound the role's
+     */
+    async createRole({ name, description = null, permissions = [] }, granted) {
+        const roleId = await transaction(async (client) => {
+            const existing = await query('SELECT 1 FROM roles WHERE name = $1', [name], { client });
+            if (existing.rows.length > 0) {
+                throw new AppError('A role with this name already exists', 409, true, 'ROLE_EXISTS');
+            }
+
+            const result = await query(
+                'INSERT INTO roles (name, description) VALUES ($1, $2) RETURNING id',
+                [name, description],
+                { client }
+            );
+
+            await this.setRolePermissions(result.rows[0].id, permissions, { client, granted });
+            return result.rows[0].id;
+        });
+
+        logger.info('Role created', { roleId, name, permissions });
+        return this.getRole(roleId);
+    }
+
+    /**
+     * Update a role
+     * @param {string} roleId - Role ID
+     * @param {Object} data - { name, description, permissions }, all optional
+     * @param {string[]} granted - Permissions of the caller, which bound new permissions
+     * @returns {Promise<Object|null>} Updated role or null if not found
+     */
+    async updateRole(roleId, { name, description, permissions }, granted) {
+        const role = await this.getRole(roleId);
+        if (!role) {
+            return null;
+        }
+
+        const renamed = name !== undefined && name !== role.name;
+
+        if (renamed && role.isSystem) {
+            throw new AppError('System roles cannot be renamed', 400, true, 'SYSTEM_ROLE');
+        }
+
+        if (renamed) {
+            const existing = await query('SELECT 1 FROM roles WHERE name = $1', [name]);
+            if (existing.rows.length > 0) {
+                throw new AppError('A role with this name already exists', 409, true, 'ROLE_EXISTS');
+            }
+
+            // Users holding the role through users.role lose it with the old name
+            await this.invalidateRole(roleId);
+        }
+
+        await transaction(async (client) => {
+            await query(
+                `UPDATE roles SET
+                    name = COALESCE($2, name),
+                    description = COALESCE($3, description),
+                    updated_at = NOW()
+                 WHERE id = $1`,
+                [roleId, name ?? null, description ?? null],
+                { client }
+            );
+
+            if (permissions !== undefined) {
+                await this.setRolePermissions(roleId, permissions, { client, granted });
+            }
+        });
+
+        await this.invalidateRole(roleId);
+
+        logger.info('Role updated', { roleId, name: name ?? role.name, permissionsChanged: permissions !== undefined });
+        return this.getRole(roleId);
+    }
+
+    /**
+     * Delete a role
+     * @param {string} roleId - Role ID
+     * @returns {Promise<boolean>} False if not found
+     */
+    async deleteRole(roleId) {
+        const role = await this.getRole(roleId);
+        if (!role) {
+            return false;
+        }
+
+        if (role.isSystem) {
+            throw new AppError('System roles cannot be deleted', 400, true, 'SYSTEM_ROLE');
+        }
+
+        // Collect holders before the assignments disappear with the role
+        await this.invalidateRole(roleId);
+        await query('DELETE FROM roles WHERE id = $1', [roleId]);
+
+        logger.info('Role deleted', { roleId, name: role.name });
+        return true;
+    }
+
+    /**
+     * Roles assigned to a user, including the primary role in users.role
+     * @param {string} userId - User ID
+     */
+    async getUserRoles(userId) {
+        const result = await query(
+            `SELECT r.id, r.name, r.description, ur.assigned_at, (r.name = u.role) AS is_primary
+             FROM users u
+             JOIN roles r ON r.id IN (SELECT role_id FROM user_roles WHERE user_id = u.id) OR r.name = u.role
+             LEFT JOIN user_roles ur ON ur.role_id = r.id AND ur.user_id = u.id
+             WHERE u.id = $1
+             ORDER BY r.name`,
+            [userId]
+        );
+
+        return result.rows.map(row => ({
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            primary: row.is_primary,
+            assignedAt: row.assigned_at
+        }));
+    }
+
+    /**
+     * Assign a role to a user
+     * @param {string[]} granted - Permissions of the caller, which must include all of the role's
+     * @returns {Promise<boolean>} False if the role does not exist
+     */
+    async assignRole(userId, roleId, assignedBy, granted) {
+        const role = await this.getRole(roleId);
+        if (!role) {
+            return false;
+        }
+
+        this.assertGrantable(role.permissions, granted);
+
+        await query(
+            `INSERT INTO user_roles (user_id, role_id, assigned_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, role_id) DO NOTHING`,
+            [userId, roleId, assignedBy]
+        );
+
+        await this.invalidateUsers([userId]);
+
+        logger.info('Role assigned', { userId, roleId, assignedBy });
+        return true;
+    }
+
+    /**
+     * Remove a role assignment from a user
+     * @returns {Promise<boolean>} False if the user did not have the role assigned
+     */
+    async removeRole(userId, roleId) {
+        const result = await query(
+            'DELETE FROM user_roles WHERE user_id = $1 AND role_id = $2',
+            [userId, roleId]
+        );
+
+        await this.invalidateUsers([userId]);
+
+        logger.info('Role removed', { userId, roleId });
+        return result.rowCount > 0;
+    }
+}
+
+// Create default permission service instance
+export const permissionService = new PermissionService();
@@ -0,0 +1,296 @@
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { generateToken, generateRefreshToken, verifyRefreshToken } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRequestId } from '../middleware/requestTracker.js';
+import { generateUUID } from '../utils/crypto.js';
+import { tokenRevocationService } from './tokenRevocationService.js';
+import { permissionService } from './permissionService.js';
+import debug from 'debug';
+
+const debugRefresh = debug('app:refreshToken');
+
+/**
+ * Refresh token service
+ *
+ * Every login starts a token family. Refreshing consumes the presented token
+ * and issues a replacement in the same family; presenting a consumed token
+ * again is treated as theft and revokes the whole family. Within a short reuse
+ * window a consumed token still yields its unused replacement, so concurrent
+ * refreshes (two tabs) or a retry after a lost response keep the session.
+ */
+export class RefreshTokenService {
+    constructor () {
+        this.tokenTTL = ms(config.jwt.refreshExpiresIn);
+        // Seconds a consumed token may still be presented for its replacement
+        this.reuseWindow = ms(config.jwt.refreshReuseWindow) / 1000;
+    }
+
+    /**
+     * Start a new token family for a user and issue its first refresh token
+     * @param {Object} user - User record
+     * @param {Object} options - Family options
+     * @returns {Promise<Object>} Refresh token, family ID and expiry
+     */
+    async startFamily(user, options = {}) {
+        const { rememberMe = false, userAgent = null, ipAddress = null, client = null } = options;
+
+        const familyExpiresAt = new Date(Date.now() + (rememberMe ? 30 : 7) * 24 * 60 * 60 * 1000);
+
+        const familyResult = await query(
+            `INSERT INTO refresh_token_families (user_id, expires_at, user_agent, ip_address, last_used_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             RETURNING id, expires_at`,
+            [user.id, familyExpiresAt, userAgent, ipAddress],
+            { client }
+        );
+
+        const family = familyResult.rows[0];
+        const { refreshToken, expiresAt } = await this.issue(user, family, { client });
+
+        debugRefresh('Token family started', { userId: user.id, familyId: family.id });
+
+        return { refreshToken, familyId: family.id, expiresAt };
+    }
+
+    /**
+     * Issue a refresh token within an existing family
+     * @param {Object} user - User record
+     * @param {Object} family - Family row ({ id, expires_at })
+     * @param {Object} options - Issue options
+     */
+    async issue(user, family, options = {}) {
+        const { client = null } = options;
+
+        const jti = generateUUID();
+        const refreshToken = generateRefreshToken(user, { jti, familyId: family.id });
+
+        // A token never outlives its family
+        const tokenExpiresAt = new Date(Date.now() + this.tokenTTL);
+        const expiresAt = tokenExpiresAt < new Date(family.expires_at) ? tokenExpiresAt : new Date(family.expires_at);
+
+        await query(
+            `INSERT INTO refresh_tokens (user_id, token, jti, family_id, expires_at, created_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())`,
+            [user.id, refreshToken, jti, family.id, expiresAt],
+            { client }
+        );
+
+        return { refreshToken, jti, expiresAt };
+    }
+
+    /**
+     * Consume a refresh token and issue a new access/refresh token pair
+     * @param {string} refreshToken - Presented refresh token
+     * @returns {Promise<Object>} User and new token pair
+     */
+    async rotate(refreshToken) {
+        let decoded;
+        try {
+            decoded = verifyRefreshToken(refreshToken);
+        } catch {
+            throw new AppError('Invalid or expired refresh token', 401, true, 'INVALID_REFRESH_TOKEN');
+        }
+
+        const outcome = await transaction(async (client) => {
+            const tokenResult = await query(
+                `SELECT rt.jti, rt.user_id, rt.consumed_at, rt.expires_at, rt.replaced_by,
+                        rt.consumed_at > NOW() - make_interval(secs => $2) AS within_reuse_window,
+                        f.id AS family_id, f.expires_at AS family_expires_at, f.revoked_at
+                 FROM refresh_tokens rt
+                 JOIN refresh_token_families f ON f.id = rt.family_id
+                 WHERE rt.jti = $1
+                 FOR UPDATE OF rt, f`,
+                [decoded.jti, this.reuseWindow],
+                { client }
+            );
+
+            const row = tokenResult.rows[0];
+
+            if (!row || row.revoked_at || new Date(row.expires_at) <= new Date()) {
+                return { status: 'invalid' };
+            }
+
+            // Consumed token presented again: a retry or concurrent refresh gets the
+            // replacement it was already issued, anything else means the family is compromised
+            const successor = row.consumed_at && row.within_reuse_window
+                ? await this.findUnconsumed(row.replaced_by, { client })
+                : null;
+
+            if (row.consumed_at && !successor) {
+                await this.revokeFamily(row.family_id, 'reuse_detected', { client });
+                return { status: 'reused', row };
+            }
+
+            const userResult = await query(
+                'SELECT id, first_name, last_name, email, role, email_verified FROM users WHERE id = $1 AND status = $2',
+                [row.user_id, 'active'],
+                { client }
+            );
+
+            if (userResult.rows.length === 0) {
+                await this.revokeFamily(row.family_id, 'user_inactive', { client });
+                return { status: 'inactive', row };
+            }
+
+            const user = { ...userResult.rows[0], permissions: await permissionService.getUserPermissions(row.user_id) };
+            const family = { id: row.family_id, expires_at: row.family_expires_at };
+            const next = successor || await this.issue(user, family, { client });
+
+            if (!successor) {
+                await query(
+                    'UPDATE refresh_tokens SET consumed_at = NOW(), replaced_by = $2 WHERE jti = $1',
+                    [row.jti, next.jti],
+                    { client }
+                );
+            }
+
+            await query(
+                'UPDATE refresh_token_families SET last_used_at = NOW() WHERE id = $1',
+                [family.id],
+                { client }
+            );
+
+            return {
+                status: 'rotated',
+                user,
+                familyId: family.id,
+                tokens: {
+                    accessToken: generateToken(user, { sessionId: family.id }),
+                    refreshToken: next.refreshToken,
+                    refreshTokenExpiresAt: next.expiresAt
+                }
+            };
+        });
+
+        // Cached only once the revocation is committed
+        if (outcome.status === 'reused' || outcome.status === 'inactive') {
+            await tokenRevocationService.revokeSession(outcome.row.family_id);
+        }
+
+        if (outcome.status === 'reused') {
+            logger.warn('Security event: refresh token reuse detected, token family revoked', {
+                event: 'refresh_token_reuse',
+                userId: outcome.row.user_id,
+                familyId: outcome.row.family_id,
+                jti: outcome.row.jti,
+                consumedAt: outcome.row.consumed_at,
+                requestId: getRequestId()
+            });
+
+            throw new AppError('Refresh token has already been used', 401, true, 'REFRESH_TOKEN_REUSED');
+        }
+
+        if (outcome.status === 'inactive') {
+            throw new AppError('User not found or inactive', 401, true, 'USER_INACTIVE');
+        }
+
+        if (outcome.status !== 'rotated') {
+            throw new AppError('Invalid or expired refresh token', 401, true, 'INVALID_REFRESH_TOKEN');
+        }
+
+        debugRefresh('Refresh token rotated', { userId: outcome.user.id, familyId: outcome.familyId });
+
+        return outcome;
+    }
+
+    /**
+     * Find a refresh token that is still unused and unexpired
+     * @param {string} jti - Token ID
+     * @param {Object} options - Query options
+     * @returns {Promise<Object|null>} Refresh token, jti and expiry
+     */
+    async findUnconsumed(jti, options = {}) {
+        const { client = null } = options;
+
+        const result = await query(
+            `SELECT token, jti, expires_at FROM refresh_tokens
+             WHERE jti = $1 AND consumed_at IS NULL AND expires_at > NOW()`,
+            [jti],
+            { client }
+        );
+
+        const row = result.rows[0];
+        return row ? { refreshToken: row.token, jti: row.jti, expiresAt: new Date(row.expires_at) } : null;
+    }
+
+    /**
+     * Revoke a token family
+     * Access tokens minted for the session die with it. Within a transaction
+     * (options.client) the caller runs tokenRevocationService.revokeSession once
+     * committed, so a rollback cannot leave the session marked revoked in Redis.
+     * @param {string} familyId - Family ID
+     * @param {string} reason - Revocation reason
+     * @param {Object} options - Query options
+     */
+    async revokeFamily(familyId, reason, options = {}) {
+        const { client = null } = options;
+
+        const result = await query(
+            'UPDATE refresh_token_families SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL',
+            [familyId, reason],
+            { client }
+        );
+
+        if (!client) {
+            await tokenRevocationService.revokeSession(familyId);
+        }
+
+        debugRefresh('Token family revoked', { familyId, reason });
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Revoke the family a refresh token belongs to (logout)
+     * @param {string} refreshToken - Refresh token
+     * @param {string} userId - Owner of the token
+     */
+    async revokeByToken(refreshToken, userId) {
+        const result = await query(
+            'SELECT family_id FROM refresh_tokens WHERE token = $1 AND user_id = $2',
+            [refreshToken, userId]
+        );
+
+        if (result.rows.length > 0 && result.rows[0].family_id) {
+            await this.revokeFamily(result.rows[0].family_id, 'logout');
+        }
+    }
+
+    /**
+     * Revoke every token family of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @param {Object} options - Family to keep active (e.g. the current session)
+     * @returns {Promise<number>} Number of families revoked
+     */
+    async revokeAllForUser(userId, reason, options = {}) {
+        const { exceptFamilyId = null } = options;
+
+        const result = await query(
+            `UPDATE refresh_token_families SET revoked_at = NOW(), revoked_reason = $2
+             WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)
+             RETURNING id`,
+            [userId, reason, exceptFamilyId]
+        );
+
+        for (const row of result.rows) {
+            await tokenRevocationService.revokeSession(row.id);
+        }
+
+        logger.info('Refresh token families revoked for user', { userId, reason, families: result.rowCount });
+        return result.rowCount;
+    }
+
+    /**
+     * Remove expired token families (and their tokens via cascade)
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM refresh_token_families WHERE expires_at <= NOW()');
+        return result.rowCount;
+    }
+}
+
+// Create default refresh token service instance
+export const refreshTokenService = new RefreshTokenService();
@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { mockRedis } from '../../test/helpers/redis.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+
+const redis = mockRedis();
+
+const { refreshTokenService } = await import('./refreshTokenService.js');
+const { transaction } = await import('../config/database.js');
+const { createTestApp, login } = await import('../../test/helpers/app.js');
+
+describe('refreshTokenService', () => {
+    let db;
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        redis.ready = true;
+        redis.store.clear();
+        user = await createUser();
+    });
+
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    test('rotates a refresh token into a new pair of the same session', async () => {
+        const session = await login(app, user);
+
+        const response = await refresh(session.refreshToken);
+
+        expect(response.status).toBe(200);
+        expect(response.body.accessToken).toEqual(expect.any(String));
+
+        const tokens = await db.query('SELECT consumed_at FROM refresh_tokens WHERE token = $1', [session.refreshToken]);
+        expect(tokens.rows[0].consumed_at).not.toBeNull();
+    });
+
+    test('revokes the whole family when a consumed token is presented again', async () => {
+        const session = await login(app, user);
+        await refresh(session.refreshToken);
+        await db.query('UPDATE refresh_tokens SET consumed_at = NOW() - INTERVAL \'1 minute\' WHERE token = $1', [session.refreshToken]);
+
+        const reused = await refresh(session.refreshToken);
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+        const families = await db.query('SELECT id, revoked_reason FROM refresh_token_families WHERE user_id = $1', [user.id]);
+        expect(families.rows[0].revoked_reason).toBe('reuse_detected');
+        expect(redis.store.has(`app:revoked:session:${families.rows[0].id}`)).toBe(true);
+
+        const profile = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${session.accessToken}`);
+        expect(profile.status).toBe(401);
+    });
+
+    test('hands a token reused within the window the replacement it was issued', async () => {
+        const session = await login(app, user);
+
+        const [first, second] = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+
+        expect([first.status, second.status]).toEqual([200, 200]);
+        expect(second.body.refreshToken).toBe(first.body.refreshToken);
+
+        const profile = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${second.body.accessToken}`);
+        expect(profile.status).toBe(200);
+        expect((await refresh(first.body.refreshToken)).status).toBe(200);
+    });
+
+    test('treats reuse as theft once the replacement has been used', async () => {
+        const session = await login(app, user);
+        const rotated = await refresh(session.refreshToken);
+        await refresh(rotated.body.refreshToken);
+
+        const reused = await refresh(session.refreshToken);
+
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+    });
+
+    test('leaves the cache alone when the revoking transaction rolls back', async () => {
+        await login(app, user);
+        const { rows: [family] } = await db.query('SELECT id FROM refresh_token_families WHERE user_id = $1', [user.id]);
+
+        await expect(transaction(async (client) => {
+            await refreshTokenService.revokeFamily(family.id, 'reuse_detected', { client });
+            throw new Error('rolled back');
+        })).rejects.toThrow('rolled back');
+
+        const { rows: [current] } = await db.query('SELECT revoked_at FROM refresh_token_families WHERE id = $1', [family.id]);
+        expect(current.revoked_at).toBeNull();
+        expect(redis.store.has(`app:revoked:session:${family.id}`)).toBe(false);
+    });
+
+    test('rejects tokens of inactive users and ends their session', async () => {
+        const session = await login(app, user);
+        await db.query('UPDATE users SET status = $1 WHERE id = $2', ['suspended', user.id]);
+
+        const response = await refresh(session.refreshToken);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('USER_INACTIVE');
+        const families = await db.query('SELECT id FROM refresh_token_families WHERE user_id = $1', [user.id]);
+        expect(redis.store.has(`app:revoked:session:${families.rows[0].id}`)).toBe(true);
+    });
+});
@@ -0,0 +1,79 @@
+import logger from '../config/logger.js';
+import { query } from '../config/database.js';
+import { refreshTokenService } from './refreshTokenService.js';
+import debug from 'debug';
+
+const debugSession = debug('app:session');
+
+/**
+ * Session service
+ *
+ * A session is a refresh token family started by a login. Revoking a session
+ * revokes its refresh tokens and every access token issued for it.
+ */
+export class SessionService {
+    /**
+     * List active sessions of a user
+     * @param {string} userId - User ID
+     * @param {string|null} currentSessionId - Session of the caller, flagged as current
+     * @returns {Promise<Array>} Sessions, most recently used first
+     */
+    async listForUser(userId, currentSessionId = null) {
+        const result = await query(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+             FROM refresh_token_families
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY COALESCE(last_used_at, created_at) DESC`,
+            [userId]
+        );
+
+        debugSession('Listed sessions', { userId, count: result.rows.length });
+
+        return result.rows.map(row => ({
+            id: row.id,
+            userAgent: row.user_agent,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            current: row.id === currentSessionId
+        }));
+    }
+
+    /**
+     * Revoke a single session owned by a user
+     * @param {string} userId - Session owner
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<boolean>} False if no active session matched
+     */
+    async revoke(userId, sessionId, reason = 'session_revoked') {
+        const result = await query(
+            'SELECT id FROM refresh_token_families WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+            [sessionId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await refreshTokenService.revokeFamily(sessionId, reason);
+
+        logger.info('Session revoked', { userId, sessionId, reason });
+        return true;
+    }
+
+    /**
+     * Revoke every session of a user except one
+     * @param {string} userId - Session owner
+     * @param {string|null} keepSessionId - Session to keep (null revokes all)
+     * @param {string} reason - Revocation reason
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeAllExcept(userId, keepSessionId, reason = 'session_revoked') {
+        return refreshTokenService.revokeAllForUser(userId, reason, { exceptFamilyId: keepSessionId });
+    }
+}
+
+// Create default session service instance
+export const sessionService = new SessionService();
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { encryptData, decryptData } from '../utils/crypto.js';
+import debug from 'debug';
+
+const debugSigningKey = debug('app:signingKey');
+
+const KEY_TYPES = {
+    RS256: ['rsa', { modulusLength: 2048 }],
+    ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+/**
+ * JWT signing key service
+ *
+ * Keeps a set of RS256/ES256 key pairs in signing_keys. The current key signs
+ * until the next one, created a full rotation interval ahead so every instance
+ * and verifier has it before use, takes over. Retired keys stay in the set for
+ * verification until the longest-lived token they signed has expired.
+ *
+ * Keys are held in memory so signing and verification stay synchronous;
+ * `refresh()` reloads them from the database.
+ */
+export class SigningKeyService {
+    constructor (options = config.jwt) {
+        this.algorithm = options.algorithm;
+        this.rotationInterval = ms(options.keyRotationInterval);
+        this.encryptionKey = options.keyEncryptionKey;
+        // Tokens signed just before a key deactivates must outlive it
+        this.maxTokenLifetime = Math.max(
+            ms(options.expiresIn),
+            ms(options.refreshExpiresIn),
+            ms(config.twoFactor.challengeExpiresIn)
+        );
+        this.keys = new Map();
+    }
+
+    /**
+     * Whether tokens are signed with key pairs rather than the HMAC secret
+     */
+    get enabled() {
+        return this.algorithm !== 'HS256';
+    }
+
+    /**
+     * Make sure current and next keys exist, then load the key set
+     * Called on startup and periodically from cron.
+     */
+    async refresh() {
+        if (!this.enabled) {
+            return;
+        }
+
+        if (!KEY_TYPES[this.algorithm]) {
+            throw new Error(`Unsupported JWT algorithm '${this.algorithm}'`);
+        }
+
+        await this.rotate();
+        await this.load();
+    }
+
+    /**
+     * Create the current and next key where missing
+     * An advisory lock keeps concurrent instances from creating duplicates.
+     * @returns {Promise<number>} Number of keys created
+     */
+    async rotate() {
+        return transaction(async (client) => {
+            await client.query("SELECT pg_advisory_xact_lock(hashtext('signing_keys'))");
+
+            const current = await client.query(
+                `SELECT kid, deactivates_at FROM signing_keys
+                 WHERE algorithm = $1 AND activates_at <= NOW() AND deactivates_at > NOW()
+                 ORDER BY activates_at DESC LIMIT 1`,
+                [this.algorithm]
+            );
+
+            let created = 0;
+            let nextActivation = current.rows[0]?.deactivates_at;
+
+            if (!nextActivation) {
+                nextActivation = (await this.createKey(client, new Date())).deactivatesAt;
+                created++;
+            }
+
+            // Compared with the current key's end rather than NOW(), which is the start of this
+            // transaction and so before a current key created just now
+            const next = await client.query(
+                'SELECT 1 FROM signing_keys WHERE algorithm = $1 AND activates_at >= $2',
+                [this.algorithm, nextActivation]
+            );
+
+            if (next.rows.length === 0) {
+                await this.createKey(client, new Date(nextActivation));
+                created++;
+            }
+
+            return created;
+        });
+    }
+
+    /**
+     * Generate and store a key pair
+     * @param {Object} client - Transaction client
+     * @param {Date} activatesAt - When the key starts signing
+     */
+    async createKey(client, activatesAt) {
+        const [type, options] = KEY_TYPES[this.algorithm];
+        const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+
+        const kid = crypto.randomUUID();
+        const deactivatesAt = new Date(activatesAt.getTime() + this.rotationInterval);
+        const expiresAt = new Date(deactivatesAt.getTime() + this.maxTokenLifetime);
+        const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+        await client.query(
+            `INSERT INTO signing_keys (kid, algorithm, public_jwk, private_key, activates_at, deactivates_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [
+                kid,
+                this.algorithm,
+                publicKey.export({ format: 'jwk' }),
+                JSON.stringify(encryptData(privatePem, this.encryptionKey)),
+                activatesAt,
+                deactivatesAt,
+                expiresAt
+            ]
+        );
+
+        logger.info('JWT signing key created', { kid, algorithm: this.algorithm, activatesAt, deactivatesAt });
+        return { kid, deactivatesAt };
+    }
+
+    /**
+     * Load every key that can still verify tokens
+     * Private keys are only decrypted for keys that can still sign.
+     */
+    async load() {
+        const result = await query(
+            `SELECT kid, algorithm, public_jwk, private_key, activates_at, deactivates_at, expires_at
+             FROM signing_keys WHERE expires_at > NOW()
+             ORDER BY activates_at`
+        );
+
+        const keys = new Map();
+
+        for (const row of result.rows) {
+            const canSign = row.deactivates_at > new Date();
+
+            keys.set(row.kid, {
+                kid: row.kid,
+                algorithm: row.algorithm,
+                publicJwk: row.public_jwk,
+                publicKey: crypto.createPublicKey({ key: row.public_jwk, format: 'jwk' }),
+                privateKey: canSign
+                    ? crypto.createPrivateKey(decryptData(JSON.parse(row.private_key), this.encryptionKey))
+                    : null,
+                activatesAt: row.activates_at,
+                deactivatesAt: row.deactivates_at,
+                expiresAt: row.expires_at
+            });
+        }
+
+        this.keys = keys;
+        debugSigningKey('Signing keys loaded', { count: keys.size });
+    }
+
+    /**
+     * Key to sign new tokens with
+     * @returns {Object} { kid, algorithm, privateKey }
+     */
+    getSigningKey() {
+        const now = new Date();
+        let signingKey = null;
+
+        for (const key of this.keys.values()) {
+            if (key.algorithm === this.algorithm && key.privateKey &&
+                key.activatesAt <= now && key.deactivatesAt > now &&
+                (!signingKey || key.activatesAt > signingKey.activatesAt)) {
+                signingKey = key;
+            }
+        }
+
+        if (!signingKey) {
+            throw new Error('No active JWT signing key');
+        }
+
+        return signingKey;
+    }
+
+    /**
+     * Key to verify a token signed with `kid`
+     * @returns {Object|null} { kid, algorithm, publicKey } or null if unknown or expired
+     */
+    getVerificationKey(kid) {
+        const key = this.keys.get(kid);
+        return key && key.expiresAt > new Date() ? key : null;
+    }
+
+    /**
+     * Public keys as a JSON Web Key Set, including the upcoming key
+     */
+    getJwks() {
+        const now = new Date();
+
+        return {
+            keys: [...this.keys.values()]
+                .filter(key => key.expiresAt > now)
+                .map(key => ({ ...key.publicJwk, kid: key.kid, alg: key.algorithm, use: 'sig' }))
+        };
+    }
+
+    /**
+     * Remove keys whose tokens have all expired
+     */
+    async purgeExpired() {
+        const result = await query('DELETE FROM signing_keys WHERE expires_at <= NOW()');
+        return result.rowCount;
+    }
+}
+
+// Create default signing key service instance
+export const signingKeyService = new SigningKeyService();
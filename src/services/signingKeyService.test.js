@@ -0,0 +1,82 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import config from '../config/index.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp } from '../../test/helpers/app.js';
+import { signingKeyService } from './signingKeyService.js';
+import { generateToken } from '../middleware/auth.js';
+
+describe('SigningKeyService', () => {
+    let db;
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+        app = createTestApp();
+        user = await createUser();
+
+        signingKeyService.algorithm = 'RS256';
+        signingKeyService.encryptionKey = 'signing-key-secret';
+        await signingKeyService.refresh();
+    });
+
+    afterAll(async () => {
+        signingKeyService.algorithm = 'HS256';
+        signingKeyService.keys = new Map();
+        await teardownDatabase();
+    });
+
+    const profile = (accessToken) => request(app).get('/api/users/profile').set('Authorization', `Bearer ${accessToken}`);
+
+    test('creates the current and the next key once', async () => {
+        expect(await signingKeyService.rotate()).toBe(0);
+
+        const { rows } = await db.query('SELECT activates_at, private_key FROM signing_keys ORDER BY activates_at');
+        expect(rows).toHaveLength(2);
+        expect(rows[1].activates_at.getTime()).toBeGreaterThan(Date.now());
+        expect(rows[0].private_key).not.toContain('PRIVATE KEY');
+    });
+
+    test('signs tokens with the current key and publishes both keys', async () => {
+        const accessToken = generateToken(user);
+        const { header } = jwt.decode(accessToken, { complete: true });
+
+        expect(header).toMatchObject({ alg: 'RS256', kid: signingKeyService.getSigningKey().kid });
+        expect((await profile(accessToken)).status).toBe(200);
+
+        const jwks = await request(app).get('/.well-known/jwks.json');
+        expect(jwks.body.keys).toHaveLength(2);
+        expect(jwks.body.keys.map(key => key.kid)).toContain(header.kid);
+        expect(jwks.body.keys.every(key => !key.d)).toBe(true);
+    });
+
+    test('rejects tokens signed with an unknown key', async () => {
+        const forged = jwt.sign({ userId: user.id }, 'not-the-key', {
+            keyid: 'unknown',
+            issuer: config.jwt.issuer,
+            audience: config.jwt.audience
+        });
+
+        expect((await profile(forged)).status).toBe(401);
+    });
+
+    test('accepts HMAC tokens from before the switch only while allowed', async () => {
+        const legacy = jwt.sign({ userId: user.id, email: user.email, role: user.role }, config.jwt.secret, {
+            jwtid: crypto.randomUUID(),
+            expiresIn: '5m',
+            issuer: config.jwt.issuer,
+            audience: config.jwt.audience
+        });
+
+        expect((await profile(legacy)).status).toBe(200);
+
+        config.jwt.acceptLegacyHmac = false;
+        try {
+            expect((await profile(legacy)).status).toBe(401);
+        } finally {
+            config.jwt.acceptLegacyHmac = true;
+        }
+    });
+});
@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+import path from 'path';
+import config from '../config/index.js';
+import debug from 'debug';
+
+const debugStorage = debug('app:storage');
+
+/**
+ * Storage drivers
+ *
+ * A driver keeps file contents under opaque keys and implements:
+ *   put(key, source)       store a local file path (the file may be moved) or a Buffer under key
+ *   exists(key)            whether something is stored under key
+ *   createReadStream(key)  readable stream of the contents
+ *   delete(key)            remove the contents, ignoring missing keys
+ *
+ * Keys use `/` separators, so they map onto object store keys as they are.
+ */
+
+/**
+ * Local disk driver
+ * Stores each key as a file below the root directory.
+ */
+export class LocalDiskDriver {
+    constructor (root = config.upload.destination) {
+        this.name = 'local';
+        this.root = path.resolve(root);
+    }
+
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key '${key}'`);
+        }
+
+        return filePath;
+    }
+
+    async put(key, source) {
+        const target = this.resolve(key);
+
+        if (Buffer.isBuffer(source)) {
+            await fs.outputFile(target, source);
+        } else {
+            await fs.ensureDir(path.dirname(target));
+            await fs.move(source, target, { overwrite: true });
+        }
+
+        debugStorage('Stored', { key });
+    }
+
+    exists(key) {
+        return fs.pathExists(this.resolve(key));
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    async delete(key) {
+        await fs.remove(this.resolve(key));
+        debugStorage('Deleted', { key });
+    }
+}
+
+const drivers = {
+    local: LocalDiskDriver
+};
+
+/**
+ * Create a storage driver by name
+ * @param {string} name - local
+ */
+export const createStorageDriver = (name = config.upload.driver) => {
+    const Driver = drivers[name];
+
+    if (!Driver) {
+        throw new Error(`Unknown storage driver '${name}'. Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    return new Driver();
+};
@@ -0,0 +1,258 @@
+import ms from 'ms';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query } from '../config/database.js';
+import { getRedisClient, isRedisReady } from '../config/redis.js';
+import { cacheService } from './cacheService.js';
+import debug from 'debug';
+
+const debugRevocation = debug('app:tokenRevocation');
+
+/**
+ * Access token revocation service
+ *
+ * Revocations are stored in Postgres: revoked token ids (jti) in revoked_tokens,
+ * user-wide cut-offs in user_token_revocations and sessions as the revoked_at
+ * column of refresh_token_families. When Redis is connected it caches the state
+ * checked on every request; entries read from Postgres expire after
+ * cacheTTL, so a revocation made while Redis was unreachable still applies
+ * within that time.
+ */
+export class TokenRevocationService {
+    constructor () {
+        // Lifetime of an access token in seconds, used for user-wide revocations
+        this.accessTokenTTL = Math.ceil(ms(config.jwt.expiresIn) / 1000);
+        // Seconds revocation state read from Postgres stays cached in Redis
+        this.cacheTTL = 60;
+    }
+
+    /**
+     * Seconds left until a token expires
+     * @param {number} expiresAt - Token `exp` claim (seconds since epoch)
+     */
+    remainingTTL(expiresAt) {
+        return Math.ceil(expiresAt - Date.now() / 1000);
+    }
+
+    /**
+     * Write revocation state to the Redis cache; Postgres already holds it
+     * State read from Postgres is only added where missing, so it never replaces
+     * a revocation cached while the read was in flight.
+     * @param {string} key - Cache key
+     * @param {*} value - State
+     * @param {number} ttl - Seconds to keep it
+     * @param {Object} options - { onlyIfMissing }
+     */
+    async cache(key, value, ttl, { onlyIfMissing = false } = {}) {
+        if (!isRedisReady()) {
+            return;
+        }
+
+        try {
+            await getRedisClient().set(cacheService.generateKey(key), JSON.stringify(value), {
+                ...(onlyIfMissing && { condition: 'NX' }),
+                expiration: { type: 'EX', value: ttl }
+            });
+        } catch (error) {
+            logger.warn('Revocation not cached, Postgres still applies it', { key, error: error.message });
+        }
+    }
+
+    /**
+     * Revoke a single access token
+     * @param {string} jti - Token id
+     * @param {number} expiresAt - Token `exp` claim (seconds since epoch)
+     * @param {Object} options - Revocation details
+     */
+    async revokeToken(jti, expiresAt, options = {}) {
+        const { userId = null, reason = 'logout' } = options;
+
+        const ttl = this.remainingTTL(expiresAt);
+        if (!jti || ttl <= 0) {
+            debugRevocation('Token already expired or has no jti, nothing to revoke', { jti });
+            return;
+        }
+
+        try {
+            await query(
+                `INSERT INTO revoked_tokens (jti, user_id, reason, expires_at)
+                 VALUES ($1, $2, $3, to_timestamp($4))
+                 ON CONFLICT (jti) DO NOTHING`,
+                [jti, userId, reason, expiresAt]
+            );
+            await this.cache(`revoked:jti:${jti}`, true, ttl);
+
+            logger.info('Access token revoked', { jti, userId, reason });
+        } catch (error) {
+            logger.error('Access token revocation failed:', { jti, userId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a single-use token, failing when it was already used
+     * The insert is the claim, so concurrent uses cannot both succeed.
+     * @param {string} jti - Token ID
+     * @param {number} expiresAt - Token expiry (exp claim, seconds since epoch)
+     * @param {Object} options - { userId, reason }
+     * @returns {Promise<boolean>} Whether this call used the token
+     */
+    async consume(jti, expiresAt, options = {}) {
+        const { userId = null, reason = 'used' } = options;
+
+        const result = await query(
+            `INSERT INTO revoked_tokens (jti, user_id, reason, expires_at)
+             VALUES ($1, $2, $3, to_timestamp($4))
+             ON CONFLICT (jti) DO NOTHING
+             RETURNING jti`,
+            [jti, userId, reason, expiresAt]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        await this.cache(`revoked:jti:${jti}`, true, this.remainingTTL(expiresAt));
+        return true;
+    }
+
+    /**
+     * Revoke every access token issued to a user up to now
+     * The cut-off is kept in milliseconds and compared against the `issuedAtMs` claim,
+     * so tokens issued right after, e.g. by a login following a password reset, stay
+     * valid. Tokens without the claim only have a whole-second `iat` and are revoked
+     * up to the end of the cut-off's second.
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @param {Object} options - { exceptJti, exceptSessionId } token or session to spare, e.g. the caller's own
+     */
+    async revokeUserTokens(userId, reason, options = {}) {
+        const { exceptJti = null, exceptSessionId = null } = options;
+        const revokedBefore = Date.now();
+
+        try {
+            await query(
+                `INSERT INTO user_token_revocations (user_id, revoked_before, reason, expires_at, except_jti, except_session_id)
+                 VALUES ($1, to_timestamp($2 / 1000.0), $3, to_timestamp($2 / 1000.0) + make_interval(secs => $4), $5, $6)
+                 ON CONFLICT (user_id) DO UPDATE SET
+                    revoked_before = EXCLUDED.revoked_before,
+                    reason = EXCLUDED.reason,
+                    expires_at = EXCLUDED.expires_at,
+                    except_jti = EXCLUDED.except_jti,
+                    except_session_id = EXCLUDED.except_session_id`,
+                [userId, revokedBefore, reason, this.accessTokenTTL, exceptJti, exceptSessionId]
+            );
+            await this.cache(`revoked:user:${userId}`, { before: revokedBefore, exceptJti, exceptSessionId }, this.accessTokenTTL);
+
+            logger.info('All access tokens revoked for user', { userId, reason });
+        } catch (error) {
+            logger.error('User token revocation failed:', { userId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke every access token issued for a session (refresh token family)
+     *
+     * The revoked_at column of refresh_token_families records the revocation, so
+     * call this once it is committed; only the cached state is updated here.
+     * @param {string} sessionId - Session ID
+     */
+    async revokeSession(sessionId) {
+        await this.cache(`revoked:session:${sessionId}`, true, this.accessTokenTTL);
+
+        debugRevocation('Session access tokens revoked', { sessionId });
+    }
+
+    /**
+     * Check whether a decoded access token has been revoked
+     * Answers from the Redis cache when it holds every part of the token's state,
+     * otherwise from Postgres, caching what was read.
+     * @param {Object} decoded - Verified JWT payload
+     * @returns {Promise<boolean>} True if the token must be rejected
+     */
+    async isRevoked(decoded) {
+        const { jti, userId, iat, issuedAtMs, sessionId } = decoded;
+        const keys = {
+            tokenRevoked: jti ? `revoked:jti:${jti}` : null,
+            userCutoff: `revoked:user:${userId}`,
+            sessionRevoked: sessionId ? `revoked:session:${sessionId}` : null
+        };
+
+        let state = null;
+
+        if (isRedisReady()) {
+            const cached = {};
+            for (const [name, key] of Object.entries(keys)) {
+                cached[name] = key ? await cacheService.get(key) : false;
+            }
+
+            if (Object.values(cached).every(value => value !== null)) {
+                state = cached;
+            }
+        }
+
+        if (!state) {
+            state = await this.loadState(decoded);
+
+            for (const [name, key] of Object.entries(keys)) {
+                if (key) {
+                    await this.cache(key, state[name], this.cacheTTL, { onlyIfMissing: true });
+                }
+            }
+        }
+
+        const { userCutoff } = state;
+        const spared = (jti && jti === userCutoff.exceptJti) || (sessionId && sessionId === userCutoff.exceptSessionId);
+        // Without the millisecond claim, a token from the cut-off's second counts as issued before it
+        const issuedAt = issuedAtMs ?? iat * 1000;
+
+        return state.tokenRevoked || state.sessionRevoked || (issuedAt <= userCutoff.before && !spared);
+    }
+
+    /**
+     * Read the revocation state of a token from Postgres
+     * @returns {Promise<Object>} { tokenRevoked, userCutoff: { before (milliseconds, 0 for none), exceptJti, exceptSessionId }, sessionRevoked }
+     */
+    async loadState({ jti, userId, sessionId }) {
+        const result = await query(
+            `SELECT
+                EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1 AND expires_at > NOW()) AS token_revoked,
+                (
+                    SELECT json_build_object(
+                        'before', (EXTRACT(EPOCH FROM revoked_before) * 1000)::bigint,
+                        'exceptJti', except_jti,
+                        'exceptSessionId', except_session_id
+                    )
+                    FROM user_token_revocations
+                    WHERE user_id = $2 AND expires_at > NOW()
+                ) AS user_cutoff,
+                EXISTS (
+                    SELECT 1 FROM refresh_token_families WHERE id = $3 AND revoked_at IS NOT NULL
+                ) AS session_revoked`,
+            [jti || null, userId, sessionId || null]
+        );
+
+        const row = result.rows[0];
+        return {
+            tokenRevoked: row.token_revoked,
+            userCutoff: row.user_cutoff ?? { before: 0, exceptJti: null, exceptSessionId: null },
+            sessionRevoked: row.session_revoked
+        };
+    }
+
+    /**
+     * Remove expired revocation rows from Postgres
+     * Redis entries expire on their own.
+     */
+    async purgeExpired() {
+        const tokens = await query('DELETE FROM revoked_tokens WHERE expires_at <= NOW()');
+        const users = await query('DELETE FROM user_token_revocations WHERE expires_at <= NOW()');
+
+        debugRevocation('Purged expired revocations', { tokens: tokens.rowCount, users: users.rowCount });
+        return tokens.rowCount + users.rowCount;
+    }
+}
+
+// Create default token revocation service instance
+export const tokenRevocationService = new TokenRevocationService();
@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { mockRedis } from '../../test/helpers/redis.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+
+const redis = mockRedis();
+
+const { tokenRevocationService } = await import('./tokenRevocationService.js');
+const { generateToken } = await import('../middleware/auth.js');
+const { createTestApp } = await import('../../test/helpers/app.js');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Claims of an access token issued at issuedAtMs (default: now)
+const tokenFor = (user, { issuedAtMs = Date.now(), ...overrides } = {}) => ({
+    jti: crypto.randomUUID(),
+    userId: user.id,
+    iat: Math.floor(issuedAtMs / 1000),
+    issuedAtMs,
+    exp: now() + 3600,
+    sessionId: null,
+    ...overrides
+});
+
+describe('tokenRevocationService', () => {
+    let db;
+    let user;
+
+    beforeAll(async () => {
+        db = await setupDatabase();
+    });
+
+    afterAll(teardownDatabase);
+
+    beforeEach(async () => {
+        redis.ready = true;
+        redis.store.clear();
+        user = await createUser();
+    });
+
+    describe('without Redis', () => {
+        beforeEach(() => {
+            redis.ready = false;
+        });
+
+        test('rejects a revoked token id and nothing else', async () => {
+            const revoked = tokenFor(user);
+            await tokenRevocationService.revokeToken(revoked.jti, revoked.exp, { userId: user.id });
+
+            expect(await tokenRevocationService.isRevoked(revoked)).toBe(true);
+            expect(await tokenRevocationService.isRevoked(tokenFor(user))).toBe(false);
+        });
+
+        test('rejects tokens issued before a user-wide revocation', async () => {
+            await tokenRevocationService.revokeUserTokens(user.id, 'password_reset');
+
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { issuedAtMs: Date.now() - 5000 }))).toBe(true);
+        });
+
+        test('tells tokens from the second of a user-wide revocation apart by their milliseconds', async () => {
+            const before = tokenFor(user);
+            await tokenRevocationService.revokeUserTokens(user.id, 'password_reset');
+            const after = tokenFor(user, { issuedAtMs: Date.now() + 1 });
+
+            expect(await tokenRevocationService.isRevoked(before)).toBe(true);
+            expect(await tokenRevocationService.isRevoked(after)).toBe(false);
+        });
+
+        test('rejects a token without milliseconds from the second of a user-wide revocation', async () => {
+            await tokenRevocationService.revokeUserTokens(user.id, 'password_reset');
+
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { issuedAtMs: null, iat: now() }))).toBe(true);
+        });
+
+        test('rejects tokens of a revoked session', async () => {
+            const family = await db.query(
+                `INSERT INTO refresh_token_families (user_id, expires_at, revoked_at)
+                 VALUES ($1, NOW() + INTERVAL '1 day', NOW()) RETURNING id`,
+                [user.id]
+            );
+
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { sessionId: family.rows[0].id }))).toBe(true);
+        });
+    });
+
+    describe('with Redis', () => {
+        test('writes revocations to Postgres as well as the cache', async () => {
+            const token = tokenFor(user);
+            await tokenRevocationService.revokeToken(token.jti, token.exp, { userId: user.id });
+            await tokenRevocationService.revokeUserTokens(user.id, 'logout_all');
+
+            const tokens = await db.query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [token.jti]);
+            const users = await db.query('SELECT 1 FROM user_token_revocations WHERE user_id = $1', [user.id]);
+            expect(tokens.rows).toHaveLength(1);
+            expect(users.rows).toHaveLength(1);
+            expect(redis.store.has(`app:revoked:jti:${token.jti}`)).toBe(true);
+        });
+
+        test('spares the token or session a user-wide revocation excludes', async () => {
+            const sessionId = crypto.randomUUID();
+            const issuedAtMs = Date.now();
+            await tokenRevocationService.revokeUserTokens(user.id, 'password_change', { exceptSessionId: sessionId });
+
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { issuedAtMs, sessionId }))).toBe(false);
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { issuedAtMs }))).toBe(true);
+
+            redis.store.clear();
+            expect(await tokenRevocationService.isRevoked(tokenFor(user, { issuedAtMs, sessionId }))).toBe(false);
+        });
+
+        test('still rejects a revoked token after the cache is lost', async () => {
+            const token = tokenFor(user);
+            await tokenRevocationService.revokeToken(token.jti, token.exp, { userId: user.id });
+
+            redis.store.clear();
+
+            expect(await tokenRevocationService.isRevoked(token)).toBe(true);
+        });
+
+        test('applies a revocation made while Redis was down', async () => {
+            const token = tokenFor(user);
+
+            redis.ready = false;
+            await tokenRevocationService.revokeToken(token.jti, token.exp, { userId: user.id });
+            redis.ready = true;
+
+            expect(await tokenRevocationService.isRevoked(token)).toBe(true);
+        });
+
+        test('answers from the cache once the state is loaded', async () => {
+            const token = tokenFor(user);
+            expect(await tokenRevocationService.isRevoked(token)).toBe(false);
+
+            // Only the cache can still answer
+            await db.query('INSERT INTO revoked_tokens (jti, user_id, reason, expires_at) VALUES ($1, $2, $3, NOW() + INTERVAL \'1 hour\')', [
+                token.jti, user.id, 'test'
+            ]);
+            expect(await tokenRevocationService.isRevoked(token)).toBe(false);
+
+            await tokenRevocationService.revokeToken(token.jti, token.exp, { userId: user.id });
+            expect(await tokenRevocationService.isRevoked(token)).toBe(true);
+        });
+
+        test('does not replace a cached revocation with state read from Postgres', async () => {
+            const token = tokenFor(user);
+            await tokenRevocationService.revokeToken(token.jti, token.exp, { userId: user.id });
+
+            await tokenRevocationService.cache(`revoked:jti:${token.jti}`, false, 60, { onlyIfMissing: true });
+
+            expect(await tokenRevocationService.isRevoked(token)).toBe(true);
+        });
+    });
+
+    describe('authenticateToken', () => {
+        test('answers 401 TOKEN_REVOKED for a revoked access token', async () => {
+            const app = createTestApp();
+            const accessToken = generateToken(user);
+
+            const before = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${accessToken}`);
+            expect(before.status).toBe(200);
+
+            const { jti, exp } = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+            await tokenRevocationService.revokeToken(jti, exp, { userId: user.id });
+
+            const after = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${accessToken}`);
+            expect(after.status).toBe(401);
+            expect(after.body.code).toBe('TOKEN_REVOKED');
+        });
+    });
+});
@@ -0,0 +1,284 @@
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { query, transaction } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encryptData, decryptData, createHMAC, generateRandomToken } from '../utils/crypto.js';
+import debug from 'debug';
+
+const debugTwoFactor = debug('app:twoFactor');
+
+const STEP_SECONDS = 30;
+
+/**
+ * Two-factor authentication service
+ *
+ * TOTP secrets are stored encrypted and only become active once the user
+ * confirms enrollment with a valid code. Recovery codes are single use and
+ * stored as HMACs.
+ */
+export class TwoFactorService {
+    constructor () {
+        authenticator.options = { step: STEP_SECONDS, window: config.twoFactor.window };
+    }
+
+    encryptSecret(secret) {
+        return JSON.stringify(encryptData(secret, config.twoFactor.encryptionKey));
+    }
+
+    decryptSecret(secretEncrypted) {
+        return decryptData(JSON.parse(secretEncrypted), config.twoFactor.encryptionKey);
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+        return createHMAC(normalized, config.twoFactor.encryptionKey);
+    }
+
+    /**
+     * Two-factor status of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+     */
+    async getStatus(userId) {
+        const result = await query(
+            `SELECT tf.enabled_at,
+                    (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = $1 AND rc.used_at IS NULL) AS remaining
+             FROM user_two_factor tf
+             WHERE tf.user_id = $1`,
+            [userId]
+        );
+
+        const row = result.rows[0];
+
+        return {
+            enabled: !!row?.enabled_at,
+            enabledAt: row?.enabled_at || null,
+            recoveryCodesRemaining: row?.enabled_at ? parseInt(row.remaining, 10) : 0
+        };
+    }
+
+    /**
+     * Whether a user has confirmed 2FA enrollment
+     * @param {string} userId - User ID
+     */
+    async isEnabled(userId) {
+        const result = await query(
+            'SELECT 1 FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL',
+            [userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Start enrollment: generate a secret and return it as an otpauth URI and QR code
+     * Replaces any enrollment that was started but not confirmed.
+     * @param {Object} user - User ({ id, email })
+     * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+     */
+    async beginEnrollment(user) {
+        if (await this.isEnabled(user.id)) {
+            throw new AppError('Two-factor authentication is already enabled', 409, true, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        const secret = authenticator.generateSecret(20);
+        const otpauthUrl = authenticator.keyuri(user.email, config.twoFactor.issuer, secret);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        await query(
+            `INSERT INTO user_two_factor (user_id, secret_encrypted)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE
+             SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, updated_at = NOW()`,
+            [user.id, this.encryptSecret(secret)]
+        );
+
+        debugTwoFactor('Enrollment started', { userId: user.id });
+
+        return { secret, otpauthUrl, qrCode };
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @returns {Promise<string[]>} Recovery codes, shown to the user once
+     */
+    async confirmEnrollment(userId, code) {
+        const result = await query(
+            'SELECT secret_encrypted, enabled_at FROM user_two_factor WHERE user_id = $1',
+            [userId]
+        );
+
+        const row = result.rows[0];
+
+        if (!row) {
+            throw new AppError('Two-factor enrollment has not been started', 400, true, 'TWO_FACTOR_NOT_STARTED');
+        }
+
+        if (row.enabled_at) {
+            throw new AppError('Two-factor authentication is already enabled', 409, true, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        const step = this.checkTotp(code, this.decryptSecret(row.secret_encrypted));
+        if (step === null) {
+            throw new AppError('Invalid two-factor code', 400, true, 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const recoveryCodes = await transaction(async (client) => {
+            await query(
+                'UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+                [userId, step],
+                { client }
+            );
+
+            return this.replaceRecoveryCodes(userId, { client });
+        });
+
+        logger.info('Two-factor authentication enabled', { userId });
+        return recoveryCodes;
+    }
+
+    /**
+     * Check a TOTP code against a secret
+     * @returns {number|null} Matched time step, or null if the code is invalid
+     */
+    checkTotp(code, secret) {
+        const delta = authenticator.checkDelta(String(code).trim(), secret);
+        if (delta === null) {
+            return null;
+        }
+        return Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+    }
+
+    /**
+     * Verify a TOTP or recovery code for a user with 2FA enabled
+     * TOTP codes are rejected if their time step was already used; recovery
+     * codes are consumed.
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code or recovery code
+     * @returns {Promise<string|null>} 'totp' or 'recovery_code', null if invalid
+     */
+    async verifyCode(userId, code) {
+        return transaction(async (client) => {
+            const result = await query(
+                'SELECT secret_encrypted, last_used_step FROM user_two_factor WHERE user_id = $1 AND enabled_at IS NOT NULL FOR UPDATE',
+                [userId],
+                { client }
+            );
+
+            const row = result.rows[0];
+            if (!row) {
+                return null;
+            }
+
+            if (/^\d{6}$/.test(String(code).trim())) {
+                const step = this.checkTotp(code, this.decryptSecret(row.secret_encrypted));
+
+                if (step === null || (row.last_used_step !== null && step <= parseInt(row.last_used_step, 10))) {
+                    return null;
+                }
+
+                await query(
+                    'UPDATE user_two_factor SET last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+                    [userId, step],
+                    { client }
+                );
+
+                return 'totp';
+            }
+
+            const recoveryResult = await query(
+                `UPDATE user_recovery_codes SET used_at = NOW()
+                 WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                 RETURNING id`,
+                [userId, this.hashRecoveryCode(code)],
+                { client }
+            );
+
+            if (recoveryResult.rows.length === 0) {
+                return null;
+            }
+
+            logger.info('Recovery code used', { userId });
+            return 'recovery_code';
+        });
+    }
+
+    /**
+     * Verify a code or throw
+     */
+    async assertCode(userId, code) {
+        if (!await this.isEnabled(userId)) {
+            throw new AppError('Two-factor authentication is not enabled', 400, true, 'TWO_FACTOR_NOT_ENABLED');
+        }
+
+        const method = await this.verifyCode(userId, code);
+        if (!method) {
+            throw new AppError('Invalid two-factor code', 400, true, 'INVALID_TWO_FACTOR_CODE');
+        }
+        return method;
+    }
+
+    /**
+     * Replace all recovery codes of a user
+     * @param {string} userId - User ID
+     * @param {Object} options - Query options
+     * @returns {Promise<string[]>} New recovery codes
+     */
+    async replaceRecoveryCodes(userId, options = {}) {
+        const { client = null } = options;
+
+        await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId], { client });
+
+        const codes = [];
+        for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+            const raw = generateRandomToken(5);
+            const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+
+            await query(
+                'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                [userId, this.hashRecoveryCode(code)],
+                { client }
+            );
+
+            codes.push(code);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Issue a new set of recovery codes, invalidating the old ones
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP or recovery code
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        await this.assertCode(userId, code);
+
+        const codes = await this.replaceRecoveryCodes(userId);
+
+        logger.info('Recovery codes regenerated', { userId });
+        return codes;
+    }
+
+    /**
+     * Disable 2FA
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP or recovery code
+     */
+    async disable(userId, code) {
+        await this.assertCode(userId, code);
+
+        await transaction(async (client) => {
+            await query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId], { client });
+            await query('DELETE FROM user_two_factor WHERE user_id = $1', [userId], { client });
+        });
+
+        logger.info('Two-factor authentication disabled', { userId });
+    }
+}
+
+// Create default two-factor service instance
+export const twoFactorService = new TwoFactorService();
@@ -62,16 +62,26 @@ export const verifyHMAC = (data, signature, secret, algorithm = 'sha256') => {
     return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
 };
 
+/**
+ * Derive a 32 byte AES key from a key of any length
+ * @param {string|Buffer} key - Encryption key
+ * @returns {Buffer} 32 byte key
+ */
+const deriveKey = (key) => {
+    const keyBuffer = Buffer.isBuffer(key) ? key : Buffer.from(key);
+    return keyBuffer.length === 32 ? keyBuffer : crypto.createHash('sha256').update(keyBuffer).digest();
+};
+
 /**
  * Encrypt data using AES-256-GCM
  * @param {string} text - Text to encrypt
- * @param {string} key - Encryption key (32 bytes)
+ * @param {string|Buffer} key - Encryption key (32 bytes, other lengths are hashed to 32)
  * @returns {Object} Encrypted data with IV and auth tag
  */
 export const encryptData = (text, key) => {
     const algorithm = 'aes-256-gcm';
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(algorithm, key);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(algorithm, deriveKey(key), iv);
     cipher.setAAD(Buffer.from('additional-data'));
 
     let encrypted = cipher.update(text, 'utf8', 'hex');
@@ -89,12 +99,12 @@ export const encryptData = (text, key) => {
 /**
  * Decrypt data using AES-256-GCM
  * @param {Object} encryptedData - Encrypted data object
- * @param {string} key - Decryption key
+ * @param {string|Buffer} key - Decryption key
  * @returns {string} Decrypted text
  */
 export const decryptData = (encryptedData, key) => {
     const algorithm = 'aes-256-gcm';
-    const decipher = crypto.createDecipher(algorithm, key);
+    const decipher = crypto.createDecipheriv(algorithm, deriveKey(key), Buffer.from(encryptedData.iv, 'hex'));
 
     decipher.setAAD(Buffer.from('additional-data'));
     decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
@@ -103,4 +113,4 @@ export const decryptData = (encryptedData, key) => {
     decrypted += decipher.final('utf8');
 
     return decrypted;
-};
\ No newline at end of file
+};
@@ -0,0 +1,70 @@
+import config from '../config/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createHMAC, verifyHMAC } from './crypto.js';
+import debug from 'debug';
+
+const debugCursor = debug('app:cursor');
+
+const invalidCursor = () => new AppError('Invalid cursor', 400, true, 'INVALID_CURSOR');
+
+/**
+ * Encode a keyset position as an opaque, signed cursor
+ * @param {Object} position - { values, direction, sort, query }
+ *   values: last sort key tuple (sort columns, then primary key tiebreaker)
+ *   direction: 'next' or 'prev'
+ *   sort, query: ORDER BY list (one entry per value) and query hash the cursor was issued for
+ * @returns {string} Cursor
+ */
+export const encodeCursor = ({ values, direction, sort, query }) => {
+    const payload = Buffer.from(JSON.stringify({
+        v: values,
+        d: direction,
+        s: sort,
+        q: query
+    })).toString('base64url');
+
+    return `${payload}.${createHMAC(payload, config.security.cursorSecret)}`;
+};
+
+/**
+ * Decode and verify a cursor
+ * A cursor is only valid for the sort and query it was issued for.
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Object} expected - { sort, query } of the current request
+ * @returns {Object} { values, direction }
+ * @throws {AppError} INVALID_CURSOR when tampered with or issued for another query
+ */
+export const decodeCursor = (cursor, expected) => {
+    const [payload, signature] = String(cursor).split('.');
+
+    if (!payload || !signature) {
+        throw invalidCursor();
+    }
+
+    let valid;
+    try {
+        valid = verifyHMAC(payload, signature, config.security.cursorSecret);
+    } catch {
+        // Signature of the wrong length
+        valid = false;
+    }
+
+    if (!valid) {
+        debugCursor('Cursor signature mismatch');
+        throw invalidCursor();
+    }
+
+    const position = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    if (position.s !== expected.sort || position.q !== expected.query) {
+        debugCursor('Cursor issued for another query', { sort: position.s });
+        throw invalidCursor();
+    }
+
+    if (!Array.isArray(position.v) || position.v.length !== expected.sort.split(',').length
+        || !['next', 'prev'].includes(position.d)) {
+        throw invalidCursor();
+    }
+
+    return { values: position.v, direction: position.d };
+};
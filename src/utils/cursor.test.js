@@ -0,0 +1,133 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+describe('cursor', () => {
+    const issuedFor = { sort: 'salary DESC, id ASC', query: 'abc123' };
+
+    test('round-trips a position for the query it was issued for', () => {
+        const cursor = encodeCursor({ values: ['5000.00', '7'], direction: 'next', ...issuedFor });
+
+        expect(decodeCursor(cursor, issuedFor)).toEqual({ values: ['5000.00', '7'], direction: 'next' });
+    });
+
+    test.each([
+        ['a tampered payload', (cursor) => `${Buffer.from('{"v":["1","1"],"d":"next"}').toString('base64url')}.${cursor.split('.')[1]}`],
+        ['a truncated signature', (cursor) => cursor.slice(0, -4)],
+        ['a missing signature', (cursor) => cursor.split('.')[0]],
+        ['garbage', () => 'not-a-cursor']
+    ])('rejects %s', (_, mangle) => {
+        const cursor = encodeCursor({ values: ['5000.00', '7'], direction: 'next', ...issuedFor });
+
+        expect(() => decodeCursor(mangle(cursor), issuedFor))
+            .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' }));
+    });
+
+    test('rejects a cursor issued for another sort or query', () => {
+        const cursor = encodeCursor({ values: ['5000.00', '7'], direction: 'next', ...issuedFor });
+
+        expect(() => decodeCursor(cursor, { ...issuedFor, sort: 'id ASC' })).toThrow('Invalid cursor');
+        expect(() => decodeCursor(cursor, { ...issuedFor, query: 'def456' })).toThrow('Invalid cursor');
+    });
+
+    describe('on a list endpoint', () => {
+        let app;
+        let admin;
+
+        beforeAll(async () => {
+            await setupDatabase();
+            app = createTestApp();
+            admin = await login(app, await createUser({ role: 'admin' }));
+
+            // Repeated names make the primary key tiebreaker matter
+            for (let index = 0; index < 7; index++) {
+                await create(index);
+            }
+        });
+
+        afterAll(teardownDatabase);
+
+        const create = (index, extra = {}) => request(app).post('/api/employees').set('Authorization', `Bearer ${admin.accessToken}`).send({
+            emp_id: `C${index}`,
+            first_name: ['Ada', 'Grace', 'Edsger'][index % 3],
+            last_name: `Cursor${index}`,
+            email: `cursor${index}@example.com`,
+            ...extra
+        });
+
+        const list = (search) => request(app).get(`/api/employees?${search}`).set('Authorization', `Bearer ${admin.accessToken}`);
+        const ids = (response) => response.body.data.map(row => row.id);
+
+        test('walks forward and back without skipping or repeating rows', async () => {
+            const first = await list('cursor=&limit=3&sort=-first_name');
+            expect(first.status).toBe(200);
+            expect(first.body.pagination).toMatchObject({ hasNextPage: true, hasPrevPage: false, prevCursor: null });
+
+            const second = await list(`cursor=${first.body.pagination.nextCursor}&limit=3&sort=-first_name`);
+            const third = await list(`cursor=${second.body.pagination.nextCursor}&limit=3&sort=-first_name`);
+            expect(third.body.pagination).toMatchObject({ hasNextPage: false, nextCursor: null });
+
+            const walked = [...ids(first), ...ids(second), ...ids(third)];
+            const offset = await list('limit=10&sort=-first_name,-id');
+            expect(walked).toEqual(ids(offset));
+
+            const back = await list(`cursor=${second.body.pagination.prevCursor}&limit=3&sort=-first_name`);
+            expect(ids(back)).toEqual(ids(first));
+        });
+
+        test('orders by a nullable column as offset paging does', async () => {
+            for (const [index, salary] of [[200, 5000], [201, 7000], [202, 5000]]) {
+                await create(index, { salary });
+            }
+
+            for (const sort of ['-salary', 'salary']) {
+                const walked = [];
+                const pages = [];
+                let cursor = '';
+                do {
+                    const page = await list(`cursor=${cursor}&limit=3&sort=${sort}`);
+                    expect(page.status).toBe(200);
+                    pages.push(page);
+                    walked.push(...ids(page));
+                    cursor = page.body.pagination.nextCursor;
+                } while (cursor);
+
+                const offset = await list(`limit=100&sort=${sort},${sort.startsWith('-') ? '-' : ''}id`);
+                expect(walked).toEqual(ids(offset));
+
+                const back = await list(`cursor=${pages[2].body.pagination.prevCursor}&limit=3&sort=${sort}`);
+                expect(ids(back)).toEqual(ids(pages[1]));
+            }
+        });
+
+        test('keeps the next page stable while rows are inserted before it', async () => {
+            const first = await list('cursor=&limit=2&sort=id');
+            await create(100);
+
+            const second = await list(`cursor=${first.body.pagination.nextCursor}&limit=2&sort=id`);
+
+            expect(Math.min(...ids(second))).toBeGreaterThan(Math.max(...ids(first)));
+            expect(ids(second)).toHaveLength(2);
+        });
+
+        test('skips the count when asked', async () => {
+            const counted = await list('cursor=&limit=2');
+            const uncounted = await list('cursor=&limit=2&includeCount=false');
+
+            expect(counted.body.pagination.total).toBeGreaterThanOrEqual(7);
+            expect(uncounted.body.pagination).toMatchObject({ total: null, totalPages: null });
+            expect(ids(uncounted)).toEqual(ids(counted));
+        });
+
+        test('answers 400 for a cursor of another sort', async () => {
+            const first = await list('cursor=&limit=2&sort=-first_name');
+
+            const response = await list(`cursor=${first.body.pagination.nextCursor}&limit=2&sort=last_name`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_CURSOR');
+        });
+    });
+});
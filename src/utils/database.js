@@ -2,13 +2,45 @@ import { query, transaction } from '../config/database.js';
 import logger from '../config/logger.js';
 import { getRequestId } from '../middleware/requestTracker.js';
 import { cacheService } from '../services/cacheService.js';
+import { auditService } from '../services/auditService.js';
+import { historyService } from '../services/historyService.js';
+import { compileFilters, compileSort } from './queryFilters.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
 import debug from 'debug';
+import crypto from 'crypto';
 
 const debugDb = debug('app:database:utils');
 
 // Cache for table schema information
 const schemaCache = new Map();
 
+/**
+ * Stable cache key fragment for a query and its parameters
+ */
+const hashQuery = (queryText, params = []) => {
+    return crypto.createHash('sha256')
+        .update(`${queryText}${JSON.stringify(params)}`)
+        .digest('hex')
+        .substring(0, 32);
+};
+
+// Plain or table qualified column name
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+
+/**
+ * Whether a column name is safe to interpolate: a valid name that exists in the
+ * table schema (when known) or is qualified with another table
+ */
+const isKnownColumn = (column, schema, tableName) => {
+    const known = COLUMN_NAME.test(column) && (!schema || column.includes('.') || Boolean(schema.columns[column]));
+
+    if (!known) {
+        logger.warn(`Column '${column}' not found in table '${tableName}', skipping`);
+    }
+
+    return known;
+};
+
 /**
  * Enhanced logging for database operations
  */
@@ -289,6 +321,78 @@ const invalidateCache = async (tableName, operation, conditions = {}) => {
     }
 };
 
+/**
+ * Run a write statement, recording the changed rows in the audit log and the record
+ * history when the table has them (see services/auditService.js and historyService.js)
+ * Recorded writes run in a transaction, the caller's when a client is given, so the
+ * entries commit or roll back with the write. The statement must end with its
+ * RETURNING list; the full row is added to it and removed from the result again.
+ * @param {Object} write - { tableName, schema, operation, queryText, values, client, lock }
+ *   operation: insert, update, delete or soft_delete; upsert records insert or update per row
+ *   lock: conditions of the rows the write may change, read first for their before values
+ * @returns {Promise<Object>} Query result
+ */
+const executeWrite = async ({ tableName, schema, operation, queryText, values, client = null, lock = null }) => {
+    const audited = auditService.isAudited(tableName);
+    // Plain inserts have no previous version
+    const tracked = historyService.isTracked(tableName) && operation !== 'insert';
+
+    if (!audited && !tracked) {
+        return query(queryText, values, { client });
+    }
+
+    const primaryKey = schema.primaryKey || [];
+    const keyOf = (row) => primaryKey.map(column => JSON.stringify(row[column])).join(',');
+    const recordIdOf = (row) => primaryKey.length > 0 ? primaryKey.map(column => row[column]).join(',') : null;
+
+    const run = async (txClient) => {
+        let before = new Map();
+
+        if (lock && primaryKey.length > 0) {
+            const lockColumns = Object.keys(lock);
+            const lockClause = lockColumns.length > 0
+                ? lockColumns.map((column, index) => `${column} = $${index + 1}`).join(' AND ')
+                : 'TRUE';
+
+            const current = await query(
+                `SELECT to_jsonb(${tableName}.*) AS row FROM ${tableName} WHERE ${lockClause} FOR UPDATE`,
+                Object.values(lock),
+                { client: txClient }
+            );
+            before = new Map(current.rows.map(({ row }) => [keyOf(row), row]));
+        }
+
+        const result = await query(`${queryText.trimEnd()}, to_jsonb(${tableName}.*) AS __full_row`, values, { client: txClient });
+
+        const changes = result.rows.map(row => {
+            const fullRow = row.__full_row;
+            delete row.__full_row;
+
+            if (operation === 'delete') {
+                return { operation, recordId: recordIdOf(fullRow), before: fullRow, after: null };
+            }
+
+            const previous = before.get(keyOf(fullRow)) || null;
+            return {
+                operation: operation === 'upsert' ? (previous ? 'update' : 'insert') : operation,
+                recordId: recordIdOf(fullRow),
+                before: previous,
+                after: fullRow
+            };
+        });
+
+        if (audited) {
+            await auditService.record(txClient, { tableName, changes });
+        }
+        if (tracked) {
+            await historyService.record(txClient, { tableName, changes });
+        }
+        return result;
+    };
+
+    return client ? run(client) : transaction(run);
+};
+
 /**
  * Execute query with timeout support
  */
@@ -535,11 +639,144 @@ export const executeBatchProcedures = async (procedures, transactionOptions = {}
     }
 };
 
+/**
+ * Condition for rows past a keyset position
+ * Uniform directions over NOT NULL columns use a row comparison, which can use a
+ * composite index; otherwise it expands to (a > x) OR (a = x AND b < y) OR ...
+ * NULLs sort as Postgres sorts them by default, after every value in ascending
+ * order, so a nullable column seeks with IS NULL and IS NOT NULL where needed.
+ * @param {Array<Object>} sort - { column, direction, nullable } scan order
+ * @param {Array<string|null>} placeholders - Parameter of each position value, null where the value is NULL
+ */
+const seekCondition = (sort, placeholders) => {
+    const operator = ({ direction }) => (direction === 'ASC' ? '>' : '<');
+
+    if (sort.every(item => item.direction === sort[0].direction && !item.nullable)) {
+        return `(${sort.map(item => item.column).join(', ')}) ${operator(sort[0])} (${placeholders.join(', ')})`;
+    }
+
+    const equal = ({ column }, placeholder) => (placeholder === null ? `${column} IS NULL` : `${column} = ${placeholder}`);
+
+    const past = (item, placeholder) => {
+        if (placeholder === null) {
+            // Nothing sorts after NULL ascending; every value does descending
+            return item.direction === 'ASC' ? 'FALSE' : `${item.column} IS NOT NULL`;
+        }
+        const compared = `${item.column} ${operator(item)} ${placeholder}`;
+        return item.nullable && item.direction === 'ASC' ? `(${compared} OR ${item.column} IS NULL)` : compared;
+    };
+
+    const branches = sort.map((item, i) => [
+        ...sort.slice(0, i).map((previous, j) => equal(previous, placeholders[j])),
+        past(item, placeholders[i])
+    ].join(' AND '));
+
+    return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+};
+
+/**
+ * Keyset pagination over a base query
+ * Seeks past the sort key tuple of the cursor (ending with the primary key) instead
+ * of skipping rows with OFFSET, so pages stay stable while rows are inserted.
+ * Sort key values are read back as text to keep full timestamp precision.
+ */
+const keysetPaginate = async (baseQuery, params, options) => {
+    const { cursor, limit, sort, fields, includeCount, timeout } = options;
+    const run = (text, values) => (timeout > 0 ? executeWithTimeout(text, values, timeout) : query(text, values));
+
+    const issuedFor = { sort: compileSort(sort), query: hashQuery(baseQuery, params) };
+    const position = cursor ? decodeCursor(cursor, issuedFor) : null;
+
+    // Walking backwards scans in reverse order; rows are flipped back afterwards
+    const backward = position?.direction === 'prev';
+    const scan = backward
+        ? sort.map(item => ({ ...item, direction: item.direction === 'ASC' ? 'DESC' : 'ASC' }))
+        : sort;
+
+    const selectList = fields.length > 0 ? fields.map(column => `keyset_query.${column}`).join(', ') : 'keyset_query.*';
+    const dataParams = [...params];
+    let dataQuery = `SELECT ${selectList}, ${sort.map(({ column }, i) => `keyset_query.${column}::text AS __cursor_${i}`).join(', ')}
+        FROM (${baseQuery}) AS keyset_query`;
+
+    if (position) {
+        const placeholders = position.values.map(value => {
+            if (value === null) {
+                return null;
+            }
+            dataParams.push(value);
+            return `$${dataParams.length}`;
+        });
+        dataQuery += ` WHERE ${seekCondition(scan, placeholders)}`;
+    }
+
+    // One extra row tells whether there is another page
+    dataParams.push(limit + 1);
+    dataQuery += ` ORDER BY ${compileSort(scan)} LIMIT $${dataParams.length}`;
+
+    const dataResult = await run(dataQuery, dataParams);
+    const rows = dataResult.rows;
+    const hasMore = rows.length > limit;
+
+    if (hasMore) {
+        rows.pop();
+    }
+    if (backward) {
+        rows.reverse();
+    }
+
+    const cursorFor = (row, direction) => encodeCursor({
+        values: sort.map((item, i) => row[`__cursor_${i}`]),
+        direction,
+        ...issuedFor
+    });
+
+    const hasNextPage = backward ? true : hasMore;
+    const hasPrevPage = backward ? hasMore : Boolean(position);
+    const nextCursor = hasNextPage && rows.length > 0 ? cursorFor(rows[rows.length - 1], 'next') : null;
+    const prevCursor = hasPrevPage && rows.length > 0 ? cursorFor(rows[0], 'prev') : null;
+
+    for (const row of rows) {
+        sort.forEach((item, i) => delete row[`__cursor_${i}`]);
+    }
+
+    let total = null;
+    if (includeCount) {
+        const countResult = await run(`SELECT COUNT(*) as total FROM (${baseQuery}) as count_query`, params);
+        total = parseInt(countResult.rows[0].total);
+    }
+
+    return {
+        result: {
+            data: rows,
+            pagination: {
+                limit,
+                total,
+                totalPages: includeCount ? Math.ceil(total / limit) : null,
+                hasNextPage,
+                hasPrevPage,
+                nextCursor,
+                prevCursor
+            }
+        },
+        dataQuery,
+        dataParams,
+        dataResult
+    };
+};
+
 /**
  * Enhanced paginated query with schema awareness and caching
+ *
+ * Offset mode (default) uses LIMIT/OFFSET with `page`. Cursor mode is used when
+ * `cursor` is a string ('' for the first page) and returns `nextCursor`/`prevCursor`
+ * in `pagination`, ordered by the sort with the primary key as tiebreaker.
+ * `sort` (see parseSort) takes precedence over `orderBy`/`orderDirection`, and
+ * `fields` (see parseFields) narrows the selected columns.
  * @param {string} baseQuery - Base SQL query without LIMIT/OFFSET
  * @param {Array} params - Query parameters
  * @param {Object} paginationOptions - Pagination options
+ *   (page, limit, orderBy, orderDirection, sort, fields, includeCount, tableName,
+ *   useCache, filters, cursor, cursorKey)
  * @returns {Promise<Object>} Paginated results
  */
 export const paginatedQuery = async (baseQuery, params = [], paginationOptions = {}) => {
@@ -556,9 +793,20 @@ export const paginatedQuery = async (baseQuery, params = [], paginationOptions =
             timeout = 30000,
             tableName = null,
             useCache = false,
-            cacheTTL = 300
+            cacheTTL = 300,
+            filters = [],
+            sort = [],
+            fields = null,
+            cursor = null
         } = paginationOptions;
 
+        // Apply parsed filters (see utils/queryFilters.js) on top of the base query
+        if (filters.length > 0) {
+            const compiled = compileFilters(filters, { startIndex: params.length + 1 });
+            baseQuery = `SELECT * FROM (${baseQuery}) AS filtered_query WHERE ${compiled.clauses.join(' AND ')}`;
+            params = [...params, ...compiled.params];
+        }
+
         // Validate and sanitize inputs
         const validatedPage = Math.max(1, parseInt(page));
         const validatedLimit = Math.min(Math.max(1, parseInt(limit)), maxLimit);
@@ -569,11 +817,29 @@ export const paginatedQuery = async (baseQuery, params = [], paginationOptions =
             ? orderDirection.toUpperCase()
             : 'DESC';
 
+        const keyset = typeof cursor === 'string';
+        const schema = tableName ? await getTableSchema(tableName) : null;
+
+        // Multi-column sort takes precedence over orderBy
+        const requestedOrder = sort.length > 0
+            ? sort
+            : (orderBy ? [{ column: orderBy, direction: validOrderDirection }] : []);
+        let order = requestedOrder.filter(({ column }) => isKnownColumn(column, schema, tableName));
+
+        if (requestedOrder.length > 0 && order.length === 0 && schema) {
+            // Use primary key or first column as fallback
+            const fallbackColumn = schema.primaryKey?.[0] || Object.keys(schema.columns)[0];
+            order = [{ column: fallbackColumn, direction: validOrderDirection }];
+        }
+
+        const selectList = fields ? fields.filter(column => isKnownColumn(column, schema, tableName)) : [];
+
         // Generate cache key if caching is enabled
         let cacheKey = null;
         if (useCache && tableName) {
-            const queryHash = Buffer.from(`${baseQuery}${JSON.stringify(params)}`).toString('base64').substring(0, 16);
-            cacheKey = `paginated:${tableName}:${queryHash}:${validatedPage}:${validatedLimit}:${orderBy}:${validOrderDirection}`;
+            const queryHash = hashQuery(baseQuery, params);
+            const position = keyset ? `cursor:${hashQuery(cursor)}` : validatedPage;
+            cacheKey = `paginated:${tableName}:${queryHash}:${position}:${validatedLimit}:${hashQuery(compileSort(order), selectList)}`;
 
             const cached = await cacheService.get(cacheKey);
             if (cached) {
@@ -582,6 +848,44 @@ export const paginatedQuery = async (baseQuery, params = [], paginationOptions =
             }
         }
 
+        if (keyset) {
+            const cursorKey = paginationOptions.cursorKey || schema?.primaryKey?.[0] || 'id';
+            const keysetSort = [];
+
+            // The primary key ends the sort; nullable columns seek with NULL-aware conditions
+            for (const item of order) {
+                if (item.column === cursorKey) {
+                    break;
+                }
+                keysetSort.push({ ...item, nullable: schema?.columns[item.column]?.nullable !== false });
+            }
+
+            keysetSort.push({
+                column: cursorKey,
+                nullable: false,
+                direction: order.find(({ column }) => column === cursorKey)?.direction
+                    || keysetSort[keysetSort.length - 1]?.direction
+                    || validOrderDirection
+            });
+
+            const { result, dataQuery, dataParams, dataResult } = await keysetPaginate(baseQuery, params, {
+                cursor,
+                limit: validatedLimit,
+                sort: keysetSort,
+                fields: selectList,
+                includeCount,
+                timeout
+            });
+
+            if (useCache && cacheKey) {
+                await cacheService.set(cacheKey, result, cacheTTL, [`table:${tableName}`]);
+                debugDb(`Cached paginated query result: ${cacheKey}`);
+            }
+
+            logDatabaseOperation('paginatedQuery', dataQuery, dataParams, startTime, dataResult);
+            return result;
+        }
+
         let total = 0;
 
         if (includeCount) {
@@ -592,24 +896,13 @@ export const paginatedQuery = async (baseQuery, params = [], paginationOptions =
             total = parseInt(countResult.rows[0].total);
         }
 
-        // Build data query with dynamic order by
-        let dataQuery = baseQuery;
-
-        if (orderBy) {
-            // Validate orderBy column exists if tableName provided
-            if (tableName) {
-                const schema = await getTableSchema(tableName);
-                if (!schema.columns[orderBy]) {
-                    logger.warn(`Order by column '${orderBy}' not found in table '${tableName}', using default`);
-                    // Use first column or primary key as fallback
-                    const fallbackColumn = schema.primaryKey?.[0] || Object.keys(schema.columns)[0];
-                    dataQuery += ` ORDER BY ${fallbackColumn} ${validOrderDirection}`;
-                } else {
-                    dataQuery += ` ORDER BY ${orderBy} ${validOrderDirection}`;
-                }
-            } else {
-                dataQuery += ` ORDER BY ${orderBy} ${validOrderDirection}`;
-            }
+        // Build data query with the selected fields and dynamic order by
+        let dataQuery = selectList.length > 0
+            ? `SELECT ${selectList.join(', ')} FROM (${baseQuery}) AS fields_query`
+            : baseQuery;
+
+        if (order.length > 0) {
+            dataQuery += ` ORDER BY ${compileSort(order)}`;
         }
 
         dataQuery += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
@@ -650,7 +943,8 @@ export const paginatedQuery = async (baseQuery, params = [], paginationOptions =
  * Schema-aware insert function with cache invalidation
  * @param {string} tableName - Table name
  * @param {Object} data - Data to insert
- * @param {Object} options - Insert options
+ * @param {Object} options - Insert options (onConflict 'ignore' or 'update', conflictColumns,
+ *   returning, validate, client, invalidate)
  * @returns {Promise<Object>} Insert result
  */
 export const insertRecord = async (tableName, data, options = {}) => {
@@ -661,7 +955,11 @@ export const insertRecord = async (tableName, data, options = {}) => {
             onConflict = null,
             conflictColumns = null,
             returning = '*',
-            validate = true
+            validate = true,
+            // Run on a transaction client, see executeTransaction
+            client = null,
+            // Callers batching writes invalidate once when done
+            invalidate = true
         } = options;
 
         if (validate && (!data || Object.keys(data).length === 0)) {
@@ -698,6 +996,9 @@ export const insertRecord = async (tableName, data, options = {}) => {
             VALUES (${placeholders.join(', ')})
         `;
 
+        // Rows an upsert may update, for the audit log
+        let lock = null;
+
         // Handle conflict resolution
         if (onConflict && conflictColumns) {
             const resolvedConflictColumns = conflictColumns || schema.primaryKey || ['id'];
@@ -705,8 +1006,9 @@ export const insertRecord = async (tableName, data, options = {}) => {
             if (onConflict === 'ignore') {
                 queryText += ` ON CONFLICT (${resolvedConflictColumns.join(', ')}) DO NOTHING`;
             } else if (onConflict === 'update') {
+                // Keep the original created_at; updated_at is set to NOW() below
                 const updateSet = columns
-                    .filter(col => !resolvedConflictColumns.includes(col))
+                    .filter(col => !resolvedConflictColumns.includes(col) && col !== 'created_at' && col !== 'updated_at')
                     .map(col => `${col} = EXCLUDED.${col}`)
                     .join(', ');
 
@@ -716,16 +1018,30 @@ export const insertRecord = async (tableName, data, options = {}) => {
                     if (schema.hasUpdatedAt) {
                         queryText = queryText.replace(' DO UPDATE SET ', ' DO UPDATE SET updated_at = NOW(), ');
                     }
+
+                    if (resolvedConflictColumns.every(column => column in validData)) {
+                        lock = Object.fromEntries(resolvedConflictColumns.map(column => [column, validData[column]]));
+                    }
                 }
             }
         }
 
         queryText += ` RETURNING ${returning}`;
 
-        const result = await query(queryText, values);
+        const result = await executeWrite({
+            tableName,
+            schema,
+            operation: lock ? 'upsert' : 'insert',
+            queryText,
+            values,
+            client,
+            lock
+        });
 
         // Invalidate cache after successful insert
-        await invalidateCache(tableName, 'insert', validData);
+        if (invalidate) {
+            await invalidateCache(tableName, 'insert', validData);
+        }
 
         logDatabaseOperation('insertRecord', queryText, values, startTime, result);
         return result.rows[0];
@@ -741,7 +1057,8 @@ export const insertRecord = async (tableName, data, options = {}) => {
  * @param {string} tableName - Table name
  * @param {Object} data - Data to update
  * @param {Object} whereConditions - Where conditions
- * @param {Object} options - Update options
+ * @param {Object} options - Update options (returning, optimisticLocking, versionColumn,
+ *   client, invalidate, touch: false leaves updated_at, and so the record's ETag, as it is)
  * @returns {Promise<Object>} Update result
  */
 export const updateRecord = async (tableName, data, whereConditions, options = {}) => {
@@ -751,7 +1068,10 @@ export const updateRecord = async (tableName, data, whereConditions, options = {
         const {
             returning = '*',
             optimisticLocking = false,
-            versionColumn = 'version'
+            versionColumn = 'version',
+            client = null,
+            invalidate = true,
+            touch = true
         } = options;
 
         if (!data || Object.keys(data).length === 0) {
@@ -772,7 +1092,7 @@ export const updateRecord = async (tableName, data, whereConditions, options = {
         });
 
         // Auto-add updated_at if it exists and isn't provided
-        if (schema.hasUpdatedAt && !validData.updated_at) {
+        if (touch && schema.hasUpdatedAt && !validData.updated_at) {
             validData.updated_at = new Date();
         }
 
@@ -797,14 +1117,24 @@ export const updateRecord = async (tableName, data, whereConditions, options = {
             RETURNING ${returning}
         `;
 
-        const result = await query(queryText, [...dataValues, ...whereValues]);
+        const result = await executeWrite({
+            tableName,
+            schema,
+            operation: 'update',
+            queryText,
+            values: [...dataValues, ...whereValues],
+            client,
+            lock: whereConditions
+        });
 
         if (result.rows.length === 0) {
             throw new Error(`No records updated in ${tableName}. Record may not exist or version conflict occurred.`);
         }
 
         // Invalidate cache after successful update
-        await invalidateCache(tableName, 'update', whereConditions);
+        if (invalidate) {
+            await invalidateCache(tableName, 'update', whereConditions);
+        }
 
         logDatabaseOperation('updateRecord', queryText, [...dataValues, ...whereValues], startTime, result);
         return result.rows[0];
@@ -819,7 +1149,7 @@ export const updateRecord = async (tableName, data, whereConditions, options = {
  * Schema-aware delete function with cache invalidation
  * @param {string} tableName - Table name
  * @param {Object} whereConditions - Where conditions
- * @param {Object} options - Delete options
+ * @param {Object} options - Delete options (returning, softDelete, force, client)
  * @returns {Promise<Object>} Delete result
  */
 export const deleteRecord = async (tableName, whereConditions, options = {}) => {
@@ -829,7 +1159,8 @@ export const deleteRecord = async (tableName, whereConditions, options = {}) =>
         const {
             returning = 'id',
             softDelete = null,
-            force = false
+            force = false,
+            client = null
         } = options;
 
         const whereColumns = Object.keys(whereConditions);
@@ -846,7 +1177,7 @@ export const deleteRecord = async (tableName, whereConditions, options = {}) =>
         const useSoftDelete = softDelete !== null ? softDelete : schema.hasDeletedAt;
 
         const whereClause = whereColumns.length > 0
-            ? whereColumns.map((col, index) => `${col} = ${index + 1}`).join(' AND ')
+            ? whereColumns.map((col, index) => `${col} = $${index + 1}`).join(' AND ')
             : '1=1';
 
         let queryText;
@@ -872,7 +1203,15 @@ export const deleteRecord = async (tableName, whereConditions, options = {}) =>
             `;
         }
 
-        const result = await query(queryText, whereValues);
+        const result = await executeWrite({
+            tableName,
+            schema,
+            operation: useSoftDelete ? 'soft_delete' : 'delete',
+            queryText,
+            values: whereValues,
+            client,
+            lock: useSoftDelete ? whereConditions : null
+        });
 
         // Invalidate cache after successful delete
         await invalidateCache(tableName, 'delete', whereConditions);
@@ -888,6 +1227,8 @@ export const deleteRecord = async (tableName, whereConditions, options = {}) =>
 
 /**
  * Enhanced advancedQuery with schema awareness
+ * `fields` (column list) narrows `select` and `sort` ([{ column, direction }])
+ * takes precedence over `orderBy`; both are checked against the table schema.
  * @param {string} tableName - Table name
  * @param {Object} options - Query options
  * @returns {Promise<Array>} Query results
@@ -898,12 +1239,15 @@ export const advancedQuery = async (tableName, options = {}) => {
     try {
         const {
             select = '*',
+            fields = null,
             where = {},
             whereRaw = null,
+            filters = [],
             joins = [],
             groupBy = null,
             having = null,
             orderBy = null,
+            sort = [],
             limit = null,
             offset = null,
             distinct = false,
@@ -924,8 +1268,10 @@ export const advancedQuery = async (tableName, options = {}) => {
         let params = [];
         let paramIndex = 1;
 
-        // SELECT clause
-        const selectClause = distinct ? `DISTINCT ${select}` : select;
+        // SELECT clause, narrowed to validated columns when fields are given
+        const selectList = fields ? fields.filter(column => isKnownColumn(column, schema, tableName)) : [];
+        const columns = selectList.length > 0 ? selectList.join(', ') : select;
+        const selectClause = distinct ? `DISTINCT ${columns}` : columns;
         queryParts.push(`SELECT ${selectClause}`);
 
         // FROM clause
@@ -951,17 +1297,25 @@ export const advancedQuery = async (tableName, options = {}) => {
             }
 
             if (Array.isArray(value)) {
-                const placeholders = value.map(() => `${paramIndex++}`).join(', ');
+                const placeholders = value.map(() => `$${paramIndex++}`).join(', ');
                 whereClauses.push(`${key} IN (${placeholders})`);
                 params.push(...value);
             } else if (value === null) {
                 whereClauses.push(`${key} IS NULL`);
             } else {
-                whereClauses.push(`${key} = ${paramIndex++}`);
+                whereClauses.push(`${key} = $${paramIndex++}`);
                 params.push(value);
             }
         });
 
+        // Parsed filters (see utils/queryFilters.js)
+        if (filters.length > 0) {
+            const compiled = compileFilters(filters, { startIndex: paramIndex });
+            whereClauses.push(...compiled.clauses);
+            params.push(...compiled.params);
+            paramIndex += compiled.params.length;
+        }
+
         // Raw where clause
         if (whereRaw) {
             whereClauses.push(whereRaw);
@@ -986,8 +1340,12 @@ export const advancedQuery = async (tableName, options = {}) => {
             queryParts.push(`HAVING ${having}`);
         }
 
-        // ORDER BY clause with validation
-        if (orderBy) {
+        // ORDER BY clause with validation, multi-column sort first
+        const validSort = sort.filter(({ column }) => isKnownColumn(column, schema, tableName));
+
+        if (validSort.length > 0) {
+            queryParts.push(`ORDER BY ${compileSort(validSort)}`);
+        } else if (orderBy) {
             const [orderColumn] = orderBy.split(' ');
             if (schema.columns[orderColumn] || orderColumn.includes('.')) {
                 queryParts.push(`ORDER BY ${orderBy}`);
@@ -1010,7 +1368,7 @@ export const advancedQuery = async (tableName, options = {}) => {
 
         // Check cache if enabled
         if (useCache) {
-            const queryHash = Buffer.from(`${queryText}${JSON.stringify(params)}`).toString('base64').substring(0, 16);
+            const queryHash = hashQuery(queryText, params);
             const cacheKey = `query:${tableName}:${queryHash}`;
 
             const cached = await cacheService.get(cacheKey);
@@ -1204,13 +1562,13 @@ export const countRecords = async (tableName, conditions = {}, options = {}) =>
 
         Object.entries(validConditions).forEach(([key, value]) => {
             if (Array.isArray(value)) {
-                const placeholders = value.map(() => `${paramIndex++}`).join(', ');
+                const placeholders = value.map(() => `$${paramIndex++}`).join(', ');
                 whereClauses.push(`${key} IN (${placeholders})`);
                 params.push(...value);
             } else if (value === null) {
                 whereClauses.push(`${key} IS NULL`);
             } else {
-                whereClauses.push(`${key} = ${paramIndex++}`);
+                whereClauses.push(`${key} = $${paramIndex++}`);
                 params.push(value);
             }
         });
@@ -1318,7 +1676,9 @@ export const bulkInsert = async (tableName, dataArray, options = {}) => {
                         onConflict,
                         conflictColumns: conflictColumns || schema?.primaryKey,
                         returning,
-                        validate: false // Skip individual validation in bulk
+                        validate: false, // Skip individual validation in bulk
+                        client,
+                        invalidate: false // Invalidated once below
                     });
                     if (result) results.push(result);
                 }
@@ -1344,14 +1704,14 @@ export const bulkInsert = async (tableName, dataArray, options = {}) => {
  * @param {string} tableName - Table name
  * @param {Object} data - Data to upsert
  * @param {Array} conflictColumns - Columns to check for conflict
- * @param {Object} options - Upsert options
+ * @param {Object} options - Upsert options (returning, excludeFromUpdate, client)
  * @returns {Promise<Object>} Upsert result
  */
 export const upsertRecord = async (tableName, data, conflictColumns = null, options = {}) => {
     const startTime = Date.now();
 
     try {
-        const { returning = '*', excludeFromUpdate = [] } = options;
+        const { returning = '*', excludeFromUpdate = [], client = null } = options;
 
         // Get table schema
         const schema = await getTableSchema(tableName);
@@ -1386,7 +1746,7 @@ export const upsertRecord = async (tableName, data, conflictColumns = null, opti
 
         const columns = Object.keys(validData);
         const values = Object.values(validData);
-        const placeholders = values.map((_, index) => `${index + 1}`);
+        const placeholders = values.map((_, index) => `$${index + 1}`);
 
         const updateColumns = columns.filter(col =>
             !resolvedConflictColumns.includes(col) && !excludeFromUpdate.includes(col)
@@ -1407,7 +1767,15 @@ export const upsertRecord = async (tableName, data, conflictColumns = null, opti
             RETURNING ${returning}
         `;
 
-        const result = await query(queryText, values);
+        const result = await executeWrite({
+            tableName,
+            schema,
+            operation: 'upsert',
+            queryText,
+            values,
+            client,
+            lock: Object.fromEntries(resolvedConflictColumns.map(column => [column, validData[column] ?? null]))
+        });
 
         // Invalidate cache after successful upsert
         await invalidateCache(tableName, 'upsert', validData);
@@ -1524,7 +1892,7 @@ export const databaseHealthCheck = async () => {
  * Find records with enhanced search capabilities
  * @param {string} tableName - Table name
  * @param {Object} conditions - Search conditions
- * @param {Object} options - Find options
+ * @param {Object} options - Find options (columns, fields, orderBy, sort, limit, ...)
  * @returns {Promise<Array>} Found records
  */
 export const findWhere = async (tableName, conditions = {}, options = {}) => {
@@ -1533,7 +1901,9 @@ export const findWhere = async (tableName, conditions = {}, options = {}) => {
     try {
         const {
             columns = '*',
+            fields = null,
             orderBy = null,
+            sort = [],
             limit = null,
             includeSoftDeleted = null,
             useCache = false,
@@ -1545,7 +1915,7 @@ export const findWhere = async (tableName, conditions = {}, options = {}) => {
 
         // Determine default order by
         let defaultOrderBy = orderBy;
-        if (!defaultOrderBy) {
+        if (!defaultOrderBy && sort.length === 0) {
             if (schema.hasCreatedAt) {
                 defaultOrderBy = 'created_at DESC';
             } else if (schema.primaryKey && schema.primaryKey.length > 0) {
@@ -1555,8 +1925,10 @@ export const findWhere = async (tableName, conditions = {}, options = {}) => {
 
         return await advancedQuery(tableName, {
             select: columns,
+            fields,
             where: conditions,
             orderBy: defaultOrderBy,
+            sort,
             limit,
             includeSoftDeleted,
             useCache,
@@ -1754,7 +2126,7 @@ export const executeDynamicSQL = async (sqlTemplate, params = {}, options = {})
         Object.entries(params).forEach(([key, value]) => {
             const placeholder = `:${key}`;
             while (finalSQL.includes(placeholder)) {
-                finalSQL = finalSQL.replace(placeholder, `${paramIndex}`);
+                finalSQL = finalSQL.replace(placeholder, () => `$${paramIndex}`);
                 paramValues.push(value);
                 paramIndex++;
             }
@@ -1887,7 +2259,8 @@ export const bulkUpdate = async (tableName, updates, options = {}) => {
 
                     const result = await updateRecord(tableName, validData, where, {
                         returning,
-                        validate: false // Skip individual validation in bulk
+                        client,
+                        invalidate: false // Invalidated once below
                     });
 
                     if (result) results.push(result);
@@ -2044,7 +2417,7 @@ export const executeFullTextSearch = async (tableName, searchTerm, options = {})
 
         // Add rank filter
         if (minRank > 0) {
-            whereClauses.push(`ts_rank(${searchVector}, ${searchQuery}) >= ${paramIndex++}`);
+            whereClauses.push(`ts_rank(${searchVector}, ${searchQuery}) >= $${paramIndex++}`);
             params.push(minRank);
         }
 
@@ -2066,7 +2439,7 @@ export const executeFullTextSearch = async (tableName, searchTerm, options = {})
             FROM ${tableName}
             WHERE ${whereClause}
             ORDER BY search_rank DESC, ${schema.hasCreatedAt ? 'created_at DESC' : validSearchColumns[0]}
-            LIMIT ${paramIndex++} OFFSET ${paramIndex}
+            LIMIT $${paramIndex++} OFFSET $${paramIndex}
         `;
 
         params.push(limit, offset);
@@ -0,0 +1,65 @@
+import { AppError } from '../middleware/errorHandler.js';
+import debug from 'debug';
+
+const debugETag = debug('app:etag');
+
+/**
+ * Entity tag of a record's current state
+ * Built from the version column and updated_at, whichever the row has; updateRecord sets
+ * updated_at on every write, so the tag changes even when the version is not bumped.
+ * @param {Object} record - Row with version and/or updated_at
+ * @returns {string|null} Strong entity tag, or null when the row has neither
+ */
+export const recordETag = (record) => {
+    const parts = [];
+
+    if (record.version !== undefined && record.version !== null) {
+        parts.push(`v${record.version}`);
+    }
+    if (record.updated_at) {
+        parts.push(`t${new Date(record.updated_at).getTime()}`);
+    }
+
+    return parts.length > 0 ? `"${parts.join('-')}"` : null;
+};
+
+/**
+ * Set the ETag header for a record
+ * Call before checking req.fresh, which answers If-None-Match against it.
+ * @returns {string|null} Entity tag
+ */
+export const setRecordETag = (res, record) => {
+    const etag = recordETag(record);
+
+    if (etag) {
+        res.set('ETag', etag);
+    }
+
+    return etag;
+};
+
+/**
+ * Check the If-Match header of a write against the record it targets
+ * Uses strong comparison, so weak tags never match; `*` matches any existing record.
+ * Requests without If-Match pass.
+ * @param {Object} req - Express request
+ * @param {Object} record - Current row
+ * @throws {AppError} PRECONDITION_FAILED (412) when the record has changed
+ */
+export const checkIfMatch = (req, record) => {
+    const header = req.get('If-Match');
+
+    if (!header) {
+        return;
+    }
+
+    const tags = header.split(',').map(tag => tag.trim());
+    const etag = recordETag(record);
+
+    if (tags.includes('*') || (etag && tags.includes(etag))) {
+        return;
+    }
+
+    debugETag('If-Match failed', { ifMatch: header, etag });
+    throw new AppError('The record has been changed since it was read', 412, true, 'PRECONDITION_FAILED');
+};
@@ -0,0 +1,132 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { recordETag } from './etag.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login, resetRateLimits } from '../../test/helpers/app.js';
+
+describe('etag', () => {
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        await setupDatabase();
+        app = createTestApp();
+        admin = await login(app, await createUser({ role: 'admin' }));
+    });
+
+    afterAll(teardownDatabase);
+
+    const as = ({ accessToken }) => ({
+        get: (url) => request(app).get(url).set('Authorization', `Bearer ${accessToken}`),
+        post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${accessToken}`).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${accessToken}`)
+    });
+
+    test('tags a row by its version and updated_at', () => {
+        const updatedAt = new Date('2026-01-01T00:00:00Z');
+
+        expect(recordETag({ version: 3, updated_at: updatedAt })).toBe(`"v3-t${updatedAt.getTime()}"`);
+        expect(recordETag({ updated_at: updatedAt })).toBe(`"t${updatedAt.getTime()}"`);
+        expect(recordETag({ id: 1 })).toBeNull();
+    });
+
+    describe('resource routes', () => {
+        let sequence = 0;
+        const createEmployee = async () => {
+            sequence++;
+            const response = await as(admin).post('/api/employees', {
+                emp_id: `T${sequence}`,
+                first_name: 'Ada',
+                last_name: 'Lovelace',
+                email: `etag${sequence}@example.com`
+            });
+            return `/api/employees/${response.body.data.id}`;
+        };
+
+        test('answers 304 while the record is unchanged', async () => {
+            const url = await createEmployee();
+            const { headers } = await as(admin).get(url);
+
+            expect((await as(admin).get(url).set('If-None-Match', headers.etag)).status).toBe(304);
+
+            await as(admin).put(url, { department: 'Research' });
+            expect((await as(admin).get(url).set('If-None-Match', headers.etag)).status).toBe(200);
+        });
+
+        test('updates only while If-Match holds the current tag', async () => {
+            const url = await createEmployee();
+            const { headers } = await as(admin).get(url);
+
+            const updated = await as(admin).put(url, { department: 'Research' }).set('If-Match', headers.etag);
+            expect(updated.status).toBe(200);
+            expect(updated.headers.etag).not.toBe(headers.etag);
+
+            const stale = await as(admin).put(url, { department: 'Sales' }).set('If-Match', headers.etag);
+            expect(stale.status).toBe(412);
+            expect(stale.body.code).toBe('PRECONDITION_FAILED');
+            expect((await as(admin).get(url)).body.data.department).toBe('Research');
+        });
+
+        test('lets one of two concurrent writes with the same tag through', async () => {
+            const url = await createEmployee();
+            const { headers } = await as(admin).get(url);
+
+            const responses = await Promise.all(['Research', 'Sales'].map(department =>
+                as(admin).put(url, { department }).set('If-Match', headers.etag)
+            ));
+
+            expect(responses.map(response => response.status).sort()).toEqual([200, 412]);
+        });
+
+        test('deletes only while If-Match holds the current tag', async () => {
+            const url = await createEmployee();
+            const { headers } = await as(admin).get(url);
+            await as(admin).put(url, { department: 'Research' });
+
+            expect((await as(admin).delete(url).set('If-Match', headers.etag)).status).toBe(412);
+            expect((await as(admin).delete(url).set('If-Match', '*')).status).toBe(200);
+            expect((await as(admin).delete(url).set('If-Match', '*')).status).toBe(404);
+        });
+    });
+
+    describe('profile', () => {
+        test('tags the profile after login by the row writes check', async () => {
+            const session = await login(app, await createUser({ first_name: 'Grace' }));
+
+            const profile = await as(session).get('/api/users/profile');
+            expect(profile.body.user.firstName).toBe('Grace');
+
+            const updated = await as(session).put('/api/users/profile', { bio: 'Compilers' }).set('If-Match', profile.headers.etag);
+            expect(updated.status).toBe(200);
+
+            const stale = await as(session).put('/api/users/profile', { bio: 'Ships' }).set('If-Match', profile.headers.etag);
+            expect(stale.status).toBe(412);
+
+            const fresh = await as(session).get('/api/users/profile');
+            expect(fresh.body.user.bio).toBe('Compilers');
+            expect(fresh.headers.etag).not.toBe(profile.headers.etag);
+            expect((await as(session).get('/api/users/profile').set('If-None-Match', fresh.headers.etag)).status).toBe(304);
+        });
+
+        test('keeps the profile tag across a login', async () => {
+            const user = await createUser();
+            const session = await login(app, user);
+            const profile = await as(session).get('/api/users/profile');
+
+            await resetRateLimits();
+            await login(app, user);
+
+            const updated = await as(session).put('/api/users/profile', { bio: 'Compilers' }).set('If-Match', profile.headers.etag);
+            expect(updated.status).toBe(200);
+        });
+
+        test('guards admin updates of users', async () => {
+            const user = await createUser();
+            const { headers } = await as(admin).get(`/api/users/${user.id}`);
+
+            expect((await as(admin).put(`/api/users/${user.id}`, { firstName: 'Edsger' }).set('If-Match', headers.etag)).status).toBe(200);
+            expect((await as(admin).put(`/api/users/${user.id}`, { firstName: 'Alan' }).set('If-Match', headers.etag)).status).toBe(412);
+        });
+    });
+});
@@ -0,0 +1,261 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { columnValidator, isTextColumn, FILTER_PARAM } from '../schemas/resourceSchemas.js';
+import debug from 'debug';
+
+const debugFilters = debug('app:queryFilters');
+
+const COMPARABLE_TYPES = [
+    'smallint', 'integer', 'bigint', 'numeric', 'decimal', 'real', 'double precision',
+    'date', 'timestamp without time zone', 'timestamp with time zone',
+    'character varying', 'character', 'text', 'citext', 'uuid'
+];
+
+const isJsonColumn = (column) => column.type === 'json' || column.type === 'jsonb';
+
+/**
+ * Supported operators: which columns accept them and how values are shaped
+ * - list: comma separated (or repeated) values
+ * - range: exactly two comma separated values
+ */
+const OPERATORS = {
+    eq: { sql: '=', accepts: column => !isJsonColumn(column) },
+    ne: { sql: '<>', accepts: column => !isJsonColumn(column) },
+    gt: { sql: '>', accepts: column => COMPARABLE_TYPES.includes(column.type) },
+    gte: { sql: '>=', accepts: column => COMPARABLE_TYPES.includes(column.type) },
+    lt: { sql: '<', accepts: column => COMPARABLE_TYPES.includes(column.type) },
+    lte: { sql: '<=', accepts: column => COMPARABLE_TYPES.includes(column.type) },
+    in: { list: true, accepts: column => !isJsonColumn(column) },
+    nin: { list: true, accepts: column => !isJsonColumn(column) },
+    like: { sql: 'LIKE', accepts: isTextColumn },
+    ilike: { sql: 'ILIKE', accepts: isTextColumn },
+    between: { range: true, accepts: column => COMPARABLE_TYPES.includes(column.type) },
+    null: { accepts: () => true },
+    contains: { accepts: column => column.type === 'jsonb' }
+};
+
+export const FILTER_OPERATORS = Object.keys(OPERATORS);
+
+const invalidFilter = (message) => new AppError(message, 400, true, 'INVALID_FILTER');
+
+/**
+ * Collect raw filter entries from a query object
+ * Works with both the flat keys of Express' simple query parser
+ * (`filter[salary][gte]`) and the nested object of the extended parser.
+ * `filter[col]=value` is shorthand for `filter[col][eq]=value`.
+ */
+const collectEntries = (requestQuery) => {
+    const entries = [];
+
+    for (const [key, value] of Object.entries(requestQuery)) {
+        const match = key.match(FILTER_PARAM);
+        if (match) {
+            entries.push({ column: match[1], operator: match[2] || 'eq', raw: value });
+        }
+    }
+
+    if (requestQuery.filter && typeof requestQuery.filter === 'object') {
+        for (const [column, value] of Object.entries(requestQuery.filter)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                for (const [operator, raw] of Object.entries(value)) {
+                    entries.push({ column, operator, raw });
+                }
+            } else {
+                entries.push({ column, operator: 'eq', raw: value });
+            }
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Cast a raw query value to the column type
+ */
+const castValue = (column, name, raw) => {
+    const { error, value } = columnValidator({ ...column, nullable: false }).validate(raw, { convert: true });
+
+    if (error) {
+        throw invalidFilter(`Invalid value for filter '${name}': ${error.message.replace(/^"value" /, '')}`);
+    }
+
+    return value;
+};
+
+const splitList = (raw) => (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item !== '');
+
+/**
+ * Parse and validate filters from a request query
+ * @param {Object} requestQuery - req.query
+ * @param {Object} tableSchema - Result of getTableSchema
+ * @param {Object} options - { fields } columns that may be filtered on (default: all)
+ * @returns {Array<Object>} Filters as { column, operator, value }
+ * @throws {AppError} INVALID_FILTER for unknown columns, operators or uncastable values
+ */
+export const parseFilters = (requestQuery, tableSchema, options = {}) => {
+    const { fields = Object.keys(tableSchema.columns) } = options;
+
+    return collectEntries(requestQuery).map(({ column: name, operator, raw }) => {
+        const column = tableSchema.columns[name];
+
+        if (!column || !fields.includes(name)) {
+            throw invalidFilter(`Unknown filter column '${name}'`);
+        }
+
+        const definition = OPERATORS[operator];
+        if (!definition) {
+            throw invalidFilter(`Unknown filter operator '${operator}'. Use one of: ${FILTER_OPERATORS.join(', ')}`);
+        }
+
+        if (!definition.accepts(column)) {
+            throw invalidFilter(`Operator '${operator}' is not supported for column '${name}' (${column.type})`);
+        }
+
+        if (Array.isArray(raw) && !definition.list) {
+            throw invalidFilter(`Filter '${name}' with operator '${operator}' takes a single value`);
+        }
+
+        let value;
+
+        if (definition.list) {
+            value = splitList(raw).map(item => castValue(column, name, item));
+            if (value.length === 0) {
+                throw invalidFilter(`Filter '${name}' with operator '${operator}' needs at least one value`);
+            }
+        } else if (definition.range) {
+            value = splitList(raw).map(item => castValue(column, name, item));
+            if (value.length !== 2) {
+                throw invalidFilter(`Filter '${name}' with operator 'between' needs two comma separated values`);
+            }
+        } else if (operator === 'null') {
+            if (!['true', 'false', true, false].includes(raw)) {
+                throw invalidFilter(`Filter '${name}' with operator 'null' takes true or false`);
+            }
+            value = raw === true || raw === 'true';
+        } else if (operator === 'contains') {
+            try {
+                value = JSON.parse(raw);
+            } catch {
+                throw invalidFilter(`Filter '${name}' with operator 'contains' takes a JSON value`);
+            }
+        } else if (operator === 'like' || operator === 'ilike') {
+            value = String(raw);
+        } else {
+            value = castValue(column, name, raw);
+        }
+
+        return { column: name, operator, value };
+    });
+};
+
+/**
+ * Compile parsed filters into parameterized SQL conditions
+ * Column names come from the table schema, values only ever travel as parameters.
+ * @param {Array<Object>} filters - Result of parseFilters
+ * @param {Object} options - { startIndex } first placeholder number (default 1),
+ *   { alias } optional table alias to qualify columns with
+ * @returns {Object} { clauses, params }
+ */
+export const compileFilters = (filters, options = {}) => {
+    const { startIndex = 1, alias = null } = options;
+    const clauses = [];
+    const params = [];
+
+    const placeholder = (value) => {
+        params.push(value);
+        return `$${startIndex + params.length - 1}`;
+    };
+
+    for (const { column, operator, value } of filters) {
+        const target = alias ? `${alias}.${column}` : column;
+        const definition = OPERATORS[operator];
+
+        switch (operator) {
+            case 'in':
+                clauses.push(`${target} = ANY(${placeholder(value)})`);
+                break;
+            case 'nin':
+                clauses.push(`NOT (${target} = ANY(${placeholder(value)}))`);
+                break;
+            case 'between':
+                clauses.push(`${target} BETWEEN ${placeholder(value[0])} AND ${placeholder(value[1])}`);
+                break;
+            case 'null':
+                clauses.push(`${target} IS ${value ? '' : 'NOT '}NULL`);
+                break;
+            case 'contains':
+                clauses.push(`${target} @> ${placeholder(JSON.stringify(value))}::jsonb`);
+                break;
+            default:
+                clauses.push(`${target} ${definition.sql} ${placeholder(value)}`);
+        }
+    }
+
+    debugFilters('Filters compiled', { count: clauses.length });
+    return { clauses, params };
+};
+
+const splitColumns = (spec) => String(spec).split(',').map(item => item.trim()).filter(item => item !== '');
+
+/**
+ * Parse a sort specification, e.g. `-salary,last_name`
+ * A leading `-` sorts descending, `+` or nothing ascending.
+ * @param {string} spec - Comma separated columns
+ * @param {Object} tableSchema - Result of getTableSchema
+ * @param {Object} options - { fields } columns that may be sorted on (default: all)
+ * @returns {Array<Object>} Sort as { column, direction }
+ * @throws {AppError} INVALID_SORT for unknown or repeated columns
+ */
+export const parseSort = (spec, tableSchema, options = {}) => {
+    const { fields = Object.keys(tableSchema.columns) } = options;
+    const seen = new Set();
+
+    return splitColumns(spec).map(item => {
+        const direction = item.startsWith('-') ? 'DESC' : 'ASC';
+        const column = item.replace(/^[-+]/, '');
+
+        if (!tableSchema.columns[column] || !fields.includes(column)) {
+            throw new AppError(`Unknown sort column '${column}'`, 400, true, 'INVALID_SORT');
+        }
+        if (seen.has(column)) {
+            throw new AppError(`Sort column '${column}' is repeated`, 400, true, 'INVALID_SORT');
+        }
+
+        seen.add(column);
+        return { column, direction };
+    });
+};
+
+/**
+ * Compile a parsed sort into an ORDER BY list
+ * @param {Array<Object>} sort - Result of parseSort
+ * @returns {string} e.g. `salary DESC, last_name ASC`
+ */
+export const compileSort = (sort) => sort
+    .map(({ column, direction }) => `${column} ${String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+/**
+ * Parse a sparse fieldset, e.g. `id,first_name,email`
+ * @param {string} spec - Comma separated columns
+ * @param {Object} tableSchema - Result of getTableSchema
+ * @param {Object} options - { fields } columns that may be selected (default: all)
+ * @returns {Array<string>} Columns, in the requested order without duplicates
+ * @throws {AppError} INVALID_FIELDS for unknown columns
+ */
+export const parseFields = (spec, tableSchema, options = {}) => {
+    const { fields = Object.keys(tableSchema.columns) } = options;
+    const columns = [...new Set(splitColumns(spec))];
+
+    const unknown = columns.filter(column => !tableSchema.columns[column] || !fields.includes(column));
+    if (unknown.length > 0) {
+        throw new AppError(`Unknown fields: ${unknown.join(', ')}`, 400, true, 'INVALID_FIELDS');
+    }
+
+    if (columns.length === 0) {
+        throw new AppError('At least one field must be selected', 400, true, 'INVALID_FIELDS');
+    }
+
+    return columns;
+};
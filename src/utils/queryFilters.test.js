@@ -0,0 +1,192 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { parseFilters, compileFilters, parseSort, compileSort, parseFields } from './queryFilters.js';
+import { setupDatabase, teardownDatabase, createUser } from '../../test/helpers/database.js';
+import { createTestApp, login } from '../../test/helpers/app.js';
+
+const tableSchema = {
+    tableName: 'employee',
+    columns: {
+        id: { type: 'integer', nullable: false },
+        department: { type: 'character varying', nullable: true, maxLength: 100 },
+        salary: { type: 'numeric', nullable: true, scale: 2 },
+        active: { type: 'boolean', nullable: false },
+        tags: { type: 'jsonb', nullable: true },
+        deleted_at: { type: 'timestamp with time zone', nullable: true }
+    }
+};
+
+describe('queryFilters', () => {
+    describe('parseFilters', () => {
+        test('reads flat and nested filter parameters, with eq as the default operator', () => {
+            const filters = parseFilters({
+                'filter[salary][gte]': '5000',
+                filter: { department: 'Engineering', active: { eq: 'true' } }
+            }, tableSchema);
+
+            expect(filters).toEqual([
+                { column: 'salary', operator: 'gte', value: 5000 },
+                { column: 'department', operator: 'eq', value: 'Engineering' },
+                { column: 'active', operator: 'eq', value: true }
+            ]);
+        });
+
+        test('splits lists and ranges and casts every value', () => {
+            const filters = parseFilters({
+                'filter[id][in]': '1, 2,3',
+                'filter[salary][between]': '1000,2000',
+                'filter[deleted_at][null]': 'true',
+                'filter[tags][contains]': '{"team":"ops"}'
+            }, tableSchema);
+
+            expect(filters.map(filter => filter.value)).toEqual([[1, 2, 3], [1000, 2000], true, { team: 'ops' }]);
+        });
+
+        test.each([
+            ['an unknown column', { 'filter[password][eq]': 'x' }, "Unknown filter column 'password'"],
+            ['an unknown operator', { 'filter[salary][regex]': '1' }, "Unknown filter operator 'regex'"],
+            ['an operator the column type does not take', { 'filter[salary][like]': '1%' }, "Operator 'like' is not supported"],
+            ['a value that does not cast', { 'filter[id][eq]': 'abc' }, "Invalid value for filter 'id'"],
+            ['a range without two values', { 'filter[salary][between]': '1000' }, 'needs two comma separated values'],
+            ['a null filter that is not a boolean', { 'filter[deleted_at][null]': 'maybe' }, 'takes true or false'],
+            ['a repeated single value', { 'filter[salary][gt]': ['1', '2'] }, 'takes a single value']
+        ])('rejects %s', (_, requestQuery, message) => {
+            expect(() => parseFilters(requestQuery, tableSchema)).toThrow(message);
+        });
+
+        test('only allows the given fields', () => {
+            expect(() => parseFilters({ 'filter[salary][gt]': '1' }, tableSchema, { fields: ['id'] }))
+                .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FILTER' }));
+        });
+    });
+
+    describe('compileFilters', () => {
+        test('compiles every operator into placeholders', () => {
+            const { clauses, params } = compileFilters([
+                { column: 'salary', operator: 'gte', value: 5000 },
+                { column: 'id', operator: 'nin', value: [1, 2] },
+                { column: 'salary', operator: 'between', value: [1, 2] },
+                { column: 'deleted_at', operator: 'null', value: false },
+                { column: 'tags', operator: 'contains', value: { team: 'ops' } }
+            ], { startIndex: 3, alias: 'e' });
+
+            expect(clauses).toEqual([
+                'e.salary >= $3',
+                'NOT (e.id = ANY($4))',
+                'e.salary BETWEEN $5 AND $6',
+                'e.deleted_at IS NOT NULL',
+                'e.tags @> $7::jsonb'
+            ]);
+            expect(params).toEqual([5000, [1, 2], 1, 2, '{"team":"ops"}']);
+        });
+    });
+
+    describe('parseSort', () => {
+        test('reads directions and compiles an ORDER BY list', () => {
+            const sort = parseSort('-salary, +department,id', tableSchema);
+
+            expect(sort).toEqual([
+                { column: 'salary', direction: 'DESC' },
+                { column: 'department', direction: 'ASC' },
+                { column: 'id', direction: 'ASC' }
+            ]);
+            expect(compileSort(sort)).toBe('salary DESC, department ASC, id ASC');
+        });
+
+        test.each([
+            ['an unknown column', 'salary;DROP TABLE employee', "Unknown sort column 'salary;DROP TABLE employee'"],
+            ['a column outside the fields', 'tags', "Unknown sort column 'tags'"],
+            ['a repeated column', 'salary,-salary', "Sort column 'salary' is repeated"]
+        ])('rejects %s', (_, spec, message) => {
+            expect(() => parseSort(spec, tableSchema, { fields: ['id', 'salary'] }))
+                .toThrow(expect.objectContaining({ message, code: 'INVALID_SORT' }));
+        });
+    });
+
+    describe('parseFields', () => {
+        test('keeps the requested order without duplicates', () => {
+            expect(parseFields('salary,id, salary', tableSchema)).toEqual(['salary', 'id']);
+        });
+
+        test.each([
+            ['unknown columns', 'id,password', 'Unknown fields: password'],
+            ['an empty list', ' , ', 'At least one field must be selected']
+        ])('rejects %s', (_, spec, message) => {
+            expect(() => parseFields(spec, tableSchema))
+                .toThrow(expect.objectContaining({ message, code: 'INVALID_FIELDS' }));
+        });
+    });
+
+    describe('on a list endpoint', () => {
+        let app;
+        let admin;
+
+        beforeAll(async () => {
+            await setupDatabase();
+            app = createTestApp();
+            admin = await login(app, await createUser({ role: 'admin' }));
+
+            const employees = [
+                ['Engineering', 4000], ['Engineering', 6000], ['Operations', 7000], ['Sales', 9000]
+            ];
+            for (const [index, [department, salary]] of employees.entries()) {
+                await request(app).post('/api/employees').set('Authorization', `Bearer ${admin.accessToken}`).send({
+                    emp_id: `F${index}`,
+                    first_name: 'Ada',
+                    last_name: `Filter${index}`,
+                    email: `filter${index}@example.com`,
+                    department,
+                    salary
+                });
+            }
+        });
+
+        afterAll(teardownDatabase);
+
+        const list = (search) => request(app).get(`/api/employees?${search}`).set('Authorization', `Bearer ${admin.accessToken}`);
+
+        test('combines filters', async () => {
+            const response = await list('filter[salary][gte]=5000&filter[department][in]=Engineering,Operations&sort=salary');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(row => Number(row.salary))).toEqual([6000, 7000]);
+        });
+
+        test('treats plain column parameters as equality filters', async () => {
+            const response = await list('department=Operations');
+
+            expect(response.body.data.map(row => row.department)).toEqual(['Operations']);
+        });
+
+        test('sorts on several columns and selects only the listed fields', async () => {
+            const response = await list('sort=department,-salary&fields=id,department,salary');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(row => [row.department, Number(row.salary)])).toEqual([
+                ['Engineering', 6000], ['Engineering', 4000], ['Operations', 7000], ['Sales', 9000]
+            ]);
+            expect(Object.keys(response.body.data[0]).sort()).toEqual(['department', 'id', 'salary']);
+        });
+
+        test('answers 400 for an unknown sort column or field', async () => {
+            expect((await list('sort=password')).body.code).toBe('INVALID_SORT');
+            expect((await list('fields=id,password')).body.code).toBe('INVALID_FIELDS');
+        });
+
+        test('filters users the same way', async () => {
+            const response = await request(app)
+                .get('/api/users?filter[role][eq]=admin')
+                .set('Authorization', `Bearer ${admin.accessToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.users.map(row => row.role)).toEqual(['admin']);
+        });
+
+        test('answers 400 for an invalid filter', async () => {
+            const response = await list('filter[salary][like]=1');
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('INVALID_FILTER');
+        });
+    });
+});
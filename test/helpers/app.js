@@ -0,0 +1,67 @@
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { requestTracker } from '../../src/middleware/requestTracker.js';
+import { strictRateLimiter } from '../../src/middleware/rateLimiter.js';
+import { errorHandler, notFoundHandler } from '../../src/middleware/errorHandler.js';
+import { validationErrorHandler } from '../../src/middleware/validation.js';
+import routes from '../../src/routes/index.js';
+import wellKnownRoutes from '../../src/routes/wellKnown.js';
+
+/**
+ * The API as app.js mounts it, without the global rate limiter, logging and
+ * process handlers
+ */
+export const createTestApp = () => {
+    const app = express();
+
+    app.use(requestTracker);
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use('/.well-known', wellKnownRoutes);
+    app.use('/api', routes);
+    app.use(notFoundHandler);
+    app.use(validationErrorHandler);
+    app.use(errorHandler);
+
+    return app;
+};
+
+/**
+ * Clear the strict limiter of the auth routes, which allows 5 requests per IP
+ */
+export const resetRateLimits = async () => {
+    for (const ip of ['::ffff:127.0.0.1', '127.0.0.1', '::1']) {
+        await strictRateLimiter.resetKey(ip);
+    }
+};
+
+/**
+ * Log a user in through POST /api/auth/login
+ * @param {Object} app - Express app
+ * @param {Object} user - { email, password }
+ * @returns {Promise<Object>} { accessToken, refreshToken, user }
+ */
+export const login = async (app, { email, password }) => {
+    await resetRateLimits();
+
+    const response = await request(app).post('/api/auth/login').send({ email, password });
+
+    if (response.status !== 200) {
+        throw new Error(`Login failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+
+    return {
+        accessToken: response.body.accessToken,
+        refreshToken: refreshTokenCookie(response),
+        user: response.body.user
+    };
+};
+
+/**
+ * The refresh token set by a login or refresh response
+ */
+export const refreshTokenCookie = (response) => {
+    const cookie = (response.headers['set-cookie'] || []).find(value => value.startsWith('refreshToken='));
+    return cookie ? decodeURIComponent(cookie.split(';')[0].slice('refreshToken='.length)) : null;
+};
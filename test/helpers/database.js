@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pg from 'pg';
+import utils from 'pg/lib/utils.js';
+import { PGlite } from '@electric-sql/pglite';
+import { connectDatabase, closeDatabase } from '../../src/config/database.js';
+import { hashPassword } from '../../src/utils/crypto.js';
+
+const MIGRATIONS_DIR = path.resolve('migrations');
+const BASE_SCHEMA = path.resolve('test/fixtures/baseSchema.sql');
+
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+let db = null;
+
+/**
+ * Rows as pg returns them: bytea as Buffer
+ */
+const toRow = (row) => {
+    for (const [key, value] of Object.entries(row)) {
+        if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+            row[key] = Buffer.from(value);
+        }
+    }
+    return row;
+};
+
+const run = async (text, params = []) => {
+    if (TRANSACTION_CONTROL.test(text) && params.length === 0) {
+        await db.exec(text);
+        return { rows: [], rowCount: 0 };
+    }
+
+    const result = await db.query(text, params.map(value => utils.prepareValue(value)));
+    return {
+        rows: result.rows.map(toRow),
+        rowCount: result.rowCount ?? result.affectedRows ?? result.rows.length,
+        fields: result.fields
+    };
+};
+
+/**
+ * pg-cursor stand-in: the whole result is read once and handed out in batches
+ */
+const openCursor = (cursor) => {
+    const pending = run(cursor.text, cursor.values);
+    let offset = 0;
+
+    return {
+        read: async (count) => {
+            const { rows } = await pending;
+            const batch = rows.slice(offset, offset + count);
+            offset += batch.length;
+            return batch;
+        },
+        close: async () => {}
+    };
+};
+
+const clientQuery = (text, params) => {
+    if (typeof text?.submit === 'function') {
+        return openCursor(text);
+    }
+    return typeof text === 'object' ? run(text.text, text.values) : run(text, params);
+};
+
+/**
+ * Start an in-process PGlite database with the base schema and every migration,
+ * and point config/database.js at it
+ *
+ * PGlite is a single session: transactions of concurrent requests share it, so
+ * tests drive requests one at a time.
+ * @returns {Promise<PGlite>} Database, for direct queries in assertions
+ */
+export const setupDatabase = async () => {
+    // int8 and numeric come back as strings, like pg
+    db = new PGlite({ parsers: { 20: value => value, 1700: value => value } });
+
+    await db.exec(await fs.readFile(BASE_SCHEMA, 'utf8'));
+
+    const migrations = (await fs.readdir(MIGRATIONS_DIR)).filter(name => name.endsWith('.sql')).sort();
+    for (const name of migrations) {
+        await db.exec(await fs.readFile(path.join(MIGRATIONS_DIR, name), 'utf8'));
+    }
+
+    Object.assign(pg.Pool.prototype, {
+        query: clientQuery,
+        connect: async () => ({ query: clientQuery, release: () => {} }),
+        on: () => {},
+        end: async () => {}
+    });
+
+    await connectDatabase();
+    return db;
+};
+
+export const teardownDatabase = async () => {
+    await closeDatabase();
+    await db?.close();
+    db = null;
+};
+
+let userCount = 0;
+
+/**
+ * Insert an active user
+ * @param {Object} overrides - Column values
+ * @returns {Promise<Object>} User row plus the plain `password`
+ */
+export const createUser = async (overrides = {}) => {
+    userCount++;
+    const { password = 'Password123!', ...columns } = overrides;
+
+    const values = {
+        first_name: 'Test',
+        last_name: `User${userCount}`,
+        email: `user${userCount}-${Date.now()}@example.com`,
+        password_hash: await hashPassword(password),
+        email_verified: true,
+        ...columns
+    };
+
+    const names = Object.keys(values);
+    const result = await run(
+        `INSERT INTO users (${names.join(', ')}) VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+        Object.values(values)
+    );
+
+    return { ...result.rows[0], password };
+};
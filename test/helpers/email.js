@@ -0,0 +1,32 @@
+import { emailService } from '../../src/services/emailService.js';
+
+/**
+ * The memory transport tests send through (EMAIL_TRANSPORT defaults to memory)
+ */
+export const outbox = () => emailService.getTransport();
+
+/**
+ * Wait for the emails to an address, for sends that finish after the response
+ * @param {string} to - Recipient
+ * @param {number} count - How many emails to wait for
+ * @returns {Promise<Object[]>} Messages to the address
+ */
+export const waitForEmails = async (to, count = 1, { timeout = 5000 } = {}) => {
+    const deadline = Date.now() + timeout;
+
+    while (outbox().getMessages(to).length < count) {
+        if (Date.now() > deadline) {
+            throw new Error(`Expected ${count} email(s) to ${to}, got ${outbox().getMessages(to).length}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    return outbox().getMessages(to);
+};
+
+/**
+ * Pull the token out of the link in an email
+ * @param {Object} message - Sent message
+ * @param {RegExp} pattern - Link pattern capturing the token
+ */
+export const tokenFrom = (message, pattern = /token=([a-f0-9]+)/) => message.text.match(pattern)?.[1];
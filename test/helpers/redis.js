@@ -0,0 +1,110 @@
+import path from 'path';
+import { jest } from '@jest/globals';
+
+/**
+ * In-memory stand-in for config/redis.js
+ *
+ * Covers the key commands the services use (strings with TTLs, GETDEL, reading hashes);
+ * `ready` toggles whether Redis counts as connected. Call before importing the
+ * modules under test:
+ *
+ *   const redis = mockRedis();
+ *   const { service } = await import('../services/service.js');
+ */
+export const mockRedis = () => {
+    const store = new Map();
+
+    const live = (key) => {
+        const entry = store.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            store.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const expiresAt = ({ expiration } = {}) => {
+        if (!expiration) {
+            return null;
+        }
+        return Date.now() + (expiration.type === 'PX' ? expiration.value : expiration.value * 1000);
+    };
+
+    const client = {
+        isOpen: true,
+        async get(key) {
+            return live(key)?.value ?? null;
+        },
+        async set(key, value, options = {}) {
+            if (options.condition === 'NX' && live(key)) {
+                return null;
+            }
+            store.set(key, { value: String(value), expiresAt: expiresAt(options) });
+            return 'OK';
+        },
+        async setEx(key, seconds, value) {
+            return client.set(key, value, { expiration: { type: 'EX', value: seconds } });
+        },
+        async getDel(key) {
+            const value = live(key)?.value ?? null;
+            store.delete(key);
+            return value;
+        },
+        async del(key) {
+            return store.delete(key) ? 1 : 0;
+        },
+        async exists(key) {
+            return live(key) ? 1 : 0;
+        },
+        async hGetAll(key) {
+            return { ...live(key)?.value };
+        }
+    };
+
+    const redis = {
+        ready: true,
+        store,
+        client
+    };
+
+    const ensureReady = () => {
+        if (!redis.ready) {
+            throw new Error('Redis not connected. Call connectRedis() first.');
+        }
+    };
+
+    jest.unstable_mockModule(path.resolve('src/config/redis.js'), () => ({
+        connectRedis: async () => client,
+        closeRedis: async () => {},
+        getRedisClient: () => {
+            ensureReady();
+            return client;
+        },
+        isRedisReady: () => redis.ready,
+        redisHealthCheck: async () => ({ status: redis.ready ? 'healthy' : 'unhealthy' }),
+        setCache: async (key, value, ttl) => {
+            ensureReady();
+            await client.set(key, JSON.stringify(value), ttl > 0 ? { expiration: { type: 'EX', value: ttl } } : {});
+        },
+        getCache: async (key) => {
+            if (!redis.ready) {
+                return null;
+            }
+            const value = await client.get(key);
+            return value === null ? null : JSON.parse(value);
+        },
+        deleteCache: async (key) => {
+            ensureReady();
+            return (await client.del(key)) > 0;
+        },
+        existsCache: async (key) => redis.ready && (await client.exists(key)) > 0,
+        setCacheMultiple: async (pairs, ttl) => {
+            ensureReady();
+            for (const [key, value] of Object.entries(pairs)) {
+                await client.set(key, JSON.stringify(value), ttl > 0 ? { expiration: { type: 'EX', value: ttl } } : {});
+            }
+        }
+    }));
+
+    return redis;
+};
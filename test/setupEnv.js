@@ -0,0 +1,27 @@
+import os from 'os';
+import path from 'path';
+
+// Files written by uploads and exports stay out of the working tree
+const scratchDir = path.join(os.tmpdir(), `api-test-${process.pid}`);
+
+/**
+ * Environment for the test run, set before any module reads config
+ * The database is an in-process PGlite (see helpers/database.js) and Redis is off,
+ * so services take their Postgres paths.
+ */
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DOTENV_CONFIG_QUIET: 'true',
+    JWT_SECRET: 'test-jwt-secret-that-is-long-enough-for-hs256',
+    JWT_ALGORITHM: 'HS256',
+    TWO_FACTOR_ENCRYPTION_KEY: 'test-two-factor-encryption-key',
+    DB_HOST: 'localhost',
+    DB_NAME: 'test',
+    DB_USER: 'test',
+    DB_PASSWORD: 'test',
+    REDIS_ENABLED: 'false',
+    BCRYPT_SALT_ROUNDS: '4',
+    UPLOAD_DESTINATION: path.join(scratchDir, 'uploads'),
+    EXPORT_DIR: path.join(scratchDir, 'exports'),
+    EMAIL_OUTBOX_DIR: path.join(scratchDir, 'outbox')
+});